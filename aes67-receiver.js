@@ -1,16 +1,32 @@
 module.exports = function(RED) {
     const dgram = require('dgram');
+    const fs = require('fs');
     const os = require('os');
+    const sampleFormat = require('./lib/sample-format');
+    const am824 = require('./lib/am824');
+    const rtcp = require('./lib/rtcp');
+    const seamless = require('./lib/seamless');
+    const { StreamRecorder } = require('./lib/recorder');
+    const { JitterBuffer } = require('./lib/jitter-buffer');
+    const { PacketConcealer } = require('./lib/concealment');
+    const { parseStreamDescription, loadSDP } = require('./lib/sdp');
+    const { LevelMeter, MIN_DB } = require('./lib/level-meter');
+    const { StreamStatistics } = require('./lib/rtp-stats');
+    const nmos = require('./lib/nmos');
+    const { ReceiverConnection } = require('./lib/nmos-connection');
+    
+    const SUPPORTED_ENCODINGS = ['L16', 'L24', 'L32', 'AM824'];
+    const MAX_METER_RATE = 50;                 // Level messages per second
+    const LEVEL_STATUS_INTERVAL_MS = 1000;
     
     // RTP Packet Parser
     class RTPPacketParser {
-        constructor() {
-            this.lastSequence = null;
-            this.packetsLost = 0;
-            this.packetsReceived = 0;
+        // options: { clockRate, lateThresholdMs } for the reception statistics
+        constructor(options) {
+            this.stats = new StreamStatistics(options);
         }
         
-        parsePacket(buffer) {
+        parsePacket(buffer, arrivalMs) {
             if (buffer.length < 12) {
                 return null; // Invalid RTP packet
             }
@@ -28,16 +44,8 @@ module.exports = function(RED) {
                 ssrc: buffer.readUInt32BE(8)
             };
             
-            // Check for lost packets
-            if (this.lastSequence !== null) {
-                const expected = (this.lastSequence + 1) & 0xFFFF;
-                if (header.sequenceNumber !== expected) {
-                    const lost = (header.sequenceNumber - expected + 0x10000) & 0xFFFF;
-                    this.packetsLost += lost;
-                }
-            }
-            this.lastSequence = header.sequenceNumber;
-            this.packetsReceived++;
+            // Loss, reordering and timing statistics
+            this.stats.update(header, arrivalMs !== undefined ? arrivalMs : rtcp.nowMs());
             
             // Calculate header length
             let headerLength = 12 + (header.csrcCount * 4);
@@ -66,18 +74,11 @@ module.exports = function(RED) {
         }
         
         getStats() {
-            return {
-                packetsReceived: this.packetsReceived,
-                packetsLost: this.packetsLost,
-                lossRate: this.packetsReceived > 0 ? 
-                    (this.packetsLost / (this.packetsReceived + this.packetsLost)) : 0
-            };
+            return this.stats.getStats();
         }
         
         reset() {
-            this.lastSequence = null;
-            this.packetsLost = 0;
-            this.packetsReceived = 0;
+            this.stats.reset();
         }
     }
     
@@ -158,66 +159,159 @@ module.exports = function(RED) {
         node.sourcePort = config.sourcePort || 5004;
         node.multicastGroup = config.multicastGroup || '';
         node.localPort = parseInt(config.localPort) || 0; // 0 = auto-assign
+        node.secondaryGroup = config.secondaryGroup || '';
+        node.secondaryPort = parseInt(config.secondaryPort) || 0; // 0 = same as primary
+        node.secondaryInterface = config.secondaryInterface || '';
+        node.sourceFilter = config.sourceFilter || '';
+        node.secondarySourceFilter = config.secondarySourceFilter || '';
+        try {
+            node.ssrcLock = parseSSRCLock(config.ssrcLock);
+        } catch (err) {
+            node.warn(`${err.message}, SSRC lock disabled`);
+            node.ssrcLock = null;
+        }
+        node.maxPathDelay = config.maxPathDelay !== undefined && config.maxPathDelay !== '' ?
+            parseFloat(config.maxPathDelay) : 10;
+        node.dualPath = false;
+        node.linkOffset = parseFloat(config.linkOffset);
+        if (!(node.linkOffset >= 0 && node.linkOffset <= 1000)) {
+            node.linkOffset = 5;
+        }
         node.sampleRate = parseInt(config.sampleRate) || 48000;
         node.channels = parseInt(config.channels) || 2;
         node.encoding = config.encoding || 'L24';
         node.outputMode = config.outputMode || 'buffer'; // 'buffer' or 'stream'
-        
-        // Calculate bytes per sample
-        const bitsPerSample = node.encoding === 'L24' ? 24 : 
-                             node.encoding === 'L16' ? 16 : 24;
-        node.bytesPerSample = bitsPerSample / 8;
+        node.enableRTCP = config.enableRTCP !== false;
+        node.concealment = config.concealment || 'silence';
+        node.recordOptions = {
+            directory: config.recordDirectory || '',
+            prefix: config.recordPrefix || '',
+            format: config.recordFormat || 'bwf',
+            rotateMinutes: parseFloat(config.recordRotate) || 0,
+            maxSizeMB: parseFloat(config.recordMaxSize) || 0
+        };
+        node.recordOnStart = config.recordOnStart === true;
+        node.meterOptions = {
+            rate: Math.min(MAX_METER_RATE, Math.max(0, parseFloat(config.meterRate) || 0)),  // 0 = off
+            peakWindowMs: parseFloat(config.meterPeakWindow) || 100,
+            rmsWindowMs: parseFloat(config.meterRmsWindow) || 300,
+            truePeak: config.meterTruePeak !== false
+        };
+        node.outputFormat = sampleFormat.parseFormat({
+            type: config.outputFormat,
+            layout: config.outputLayout,
+            endianness: config.outputEndian
+        });
         
         // Runtime state
         node.rtpSocket = null;
-        node.rtpParser = new RTPPacketParser();
-        node.audioBuffer = new AudioBufferManager(node.sampleRate, node.channels, node.bytesPerSample);
+        node.secondarySocket = null;
+        node.rtpParser = new RTPPacketParser(getParserOptions(node));
+        node.secondaryParser = null;
+        node.merger = null;
+        node.mergeTimer = null;
+        node.receptionStats = new rtcp.ReceptionStats(node.sampleRate);
+        node.jitterBuffer = new JitterBuffer({ sampleRate: node.sampleRate, linkOffsetMs: node.linkOffset });
+        node.playoutTimer = null;
+        node.rtcpSession = null;
+        node.rtpSource = null;
+        node.ssrc = Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+        node.lockedSsrc = typeof node.ssrcLock === 'number' ? node.ssrcLock : null;
+        node.filterStats = { droppedSource: 0, droppedSsrc: 0, foreignSources: new Set(), foreignSsrcs: new Set() };
         node.running = false;
         node.statsInterval = null;
+        node.recorder = null;
+        node.streamDescription = null;
+        node.meterTimer = null;
+        node.lastStatus = null;
+        node.levelStatusTime = 0;
+        
+        // NMOS IS-05 connection management, served by the router running the NMOS node
+        node.connection = new ReceiverConnection({
+            interfaceIP: getLocalIP(),
+            encodings: SUPPORTED_ENCODINGS,
+            enabled: !!node.multicastGroup,
+            activate: (settings) => connectReceiver(node, settings),
+            getTransportParams: () => ({
+                source_ip: node.sourceFilter || null,
+                multicast_ip: node.multicastGroup || null,
+                destination_port: node.localPort
+            }),
+            onChange: () => nmos.deviceChanged()
+        });
+        
+        // Derive sample sizes and buffers from the encoding
+        configureEncoding(node);
+        
+        // ST 2022-7 merging when a secondary path is configured
+        if (node.secondaryGroup || node.secondaryPort) {
+            enableDualPath(node);
+        }
         
         // Initialize
         node.status({ fill: "yellow", shape: "ring", text: "initializing..." });
         
         try {
             // Create RTP receiver socket
-            node.rtpSocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
-            
-            node.rtpSocket.on('error', (err) => {
-                node.error(`RTP socket error: ${err.message}`);
-                node.status({ fill: "red", shape: "ring", text: "socket error" });
-            });
-            
-            node.rtpSocket.on('message', (msg, rinfo) => {
-                handleRTPPacket(node, msg, rinfo);
-            });
-            
-            node.rtpSocket.bind(node.localPort, '0.0.0.0', () => {
-                const actualPort = node.rtpSocket.address().port;
+            node.rtpSocket = openRTPSocket(node, 'primary', node.multicastGroup, node.localPort, null, (actualPort) => {
                 node.localPort = actualPort;
                 
-                // Join multicast group if specified
-                if (node.multicastGroup) {
-                    try {
-                        node.rtpSocket.addMembership(node.multicastGroup);
-                        node.log(`Joined multicast group: ${node.multicastGroup}`);
-                    } catch (e) {
-                        node.warn(`Could not join multicast ${node.multicastGroup}: ${e.message}`);
-                    }
+                // Secondary path for ST 2022-7, on the primary port unless configured
+                if (node.dualPath) {
+                    openSecondaryPath(node);
                 }
                 
+                startRTCP(node, actualPort);
+                
                 node.running = true;
-                node.status({ 
+                showStatus(node, { 
                     fill: "green", 
                     shape: "dot", 
                     text: `listening on port ${actualPort}` 
                 });
                 
                 node.log(`AES67 receiver listening on port ${actualPort}`);
+                
+                // An NMOS device with one receiver, once a router runs the NMOS node
+                nmos.addDevice(node.id, {
+                    label: node.name || 'AES67 Receiver',
+                    description: 'AES67 receiver',
+                    getReceivers: () => [{
+                        key: 'receiver',
+                        label: node.name || 'AES67 Receiver',
+                        description: `Port ${node.localPort}`,
+                        encodings: SUPPORTED_ENCODINGS,
+                        active: node.connection.active.master_enable,
+                        senderId: node.connection.active.sender_id,
+                        connection: node.connection
+                    }]
+                });
+                
+                if (node.recordOnStart) {
+                    try {
+                        startRecording(node, {});
+                    } catch (err) {
+                        node.error(`Failed to start recording: ${err.message}`);
+                    }
+                }
             });
             
+            // Play packets out of the jitter buffer as they fall due
+            node.playoutTimer = setInterval(() => {
+                node.jitterBuffer.pop(rtcp.nowMs()).forEach(due => processPacket(node, due.packet, due.rinfo));
+            }, 1);
+            
+            // Level metering messages on the third output
+            if (node.meterOptions.rate > 0) {
+                node.meterTimer = setInterval(() => sendLevels(node), 1000 / node.meterOptions.rate);
+            }
+            
             // Periodic stats update
             node.statsInterval = setInterval(() => {
                 updateStats(node);
+                if (node.recorder) {
+                    node.recorder.flush();
+                }
             }, 5000);
             
         } catch (err) {
@@ -230,12 +324,23 @@ module.exports = function(RED) {
             send = send || function() { node.send.apply(node, arguments) };
             done = done || function(err) { if(err) node.error(err, msg) };
             
+            // NMOS controllers see a subscription made here as a connection to an unknown sender
+            const subscribed = (err) => {
+                if (!err) {
+                    node.connection.setActive(!!(node.multicastGroup || node.streamDescription));
+                }
+                done(err);
+            };
+            
             try {
                 if (msg.topic === 'control') {
                     handleControlMessage(node, msg, send, done);
+                } else if (msg.topic === 'subscribe' && (typeof msg.payload === 'string' || (msg.payload && msg.payload.sdp))) {
+                    // Subscription from an SDP document
+                    subscribeFromSDP(node, msg.payload, send, subscribed);
                 } else if (msg.topic === 'subscribe' && msg.payload) {
                     // Dynamic subscription
-                    subscribeToStream(node, msg.payload, send, done);
+                    subscribeToStream(node, msg.payload, send, subscribed);
                 } else {
                     done();
                 }
@@ -248,81 +353,469 @@ module.exports = function(RED) {
         // Cleanup
         node.on('close', function(done) {
             node.running = false;
+            nmos.removeDevice(node.id);
+            node.connection.stop();
             
             if (node.statsInterval) {
                 clearInterval(node.statsInterval);
             }
             
-            if (node.rtpSocket) {
-                try {
-                    if (node.multicastGroup) {
-                        node.rtpSocket.dropMembership(node.multicastGroup);
-                    }
-                    node.rtpSocket.close();
-                } catch (e) {}
+            if (node.mergeTimer) {
+                clearInterval(node.mergeTimer);
             }
             
+            if (node.playoutTimer) {
+                clearInterval(node.playoutTimer);
+            }
+            
+            if (node.meterTimer) {
+                clearInterval(node.meterTimer);
+            }
+            
+            if (node.rtcpSession) {
+                node.rtcpSession.stop();
+            }
+            
+            const recording = stopRecording(node);
+            
+            closeRTPSocket(node, node.rtpSocket, 'primary', node.multicastGroup);
+            closeRTPSocket(node, node.secondarySocket, 'secondary', node.secondaryGroup);
+            
             node.status({ fill: "gray", shape: "ring", text: "stopped" });
-            done();
+            recording.then(() => done());
+        });
+    }
+    
+    // Bind an RTP socket for one path and join its multicast group
+    function openRTPSocket(node, path, group, port, iface, onBound) {
+        const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        
+        socket.on('error', (err) => {
+            node.error(`RTP socket error (${path}): ${err.message}`);
+            node.status({ fill: "red", shape: "ring", text: "socket error" });
+        });
+        
+        socket.on('message', (msg, rinfo) => {
+            handleRTPPacket(node, msg, rinfo, path);
+        });
+        
+        socket.bind(port, getBindAddress(node, group), () => {
+            // Join multicast group if specified
+            if (group) {
+                try {
+                    joinGroup(node, socket, path, group, iface);
+                } catch (e) {
+                    node.warn(`Could not join multicast ${group}: ${e.message}`);
+                }
+            }
+            
+            if (onBound) {
+                onBound(socket.address().port);
+            }
+        });
+        
+        return socket;
+    }
+    
+    // Start RTCP receiver reports on the RTP port + 1
+    function startRTCP(node, rtpPort) {
+        if (!node.enableRTCP) return;
+        
+        node.rtcpSession = new rtcp.RTCPSession(node, {
+            localPort: rtpPort + 1,
+            multicastGroup: node.multicastGroup,
+            ssrc: node.ssrc,
+            cname: `node-red@${getLocalIP()}`,
+            getDestination: () => getRTCPDestination(node),
+            buildReport: () => buildReceiverReport(node),
+            onPackets: (packets, rinfo) => handleRTCPPackets(node, packets, rinfo)
         });
+        node.rtcpSession.start();
+    }
+    
+    function openSecondaryPath(node) {
+        node.secondarySocket = openRTPSocket(node, 'secondary', node.secondaryGroup,
+            node.secondaryPort || node.localPort, node.secondaryInterface || null);
+    }
+    
+    function closeRTPSocket(node, socket, path, group) {
+        if (!socket) return;
+        try {
+            if (group) {
+                leaveGroup(node, socket, path, group);
+            }
+            socket.close();
+        } catch (e) {}
+    }
+    
+    // Join a path's multicast group; source-specific (SSM, IGMPv3) when the path has a source filter
+    function joinGroup(node, socket, path, group, iface) {
+        const source = getSourceFilter(node, path);
+        if (source) {
+            socket.addSourceSpecificMembership(source, group, iface || undefined);
+        } else if (iface) {
+            socket.addMembership(group, iface);
+        } else {
+            socket.addMembership(group);
+        }
+        node.log(`Joined multicast group: ${source ? source + ' -> ' : ''}${group}${path === 'secondary' ? ' (secondary)' : ''}`);
+    }
+    
+    function leaveGroup(node, socket, path, group) {
+        const source = getSourceFilter(node, path);
+        const iface = path === 'secondary' ? node.secondaryInterface || undefined : undefined;
+        if (source) {
+            socket.dropSourceSpecificMembership(source, group, iface);
+        } else {
+            socket.dropMembership(group, iface);
+        }
+    }
+    
+    function getSourceFilter(node, path) {
+        return path === 'secondary' ? node.secondarySourceFilter : node.sourceFilter;
+    }
+    
+    // '' for no lock, 'auto' to lock to the first SSRC received, or a fixed SSRC (decimal or 0x hex)
+    function parseSSRCLock(value) {
+        if (value === undefined || value === null || value === '') return null;
+        if (value === 'auto') return 'auto';
+        const ssrc = typeof value === 'number' ? value : Number(String(value).trim());
+        if (!Number.isInteger(ssrc) || ssrc < 0 || ssrc > 0xFFFFFFFF) {
+            throw new Error(`Invalid SSRC: ${value}`);
+        }
+        return ssrc;
+    }
+    
+    // Drop packets from other senders sharing the group or port, counting them and warning once per source
+    function acceptPacket(node, buffer, rinfo, path) {
+        const stats = node.filterStats;
+        const source = getSourceFilter(node, path);
+        
+        if (source && rinfo.address !== source) {
+            stats.droppedSource++;
+            if (!stats.foreignSources.has(rinfo.address)) {
+                stats.foreignSources.add(rinfo.address);
+                node.warn(`Dropping RTP from unexpected source ${rinfo.address} (expecting ${source})`);
+            }
+            return false;
+        }
+        
+        if (node.ssrcLock !== null && buffer.length >= 12) {
+            const ssrc = buffer.readUInt32BE(8);
+            if (node.lockedSsrc === null) {
+                node.lockedSsrc = ssrc;
+                node.log(`Locked to SSRC 0x${ssrc.toString(16)} from ${rinfo.address}`);
+            } else if (ssrc !== node.lockedSsrc) {
+                stats.droppedSsrc++;
+                if (!stats.foreignSsrcs.has(ssrc)) {
+                    stats.foreignSsrcs.add(ssrc);
+                    node.warn(`Dropping RTP with unexpected SSRC 0x${ssrc.toString(16)} from ${rinfo.address}`);
+                }
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    function getFilterStats(node) {
+        const stats = node.filterStats;
+        return {
+            sourceFilter: node.sourceFilter || null,
+            secondarySourceFilter: node.secondarySourceFilter || null,
+            ssrcLock: node.ssrcLock,
+            lockedSsrc: node.lockedSsrc,
+            droppedSource: stats.droppedSource,
+            droppedSsrc: stats.droppedSsrc,
+            foreignSources: Array.from(stats.foreignSources),
+            foreignSsrcs: Array.from(stats.foreignSsrcs)
+        };
+    }
+    
+    // With two paths on the same port each socket must only see its own group,
+    // which on Linux and macOS means binding to the group address itself
+    function getBindAddress(node, group) {
+        if (node.dualPath && group && process.platform !== 'win32') {
+            return group;
+        }
+        return '0.0.0.0';
     }
     
-    function handleRTPPacket(node, buffer, rinfo) {
+    function handleRTPPacket(node, buffer, rinfo, path) {
         if (!node.running) return;
+        if (!acceptPacket(node, buffer, rinfo, path)) return;
+        
+        if (node.merger) {
+            // Each path keeps its own loss counters; the merger keeps the first copy of each packet
+            const parser = path === 'secondary' ? node.secondaryParser : node.rtpParser;
+            const packet = parser.parsePacket(buffer);
+            if (!packet) return;
+            
+            node.merger.push(path, packet.header.sequenceNumber, { packet: packet, rinfo: rinfo }, rtcp.nowMs())
+                .forEach(merged => queuePacket(node, merged.packet, merged.rinfo));
+            return;
+        }
         
         // Parse RTP packet
         const packet = node.rtpParser.parsePacket(buffer);
         if (!packet) return;
         
-        // Add audio data to buffer
-        if (packet.payload && packet.payload.length > 0) {
-            node.audioBuffer.addAudioData(packet.payload);
+        queuePacket(node, packet, rinfo);
+    }
+    
+    // Hand an arriving packet to the jitter buffer, which reorders it and holds it for the link offset
+    function queuePacket(node, packet, rinfo) {
+        const now = rtcp.nowMs();
+        
+        // Track reception statistics for RTCP receiver reports
+        node.receptionStats.update(packet.header, now);
+        node.rtpSource = rinfo.address;
+        
+        node.jitterBuffer.push(packet, { packet: packet, rinfo: rinfo }, now);
+    }
+    
+    function processPacket(node, packet, rinfo) {
+        // Strip AES3 labels from AM824 payloads
+        let audio = packet.payload;
+        let am824Info;
+        if (node.am824Decoder && audio && audio.length > 0) {
+            const decoded = node.am824Decoder.decode(audio);
+            audio = decoded.audio;
+            am824Info = {
+                validity: decoded.validity,
+                channelStatus: node.am824Decoder.getChannelStatus()
+            };
         }
         
+        if (!audio || audio.length === 0) return;
+        
+        // Synthesize packets lost before this one so the output stays sample-continuous
+        const fill = node.concealer.conceal(packet.header.timestamp, audio);
+        if (fill) {
+            const frames = fill.length / (node.channels * node.bytesPerSample);
+            const fillTimestamp = (packet.header.timestamp - frames) >>> 0;
+            recordAudio(node, fillTimestamp, fill);
+            meterAudio(node, fill);
+            
+            if (node.outputMode === 'buffer') {
+                node.audioBuffer.addAudioData(fill);
+                node.pendingConcealed += frames;
+            } else {
+                node.send({
+                    topic: 'audio',
+                    payload: convertOutput(node, fill),
+                    format: getOutputFormat(node),
+                    rtp: {
+                        timestamp: fillTimestamp,
+                        sequenceNumber: null,
+                        ssrc: packet.header.ssrc
+                    },
+                    concealed: frames
+                });
+            }
+        }
+        
+        recordAudio(node, packet.header.timestamp, audio);
+        meterAudio(node, audio);
+        
         // Output mode handling
         if (node.outputMode === 'buffer') {
-            // Send buffered audio periodically
-            const chunkSize = node.sampleRate * node.channels * node.bytesPerSample * 0.01; // 10ms chunks
-            const audioData = node.audioBuffer.getAudioData(chunkSize);
+            // Send buffered audio in 10ms chunks
+            node.audioBuffer.addAudioData(audio);
+            const chunkSize = node.sampleRate * node.channels * node.bytesPerSample * 0.01;
+            const chunkFrames = chunkSize / (node.channels * node.bytesPerSample);
+            let audioData;
             
-            if (audioData) {
+            while ((audioData = node.audioBuffer.getAudioData(chunkSize))) {
+                const concealed = Math.min(node.pendingConcealed, chunkFrames);
+                node.pendingConcealed -= concealed;
                 node.send({
                     topic: 'audio',
-                    payload: audioData,
-                    format: {
-                        sampleRate: node.sampleRate,
-                        channels: node.channels,
-                        encoding: node.encoding,
-                        bytesPerSample: node.bytesPerSample
-                    },
+                    payload: convertOutput(node, audioData),
+                    format: getOutputFormat(node),
                     rtp: {
                         timestamp: packet.header.timestamp,
                         sequenceNumber: packet.header.sequenceNumber,
                         ssrc: packet.header.ssrc
-                    }
+                    },
+                    am824: am824Info,
+                    concealed: concealed
                 });
             }
         } else if (node.outputMode === 'stream') {
             // Send each packet immediately
             node.send({
                 topic: 'audio',
-                payload: packet.payload,
-                format: {
-                    sampleRate: node.sampleRate,
-                    channels: node.channels,
-                    encoding: node.encoding,
-                    bytesPerSample: node.bytesPerSample
-                },
+                payload: convertOutput(node, audio),
+                format: getOutputFormat(node),
                 rtp: {
                     timestamp: packet.header.timestamp,
                     sequenceNumber: packet.header.sequenceNumber,
                     ssrc: packet.header.ssrc,
                     marker: packet.header.marker
-                }
+                },
+                am824: am824Info,
+                concealed: 0
             });
         }
     }
     
+    function recordAudio(node, timestamp, audio) {
+        if (!node.recorder) return;
+        
+        try {
+            node.recorder.push(timestamp, audio, Date.now());
+        } catch (err) {
+            node.error(`Recording failed: ${err.message}`);
+            stopRecording(node);
+        }
+    }
+    
+    function meterAudio(node, audio) {
+        if (!node.meter) return;
+        node.meter.process(sampleFormat.decodeNetwork(audio, node.audioEncoding), Date.now());
+    }
+    
+    function sendLevels(node) {
+        if (!node.meter) return;
+        
+        const now = Date.now();
+        node.send([null, null, {
+            topic: 'levels',
+            payload: node.meter.getLevels(now)
+        }]);
+        
+        if (now - node.levelStatusTime >= LEVEL_STATUS_INTERVAL_MS && node.lastStatus) {
+            node.levelStatusTime = now;
+            showStatus(node, node.lastStatus);
+        }
+    }
+    
+    // Set the node status, followed by a level indicator for the loudest channel while metering
+    function showStatus(node, status) {
+        node.lastStatus = status;
+        if (!node.meter) {
+            node.status(status);
+            return;
+        }
+        
+        const levels = node.meter.getLevels(Date.now());
+        const peak = Math.max.apply(null, node.meterOptions.truePeak ? levels.truePeak : levels.peak);
+        const segments = Math.max(0, Math.min(6, Math.round((peak + 60) / 10)));
+        node.status({
+            fill: peak >= 0 ? "red" : status.fill,
+            shape: status.shape,
+            text: `${status.text} ${'\u25AE'.repeat(segments)}${'\u25AF'.repeat(6 - segments)} ` +
+                (peak <= MIN_DB ? '-inf' : peak.toFixed(1)) + ' dBFS'
+        });
+    }
+    
+    function getRTCPDestination(node) {
+        // Multicast reports go to the group, unicast reports back to the sender
+        const address = node.multicastGroup || node.rtpSource;
+        if (!address) return null;
+        return { address: address, port: node.localPort + 1 };
+    }
+    
+    function buildReceiverReport(node) {
+        const block = node.receptionStats.getReportBlock(rtcp.nowMs());
+        return rtcp.buildReceiverReport({
+            ssrc: node.ssrc,
+            reports: block ? [block] : []
+        });
+    }
+    
+    function handleRTCPPackets(node, packets, rinfo) {
+        const arrival = rtcp.nowMs();
+        const sdes = packets.find(p => p.type === 'SDES');
+        
+        packets.forEach(packet => {
+            if (packet.type === 'SR') {
+                // Remember the report for LSR/DLSR in our next receiver report
+                if (node.receptionStats.ssrc === null || packet.ssrc === node.receptionStats.ssrc) {
+                    node.receptionStats.recordSenderReport(packet, arrival);
+                }
+                
+                node.send([null, {
+                    topic: 'rtcp/sr',
+                    payload: {
+                        from: rinfo.address,
+                        ssrc: packet.ssrc,
+                        cname: sdes ? sdes.cname : null,
+                        ntpTime: packet.ntpTime,
+                        rtpTimestamp: packet.rtpTimestamp,
+                        packetCount: packet.packetCount,
+                        octetCount: packet.octetCount
+                    }
+                }]);
+            } else if (packet.type === 'BYE') {
+                node.send([null, {
+                    topic: 'rtcp/bye',
+                    payload: {
+                        from: rinfo.address,
+                        sources: packet.sources
+                    }
+                }]);
+            }
+        });
+    }
+    
+    function configureEncoding(node) {
+        if (!SUPPORTED_ENCODINGS.includes(node.encoding)) {
+            node.warn(`Unsupported encoding ${node.encoding}, using L24`);
+            node.encoding = 'L24';
+        }
+        
+        // AM824 carries 24-bit audio under an AES3 label octet
+        node.audioEncoding = node.encoding === 'AM824' ? am824.AM824_AUDIO_ENCODING : node.encoding;
+        node.bytesPerSample = sampleFormat.getBytesPerSample(node.audioEncoding);
+        node.am824Decoder = node.encoding === 'AM824' ? new am824.AM824Decoder(node.channels) : null;
+        node.audioBuffer = new AudioBufferManager(node.sampleRate, node.channels, node.bytesPerSample);
+        node.concealer = new PacketConcealer({
+            mode: node.concealment,
+            sampleRate: node.sampleRate,
+            channels: node.channels,
+            encoding: node.audioEncoding
+        });
+        node.pendingConcealed = 0;
+        node.meter = node.meterOptions.rate > 0 ? new LevelMeter({
+            sampleRate: node.sampleRate,
+            channels: node.channels,
+            peakWindowMs: node.meterOptions.peakWindowMs,
+            rmsWindowMs: node.meterOptions.rmsWindowMs,
+            truePeak: node.meterOptions.truePeak
+        }) : null;
+    }
+    
+    function convertOutput(node, audioData) {
+        // Convert network PCM into the configured output format
+        return sampleFormat.fromNetwork(audioData, node.outputFormat, node.channels, node.audioEncoding);
+    }
+    
+    // Packets arriving later than the link offset would miss their playout time
+    function getParserOptions(node) {
+        return { clockRate: node.sampleRate, lateThresholdMs: node.linkOffset };
+    }
+    
+    function getOutputFormat(node) {
+        const format = {
+            sampleRate: node.sampleRate,
+            channels: node.channels,
+            encoding: node.encoding,
+            bytesPerSample: node.bytesPerSample
+        };
+        
+        if (!sampleFormat.isRaw(node.outputFormat)) {
+            format.sampleFormat = node.outputFormat.type;
+            format.layout = node.outputFormat.layout;
+            if (node.outputFormat.type !== 'float32') {
+                format.endianness = node.outputFormat.endianness;
+            }
+        }
+        
+        return format;
+    }
+    
     function handleControlMessage(node, msg, send, done) {
         const command = msg.payload && msg.payload.command;
         
@@ -338,18 +831,59 @@ module.exports = function(RED) {
                         sampleRate: node.sampleRate,
                         channels: node.channels,
                         encoding: node.encoding,
+                        outputFormat: node.outputFormat,
                         bufferedBytes: node.audioBuffer.getBufferedAmount(),
-                        stats: stats
+                        jitterBuffer: node.jitterBuffer.getStats(),
+                        concealment: node.concealer.getStats(),
+                        levels: node.meter ? node.meter.getLevels(Date.now()) : null,
+                        filter: getFilterStats(node),
+                        streamDescription: node.streamDescription,
+                        stats: stats,
+                        rtcp: node.receptionStats.getStats(),
+                        seamless: node.merger ? getSeamlessStats(node) : undefined,
+                        recording: node.recorder ? node.recorder.getStatus() : null,
+                        am824: node.am824Decoder ? {
+                            parityErrors: node.am824Decoder.parityErrors,
+                            channelStatus: node.am824Decoder.getChannelStatus()
+                        } : undefined
                     }
                 });
                 break;
                 
             case 'reset':
                 node.rtpParser.reset();
+                if (node.merger) {
+                    node.secondaryParser.reset();
+                    node.merger.reset();
+                }
+                node.receptionStats.reset();
+                node.jitterBuffer.reset();
+                node.concealer.reset();
+                node.pendingConcealed = 0;
+                if (node.meter) {
+                    node.meter.reset();
+                }
                 node.audioBuffer.clear();
+                resetFilter(node);
+                if (node.am824Decoder) {
+                    node.am824Decoder.reset();
+                }
                 node.log('Receiver reset');
                 break;
                 
+            case 'start_recording':
+                try {
+                    startRecording(node, msg.payload);
+                } catch (err) {
+                    done(err);
+                    return;
+                }
+                break;
+                
+            case 'stop_recording':
+                stopRecording(node);
+                break;
+                
             default:
                 node.warn(`Unknown control command: ${command}`);
         }
@@ -357,18 +891,123 @@ module.exports = function(RED) {
         done();
     }
     
+    // Forget foreign sources and re-learn an automatic SSRC lock
+    function resetFilter(node) {
+        node.lockedSsrc = typeof node.ssrcLock === 'number' ? node.ssrcLock : null;
+        node.filterStats = { droppedSource: 0, droppedSsrc: 0, foreignSources: new Set(), foreignSsrcs: new Set() };
+    }
+    
+    // Subscribe to the stream an SDP document describes: raw text, a file path or an http(s) URL,
+    // as a string payload or in payload.sdp; other payload fields override the SDP values
+    function subscribeFromSDP(node, payload, send, done) {
+        const source = typeof payload === 'string' ? payload : payload.sdp;
+        const overrides = typeof payload === 'string' ? {} : Object.assign({}, payload);
+        delete overrides.sdp;
+        
+        loadSDP(source).then(text => {
+            const description = parseStreamDescription(text);
+            if (!SUPPORTED_ENCODINGS.includes(description.encoding)) {
+                throw new Error(`Unsupported encoding in SDP: ${description.encoding}`);
+            }
+            
+            const streamInfo = Object.assign(describedStream(description,
+                /^\s*v=0/.test(source) ? 'text' : String(source).trim()), overrides);
+            if (description.name) {
+                node.log(`Subscribing to "${description.name}" from SDP`);
+            }
+            subscribeToStream(node, streamInfo, send, done);
+        }).catch(err => {
+            node.error(`Failed to subscribe from SDP: ${err.message}`);
+            done(err);
+        });
+    }
+    
+    // Subscription settings from a parsed SDP description; `source` says where the SDP came from
+    function describedStream(description, source) {
+        // A new description replaces the previous stream's source filters
+        const streamInfo = Object.assign({ secondarySourceFilter: '' }, description);
+        streamInfo.description = {
+            name: description.name,
+            sessionId: description.sessionId,
+            source: source,
+            address: description.address,
+            payloadType: description.payloadType,
+            ptime: description.ptime,
+            refClock: description.refClock,
+            mediaClockOffset: description.mediaClockOffset
+        };
+        return streamInfo;
+    }
+    
+    // Apply an IS-05 activation: the staged transport file with the transport parameters that are set
+    // taking precedence, or no stream at all when disabled
+    function connectReceiver(node, settings) {
+        return new Promise((resolve, reject) => {
+            const params = settings.transportParams;
+            let streamInfo;
+            if (!settings.enabled) {
+                streamInfo = { multicastGroup: '', sourceFilter: '' };
+            } else {
+                streamInfo = settings.description ? describedStream(settings.description, 'nmos') :
+                    { multicastGroup: '', sourceFilter: '', description: null };
+                if (params.multicast_ip !== null) {
+                    streamInfo.multicastGroup = params.multicast_ip;
+                }
+                if (params.source_ip !== null) {
+                    streamInfo.sourceFilter = params.source_ip;
+                }
+                if (params.destination_port !== 'auto') {
+                    streamInfo.port = params.destination_port;
+                }
+            }
+            
+            subscribeToStream(node, streamInfo, function() { node.send.apply(node, arguments) }, (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                if (!settings.enabled) {
+                    node.streamDescription = null;
+                    showStatus(node, { fill: "gray", shape: "ring", text: "disconnected" });
+                }
+                node.log(settings.enabled ?
+                    `Connected by NMOS to ${node.multicastGroup || 'unicast'}:${node.localPort}` +
+                        (settings.senderId ? ` (sender ${settings.senderId})` : '') :
+                    'Disconnected by NMOS');
+                resolve();
+            });
+        });
+    }
+    
     function subscribeToStream(node, streamInfo, send, done) {
         try {
-            // Leave current multicast group if any
-            if (node.multicastGroup && node.rtpSocket) {
+            const ssrcLock = streamInfo.ssrc !== undefined ? parseSSRCLock(streamInfo.ssrc) : node.ssrcLock;
+            const port = streamInfo.port !== undefined ? parseInt(streamInfo.port) : node.localPort;
+            if (!(port >= 0 && port <= 65535)) {
+                throw new Error(`Invalid port: ${streamInfo.port}`);
+            }
+            const rebind = port > 0 && port !== node.localPort;
+            
+            // Leave current multicast group if any (dual-path sockets are reopened below)
+            if (!node.dualPath && node.multicastGroup && node.rtpSocket) {
                 try {
-                    node.rtpSocket.dropMembership(node.multicastGroup);
+                    leaveGroup(node, node.rtpSocket, 'primary', node.multicastGroup);
                 } catch (e) {}
             }
             
+            // A new stream may come from a different sender
+            if (streamInfo.sourceFilter !== undefined) {
+                node.sourceFilter = streamInfo.sourceFilter || '';
+            }
+            if (streamInfo.secondarySourceFilter !== undefined) {
+                node.secondarySourceFilter = streamInfo.secondarySourceFilter || '';
+            }
+            node.ssrcLock = ssrcLock;
+            resetFilter(node);
+            
             // Update configuration
-            if (streamInfo.multicastGroup) {
-                node.multicastGroup = streamInfo.multicastGroup;
+            if (streamInfo.multicastGroup !== undefined) {
+                node.multicastGroup = streamInfo.multicastGroup || '';    // Empty for unicast
             }
             if (streamInfo.sampleRate) {
                 node.sampleRate = streamInfo.sampleRate;
@@ -379,22 +1018,65 @@ module.exports = function(RED) {
             if (streamInfo.encoding) {
                 node.encoding = streamInfo.encoding;
             }
+            node.streamDescription = streamInfo.description || null;
+            if (streamInfo.secondaryGroup) {
+                node.secondaryGroup = streamInfo.secondaryGroup;
+                if (streamInfo.secondaryPort) {
+                    node.secondaryPort = parseInt(streamInfo.secondaryPort);
+                }
+                enableDualPath(node);
+            }
+            
+            // Sample sizes and buffers follow the new format
+            configureEncoding(node);
+            node.jitterBuffer = new JitterBuffer({ sampleRate: node.sampleRate, linkOffsetMs: node.linkOffset });
+            if (node.recorder) {
+                // Files have a fixed format; continue in a new file
+                startRecording(node, {});
+            }
+            node.receptionStats = new rtcp.ReceptionStats(node.sampleRate);
+            node.rtpParser = new RTPPacketParser(getParserOptions(node));
+            if (node.secondaryParser) {
+                node.secondaryParser = new RTPPacketParser(getParserOptions(node));
+            }
+            
+            // Receiver reports follow the stream to its new group
+            if (node.rtcpSession) {
+                node.rtcpSession.setMulticastGroup(node.multicastGroup);
+            }
+            
+            if (rebind) {
+                node.localPort = port;
+            }
             
-            // Join new multicast group
-            if (node.multicastGroup && node.rtpSocket) {
+            if (node.dualPath) {
+                // Sockets are bound to their groups, so rebind both paths
+                reopenPaths(node);
+            } else if (rebind) {
+                closeRTPSocket(node, node.rtpSocket, 'primary', null);
+                node.rtpSocket = openRTPSocket(node, 'primary', node.multicastGroup, port, null);
+                node.log(`Rebound to port ${port}`);
+            } else if (node.multicastGroup && node.rtpSocket) {
+                // Join new multicast group
                 try {
-                    node.rtpSocket.addMembership(node.multicastGroup);
+                    joinGroup(node, node.rtpSocket, 'primary', node.multicastGroup, null);
                     node.log(`Subscribed to stream: ${node.multicastGroup}`);
                 } catch (e) {
                     node.warn(`Could not join multicast ${node.multicastGroup}: ${e.message}`);
                 }
             }
             
-            // Reset parser and buffer
+            // RTCP follows the RTP port
+            if (rebind && node.rtcpSession) {
+                node.rtcpSession.stop();
+                node.rtcpSession = null;
+                startRTCP(node, port);
+            }
+            
+            // Reset parser
             node.rtpParser.reset();
-            node.audioBuffer.clear();
             
-            node.status({ 
+            showStatus(node, { 
                 fill: "green", 
                 shape: "dot", 
                 text: `receiving ${node.channels}ch @ ${node.sampleRate}Hz` 
@@ -408,14 +1090,114 @@ module.exports = function(RED) {
         }
     }
     
+    // Start recording to disk, or restart with new options; options override the node config
+    function startRecording(node, options) {
+        const settings = Object.assign({}, node.recordOptions);
+        ['directory', 'prefix', 'format', 'rotateMinutes', 'maxSizeMB'].forEach(key => {
+            if (options[key] !== undefined) settings[key] = options[key];
+        });
+        
+        if (!settings.directory || !fs.existsSync(settings.directory) || !fs.statSync(settings.directory).isDirectory()) {
+            throw new Error(`Recording directory does not exist: ${settings.directory || '(not set)'}`);
+        }
+        
+        const recorder = new StreamRecorder({
+            directory: settings.directory,
+            prefix: settings.prefix || (node.name || 'aes67').replace(/[^\w.-]+/g, '_'),
+            format: settings.format,
+            sampleRate: node.sampleRate,
+            channels: node.channels,
+            bytesPerSample: node.bytesPerSample,
+            rotateSeconds: parseFloat(settings.rotateMinutes) * 60,
+            rotateBytes: parseFloat(settings.maxSizeMB) * 1024 * 1024,
+            description: node.multicastGroup ? `AES67 ${node.multicastGroup}:${node.localPort}` : `AES67 port ${node.localPort}`,
+            onFileClosed: (info) => {
+                node.log(`Recorded ${info.file} (${info.duration.toFixed(1)}s)`);
+                node.send({ topic: 'recording/file', payload: info });
+            },
+            onError: (err) => {
+                node.error(`Recording failed: ${err.message}`);
+                if (node.recorder === recorder) stopRecording(node);
+            }
+        });
+        
+        stopRecording(node);
+        node.recordOptions = settings;
+        node.recorder = recorder;
+        node.log(`Recording to ${settings.directory} (${settings.format.toUpperCase()})`);
+    }
+    
+    // Resolves once the recording is complete on disk
+    function stopRecording(node) {
+        if (!node.recorder) return Promise.resolve();
+        
+        const recorder = node.recorder;
+        node.recorder = null;
+        return recorder.stop();
+    }
+    
+    function enableDualPath(node) {
+        if (node.dualPath) return;
+        
+        node.dualPath = true;
+        node.secondaryParser = new RTPPacketParser(getParserOptions(node));
+        node.merger = new seamless.SeamlessMerger({ maxDelayMs: node.maxPathDelay });
+        
+        // Release packets held for the late path when both paths stall
+        node.mergeTimer = setInterval(() => {
+            node.merger.flush(rtcp.nowMs()).forEach(held => queuePacket(node, held.packet, held.rinfo));
+        }, Math.max(1, node.maxPathDelay / 2));
+    }
+    
+    function reopenPaths(node) {
+        closeRTPSocket(node, node.rtpSocket, 'primary', null);
+        closeRTPSocket(node, node.secondarySocket, 'secondary', null);
+        node.secondarySocket = null;
+        
+        node.secondaryParser.reset();
+        node.merger.reset();
+        
+        node.rtpSocket = openRTPSocket(node, 'primary', node.multicastGroup, node.localPort, null, () => {
+            openSecondaryPath(node);
+        });
+    }
+    
+    // Merged stream counters plus each path's own loss statistics
+    function getSeamlessStats(node) {
+        const stats = node.merger.getStats(rtcp.nowMs());
+        Object.assign(stats.paths.primary, node.rtpParser.getStats(), {
+            group: node.multicastGroup || null,
+            port: node.localPort
+        });
+        Object.assign(stats.paths.secondary, node.secondaryParser.getStats(), {
+            group: node.secondaryGroup || null,
+            port: node.secondaryPort || node.localPort
+        });
+        return stats;
+    }
+    
     function updateStats(node) {
         if (!node.running) return;
         
+        if (node.merger) {
+            const merged = node.merger.getStats(rtcp.nowMs());
+            const primary = merged.paths.primary.health;
+            const secondary = merged.paths.secondary.health;
+            if (merged.delivered > 0) {
+                showStatus(node, {
+                    fill: primary === 'ok' && secondary === 'ok' ? "green" : (primary === 'ok' || secondary === 'ok' ? "yellow" : "red"),
+                    shape: "dot",
+                    text: `${merged.delivered} pkts, ${merged.lost} lost, P:${primary} S:${secondary}`
+                });
+            }
+            return;
+        }
+        
         const stats = node.rtpParser.getStats();
         
         if (stats.packetsReceived > 0) {
             const lossPercent = (stats.lossRate * 100).toFixed(2);
-            node.status({ 
+            showStatus(node, { 
                 fill: stats.lossRate > 0.05 ? "yellow" : "green", 
                 shape: "dot", 
                 text: `${stats.packetsReceived} pkts, ${lossPercent}% loss` 
@@ -423,5 +1205,17 @@ module.exports = function(RED) {
         }
     }
     
+    function getLocalIP() {
+        const interfaces = os.networkInterfaces();
+        for (const name of Object.keys(interfaces)) {
+            for (const iface of interfaces[name]) {
+                if (iface.family === 'IPv4' && !iface.internal) {
+                    return iface.address;
+                }
+            }
+        }
+        return '127.0.0.1';
+    }
+    
     RED.nodes.registerType("aes67-receiver", AES67ReceiverNode);
 };
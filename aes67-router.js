@@ -1,7 +1,19 @@
 module.exports = function(RED) {
     const dgram = require('dgram');
     const os = require('os');
+    const path = require('path');
     const crypto = require('crypto');
+    const sampleFormat = require('./lib/sample-format');
+    const am824 = require('./lib/am824');
+    const rtcp = require('./lib/rtcp');
+    const { StreamStatistics } = require('./lib/rtp-stats');
+    const { LevelMeter } = require('./lib/level-meter');
+    const { OutputStream } = require('./lib/output-stream');
+    const { Mixer } = require('./lib/mixer');
+    const { StateStore } = require('./lib/persistence');
+    const { MDNSBrowser } = require('./lib/mdns');
+    const rtsp = require('./lib/rtsp');
+    const nmos = require('./lib/nmos');
     
     // Try to load sdp-transform, but make it optional
     let sdp = null;
@@ -19,6 +31,10 @@ module.exports = function(RED) {
     const AES67_RTP_PORT_BASE = 5004;      // Base RTP port
     const AES67_PTP_DOMAIN = 0;            // Default PTP domain
     const AES67_SAMPLE_RATE = 48000;       // Standard sample rate
+    const AES67_ENCODINGS = ['L16', 'L24', 'L32', 'AM824']; // Supported RTP audio encodings
+    const RAVENNA_SERVICE = '_ravenna_session._sub._rtsp._tcp.local'; // DNS-SD subtype of RAVENNA sessions
+    const RTSP_REFRESH_MS = 30000;         // How often RTSP session descriptions are fetched again
+    const NMOS_PORT = 3212;                // Default port of the NMOS Node API
     
     // Global stream registry
     let globalStreamRegistry = new Map();
@@ -30,8 +46,13 @@ module.exports = function(RED) {
             this.streams = new Map();
             this.devices = new Map();
             this.sapSocket = null;
+            this.mdnsBrowser = null;
+            this.mdnsSessions = new Map();  // DNS-SD instance -> RTSP URL
+            this.rtspSessions = new Map();  // RTSP URL -> { url, discoveryMethod, sdp, streamKeys, error }
+            this.rtspInterval = null;
             this.running = false;
             this.localIP = this.getLocalIP();
+            this.onChange = null;          // Called when streams are added or removed
         }
         
         getLocalIP() {
@@ -73,6 +94,18 @@ module.exports = function(RED) {
                 // Initial announcement
                 this.sendSAPAnnouncements();
                 
+                // Sessions whose SDP is only available over RTSP, found via mDNS or configured
+                (this.node.rtspUrls || []).forEach(url => {
+                    this.addRTSPSession(url, 'rtsp').catch(() => {});
+                });
+                this.rtspInterval = setInterval(() => {
+                    this.refreshRTSPSessions();
+                }, RTSP_REFRESH_MS);
+                
+                if (this.node.mdnsDiscover) {
+                    await this.startMDNS();
+                }
+                
                 // Cleanup stale streams periodically
                 this.cleanupInterval = setInterval(() => {
                     this.cleanupStaleStreams();
@@ -158,6 +191,127 @@ module.exports = function(RED) {
             });
         }
         
+        // RAVENNA sessions are announced with DNS-SD; their SDP comes from the device's RTSP server
+        async startMDNS() {
+            try {
+                this.mdnsBrowser = new MDNSBrowser(this.node, {
+                    serviceType: RAVENNA_SERVICE,
+                    onService: (service) => this.handleMDNSService(service),
+                    onServiceRemoved: (service) => this.handleMDNSServiceRemoved(service)
+                });
+                const browser = this.mdnsBrowser;
+                await browser.start();
+                if (!this.running) {
+                    browser.stop();
+                    return;
+                }
+                this.node.log('Browsing mDNS for RAVENNA sessions');
+            } catch (err) {
+                this.node.warn(`Could not start mDNS discovery: ${err.message}`);
+                this.mdnsBrowser = null;
+            }
+        }
+        
+        handleMDNSService(service) {
+            const url = rtsp.sessionUrl(service.address, service.port, service.name);
+            const known = this.mdnsSessions.get(service.instance);
+            if (known === url) {
+                // Still announced: keep its streams from expiring
+                const session = this.rtspSessions.get(url);
+                (session ? session.streamKeys : []).forEach(key => {
+                    const stream = this.streams.get(key);
+                    if (stream) stream.lastSeen = Date.now();
+                });
+                return;
+            }
+            if (known) {
+                this.removeRTSPSession(known);
+            }
+            
+            this.mdnsSessions.set(service.instance, url);
+            this.addRTSPSession(url, 'mdns').catch(() => {});
+        }
+        
+        handleMDNSServiceRemoved(service) {
+            const url = this.mdnsSessions.get(service.instance);
+            if (!url) return;
+            
+            this.mdnsSessions.delete(service.instance);
+            this.removeRTSPSession(url);
+        }
+        
+        // Register the streams of an RTSP session and keep its description up to date; resolves to their stream keys
+        addRTSPSession(url, discoveryMethod) {
+            let session = this.rtspSessions.get(url);
+            if (!session) {
+                session = { url: url, discoveryMethod: discoveryMethod, sdp: null, streamKeys: [], error: null };
+                this.rtspSessions.set(url, session);
+            }
+            return this.describeRTSPSession(session);
+        }
+        
+        removeRTSPSession(url) {
+            const session = this.rtspSessions.get(url);
+            if (!session) return;
+            
+            this.rtspSessions.delete(url);
+            session.streamKeys.forEach(key => this.removeStream(key));
+        }
+        
+        refreshRTSPSessions() {
+            for (const session of this.rtspSessions.values()) {
+                this.describeRTSPSession(session).catch(() => {});
+            }
+        }
+        
+        // Fetch the SDP; a changed description registers again and sends stream/changed
+        async describeRTSPSession(session) {
+            let sdpString;
+            try {
+                sdpString = await rtsp.describe(session.url);
+            } catch (err) {
+                // Reported once; the streams expire unless a later attempt succeeds
+                if (!session.error) {
+                    this.node.warn(`Could not describe RTSP session ${session.url}: ${err.message}`);
+                }
+                session.error = err.message;
+                throw err;
+            }
+            session.error = null;
+            if (this.rtspSessions.get(session.url) !== session) return [];
+            
+            const registered = session.streamKeys.length > 0 && session.streamKeys.every(key => this.streams.has(key));
+            if (sdpString === session.sdp && registered) {
+                session.streamKeys.forEach(key => {
+                    this.streams.get(key).lastSeen = Date.now();
+                });
+                return session.streamKeys;
+            }
+            
+            const changed = session.sdp !== null && sdpString !== session.sdp;
+            const previous = session.streamKeys;
+            const host = new URL(session.url).hostname;
+            session.sdp = sdpString;
+            session.streamKeys = this.parseSDP(sdpString, host, host, 0, {
+                discoveryMethod: session.discoveryMethod,
+                rtspUrl: session.url
+            });
+            previous.filter(key => !session.streamKeys.includes(key)).forEach(key => this.removeStream(key));
+            
+            if (changed) {
+                session.streamKeys.filter(key => previous.includes(key)).forEach(key => {
+                    this.node.send([{
+                        topic: 'stream/changed',
+                        payload: this.streams.get(key)
+                    }, null, null]);
+                });
+                if (this.onChange) {
+                    this.onChange();
+                }
+            }
+            return session.streamKeys;
+        }
+        
         handleSAPMessage(msg, rinfo) {
             try {
                 // Validate input
@@ -228,50 +382,62 @@ module.exports = function(RED) {
             }
         }
         
-        parseSDP(sdpString, sourceIP, actualIP, messageType) {
+        // Registers the audio streams of a description; returns their stream keys.
+        // `origin` tells how it was found: { discoveryMethod, rtspUrl }, SAP by default.
+        parseSDP(sdpString, sourceIP, actualIP, messageType, origin) {
+            const streamKeys = [];
             try {
                 // Check if sdp-transform is available
                 if (!sdpAvailable || !sdp) {
                     this.node.debug('SDP parsing skipped - sdp-transform not available');
-                    return;
+                    return streamKeys;
                 }
                 
                 // Validate inputs
                 if (!sdpString || typeof sdpString !== 'string') {
-                    return;
+                    return streamKeys;
                 }
                 
                 // Parse SDP using sdp-transform
                 const session = sdp.parse(sdpString);
                 
                 if (!session || !session.media || !Array.isArray(session.media)) {
-                    return;
+                    return streamKeys;
                 }
                 
                 // Process each media stream
                 session.media.forEach(media => {
                     try {
                         if (media && media.type === 'audio' && media.protocol === 'RTP/AVP') {
+                            // c=IN IP4 239.69.1.1/32 carries a TTL after the address
+                            const connection = (media.connection && media.connection.ip) || (session.connection && session.connection.ip);
+                            const destIP = connection ? connection.split('/')[0] : '';
                             const streamInfo = {
                                 id: (session.origin && session.origin.sessionId) || crypto.randomBytes(8).toString('hex'),
                                 name: session.name || 'AES67 Stream',
                                 description: session.description || '',
                                 sourceIP: actualIP || sourceIP || 'unknown',
-                                destIP: (media.connection && media.connection.ip) || (session.connection && session.connection.ip) || 'unknown',
+                                destIP: destIP || 'unknown',
                                 port: media.port || 0,
                                 channels: this.extractChannels(media),
                                 sampleRate: this.extractSampleRate(media),
                                 encoding: this.extractEncoding(media),
                                 ptime: media.ptime || 1, // Packet time in ms
                                 mediaClk: this.extractMediaClock(media),
-                                isMulticast: this.isMulticastIP((media.connection && media.connection.ip) || (session.connection && session.connection.ip)),
+                                isMulticast: this.isMulticastIP(destIP),
                                 sdp: sdpString,
+                                discoveryMethod: (origin && origin.discoveryMethod) || 'sap',
                                 lastSeen: Date.now(),
                                 status: messageType === 0 ? 'active' : 'deleted'
                             };
+                            if (origin && origin.rtspUrl) {
+                                streamInfo.rtspUrl = origin.rtspUrl;
+                                streamInfo.rtspControl = rtsp.controlUrl(origin.rtspUrl, media.control);
+                            }
                             
                             // Register the stream
                             this.registerStream(streamInfo);
+                            streamKeys.push(`${streamInfo.sourceIP}:${streamInfo.port}`);
                         }
                     } catch (err) {
                         this.node.debug(`Error processing media stream: ${err.message}`);
@@ -281,16 +447,27 @@ module.exports = function(RED) {
             } catch (err) {
                 this.node.debug(`Failed to parse SDP: ${err.message}`);
             }
+            return streamKeys;
+        }
+        
+        getRtpMaps(media) {
+            // sdp-transform exposes a=rtpmap lines as media.rtp
+            if (media && Array.isArray(media.rtp)) {
+                return media.rtp;
+            }
+            if (media && Array.isArray(media.rtpmap)) {
+                return media.rtpmap;
+            }
+            return [];
         }
         
         extractChannels(media) {
             try {
                 // Look for channel count in rtpmap
-                if (media && media.rtpmap && Array.isArray(media.rtpmap)) {
-                    for (const rtpmap of media.rtpmap) {
-                        if (rtpmap && rtpmap.channels) {
-                            return parseInt(rtpmap.channels) || 2;
-                        }
+                for (const rtpmap of this.getRtpMaps(media)) {
+                    const channels = rtpmap && (rtpmap.encoding || rtpmap.channels);
+                    if (channels) {
+                        return parseInt(channels) || 2;
                     }
                 }
             } catch (err) {
@@ -303,11 +480,9 @@ module.exports = function(RED) {
         extractSampleRate(media) {
             try {
                 // Look for sample rate in rtpmap
-                if (media && media.rtpmap && Array.isArray(media.rtpmap)) {
-                    for (const rtpmap of media.rtpmap) {
-                        if (rtpmap && rtpmap.rate) {
-                            return parseInt(rtpmap.rate) || AES67_SAMPLE_RATE;
-                        }
+                for (const rtpmap of this.getRtpMaps(media)) {
+                    if (rtpmap && rtpmap.rate) {
+                        return parseInt(rtpmap.rate) || AES67_SAMPLE_RATE;
                     }
                 }
             } catch (err) {
@@ -319,11 +494,14 @@ module.exports = function(RED) {
         extractEncoding(media) {
             try {
                 // Look for encoding in rtpmap
-                if (media && media.rtpmap && Array.isArray(media.rtpmap)) {
-                    for (const rtpmap of media.rtpmap) {
-                        if (rtpmap && rtpmap.name) {
-                            return rtpmap.name; // L24, L16, etc.
+                for (const rtpmap of this.getRtpMaps(media)) {
+                    const name = rtpmap && (rtpmap.codec || rtpmap.name);
+                    if (name) {
+                        const encoding = String(name).toUpperCase();
+                        if (!AES67_ENCODINGS.includes(encoding)) {
+                            this.node.debug(`Unrecognized encoding in SDP: ${name}`);
                         }
+                        return encoding; // L16, L24, L32, AM824
                     }
                 }
             } catch (err) {
@@ -335,12 +513,15 @@ module.exports = function(RED) {
         extractMediaClock(media) {
             try {
                 // Look for media clock reference
-                if (media && media.mediaclk) {
-                    return media.mediaclk;
+                if (media && media.mediaClk) {
+                    const clock = media.mediaClk;
+                    return clock.mediaClockValue !== undefined ?
+                        `${clock.mediaClockName}=${clock.mediaClockValue}` : clock.mediaClockName;
                 }
                 // Check for PTP clock
-                if (media && media.tsRefClk) {
-                    return media.tsRefClk;
+                if (media && media.tsRefClocks && media.tsRefClocks.length > 0) {
+                    const refClock = media.tsRefClocks[0];
+                    return refClock.clksrcExt ? `${refClock.clksrc}=${refClock.clksrcExt}` : refClock.clksrc;
                 }
             } catch (err) {
                 this.node.debug(`Error extracting media clock: ${err.message}`);
@@ -368,8 +549,9 @@ module.exports = function(RED) {
                 
                 const streamKey = `${streamInfo.sourceIP}:${streamInfo.port}`;
                 
-                // Check if this is a new stream
-                const isNew = !this.streams.has(streamKey);
+                // Check if this is a new stream; a restored one counts as new when SAP first sees it
+                const previous = this.streams.get(streamKey);
+                const isNew = !previous || (previous.status === 'unconfirmed' && streamInfo.status === 'active');
                 
                 // Update stream registry
                 this.streams.set(streamKey, streamInfo);
@@ -390,6 +572,10 @@ module.exports = function(RED) {
                     device.streams.push(streamKey);
                 }
                 
+                if (streamInfo.status === 'active' && this.node.router) {
+                    this.node.router.confirmStream(streamKey, streamInfo);
+                }
+                
                 // Send notification for new streams
                 if (isNew && streamInfo.status === 'active') {
                     try {
@@ -404,12 +590,28 @@ module.exports = function(RED) {
                     }
                 }
                 
+                if (isNew && this.onChange) {
+                    this.onChange();
+                }
+                
                 this.updateNodeStatus();
             } catch (err) {
                 this.node.error(`Error registering stream: ${err.message}`);
             }
         }
         
+        // Put saved streams back as "unconfirmed" until SAP announces them again; they expire like any other stream
+        restoreStreams(streams) {
+            for (const stream of streams) {
+                if (!stream || !stream.sourceIP || !stream.port) continue;
+                
+                const streamKey = `${stream.sourceIP}:${stream.port}`;
+                // Streams already known, e.g. to another router node, are taken as they are
+                const current = globalStreamRegistry.get(streamKey);
+                this.registerStream(current || Object.assign({}, stream, { status: 'unconfirmed', lastSeen: Date.now() }));
+            }
+        }
+        
         sendSAPAnnouncements() {
             try {
                 // Check if sdp is available
@@ -513,13 +715,7 @@ module.exports = function(RED) {
                 for (const [key, stream] of this.streams) {
                     try {
                         if (stream && stream.lastSeen && (now - stream.lastSeen > timeout)) {
-                            this.streams.delete(key);
-                            globalStreamRegistry.delete(key);
-                            
-                            this.node.send([{
-                                topic: 'stream/removed',
-                                payload: stream
-                            }, null, null]);
+                            this.removeStream(key);
                         }
                     } catch (err) {
                         this.node.debug(`Error cleaning up stream ${key}: ${err.message}`);
@@ -532,6 +728,24 @@ module.exports = function(RED) {
             }
         }
         
+        removeStream(streamKey) {
+            const stream = this.streams.get(streamKey);
+            if (!stream) return;
+            
+            this.streams.delete(streamKey);
+            globalStreamRegistry.delete(streamKey);
+            
+            this.node.send([{
+                topic: 'stream/removed',
+                payload: stream
+            }, null, null]);
+            
+            if (this.onChange) {
+                this.onChange();
+            }
+            this.updateNodeStatus();
+        }
+        
         updateNodeStatus() {
             try {
                 const streamCount = this.streams.size;
@@ -567,6 +781,18 @@ module.exports = function(RED) {
                     this.sapSocket.close();
                 } catch (e) {}
             }
+            
+            if (this.rtspInterval) {
+                clearInterval(this.rtspInterval);
+                this.rtspInterval = null;
+            }
+            
+            if (this.mdnsBrowser) {
+                this.mdnsBrowser.stop();
+                this.mdnsBrowser = null;
+            }
+            this.mdnsSessions.clear();
+            this.rtspSessions.clear();
         }
         
         getStreams() {
@@ -584,9 +810,91 @@ module.exports = function(RED) {
             this.node = node;
             this.subscriptions = new Map();
             this.rtpSockets = new Map();
+            this.statistics = new Map();
+            this.decoders = new Map();
+            this.meters = new Map();
+            this.rtspSessions = new Map();
+            this.outputs = new Map();
+            this.outputCount = 0;
+            this.mixers = new Map();
+            this.mixerCount = 0;
+            this.meterOptions = node.meterOptions || { rate: 0 };
+            this.meterTimer = null;
+            this.onChange = null;          // Called when subscriptions, outputs or mixers change
+            this.closed = false;
+            
+            // Level messages for all metered subscriptions on the fourth output
+            if (this.meterOptions.rate > 0) {
+                this.meterTimer = setInterval(() => this.sendLevels(), 1000 / this.meterOptions.rate);
+            }
+        }
+        
+        // Turns a subscription's RTP payloads into normalized samples; null for unknown encodings
+        createDecoder(stream) {
+            try {
+                const encoding = stream.encoding === 'AM824' ? am824.AM824_AUDIO_ENCODING : stream.encoding;
+                sampleFormat.getBytesPerSample(encoding);
+                return {
+                    encoding: encoding,
+                    am824: stream.encoding === 'AM824' ? new am824.AM824Decoder(stream.channels) : null
+                };
+            } catch (err) {
+                this.node.debug(`Cannot decode audio of ${stream.name}: ${err.message}`);
+                return null;
+            }
         }
         
-        createSubscription(streamKey, localPort) {
+        // Per-channel level meter for a subscription, or null when metering is off
+        createMeter(stream) {
+            if (!(this.meterOptions.rate > 0)) return null;
+            
+            return new LevelMeter({
+                sampleRate: stream.sampleRate,
+                channels: stream.channels,
+                peakWindowMs: this.meterOptions.peakWindowMs,
+                rmsWindowMs: this.meterOptions.rmsWindowMs,
+                truePeak: this.meterOptions.truePeak
+            });
+        }
+        
+        // Meter the audio and feed it to the outputs and mixers it is routed to
+        processAudio(subscription, audio, timestamp) {
+            const meter = this.meters.get(subscription.id);
+            const routed = this.isRouted(subscription.id);
+            const mixers = this.getMixersOf(subscription.id);
+            const decoder = this.decoders.get(subscription.id);
+            if ((!meter && !routed && mixers.length === 0) || !decoder || audio.length === 0) return;
+            
+            const pcm = decoder.am824 ? decoder.am824.decode(audio).audio : audio;
+            const samples = sampleFormat.decodeNetwork(pcm, decoder.encoding);
+            
+            if (meter) {
+                meter.process(samples, Date.now());
+            }
+            if (routed) {
+                this.routeAudio(subscription, samples);
+            }
+            mixers.forEach(mixer => mixer.write(subscription.id, samples, timestamp));
+        }
+        
+        sendLevels() {
+            const now = Date.now();
+            for (const [id, meter] of this.meters) {
+                const subscription = this.subscriptions.get(id);
+                if (!subscription) continue;
+                
+                this.node.send([null, null, null, {
+                    topic: 'levels',
+                    payload: Object.assign({
+                        subscriptionId: id,
+                        streamName: subscription.stream.name
+                    }, meter.getLevels(now))
+                }]);
+            }
+        }
+        
+        // `ready`, if given, is called once the socket is bound (with no arguments) or has failed (with the error)
+        createSubscription(streamKey, localPort, ready) {
             try {
                 if (!streamKey) {
                     return { success: false, error: 'Stream key is required' };
@@ -603,6 +911,15 @@ module.exports = function(RED) {
                     return { success: false, error: 'Subscription already exists' };
                 }
                 
+                let notify = ready || null;
+                const settle = (err) => {
+                    if (notify) {
+                        const callback = notify;
+                        notify = null;
+                        callback(err);
+                    }
+                };
+                
                 // Create RTP receiver socket
                 try {
                     const rtpSocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
@@ -619,10 +936,19 @@ module.exports = function(RED) {
                     rtpSocket.on('error', (err) => {
                         this.node.warn(`RTP socket error for ${subscriptionId}: ${err.message}`);
                         // Don't crash, just log the error
+                        settle(err);
                     });
                     
                     // Bind to local port
                     rtpSocket.bind(localPort || 0, '0.0.0.0', () => {
+                        // The router shut down while the socket was binding, e.g. during a restore
+                        if (this.closed) {
+                            try {
+                                rtpSocket.close();
+                            } catch (e) {}
+                            settle(new Error('Router closed'));
+                            return;
+                        }
                         try {
                             const actualPort = rtpSocket.address().port;
                             
@@ -637,7 +963,9 @@ module.exports = function(RED) {
                             
                             const subscription = {
                                 id: subscriptionId,
+                                streamKey: streamKey,
                                 stream: stream,
+                                requestedPort: localPort || null,
                                 localPort: actualPort,
                                 created: new Date().toISOString(),
                                 packetsReceived: 0,
@@ -647,8 +975,24 @@ module.exports = function(RED) {
                             
                             this.subscriptions.set(subscriptionId, subscription);
                             this.rtpSockets.set(subscriptionId, rtpSocket);
+                            this.statistics.set(subscriptionId, new StreamStatistics({ clockRate: stream.sampleRate }));
+                            
+                            const decoder = this.createDecoder(stream);
+                            if (decoder) {
+                                this.decoders.set(subscriptionId, decoder);
+                                const meter = this.createMeter(stream);
+                                if (meter) {
+                                    this.meters.set(subscriptionId, meter);
+                                }
+                            }
+                            
+                            if (stream.rtspUrl && !stream.isMulticast) {
+                                this.startRTSP(subscription);
+                            }
                             
                             this.node.log(`Created AES67 subscription: ${stream.name} on port ${actualPort}`);
+                            this.changed();
+                            settle();
                         } catch (err) {
                             this.node.error(`Error in bind callback: ${err.message}`);
                             try {
@@ -656,6 +1000,7 @@ module.exports = function(RED) {
                             } catch (e) {
                                 // Ignore close errors
                             }
+                            settle(err);
                         }
                     });
                     
@@ -675,6 +1020,55 @@ module.exports = function(RED) {
             }
         }
         
+        // Unicast RTSP sources only send once asked to with SETUP and PLAY
+        startRTSP(subscription) {
+            const stream = subscription.stream;
+            let session;
+            try {
+                session = new rtsp.RTSPSession(stream.rtspUrl);
+            } catch (err) {
+                subscription.status = 'error';
+                subscription.error = err.message;
+                return;
+            }
+            
+            subscription.status = 'connecting';
+            this.rtspSessions.set(subscription.id, session);
+            const current = () => this.rtspSessions.get(subscription.id) === session;
+            
+            session.setup(stream.rtspControl || stream.rtspUrl, subscription.localPort).then(transport => {
+                subscription.rtsp = {
+                    session: session.session,
+                    serverPort: transport.server_port || null,
+                    ssrc: transport.ssrc || null
+                };
+                return session.play();
+            }).then(() => {
+                if (!current()) return;
+                subscription.status = 'active';
+                this.node.log(`Playing RTSP session ${stream.rtspUrl} to port ${subscription.localPort}`);
+                nmos.deviceChanged();
+            }).catch(err => {
+                if (!current()) return;
+                this.rtspSessions.delete(subscription.id);
+                session.close();
+                subscription.status = 'error';
+                subscription.error = err.message;
+                this.node.warn(`Could not play RTSP session ${stream.rtspUrl}: ${err.message}`);
+                nmos.deviceChanged();
+            });
+        }
+        
+        stopRTSP(subscriptionId) {
+            const session = this.rtspSessions.get(subscriptionId);
+            if (!session) return;
+            
+            this.rtspSessions.delete(subscriptionId);
+            session.teardown().catch(err => {
+                this.node.debug(`RTSP TEARDOWN of ${session.url} failed: ${err.message}`);
+            });
+        }
+        
         handleRTPPacket(msg, rinfo, subscriptionId) {
             try {
                 // Validate inputs
@@ -702,6 +1096,11 @@ module.exports = function(RED) {
                     ssrc: msg.readUInt32BE(8)
                 };
                 
+                const statistics = this.statistics.get(subscriptionId);
+                if (statistics) {
+                    statistics.update(rtpHeader, rtcp.nowMs());
+                }
+                
                 // Calculate header length with bounds checking
                 let headerLength = 12 + (rtpHeader.csrcCount * 4);
                 
@@ -724,6 +1123,7 @@ module.exports = function(RED) {
                 
                 // Extract audio payload
                 const audioPayload = msg.slice(headerLength);
+                this.processAudio(subscription, audioPayload, rtpHeader.timestamp);
                 
                 // Send audio data event
                 this.node.send([null, {
@@ -767,8 +1167,25 @@ module.exports = function(RED) {
                     }
                     this.rtpSockets.delete(subscriptionId);
                 }
+                this.stopRTSP(subscriptionId);
                 
                 this.subscriptions.delete(subscriptionId);
+                this.statistics.delete(subscriptionId);
+                this.decoders.delete(subscriptionId);
+                this.meters.delete(subscriptionId);
+                
+                // Output channels it fed fall silent
+                for (const output of this.outputs.values()) {
+                    output.crosspoints.forEach((source, channel) => {
+                        if (source && source.subscriptionId === subscriptionId) {
+                            output.unroute(channel);
+                        }
+                    });
+                }
+                for (const mixer of this.mixers.values()) {
+                    mixer.removeInput(subscriptionId);
+                }
+                this.changed();
                 
                 return { 
                     success: true, 
@@ -781,11 +1198,413 @@ module.exports = function(RED) {
         }
         
         getSubscriptions() {
-            return Array.from(this.subscriptions.values());
+            return Array.from(this.subscriptions.values()).map(subscription => {
+                const statistics = this.statistics.get(subscription.id);
+                return Object.assign({}, subscription, { stats: statistics ? statistics.getStats() : null });
+            });
+        }
+        
+        // SAP has seen a stream again: subscriptions restored with it stop being unconfirmed
+        confirmStream(streamKey, stream) {
+            for (const subscription of this.subscriptions.values()) {
+                if (subscription.streamKey === streamKey && subscription.stream.status === 'unconfirmed') {
+                    subscription.stream = stream;
+                }
+            }
+        }
+        
+        changed() {
+            if (this.onChange) {
+                this.onChange();
+            }
+        }
+        
+        // Create a local output stream that crosspoints can feed; it is sent and announced like a sender
+        createOutput(options) {
+            try {
+                let id = options.outputId;
+                if (!id) {
+                    // Skip ids taken by restored or named outputs
+                    do {
+                        id = `output${++this.outputCount}`;
+                    } while (this.outputs.has(id));
+                }
+                if (this.outputs.has(id)) {
+                    return { success: false, error: `Output ${id} already exists` };
+                }
+                
+                const output = new OutputStream(this.node, Object.assign({}, options, {
+                    id: id,
+                    name: options.name || `${this.node.name} ${id}`,
+                    sourceIP: getLocalIPAddress()
+                }));
+                output.start();
+                this.outputs.set(id, output);
+                
+                this.node.log(`Created output ${id}: ${output.channels}ch -> ${output.destIP}:${output.destPort}`);
+                this.changed();
+                return { success: true, outputId: id, output: output.getStatus() };
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        }
+        
+        removeOutput(outputId) {
+            const output = this.outputs.get(outputId);
+            if (!output) {
+                return { success: false, error: 'Output not found' };
+            }
+            
+            output.stop();
+            this.outputs.delete(outputId);
+            this.changed();
+            return { success: true, message: `Removed output ${outputId}` };
+        }
+        
+        // Set one crosspoint: { subscriptionId, sourceChannel, outputId, outputChannel }, channels counted from 1
+        route(crosspoint) {
+            const output = this.outputs.get(crosspoint.outputId);
+            if (!output) {
+                return { success: false, error: `Output not found: ${crosspoint.outputId}` };
+            }
+            const subscription = this.subscriptions.get(crosspoint.subscriptionId);
+            if (!subscription) {
+                return { success: false, error: `Subscription not found: ${crosspoint.subscriptionId}` };
+            }
+            if (!this.decoders.has(subscription.id)) {
+                return { success: false, error: `Cannot decode ${subscription.stream.encoding} audio` };
+            }
+            
+            const sourceChannel = parseInt(crosspoint.sourceChannel);
+            const outputChannel = parseInt(crosspoint.outputChannel);
+            if (!(sourceChannel >= 1 && sourceChannel <= subscription.stream.channels)) {
+                return { success: false, error: `Invalid source channel: ${crosspoint.sourceChannel}` };
+            }
+            if (!(outputChannel >= 1 && outputChannel <= output.channels)) {
+                return { success: false, error: `Invalid output channel: ${crosspoint.outputChannel}` };
+            }
+            if (subscription.stream.sampleRate !== output.sampleRate) {
+                return {
+                    success: false,
+                    error: `Sample rate mismatch: ${subscription.stream.sampleRate} Hz source, ${output.sampleRate} Hz output`
+                };
+            }
+            
+            output.route(outputChannel - 1, { subscriptionId: subscription.id, channel: sourceChannel - 1 });
+            this.changed();
+            return { success: true, crosspoint: { subscriptionId: subscription.id, sourceChannel, outputId: output.id, outputChannel } };
+        }
+        
+        // Clear one output channel: { outputId, outputChannel }
+        unroute(crosspoint) {
+            const output = this.outputs.get(crosspoint.outputId);
+            if (!output) {
+                return { success: false, error: `Output not found: ${crosspoint.outputId}` };
+            }
+            
+            const outputChannel = parseInt(crosspoint.outputChannel);
+            if (!(outputChannel >= 1 && outputChannel <= output.channels)) {
+                return { success: false, error: `Invalid output channel: ${crosspoint.outputChannel}` };
+            }
+            
+            output.unroute(outputChannel - 1);
+            this.changed();
+            return { success: true, crosspoint: { outputId: output.id, outputChannel } };
+        }
+        
+        isRouted(subscriptionId) {
+            for (const output of this.outputs.values()) {
+                if (output.crosspoints.some(source => source && source.subscriptionId === subscriptionId)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+        
+        // Copy each routed source channel into the output channels it feeds
+        routeAudio(subscription, samples) {
+            const channels = subscription.stream.channels;
+            const frames = Math.floor(samples.length / channels);
+            
+            for (const output of this.outputs.values()) {
+                output.crosspoints.forEach((source, outputChannel) => {
+                    if (!source || source.subscriptionId !== subscription.id) return;
+                    
+                    const channel = new Float64Array(frames);
+                    for (let i = 0, index = source.channel; i < frames; i++, index += channels) {
+                        channel[i] = samples[index];
+                    }
+                    output.push(outputChannel, channel);
+                });
+            }
+        }
+        
+        getOutputs() {
+            return Array.from(this.outputs.values()).map(output => output.getStatus());
+        }
+        
+        // Create a program mixer; its mix goes to the audio output, to an AES67 output stream, or both
+        createMixer(options) {
+            try {
+                let id = options.mixerId;
+                if (!id) {
+                    do {
+                        id = `mixer${++this.mixerCount}`;
+                    } while (this.mixers.has(id));
+                }
+                if (this.mixers.has(id)) {
+                    return { success: false, error: `Mixer ${id} already exists` };
+                }
+                
+                const output = options.output || 'buffer';
+                if (!['buffer', 'rtp', 'both'].includes(output)) {
+                    return { success: false, error: `Invalid mixer output: ${output}` };
+                }
+                
+                const mixer = new Mixer(Object.assign({}, options, {
+                    id: id,
+                    name: options.name || `${this.node.name} ${id}`
+                }));
+                if (output !== 'rtp') {
+                    mixer.onAudio = (audio) => {
+                        this.node.send([null, {
+                            topic: 'mix/data',
+                            payload: {
+                                mixerId: id,
+                                mixerName: mixer.name,
+                                audio: audio,
+                                format: {
+                                    encoding: mixer.encoding,
+                                    channels: mixer.channels,
+                                    sampleRate: mixer.sampleRate
+                                }
+                            }
+                        }, null]);
+                    };
+                }
+                
+                if (output === 'buffer') {
+                    mixer.start();
+                } else {
+                    // The output stream pulls the mix at its own pace
+                    mixer.stream = new OutputStream(this.node, Object.assign({}, options, {
+                        id: id,
+                        name: mixer.name,
+                        channels: mixer.channels,
+                        sampleRate: mixer.sampleRate,
+                        encoding: mixer.encoding,
+                        ptime: mixer.ptime,
+                        sourceIP: getLocalIPAddress(),
+                        render: (frames) => mixer.render(frames)
+                    }));
+                    mixer.stream.start();
+                }
+                this.mixers.set(id, mixer);
+                
+                this.node.log(`Created mixer ${id}: ${mixer.channels}ch ${mixer.sampleRate} Hz`);
+                this.changed();
+                return { success: true, mixerId: id, mixer: this.getMixerStatus(mixer) };
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        }
+        
+        removeMixer(mixerId) {
+            const mixer = this.mixers.get(mixerId);
+            if (!mixer) {
+                return { success: false, error: 'Mixer not found' };
+            }
+            
+            mixer.stop();
+            if (mixer.stream) {
+                mixer.stream.stop();
+            }
+            this.mixers.delete(mixerId);
+            this.changed();
+            return { success: true, message: `Removed mixer ${mixerId}` };
+        }
+        
+        // Add a subscription to a mixer or change its gains: { mixerId, subscriptionId, gainDb, mute, channelGainsDb, channelMutes }
+        setMixInput(settings) {
+            const mixer = this.mixers.get(settings.mixerId);
+            if (!mixer) {
+                return { success: false, error: `Mixer not found: ${settings.mixerId}` };
+            }
+            const subscription = this.subscriptions.get(settings.subscriptionId);
+            if (!subscription) {
+                return { success: false, error: `Subscription not found: ${settings.subscriptionId}` };
+            }
+            // AM824 inputs are mixed by their audio, as for crosspoints; their labels are dropped
+            if (!this.decoders.has(subscription.id)) {
+                return { success: false, error: `Cannot mix ${subscription.stream.encoding} audio` };
+            }
+            
+            try {
+                mixer.setInput(subscription.id, subscription.stream, settings);
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+            this.changed();
+            return { success: true, mixerId: mixer.id, subscriptionId: subscription.id };
+        }
+        
+        removeMixInput(settings) {
+            const mixer = this.mixers.get(settings.mixerId);
+            if (!mixer) {
+                return { success: false, error: `Mixer not found: ${settings.mixerId}` };
+            }
+            if (!mixer.removeInput(settings.subscriptionId)) {
+                return { success: false, error: `Not an input of ${mixer.id}: ${settings.subscriptionId}` };
+            }
+            this.changed();
+            return { success: true, mixerId: mixer.id, subscriptionId: settings.subscriptionId };
+        }
+        
+        getMixersOf(subscriptionId) {
+            const mixers = [];
+            for (const mixer of this.mixers.values()) {
+                if (mixer.inputs.has(subscriptionId)) mixers.push(mixer);
+            }
+            return mixers;
+        }
+        
+        getMixerStatus(mixer) {
+            const status = mixer.getStatus();
+            if (mixer.stream) {
+                const stream = mixer.stream.getStatus();
+                status.stream = {
+                    destIP: stream.destIP,
+                    destPort: stream.destPort,
+                    announced: stream.announced,
+                    ssrc: stream.ssrc,
+                    packetsSent: stream.packetsSent
+                };
+            }
+            return status;
+        }
+        
+        getMixers() {
+            return Array.from(this.mixers.values()).map(mixer => this.getMixerStatus(mixer));
+        }
+        
+        // Subscriptions, outputs and mixers as plain data, for saving
+        getState() {
+            return {
+                subscriptions: Array.from(this.subscriptions.values()).map(subscription => ({
+                    id: subscription.id,
+                    streamKey: subscription.streamKey,
+                    localPort: subscription.requestedPort,
+                    stream: subscription.stream
+                })),
+                outputs: Array.from(this.outputs.values()).map(output => output.getSettings()),
+                mixers: Array.from(this.mixers.values()).map(mixer => {
+                    const settings = mixer.getSettings();
+                    settings.output = mixer.stream ? (mixer.onAudio ? 'both' : 'rtp') : 'buffer';
+                    if (mixer.stream) {
+                        const stream = mixer.stream.getSettings();
+                        settings.destIP = stream.destIP;
+                        settings.destPort = stream.destPort;
+                        settings.announce = stream.announce;
+                    }
+                    return settings;
+                })
+            };
+        }
+        
+        // Output streams and RTP mixers as NMOS senders
+        getNMOSSenders() {
+            const streams = Array.from(this.outputs.values()).map(output => ({ key: `output/${output.id}`, stream: output }))
+                .concat(Array.from(this.mixers.values()).filter(mixer => mixer.stream)
+                    .map(mixer => ({ key: `mixer/${mixer.id}`, stream: mixer.stream })));
+            return streams.map(({ key, stream }) => ({
+                key: key,
+                label: stream.name,
+                description: `${stream.channels}ch ${stream.encoding} @ ${stream.sampleRate}Hz`,
+                encoding: stream.encoding,
+                sampleRate: stream.sampleRate,
+                channels: stream.channels,
+                destIP: stream.destIP,
+                active: true,
+                getSDP: () => stream.getSDP()
+            }));
+        }
+        
+        // Subscriptions as NMOS receivers, described by the registry entries of their streams
+        getNMOSReceivers() {
+            return Array.from(this.subscriptions.values()).map(subscription => {
+                const stream = globalStreamRegistry.get(subscription.streamKey) || subscription.stream;
+                return {
+                    key: `subscription/${subscription.id}`,
+                    label: stream.name,
+                    description: `${stream.channels}ch ${stream.encoding} @ ${stream.sampleRate}Hz from ${stream.sourceIP}`,
+                    encodings: AES67_ENCODINGS,
+                    active: subscription.status === 'active'
+                };
+            });
+        }
+        
+        // Rebuild saved state; subscriptions are bound before routes and mix inputs refer to them.
+        // Parts that fail are reported and skipped.
+        async restoreState(state) {
+            const restored = { subscriptions: 0, outputs: 0, mixers: 0 };
+            const failed = (what, error) => this.node.warn(`Could not restore ${what}: ${error}`);
+            
+            await Promise.all((state.subscriptions || []).map(saved => new Promise(resolve => {
+                const result = this.createSubscription(saved.streamKey, saved.localPort, (err) => {
+                    if (err) {
+                        failed(`subscription ${saved.id}`, err.message);
+                    } else {
+                        restored.subscriptions++;
+                    }
+                    resolve();
+                });
+                if (!result.success) {
+                    failed(`subscription ${saved.id}`, result.error);
+                    resolve();
+                }
+            })));
+            if (this.closed) return restored;
+            
+            for (const saved of state.outputs || []) {
+                const result = this.createOutput(Object.assign({}, saved, { outputId: saved.id }));
+                if (!result.success) {
+                    failed(`output ${saved.id}`, result.error);
+                    continue;
+                }
+                restored.outputs++;
+                for (const crosspoint of saved.crosspoints || []) {
+                    const routed = this.route(Object.assign({ outputId: saved.id }, crosspoint));
+                    if (!routed.success) {
+                        failed(`route to ${saved.id} channel ${crosspoint.outputChannel}`, routed.error);
+                    }
+                }
+            }
+            
+            for (const saved of state.mixers || []) {
+                const result = this.createMixer(Object.assign({}, saved, { mixerId: saved.id }));
+                if (!result.success) {
+                    failed(`mixer ${saved.id}`, result.error);
+                    continue;
+                }
+                restored.mixers++;
+                for (const input of saved.inputs || []) {
+                    const set = this.setMixInput(Object.assign({ mixerId: saved.id }, input));
+                    if (!set.success) {
+                        failed(`input ${input.subscriptionId} of ${saved.id}`, set.error);
+                    }
+                }
+            }
+            return restored;
         }
         
         shutdown() {
             try {
+                this.closed = true;
+                if (this.meterTimer) {
+                    clearInterval(this.meterTimer);
+                    this.meterTimer = null;
+                }
+                
                 // Close all RTP sockets
                 for (const [id, socket] of this.rtpSockets) {
                     try {
@@ -795,7 +1614,26 @@ module.exports = function(RED) {
                     }
                 }
                 this.rtpSockets.clear();
+                for (const id of Array.from(this.rtspSessions.keys())) {
+                    this.stopRTSP(id);
+                }
                 this.subscriptions.clear();
+                this.statistics.clear();
+                this.decoders.clear();
+                this.meters.clear();
+                
+                for (const output of this.outputs.values()) {
+                    output.stop();
+                }
+                this.outputs.clear();
+                
+                for (const mixer of this.mixers.values()) {
+                    mixer.stop();
+                    if (mixer.stream) {
+                        mixer.stream.stop();
+                    }
+                }
+                this.mixers.clear();
             } catch (err) {
                 this.node.error(`Error in shutdown: ${err.message}`);
             }
@@ -810,6 +1648,18 @@ module.exports = function(RED) {
             
             node.name = config.name || 'AES67 Router';
             node.autoDiscover = config.autoDiscover !== false;
+            node.mdnsDiscover = config.mdnsDiscover === true;    // Off unless enabled; it binds UDP port 5353
+            node.rtspUrls = String(config.rtspUrls || '').split(/\s+/).filter(Boolean);
+            node.meterOptions = {
+                rate: Math.min(50, Math.max(0, parseFloat(config.meterRate) || 0)),     // 0 = off
+                peakWindowMs: parseFloat(config.meterPeakWindow) || 100,
+                rmsWindowMs: parseFloat(config.meterRmsWindow) || 300,
+                truePeak: config.meterTruePeak !== false
+            };
+            node.persist = ['context', 'file'].includes(config.persist) ? config.persist : 'none';
+            node.nmos = config.nmos === true;
+            node.nmosPort = config.nmosPort !== undefined && config.nmosPort !== '' ? parseInt(config.nmosPort) : NMOS_PORT;
+            node.nmosRegistry = String(config.nmosRegistry || '').trim();
             
             // Initialize components with error handling
             try {
@@ -821,6 +1671,75 @@ module.exports = function(RED) {
                 return;
             }
             
+            // Changes are saved, and shown to NMOS controllers
+            node.stateStore = null;
+            node.discovery.onChange = () => {
+                if (node.stateStore) node.stateStore.schedule();
+            };
+            node.router.onChange = () => {
+                if (node.stateStore) node.stateStore.schedule();
+                nmos.deviceChanged();
+            };
+            
+            // Restore the saved registry and routing, then keep them saved
+            if (node.persist !== 'none') {
+                try {
+                    node.stateStore = new StateStore(node, {
+                        mode: node.persist,
+                        store: config.persistStore,
+                        file: config.persistFile || path.join(RED.settings.userDir || process.cwd(), `aes67-router-${node.id}.json`),
+                        getState: () => Object.assign({
+                            streams: node.discovery.getStreams().filter(stream => stream.status !== 'deleted')
+                        }, node.router.getState())
+                    });
+                    
+                    node.stateStore.load().then(state => {
+                        if (!state) return;
+                        
+                        // Subscribed streams that have since expired from the registry are restored too
+                        const streams = (state.streams || []).concat((state.subscriptions || []).map(saved => saved.stream));
+                        node.discovery.restoreStreams(streams);
+                        return node.router.restoreState(state).then(restored => {
+                            node.log(`Restored ${restored.subscriptions} subscriptions, ${restored.outputs} outputs and ${restored.mixers} mixers`);
+                        });
+                    }).catch(err => {
+                        node.warn(`Could not restore router state: ${err.message}`);
+                    }).then(() => {
+                        node.stateStore.enabled = true;
+                        node.stateStore.schedule();
+                    });
+                } catch (err) {
+                    node.error(`Failed to set up persistence: ${err.message}`);
+                    node.stateStore = null;
+                }
+            }
+            
+            // The router is an NMOS device; with NMOS enabled it also serves all devices of this Node-RED
+            nmos.addDevice(node.id, {
+                label: node.name,
+                description: 'AES67 router',
+                getSenders: () => node.router.getNMOSSenders(),
+                getReceivers: () => node.router.getNMOSReceivers()
+            });
+            node.nmosNode = null;
+            if (node.nmos) {
+                const nmosNode = new nmos.NMOSNode(node, {
+                    id: node.id,
+                    label: node.name,
+                    address: getLocalIPAddress(),
+                    port: node.nmosPort,
+                    registry: node.nmosRegistry
+                });
+                node.nmosNode = nmosNode;
+                nmosNode.start().then(() => {
+                    node.log(`NMOS Node API on ${nmosNode.href}x-nmos/node/v1.3/` +
+                        (nmosNode.registry ? `, registering with ${nmosNode.registry}` : ''));
+                }).catch(err => {
+                    node.error(`Failed to start NMOS node: ${err.message}`);
+                    if (node.nmosNode === nmosNode) node.nmosNode = null;
+                });
+            }
+            
             // Start discovery
             if (node.autoDiscover) {
                 // Use setImmediate to avoid blocking Node-RED startup
@@ -882,6 +1801,35 @@ module.exports = function(RED) {
                                 outputPort = 2;
                                 break;
                                 
+                            case 'describe':
+                                // Register the streams of an RTSP session; the answer follows once its SDP is fetched
+                                const rtspUrl = typeof payload === 'string' ? payload : payload.url;
+                                if (!rtspUrl) {
+                                    response = {
+                                        topic: 'rtsp_error',
+                                        payload: { success: false, error: 'RTSP URL required' }
+                                    };
+                                    outputPort = 2;
+                                    break;
+                                }
+                                node.discovery.addRTSPSession(rtspUrl, 'rtsp').then(streamKeys => {
+                                    send([null, null, {
+                                        topic: 'described',
+                                        payload: { success: true, url: rtspUrl, streamKeys: streamKeys }
+                                    }]);
+                                }).catch(err => {
+                                    // Not kept for refreshing unless it was described before
+                                    const session = node.discovery.rtspSessions.get(rtspUrl);
+                                    if (session && session.sdp === null) {
+                                        node.discovery.removeRTSPSession(rtspUrl);
+                                    }
+                                    send([null, null, {
+                                        topic: 'rtsp_error',
+                                        payload: { success: false, url: rtspUrl, error: err.message }
+                                    }]);
+                                });
+                                break;
+                                
                             case 'subscribe':
                                 if (payload && payload.streamKey) {
                                     const result = node.router.createSubscription(
@@ -928,14 +1876,97 @@ module.exports = function(RED) {
                                 outputPort = 2;
                                 break;
                                 
+                            case 'create_output':
+                                const created = node.router.createOutput(payload);
+                                response = {
+                                    topic: created.success ? 'output/created' : 'output_error',
+                                    payload: created
+                                };
+                                outputPort = 2;
+                                break;
+                                
+                            case 'remove_output':
+                                const removed = node.router.removeOutput(payload.outputId);
+                                response = {
+                                    topic: removed.success ? 'output/removed' : 'output_error',
+                                    payload: removed
+                                };
+                                outputPort = 2;
+                                break;
+                                
+                            case 'route':
+                            case 'unroute':
+                                // One crosspoint, or several in payload.crosspoints
+                                const crosspoints = Array.isArray(payload.crosspoints) ? payload.crosspoints : [payload];
+                                const results = crosspoints.map(crosspoint => topic === 'route' ?
+                                    node.router.route(crosspoint) : node.router.unroute(crosspoint));
+                                response = {
+                                    topic: results.every(result => result.success) ? `${topic}d` : 'route_error',
+                                    payload: crosspoints.length === 1 ? results[0] : { results: results }
+                                };
+                                outputPort = 2;
+                                break;
+                                
+                            case 'outputs':
+                            case 'list_outputs':
+                                response = {
+                                    topic: 'outputs',
+                                    payload: node.router.getOutputs()
+                                };
+                                outputPort = 2;
+                                break;
+                                
+                            case 'create_mixer':
+                                const mixerCreated = node.router.createMixer(payload);
+                                response = {
+                                    topic: mixerCreated.success ? 'mixer/created' : 'mixer_error',
+                                    payload: mixerCreated
+                                };
+                                outputPort = 2;
+                                break;
+                                
+                            case 'remove_mixer':
+                                const mixerRemoved = node.router.removeMixer(payload.mixerId);
+                                response = {
+                                    topic: mixerRemoved.success ? 'mixer/removed' : 'mixer_error',
+                                    payload: mixerRemoved
+                                };
+                                outputPort = 2;
+                                break;
+                                
+                            case 'mix_input':
+                            case 'remove_mix_input':
+                                const mixResult = topic === 'mix_input' ?
+                                    node.router.setMixInput(payload) : node.router.removeMixInput(payload);
+                                response = {
+                                    topic: mixResult.success ? (topic === 'mix_input' ? 'mix_input/set' : 'mix_input/removed') : 'mixer_error',
+                                    payload: mixResult
+                                };
+                                outputPort = 2;
+                                break;
+                                
+                            case 'mixers':
+                            case 'list_mixers':
+                                response = {
+                                    topic: 'mixers',
+                                    payload: node.router.getMixers()
+                                };
+                                outputPort = 2;
+                                break;
+                                
                             case 'status':
                                 response = {
                                     topic: 'status',
                                     payload: {
                                         streams: node.discovery.getStreams().length,
                                         devices: node.discovery.getDevices().length,
-                                        subscriptions: node.router.getSubscriptions().length,
+                                        subscriptions: node.router.subscriptions.size,
+                                        outputs: node.router.outputs.size,
+                                        mixers: node.router.mixers.size,
+                                        persistence: node.stateStore ? node.persist : 'none',
                                         discovery: node.discovery.running ? 'active' : 'stopped',
+                                        mdns: node.discovery.mdnsBrowser ? 'active' : 'off',
+                                        nmos: node.nmosNode ? node.nmosNode.getStatus() : 'off',
                                         sdpAvailable: sdpAvailable
                                     }
                                 };
@@ -972,8 +2003,26 @@ module.exports = function(RED) {
             });
             
             // Cleanup
-            node.on('close', function(done) {
+            node.on('close', function(removed, done) {
                 try {
+                    // Save before shutting down, which clears the state; a deleted node forgets it
+                    let saving = Promise.resolve();
+                    if (node.stateStore) {
+                        saving = (removed ? node.stateStore.clear() : node.stateStore.flush()).catch(err => {
+                            node.warn(`Could not save router state: ${err.message}`);
+                        });
+                    }
+                    
+                    // Resources are withdrawn from the NMOS registry before the node goes
+                    nmos.removeDevice(node.id);
+                    let withdrawing = Promise.resolve();
+                    if (node.nmosNode) {
+                        withdrawing = node.nmosNode.stop().catch(err => {
+                            node.warn(`Could not withdraw NMOS resources: ${err.message}`);
+                        });
+                        node.nmosNode = null;
+                    }
+                    
                     if (node.discovery) {
                         node.discovery.stop();
                     }
@@ -982,7 +2031,7 @@ module.exports = function(RED) {
                     }
                     // Give sockets time to close
                     setTimeout(() => {
-                        done();
+                        Promise.all([saving, withdrawing]).then(() => done());
                     }, 100);
                 } catch (err) {
                     node.error(`Error during cleanup: ${err.message}`);
@@ -1334,7 +2383,7 @@ module.exports = function(RED) {
                             port: node.destPort,
                             protocol: 'RTP/AVP',
                             payloads: '96',
-                            rtpmap: [{
+                            rtp: [{
                                 payload: 96,
                                 codec: node.encoding,
                                 rate: node.sampleRate,
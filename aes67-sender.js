@@ -1,218 +1,26 @@
 module.exports = function(RED) {
     const dgram = require('dgram');
     const os = require('os');
-    const sdp = require('sdp-transform');
-    const crypto = require('crypto');
+    const path = require('path');
+    const sampleFormat = require('./lib/sample-format');
+    const am824 = require('./lib/am824');
+    const rtcp = require('./lib/rtcp');
+    const ptp = require('./lib/ptp');
+    const { SignalGenerator } = require('./lib/signal-generator');
+    const { WavReader } = require('./lib/wav');
+    const { RTPPacketBuilder, AudioPacketizer } = require('./lib/packetizer');
+    const { SAPAnnouncer } = require('./lib/sap');
+    const { FormatConverter } = require('./lib/format-converter');
+    const nmos = require('./lib/nmos');
     
     // AES67 Constants
-    const AES67_SAP_PORT = 9875;
-    const AES67_SAP_MULTICAST = '239.255.255.255';
     const AES67_RTP_PAYLOAD_TYPE = 96; // Dynamic payload type for L24
     const AES67_SSRC_BASE = 0x67670000; // Base SSRC for AES67
-    
-    // RTP Packet Builder
-    class RTPPacketBuilder {
-        constructor(payloadType, ssrc, sampleRate) {
-            this.payloadType = payloadType;
-            this.ssrc = ssrc;
-            this.sampleRate = sampleRate;
-            this.sequenceNumber = Math.floor(Math.random() * 65535);
-            this.timestamp = Math.floor(Math.random() * 0xFFFFFFFF);
-        }
-        
-        buildPacket(audioData, marker = false) {
-            // RTP header is 12 bytes
-            const header = Buffer.allocUnsafe(12);
-            
-            // Byte 0: Version (2), Padding (0), Extension (0), CSRC count (0)
-            header[0] = 0x80; // Version 2
-            
-            // Byte 1: Marker bit and Payload Type
-            header[1] = (marker ? 0x80 : 0x00) | (this.payloadType & 0x7F);
-            
-            // Bytes 2-3: Sequence Number
-            header.writeUInt16BE(this.sequenceNumber, 2);
-            
-            // Bytes 4-7: Timestamp
-            header.writeUInt32BE(this.timestamp, 4);
-            
-            // Bytes 8-11: SSRC
-            header.writeUInt32BE(this.ssrc, 8);
-            
-            // Combine header and payload
-            const packet = Buffer.concat([header, audioData]);
-            
-            // Increment sequence number (with wrap)
-            this.sequenceNumber = (this.sequenceNumber + 1) & 0xFFFF;
-            
-            return packet;
-        }
-        
-        incrementTimestamp(samples) {
-            // Increment timestamp based on number of samples
-            this.timestamp = (this.timestamp + samples) & 0xFFFFFFFF;
-        }
-    }
-    
-    // SAP Announcer
-    class SAPAnnouncer {
-        constructor(node, streamConfig) {
-            this.node = node;
-            this.config = streamConfig;
-            this.sapSocket = null;
-            this.announcementInterval = null;
-            this.msgIdHash = crypto.randomBytes(2).readUInt16BE(0);
-        }
-        
-        async start() {
-            try {
-                this.sapSocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
-                
-                this.sapSocket.on('error', (err) => {
-                    this.node.warn(`SAP socket error: ${err.message}`);
-                });
-                
-                // Send SAP announcements every 30 seconds
-                this.announcementInterval = setInterval(() => {
-                    this.sendAnnouncement();
-                }, 30000);
-                
-                // Send initial announcement
-                this.sendAnnouncement();
-                
-                this.node.log('SAP announcements started');
-                
-            } catch (err) {
-                this.node.error(`Failed to start SAP announcer: ${err.message}`);
-                throw err;
-            }
-        }
-        
-        sendAnnouncement() {
-            const sdpData = this.createSDP();
-            const sapPacket = this.createSAPPacket(sdpData);
-            
-            if (this.sapSocket) {
-                this.sapSocket.send(sapPacket, AES67_SAP_PORT, AES67_SAP_MULTICAST, (err) => {
-                    if (err) {
-                        this.node.debug(`SAP send error: ${err.message}`);
-                    }
-                });
-            }
-        }
-        
-        createSDP() {
-            const session = {
-                version: 0,
-                origin: {
-                    username: 'node-red',
-                    sessionId: this.config.sessionId || Date.now().toString(),
-                    sessionVersion: 1,
-                    netType: 'IN',
-                    addressType: 'IP4',
-                    unicastAddress: this.config.sourceIP
-                },
-                name: this.config.streamName || 'Node-RED AES67 Stream',
-                timing: {
-                    start: 0,
-                    stop: 0
-                },
-                connection: {
-                    version: 4,
-                    ip: this.config.destIP
-                },
-                media: [{
-                    type: 'audio',
-                    port: this.config.port,
-                    protocol: 'RTP/AVP',
-                    payloads: this.config.payloadType.toString(),
-                    rtp: [{
-                        payload: this.config.payloadType,
-                        codec: this.config.encoding,
-                        rate: this.config.sampleRate,
-                        encoding: this.config.channels
-                    }],
-                    ptime: this.config.ptime || 1,
-                    fmtp: []
-                }]
-            };
-            
-            // Add PTP clock reference
-            if (this.config.ptpDomain !== undefined) {
-                session.media[0].tsRefClk = `ptp=IEEE1588-2008:${this.config.ptpDomain}`;
-                session.media[0].mediaclk = 'direct=0';
-            }
-            
-            return sdp.write(session);
-        }
-        
-        createSAPPacket(sdpData) {
-            const sdpBuffer = Buffer.from(sdpData, 'utf8');
-            const payloadType = Buffer.from('application/sdp\0', 'ascii');
-            const packet = Buffer.allocUnsafe(8 + payloadType.length + sdpBuffer.length);
-            
-            // SAP Header
-            packet[0] = 0x20; // Version 1, IPv4, announcement
-            packet[1] = 0x00; // No authentication
-            packet.writeUInt16BE(this.msgIdHash, 2); // Message ID hash
-            
-            // Originating source (our IP)
-            const ipParts = this.config.sourceIP.split('.').map(p => parseInt(p));
-            packet[4] = ipParts[0];
-            packet[5] = ipParts[1];
-            packet[6] = ipParts[2];
-            packet[7] = ipParts[3];
-            
-            // Payload type
-            payloadType.copy(packet, 8);
-            
-            // SDP data
-            sdpBuffer.copy(packet, 8 + payloadType.length);
-            
-            return packet;
-        }
-        
-        sendDeletion() {
-            // Send deletion announcement (messageType = 1)
-            const sdpData = this.createSDP();
-            const sdpBuffer = Buffer.from(sdpData, 'utf8');
-            const payloadType = Buffer.from('application/sdp\0', 'ascii');
-            const packet = Buffer.allocUnsafe(8 + payloadType.length + sdpBuffer.length);
-            
-            // SAP Header with deletion bit set
-            packet[0] = 0x24; // Version 1, IPv4, deletion
-            packet[1] = 0x00;
-            packet.writeUInt16BE(this.msgIdHash, 2);
-            
-            const ipParts = this.config.sourceIP.split('.').map(p => parseInt(p));
-            packet[4] = ipParts[0];
-            packet[5] = ipParts[1];
-            packet[6] = ipParts[2];
-            packet[7] = ipParts[3];
-            
-            payloadType.copy(packet, 8);
-            sdpBuffer.copy(packet, 8 + payloadType.length);
-            
-            if (this.sapSocket) {
-                this.sapSocket.send(packet, AES67_SAP_PORT, AES67_SAP_MULTICAST);
-            }
-        }
-        
-        stop() {
-            if (this.announcementInterval) {
-                clearInterval(this.announcementInterval);
-            }
-            
-            // Send deletion announcement
-            this.sendDeletion();
-            
-            if (this.sapSocket) {
-                try {
-                    this.sapSocket.close();
-                } catch (e) {}
-            }
-        }
-    }
+    const SUPPORTED_ENCODINGS = ['L16', 'L24', 'L32', 'AM824'];
+    const PTP_MODES = ['follower', 'grandmaster', 'none'];
+    const SOURCES = ['input', 'generator', 'file'];
+    const FEED_LEAD_MS = 20;               // Generated or file audio kept queued ahead of the packetizer
+    const FEED_INTERVAL_MS = 5;
     
     // AES67 Sender Node
     function AES67SenderNode(config) {
@@ -224,25 +32,67 @@ module.exports = function(RED) {
         node.sampleRate = parseInt(config.sampleRate) || 48000;
         node.channels = parseInt(config.channels) || 2;
         node.encoding = config.encoding || 'L24';
-        node.ptime = parseInt(config.ptime) || 1;
+        node.ptime = parseFloat(config.ptime) || 1;
         node.destIP = config.destIP || '239.69.1.1';
         node.destPort = parseInt(config.destPort) || 5004;
+        node.secondaryIP = config.secondaryIP || '';
+        node.secondaryPort = parseInt(config.secondaryPort) || node.destPort;
+        node.secondaryInterface = config.secondaryInterface || '';
         node.ptpDomain = config.ptpDomain !== undefined ? parseInt(config.ptpDomain) : 0;
+        node.ptpMode = PTP_MODES.includes(config.ptpMode) ? config.ptpMode : 'none';
         node.enableSAP = config.enableSAP !== false;
+        node.enableRTCP = config.enableRTCP !== false;
+        node.source = SOURCES.includes(config.source) ? config.source : 'input';
+        node.generatorSettings = {
+            signal: config.generatorSignal || 'sine',
+            frequency: config.generatorFrequency !== undefined && config.generatorFrequency !== '' ?
+                parseFloat(config.generatorFrequency) : 1000,
+            level: config.generatorLevel !== undefined && config.generatorLevel !== '' ?
+                parseFloat(config.generatorLevel) : -18
+        };
+        node.filePath = config.filePath || '';
+        node.fileLoop = config.fileLoop === true;
+        node.fileAutoplay = config.fileAutoplay === true;
+        node.inputFormat = sampleFormat.parseFormat({
+            type: config.inputFormat,
+            layout: config.inputLayout,
+            endianness: config.inputEndian
+        });
+        node.convertInput = config.convertInput !== false;
+        node.dither = config.dither !== false;
+        
+        if (!SUPPORTED_ENCODINGS.includes(node.encoding)) {
+            node.warn(`Unsupported encoding ${node.encoding}, using L24`);
+            node.encoding = 'L24';
+        }
         
-        // Calculate bits per sample based on encoding
-        const bitsPerSample = node.encoding === 'L24' ? 24 : 
-                             node.encoding === 'L16' ? 16 : 24;
-        node.bytesPerSample = bitsPerSample / 8;
+        // AM824 carries 24-bit audio; the AES3 label octet is added per packet
+        node.audioEncoding = node.encoding === 'AM824' ? am824.AM824_AUDIO_ENCODING : node.encoding;
+        node.bytesPerSample = sampleFormat.getBytesPerSample(node.audioEncoding);
+        node.am824Encoder = node.encoding === 'AM824' ? new am824.AM824Encoder(node.channels, node.sampleRate) : null;
         
         // Runtime state
         node.rtpSocket = null;
+        node.secondarySocket = null;
         node.sapAnnouncer = null;
         node.rtpBuilder = null;
+        node.packetizer = null;
+        node.rtcpSession = null;
+        node.generator = null;
+        node.player = null;
+        node.feed = null;
+        node.feedTimer = null;
+        node.feedInputWarned = false;      // Input audio dropped while the feed runs has been reported
+        node.converter = null;
+        node.converterKey = null;
+        node.ptpClock = null;
+        node.ptpLocked = false;
+        node.sendStats = { packetCount: 0, octetCount: 0, lastRtpTimestamp: null, lastSendTime: 0 };
         node.running = false;
         
         // Get local IP
         node.localIP = getLocalIP();
+        node.sessionId = Date.now().toString();
         
         // Initialize
         node.status({ fill: "yellow", shape: "ring", text: "initializing..." });
@@ -256,35 +106,79 @@ module.exports = function(RED) {
                 node.status({ fill: "red", shape: "ring", text: "socket error" });
             });
             
+            // Secondary path for ST 2022-7 seamless protection
+            if (node.secondaryIP) {
+                node.secondarySocket = createSecondarySocket(node);
+            }
+            
             // Generate SSRC
             const ssrc = AES67_SSRC_BASE + Math.floor(Math.random() * 0xFFFF);
             
             // Initialize RTP packet builder
             node.rtpBuilder = new RTPPacketBuilder(AES67_RTP_PAYLOAD_TYPE, ssrc, node.sampleRate);
             
+            // Start the PTP clock the media clock is derived from
+            if (node.ptpMode === 'follower') {
+                node.ptpClock = new ptp.PTPFollower(node, {
+                    domain: node.ptpDomain,
+                    onChange: (status) => handlePTPChange(node, status)
+                });
+            } else if (node.ptpMode === 'grandmaster') {
+                node.ptpClock = new ptp.PTPGrandmaster(node, { domain: node.ptpDomain });
+            }
+            if (node.ptpClock) {
+                node.ptpClock.start();
+            }
+            
+            // Initialize paced packetizer, scheduled on the media clock
+            node.packetizer = createPacketizer(node);
+            
             // Start SAP announcements if enabled
             if (node.enableSAP) {
-                const streamConfig = {
-                    streamName: node.streamName,
-                    sourceIP: node.localIP,
-                    destIP: node.destIP,
-                    port: node.destPort,
-                    sampleRate: node.sampleRate,
-                    channels: node.channels,
-                    encoding: node.encoding,
-                    ptime: node.ptime,
-                    ptpDomain: node.ptpDomain,
-                    payloadType: AES67_RTP_PAYLOAD_TYPE,
-                    sessionId: Date.now().toString()
-                };
-                
-                node.sapAnnouncer = new SAPAnnouncer(node, streamConfig);
+                node.sapAnnouncer = new SAPAnnouncer(node, getSessionConfig(node));
                 node.sapAnnouncer.start();
             }
             
+            // Start RTCP sender reports on the RTP port + 1
+            if (node.enableRTCP) {
+                startRTCP(node);
+            }
+            
             node.running = true;
             node.status({ fill: "green", shape: "dot", text: "ready" });
-            node.log(`AES67 sender initialized: ${node.channels}ch @ ${node.sampleRate}Hz (${node.encoding}) -> ${node.destIP}:${node.destPort}`);
+            
+            // An NMOS device with one sender, once a router runs the NMOS node
+            nmos.addDevice(node.id, {
+                label: node.name || node.streamName,
+                description: 'AES67 sender',
+                getSenders: () => [{
+                    key: 'sender',
+                    label: node.streamName,
+                    description: `${node.channels}ch ${node.encoding} @ ${node.sampleRate}Hz`,
+                    encoding: node.encoding,
+                    sampleRate: node.sampleRate,
+                    channels: node.channels,
+                    destIP: node.destIP,
+                    active: node.running,
+                    getSDP: () => getSDP(node)
+                }]
+            });
+            
+            if (node.source === 'generator') {
+                startGenerator(node, node.generatorSettings);
+            } else if (node.source === 'file' && node.filePath) {
+                try {
+                    loadFile(node, node.filePath);
+                    if (node.fileAutoplay) {
+                        playFile(node, {});
+                    }
+                } catch (err) {
+                    node.error(`Failed to load ${node.filePath}: ${err.message}`);
+                    node.status({ fill: "red", shape: "ring", text: "file error" });
+                }
+            }
+            node.log(`AES67 sender initialized: ${node.channels}ch @ ${node.sampleRate}Hz (${node.encoding}) -> ${node.destIP}:${node.destPort}` +
+                (node.secondaryIP ? ` + ${node.secondaryIP}:${node.secondaryPort}` : ''));
             
         } catch (err) {
             node.error(`Failed to initialize sender: ${err.message}`);
@@ -308,17 +202,41 @@ module.exports = function(RED) {
                     return;
                 }
                 
-                // Handle audio data
-                if (msg.payload && Buffer.isBuffer(msg.payload)) {
-                    sendAudioData(node, msg.payload, send);
-                    done();
-                } else if (msg.payload && msg.payload.audio && Buffer.isBuffer(msg.payload.audio)) {
-                    sendAudioData(node, msg.payload.audio, send);
+                // The generator or file playback owns the stream while it runs
+                if (node.feedTimer) {
+                    if (!node.feedInputWarned) {
+                        node.feedInputWarned = true;
+                        node.warn(`Input audio dropped while ${node.feed === 'file' ? 'file playback' : 'the generator'} runs`);
+                    }
                     done();
-                } else {
+                    return;
+                }
+                
+                // Handle audio data
+                const audio = (msg.payload && msg.payload.audio !== undefined) ? msg.payload.audio : msg.payload;
+                if (!audio) {
                     done(new Error('Invalid audio data: expected Buffer'));
+                    return;
+                }
+                
+                // Convert from the configured input format to network PCM, or from the format
+                // the message describes when it differs from the stream
+                let networkAudio;
+                try {
+                    const sourceFormat = node.convertInput ? getSourceFormat(msg) : null;
+                    if (sourceFormat && needsConversion(node, sourceFormat)) {
+                        networkAudio = convertAudio(node, audio, sourceFormat);
+                    } else {
+                        networkAudio = sampleFormat.toNetwork(audio, node.inputFormat, node.channels, node.audioEncoding);
+                    }
+                } catch (err) {
+                    done(err);
+                    return;
                 }
                 
+                sendAudioData(node, networkAudio);
+                done();
+                
             } catch (error) {
                 node.error(error.message);
                 done(error);
@@ -328,16 +246,34 @@ module.exports = function(RED) {
         // Cleanup
         node.on('close', function(done) {
             node.running = false;
+            nmos.removeDevice(node.id);
+            
+            stopFeed(node);
+            unloadFile(node);
+            
+            if (node.packetizer) {
+                node.packetizer.stop();
+            }
+            
+            if (node.rtcpSession) {
+                node.rtcpSession.stop();
+            }
+            
+            if (node.ptpClock) {
+                node.ptpClock.stop();
+            }
             
             if (node.sapAnnouncer) {
                 node.sapAnnouncer.stop();
             }
             
-            if (node.rtpSocket) {
-                try {
-                    node.rtpSocket.close();
-                } catch (e) {}
-            }
+            [node.rtpSocket, node.secondarySocket].forEach(socket => {
+                if (socket) {
+                    try {
+                        socket.close();
+                    } catch (e) {}
+                }
+            });
             
             node.status({ fill: "gray", shape: "ring", text: "stopped" });
             done();
@@ -358,11 +294,91 @@ module.exports = function(RED) {
                         channels: node.channels,
                         encoding: node.encoding,
                         destination: `${node.destIP}:${node.destPort}`,
-                        ptime: node.ptime
+                        secondaryDestination: node.secondaryIP ? `${node.secondaryIP}:${node.secondaryPort}` : null,
+                        ptime: node.ptime,
+                        inputFormat: node.inputFormat,
+                        conversion: node.converter ? node.converter.getInfo() : null,
+                        generator: Object.assign({ running: node.feed === 'generator' },
+                            node.generator ? node.generator.getSettings() : node.generatorSettings),
+                        playback: node.player ? Object.assign({
+                            state: node.player.state,
+                            loop: node.player.loop,
+                            position: node.player.reader.position / node.player.reader.sampleRate
+                        }, node.player.reader.getInfo()) : null,
+                        queue: node.packetizer.getStats(),
+                        clock: {
+                            mode: node.ptpMode,
+                            refClock: formatRefClock(getRefClock(node)),
+                            ptp: node.ptpClock ? node.ptpClock.getStatus() : null
+                        },
+                        rtcp: {
+                            enabled: node.enableRTCP,
+                            packetCount: node.sendStats.packetCount,
+                            octetCount: node.sendStats.octetCount
+                        }
                     }
                 });
                 break;
                 
+            case 'clear':
+                node.packetizer.clear();
+                node.log('Send queue cleared');
+                break;
+                
+            case 'generator':
+                try {
+                    if (msg.payload.enabled === false) {
+                        if (node.feed === 'generator') {
+                            stopFeed(node);
+                            node.log('Signal generator stopped');
+                        }
+                    } else {
+                        startGenerator(node, msg.payload);
+                    }
+                } catch (err) {
+                    done(err);
+                    return;
+                }
+                break;
+                
+            case 'play':
+            case 'seek':
+                try {
+                    if (command === 'play') {
+                        playFile(node, msg.payload);
+                    } else {
+                        seekFile(node, msg.payload.position);
+                    }
+                } catch (err) {
+                    done(err);
+                    return;
+                }
+                break;
+                
+            case 'pause':
+                pauseFile(node);
+                break;
+                
+            case 'stop':
+                stopFile(node);
+                break;
+                
+            case 'loop':
+                if (node.player) {
+                    node.player.loop = msg.payload.enabled !== false;
+                }
+                node.fileLoop = msg.payload.enabled !== false;
+                break;
+                
+            case 'reconfigure':
+                try {
+                    reconfigureSender(node, msg.payload);
+                } catch (err) {
+                    done(err);
+                    return;
+                }
+                break;
+                
             default:
                 node.warn(`Unknown control command: ${command}`);
         }
@@ -370,13 +386,438 @@ module.exports = function(RED) {
         done();
     }
     
-    function sendAudioData(node, audioBuffer, send) {
+    function createPacketizer(node) {
+        return new AudioPacketizer({
+            sampleRate: node.sampleRate,
+            channels: node.channels,
+            bytesPerSample: node.bytesPerSample,
+            ptime: node.ptime,
+            clock: () => getClockTime(node),
+            onPacket: (payload) => sendRTPPacket(node, payload),
+            onSchedule: (time) => {
+                // RTP timestamps follow the media clock (mediaclk:direct=0)
+                node.rtpBuilder.timestamp = mediaClockTimestamp(node, time);
+            }
+        });
+    }
+    
+    // Parts of the SDP that can change at runtime
+    function getStreamConfig(node) {
+        return {
+            streamName: node.streamName,
+            destIP: node.destIP,
+            port: node.destPort,
+            channels: node.channels,
+            ptime: node.ptime
+        };
+    }
+    
+    // Everything the SDP is made from
+    function getSessionConfig(node) {
+        return Object.assign(getStreamConfig(node), {
+            sourceIP: node.localIP,
+            secondary: node.secondaryIP ? {
+                destIP: node.secondaryIP,
+                port: node.secondaryPort,
+                sourceIP: node.secondaryInterface
+            } : null,
+            sampleRate: node.sampleRate,
+            encoding: node.encoding,
+            getRefClock: () => getRefClock(node),
+            payloadType: AES67_RTP_PAYLOAD_TYPE,
+            sessionId: node.sessionId
+        });
+    }
+    
+    // SDP of the stream, also when it is not announced
+    function getSDP(node) {
+        return (node.sapAnnouncer || new SAPAnnouncer(node, getSessionConfig(node))).createSDP();
+    }
+    
+    function startRTCP(node) {
+        node.rtcpSession = new rtcp.RTCPSession(node, {
+            localPort: node.destPort + 1,
+            multicastGroup: isMulticastIP(node.destIP) ? node.destIP : null,
+            ssrc: node.rtpBuilder.ssrc,
+            cname: `node-red@${node.localIP}`,
+            getDestination: () => ({ address: node.destIP, port: node.destPort + 1 }),
+            buildReport: () => buildSenderReport(node),
+            onPackets: (packets, rinfo) => handleRTCPPackets(node, packets, rinfo)
+        });
+        node.rtcpSession.start();
+    }
+    
+    // Change stream name, destination, channel count or ptime without redeploying
+    function reconfigureSender(node, params) {
+        const changes = {};
+        
+        if (params.streamName !== undefined) {
+            changes.streamName = String(params.streamName);
+        }
+        if (params.destIP !== undefined) {
+            if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(String(params.destIP))) {
+                throw new Error(`Invalid destination IP: ${params.destIP}`);
+            }
+            changes.destIP = String(params.destIP);
+        }
+        if (params.destPort !== undefined) {
+            const port = parseInt(params.destPort);
+            if (!(port > 0 && port <= 65535)) {
+                throw new Error(`Invalid destination port: ${params.destPort}`);
+            }
+            changes.destPort = port;
+        }
+        if (params.channels !== undefined) {
+            const channels = parseInt(params.channels);
+            if (!(channels >= 1 && channels <= 64)) {
+                throw new Error(`Invalid channel count: ${params.channels}`);
+            }
+            changes.channels = channels;
+        }
+        if (params.ptime !== undefined) {
+            const ptime = parseFloat(params.ptime);
+            if (!(ptime > 0 && ptime <= 20)) {
+                throw new Error(`Invalid packet time: ${params.ptime}`);
+            }
+            changes.ptime = ptime;
+        }
+        
+        if (Object.keys(changes).length === 0) {
+            throw new Error('reconfigure needs streamName, destIP, destPort, channels or ptime');
+        }
+        
+        const destinationChanged = (changes.destIP !== undefined && changes.destIP !== node.destIP) ||
+            (changes.destPort !== undefined && changes.destPort !== node.destPort);
+        const formatChanged = (changes.channels !== undefined && changes.channels !== node.channels) ||
+            (changes.ptime !== undefined && changes.ptime !== node.ptime);
+        
+        Object.assign(node, changes);
+        
+        // Rebuild the RTP pipeline; queued audio was sliced for the old format
+        if (formatChanged) {
+            node.packetizer.stop();
+            node.packetizer = createPacketizer(node);
+            if (node.am824Encoder) {
+                node.am824Encoder = new am824.AM824Encoder(node.channels, node.sampleRate);
+            }
+            if (node.generator) {
+                node.generator = new SignalGenerator(Object.assign(node.generator.getSettings(), {
+                    sampleRate: node.sampleRate,
+                    channels: node.channels
+                }));
+            }
+            if (node.player && node.player.reader.channels !== node.channels) {
+                stopFile(node);
+                node.warn(`Playback stopped: ${path.basename(node.player.reader.path)} no longer matches the stream channel count`);
+            }
+        }
+        
+        // Sender reports follow the stream to its new destination
+        if (destinationChanged && node.rtcpSession) {
+            node.rtcpSession.stop();
+            startRTCP(node);
+        }
+        
+        // New session version, announced immediately
+        if (node.sapAnnouncer) {
+            node.sapAnnouncer.update(getStreamConfig(node));
+        }
+        nmos.deviceChanged();
+        
+        node.status({
+            fill: "green",
+            shape: "dot",
+            text: `reconfigured: ${node.channels}ch -> ${node.destIP}:${node.destPort}`
+        });
+        node.log(`AES67 sender reconfigured: "${node.streamName}" ${node.channels}ch, ptime ${node.ptime}ms -> ${node.destIP}:${node.destPort}`);
+    }
+    
+    // Start the internal signal generator or change its settings while it runs
+    function startGenerator(node, settings) {
+        if (node.generator) {
+            node.generator.configure(settings);
+        } else {
+            node.generator = new SignalGenerator(Object.assign({}, settings, {
+                sampleRate: node.sampleRate,
+                channels: node.channels
+            }));
+        }
+        node.generatorSettings = node.generator.getSettings();
+        startFeed(node, 'generator');
+        
+        const current = node.generatorSettings;
+        node.status({ fill: "blue", shape: "dot", text: `generator: ${current.signal} ${current.level} dBFS` });
+        node.log(`Signal generator: ${current.signal}, ${current.frequency} Hz, ${current.level} dBFS`);
+    }
+    
+    // Open a WAV/BWF file for playback; it must match the stream format as no resampling is done
+    function loadFile(node, filePath) {
+        const reader = new WavReader(filePath);
         try {
-            // Calculate number of samples
-            const samplesPerChannel = audioBuffer.length / (node.channels * node.bytesPerSample);
+            checkFileFormat(node, reader);
+        } catch (err) {
+            reader.close();
+            throw err;
+        }
+        
+        unloadFile(node);
+        node.player = { reader: reader, state: 'stopped', loop: node.fileLoop };
+        node.log(`Loaded ${filePath}: ${reader.channels}ch @ ${reader.sampleRate}Hz, ${reader.duration.toFixed(1)}s`);
+    }
+    
+    function checkFileFormat(node, reader) {
+        if (reader.sampleRate !== node.sampleRate) {
+            throw new Error(`File sample rate ${reader.sampleRate} Hz does not match the stream (${node.sampleRate} Hz)`);
+        }
+        if (reader.channels !== node.channels) {
+            throw new Error(`File has ${reader.channels} channels, the stream has ${node.channels}`);
+        }
+    }
+    
+    function unloadFile(node) {
+        if (!node.player) return;
+        if (node.feed === 'file') {
+            stopFeed(node);
+        }
+        node.player.reader.close();
+        node.player = null;
+    }
+    
+    function playFile(node, options) {
+        if (options.file !== undefined) {
+            loadFile(node, options.file);
+        }
+        if (!node.player) {
+            throw new Error('No file loaded');
+        }
+        checkFileFormat(node, node.player.reader);
+        if (options.loop !== undefined) {
+            node.player.loop = !!options.loop;
+        }
+        if (options.position !== undefined) {
+            seekFile(node, options.position);
+        }
+        
+        node.player.state = 'playing';
+        startFeed(node, 'file');
+        node.status({ fill: "blue", shape: "dot", text: `playing: ${path.basename(node.player.reader.path)}` });
+    }
+    
+    function pauseFile(node) {
+        if (!node.player || node.player.state !== 'playing') return;
+        
+        // Audio read ahead into the queue has not been heard yet; resume from it
+        const reader = node.player.reader;
+        const queuedFrames = node.packetizer.getStats().queuedPackets * node.packetizer.samplesPerPacket;
+        reader.seek((reader.position - queuedFrames + reader.totalFrames) % reader.totalFrames);
+        
+        stopFeed(node);
+        node.player.state = 'paused';
+        node.status({ fill: "yellow", shape: "ring", text: `paused: ${path.basename(reader.path)}` });
+    }
+    
+    function stopFile(node) {
+        if (!node.player) return;
+        if (node.feed === 'file') {
+            stopFeed(node);
+        }
+        node.player.state = 'stopped';
+        node.player.reader.seek(0);
+    }
+    
+    function seekFile(node, position) {
+        const reader = node.player ? node.player.reader : null;
+        const seconds = parseFloat(position);
+        if (!reader) {
+            throw new Error('No file loaded');
+        }
+        if (!(seconds >= 0 && seconds <= reader.duration)) {
+            throw new Error(`Invalid position: must be between 0 and ${reader.duration.toFixed(3)} seconds`);
+        }
+        
+        reader.seek(Math.round(seconds * reader.sampleRate));
+        if (node.feed === 'file') {
+            node.packetizer.clear();
+        }
+    }
+    
+    // Next packet of file audio, wrapping when looping; null at the end of the file
+    function readFile(node, frames) {
+        const player = node.player;
+        let samples = player.reader.read(frames);
+        
+        if (samples.length < frames * node.channels) {
+            if (player.loop && player.reader.totalFrames > 0) {
+                player.reader.seek(0);
+                const rest = readFile(node, frames - samples.length / node.channels);
+                const joined = new Float64Array(frames * node.channels);
+                joined.set(samples);
+                joined.set(rest, samples.length);
+                return joined;
+            }
+            if (samples.length === 0) return null;
+            
+            // Pad the final packet with silence so it is sent
+            const padded = new Float64Array(frames * node.channels);
+            padded.set(samples);
+            samples = padded;
+        }
+        return samples;
+    }
+    
+    function finishFile(node) {
+        const reader = node.player.reader;
+        
+        // Leave the queued tail of the file to play out
+        clearInterval(node.feedTimer);
+        node.feedTimer = null;
+        node.feed = null;
+        node.player.state = 'stopped';
+        reader.seek(0);
+        
+        node.status({ fill: "green", shape: "dot", text: "ready" });
+        node.send({ topic: 'playback/ended', payload: { file: reader.path } });
+    }
+    
+    // Internal sources (generator, file) own the stream while they run
+    function startFeed(node, feed) {
+        if (node.feedTimer && node.feed === feed) return;
+        
+        if (node.feed === 'file' && node.player) {
+            node.player.state = 'stopped';
+            node.player.reader.seek(0);
+        }
+        stopFeed(node);
+        
+        // Drop any queued audio so the new source takes over immediately
+        node.packetizer.clear();
+        node.feed = feed;
+        node.feedInputWarned = false;
+        node.feedTimer = setInterval(() => fillFeed(node), FEED_INTERVAL_MS);
+        fillFeed(node);
+    }
+    
+    function stopFeed(node) {
+        if (!node.feedTimer) return;
+        
+        clearInterval(node.feedTimer);
+        node.feedTimer = null;
+        node.feed = null;
+        if (node.packetizer) {
+            node.packetizer.clear();
+        }
+        node.status({ fill: "green", shape: "dot", text: "ready" });
+    }
+    
+    // Keep the packetizer a little ahead of real time; it paces the output
+    function fillFeed(node) {
+        const packetizer = node.packetizer;
+        try {
+            while (node.feedTimer && packetizer.getStats().queuedMs < FEED_LEAD_MS) {
+                let samples;
+                if (node.feed === 'generator') {
+                    samples = node.generator.generate(packetizer.samplesPerPacket);
+                } else {
+                    samples = readFile(node, packetizer.samplesPerPacket);
+                    if (!samples) {
+                        finishFile(node);
+                        return;
+                    }
+                }
+                packetizer.push(sampleFormat.encodeNetwork(samples, node.audioEncoding));
+            }
+        } catch (err) {
+            node.error(`${node.feed === 'file' ? 'File playback' : 'Signal generator'} error: ${err.message}`);
+            stopFeed(node);
+        }
+    }
+    
+    // Format described by receiver (msg.format) and router (msg.payload.format) audio messages
+    function getSourceFormat(msg) {
+        const format = msg.format || (msg.payload && msg.payload.format);
+        if (!format || !(format.sampleRate > 0) || !(format.channels > 0)) {
+            return null;
+        }
+        
+        const source = {
+            sampleRate: parseInt(format.sampleRate),
+            channels: parseInt(format.channels),
+            type: format.sampleFormat || 'raw',
+            layout: format.layout,
+            endianness: format.endianness,
+            encoding: format.encoding
+        };
+        
+        // Receivers strip AM824 labels (3 bytes per sample); the router passes payloads through
+        if (source.type === 'raw' && source.encoding === 'AM824') {
+            source.encoding = am824.AM824_AUDIO_ENCODING;
+            source.labelled = format.bytesPerSample !== 3;
+        }
+        return source;
+    }
+    
+    function needsConversion(node, source) {
+        if (source.sampleRate !== node.sampleRate || source.channels !== node.channels) {
+            return true;
+        }
+        return source.type === 'raw' ?
+            !sampleFormat.isRaw(node.inputFormat) || source.encoding !== node.audioEncoding :
+            source.type !== node.inputFormat.type;
+    }
+    
+    // Resample, remix and requantize audio in another format to the stream's format
+    function convertAudio(node, audio, source) {
+        let samples;
+        if (source.type === 'raw') {
+            if (!Buffer.isBuffer(audio)) {
+                throw new Error('Invalid audio data: expected Buffer');
+            }
+            const pcm = source.labelled ? new am824.AM824Decoder(source.channels).decode(audio).audio : audio;
+            samples = sampleFormat.decodeNetwork(pcm, source.encoding);
+        } else {
+            samples = sampleFormat.decode(audio, sampleFormat.parseFormat(source), source.channels);
+        }
+        
+        const sourceEncoding = source.type === 'int16' ? 'L16' : source.type === 'int32' ? 'L32' :
+            source.type === 'raw' ? source.encoding : source.type;
+        const key = `${source.sampleRate}/${source.channels}/${sourceEncoding}->${node.channels}`;
+        if (node.converterKey !== key) {
+            node.converter = new FormatConverter(
+                { sampleRate: source.sampleRate, channels: source.channels, encoding: sourceEncoding },
+                { sampleRate: node.sampleRate, channels: node.channels, encoding: node.audioEncoding },
+                { dither: node.dither }
+            );
+            node.converterKey = key;
+            node.log(`Converting ${source.channels}ch @ ${source.sampleRate}Hz (${sourceEncoding}) to ` +
+                `${node.channels}ch @ ${node.sampleRate}Hz (${node.audioEncoding})`);
+        }
+        return node.converter.process(samples);
+    }
+    
+    function sendAudioData(node, audioBuffer) {
+        try {
+            // Queue audio; the packetizer releases it in ptime-sized packets
+            node.packetizer.push(audioBuffer);
+        } catch (err) {
+            node.error(`Error queueing audio: ${err.message}`);
+        }
+    }
+    
+    function sendRTPPacket(node, payload) {
+        try {
+            // Wrap samples in AES3 labels for AM824 streams
+            if (node.am824Encoder) {
+                payload = node.am824Encoder.encode(payload);
+            }
+            
+            // Remember the timestamp/wall-clock pairing for RTCP sender reports
+            node.sendStats.lastRtpTimestamp = node.rtpBuilder.timestamp;
+            node.sendStats.lastSendTime = rtcp.nowMs();
+            node.sendStats.packetCount++;
+            node.sendStats.octetCount += payload.length;
             
             // Build RTP packet
-            const rtpPacket = node.rtpBuilder.buildPacket(audioBuffer);
+            const rtpPacket = node.rtpBuilder.buildPacket(payload);
             
             // Send RTP packet
             node.rtpSocket.send(rtpPacket, node.destPort, node.destIP, (err) => {
@@ -385,8 +826,17 @@ module.exports = function(RED) {
                 }
             });
             
-            // Increment timestamp for next packet
-            node.rtpBuilder.incrementTimestamp(samplesPerChannel);
+            // Identical packet (same sequence number and timestamp) on the secondary path
+            if (node.secondarySocket) {
+                node.secondarySocket.send(rtpPacket, node.secondaryPort, node.secondaryIP, (err) => {
+                    if (err) {
+                        node.warn(`Secondary RTP send error: ${err.message}`);
+                    }
+                });
+            }
+            
+            // Advance timestamp by the samples carried in this packet
+            node.rtpBuilder.incrementTimestamp(node.packetizer.samplesPerPacket);
             
             // Update status periodically
             if (Math.random() < 0.01) { // 1% of packets
@@ -402,6 +852,126 @@ module.exports = function(RED) {
         }
     }
     
+    // Media clock time in nanoseconds: PTP time when available, otherwise the host clock
+    function getClockTime(node) {
+        const ptpTime = node.ptpClock ? node.ptpClock.now() : null;
+        return ptpTime !== null ? ptpTime : ptp.realtimeNs();
+    }
+    
+    function mediaClockTimestamp(node, time) {
+        return Number(((time * BigInt(node.sampleRate)) / 1000000000n) & 0xFFFFFFFFn);
+    }
+    
+    // ts-refclk for the SDP; only claim PTP while locked to a grandmaster
+    function getRefClock(node) {
+        if (node.ptpClock && node.ptpClock.isLocked()) {
+            return {
+                clksrc: 'ptp',
+                clksrcExt: `IEEE1588-2008:${node.ptpClock.getGrandmasterId()}:${node.ptpDomain}`
+            };
+        }
+        return { clksrc: 'local' };
+    }
+    
+    function formatRefClock(refClock) {
+        return refClock.clksrcExt ? `${refClock.clksrc}=${refClock.clksrcExt}` : refClock.clksrc;
+    }
+    
+    function handlePTPChange(node, status) {
+        const wasLocked = node.ptpLocked;
+        node.ptpLocked = status.locked;
+        
+        if (status.locked) {
+            node.log(`PTP locked to grandmaster ${status.grandmasterId}`);
+        } else if (wasLocked) {
+            node.warn('PTP lock lost, RTP timestamps follow the local clock');
+        }
+        
+        // The media clock has stepped: realign RTP timestamps and re-announce the reference clock
+        if (node.packetizer) {
+            node.packetizer.resync();
+        }
+        if (node.sapAnnouncer) {
+            node.sapAnnouncer.announceChange();
+        }
+    }
+    
+    function buildSenderReport(node) {
+        const ssrc = node.rtpBuilder.ssrc;
+        
+        // A participant that has not sent media yet reports as a receiver
+        if (node.sendStats.lastRtpTimestamp === null) {
+            return rtcp.buildReceiverReport({ ssrc: ssrc });
+        }
+        
+        // Extrapolate the RTP timestamp to the instant the report is built
+        const now = rtcp.nowMs();
+        const elapsedSamples = Math.round(((now - node.sendStats.lastSendTime) / 1000) * node.sampleRate);
+        
+        return rtcp.buildSenderReport({
+            ssrc: ssrc,
+            ntp: rtcp.toNTP(now),
+            rtpTimestamp: (node.sendStats.lastRtpTimestamp + elapsedSamples) >>> 0,
+            packetCount: node.sendStats.packetCount,
+            octetCount: node.sendStats.octetCount
+        });
+    }
+    
+    function handleRTCPPackets(node, packets, rinfo) {
+        const arrival = rtcp.nowMs();
+        const sdes = packets.find(p => p.type === 'SDES');
+        
+        packets.forEach(packet => {
+            if (packet.type !== 'RR' && packet.type !== 'SR') return;
+            
+            // Only report blocks about our own stream are of interest
+            packet.reports
+                .filter(block => block.ssrc === node.rtpBuilder.ssrc)
+                .forEach(block => {
+                    node.send({
+                        topic: 'rtcp/rr',
+                        payload: {
+                            from: rinfo.address,
+                            ssrc: packet.ssrc,
+                            cname: sdes ? sdes.cname : null,
+                            fractionLost: block.fractionLost,
+                            cumulativeLost: block.cumulativeLost,
+                            extendedHighestSeq: block.extendedHighestSeq,
+                            jitter: block.jitter,
+                            jitterMs: (block.jitter / node.sampleRate) * 1000,
+                            roundTripMs: rtcp.roundTripMs(block, arrival)
+                        }
+                    });
+                });
+        });
+    }
+    
+    // Socket for the secondary network, sending from the configured interface
+    function createSecondarySocket(node) {
+        const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        
+        socket.on('error', (err) => {
+            node.error(`Secondary RTP socket error: ${err.message}`);
+        });
+        
+        if (node.secondaryInterface) {
+            socket.bind(0, node.secondaryInterface, () => {
+                try {
+                    socket.setMulticastInterface(node.secondaryInterface);
+                } catch (e) {
+                    node.warn(`Could not send multicast via ${node.secondaryInterface}: ${e.message}`);
+                }
+            });
+        }
+        
+        return socket;
+    }
+    
+    function isMulticastIP(ip) {
+        const firstOctet = parseInt(String(ip).split('.')[0]);
+        return firstOctet >= 224 && firstOctet <= 239;
+    }
+    
     function getLocalIP() {
         const interfaces = os.networkInterfaces();
         for (const name of Object.keys(interfaces)) {
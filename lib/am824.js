@@ -0,0 +1,200 @@
+// AM824 (IEC 61883-6 / SMPTE ST 2110-31) framing for AES3 transparent transport
+//
+// Each sample is a 32-bit word: an 8-bit label followed by 24-bit audio.
+// Label bits: 00 PAC(2) P C U V
+//   PAC - preamble code, 11 marks the first frame of a 192-frame AES3 block
+//   P   - even parity over audio, V, U and C
+//   C   - channel status bit for this frame
+//   U   - user data bit
+//   V   - validity bit (0 = valid audio)
+//
+// Flow-side audio for AM824 streams is 24-bit big-endian PCM; the label
+// octet is added on send and stripped (and reported) on receive.
+
+const AM824_BYTES_PER_SAMPLE = 4;
+const AM824_AUDIO_ENCODING = 'L24';
+const AES3_BLOCK_FRAMES = 192;
+const AES3_STATUS_BYTES = 24;
+
+const LABEL_PAC_BLOCK_START = 0x30;
+const LABEL_PAC_MASK = 0x30;
+const LABEL_P = 0x08;
+const LABEL_C = 0x04;
+const LABEL_U = 0x02;
+const LABEL_V = 0x01;
+
+// CRC-8/EBU over channel status bytes 0-22 (AES3 byte 23)
+function channelStatusCRC(data) {
+    let crc = 0xFF;
+    for (let i = 0; i < AES3_STATUS_BYTES - 1; i++) {
+        crc ^= data[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 1) ? ((crc >> 1) ^ 0xB8) : (crc >> 1);
+        }
+    }
+    return crc;
+}
+
+// Professional channel status block for linear PCM at the given rate
+function createChannelStatus(sampleRate) {
+    const data = Buffer.alloc(AES3_STATUS_BYTES);
+
+    // Byte 0: professional use, audio, no emphasis, sampling frequency
+    data[0] = 0x01 | 0x04;
+    if (sampleRate === 48000) data[0] |= 0x80;
+    else if (sampleRate === 44100) data[0] |= 0x40;
+    else if (sampleRate === 32000) data[0] |= 0xC0;
+
+    // Byte 2: 24-bit maximum word length, 24-bit encoded word length
+    data[2] = 0x04 | 0x28;
+
+    data[23] = channelStatusCRC(data);
+    return data;
+}
+
+function parseChannelStatus(data) {
+    return {
+        data: data,
+        professional: (data[0] & 0x01) === 1,
+        audio: (data[0] & 0x02) === 0,
+        crcValid: !(data[0] & 0x01) || channelStatusCRC(data) === data[23]
+    };
+}
+
+function parity(value) {
+    value ^= value >> 16;
+    value ^= value >> 8;
+    value ^= value >> 4;
+    value ^= value >> 2;
+    value ^= value >> 1;
+    return value & 1;
+}
+
+class AM824Encoder {
+    constructor(channels, sampleRate) {
+        this.channels = channels;
+        this.channelStatus = createChannelStatus(sampleRate);
+        this.frame = 0;
+    }
+
+    setChannelStatus(data) {
+        this.channelStatus = Buffer.from(data);
+    }
+
+    // Wrap 24-bit big-endian PCM into AM824 words
+    encode(audio) {
+        const frames = Math.floor(audio.length / (this.channels * 3));
+        const packet = Buffer.allocUnsafe(frames * this.channels * AM824_BYTES_PER_SAMPLE);
+        let inOffset = 0;
+        let outOffset = 0;
+
+        for (let i = 0; i < frames; i++) {
+            const blockFrame = this.frame % AES3_BLOCK_FRAMES;
+            const c = (this.channelStatus[blockFrame >> 3] >> (blockFrame & 7)) & 1;
+
+            for (let ch = 0; ch < this.channels; ch++) {
+                const sample = audio.readUIntBE(inOffset, 3);
+                let label = blockFrame === 0 ? LABEL_PAC_BLOCK_START : 0;
+                if (c) label |= LABEL_C;
+                if (parity(sample) ^ c) label |= LABEL_P;
+
+                packet[outOffset] = label;
+                packet.writeUIntBE(sample, outOffset + 1, 3);
+                inOffset += 3;
+                outOffset += AM824_BYTES_PER_SAMPLE;
+            }
+
+            this.frame = (this.frame + 1) % AES3_BLOCK_FRAMES;
+        }
+
+        return packet;
+    }
+}
+
+class AM824Decoder {
+    constructor(channels) {
+        this.channels = channels;
+        this.reset();
+    }
+
+    reset() {
+        this.blocks = [];
+        this.positions = [];
+        this.channelStatus = [];
+        for (let ch = 0; ch < this.channels; ch++) {
+            this.blocks.push(Buffer.alloc(AES3_STATUS_BYTES));
+            this.positions.push(-1); // -1 until the first block start is seen
+            this.channelStatus.push(null);
+        }
+        this.parityErrors = 0;
+    }
+
+    // Strip labels, returning 24-bit PCM and per-channel validity
+    decode(payload) {
+        const frames = Math.floor(payload.length / (this.channels * AM824_BYTES_PER_SAMPLE));
+        const audio = Buffer.allocUnsafe(frames * this.channels * 3);
+        const validity = new Array(this.channels).fill(true);
+        let inOffset = 0;
+        let outOffset = 0;
+
+        for (let i = 0; i < frames; i++) {
+            for (let ch = 0; ch < this.channels; ch++) {
+                const label = payload[inOffset];
+                const sample = payload.readUIntBE(inOffset + 1, 3);
+
+                audio.writeUIntBE(sample, outOffset, 3);
+
+                if (label & LABEL_V) validity[ch] = false;
+
+                const bits = label & (LABEL_C | LABEL_U | LABEL_V);
+                if (parity(sample ^ bits) !== ((label & LABEL_P) ? 1 : 0)) {
+                    this.parityErrors++;
+                }
+
+                this.collectStatusBit(ch, label);
+
+                inOffset += AM824_BYTES_PER_SAMPLE;
+                outOffset += 3;
+            }
+        }
+
+        return {
+            audio: audio,
+            validity: validity
+        };
+    }
+
+    collectStatusBit(ch, label) {
+        if ((label & LABEL_PAC_MASK) === LABEL_PAC_BLOCK_START) {
+            this.blocks[ch].fill(0);
+            this.positions[ch] = 0;
+        }
+
+        const position = this.positions[ch];
+        if (position < 0) return;
+
+        if (label & LABEL_C) {
+            this.blocks[ch][position >> 3] |= 1 << (position & 7);
+        }
+
+        this.positions[ch] = position + 1;
+        if (this.positions[ch] === AES3_BLOCK_FRAMES) {
+            this.channelStatus[ch] = parseChannelStatus(Buffer.from(this.blocks[ch]));
+            this.positions[ch] = -1;
+        }
+    }
+
+    getChannelStatus() {
+        return this.channelStatus;
+    }
+}
+
+module.exports = {
+    AM824_BYTES_PER_SAMPLE,
+    AM824_AUDIO_ENCODING,
+    AM824Encoder,
+    AM824Decoder,
+    createChannelStatus,
+    parseChannelStatus,
+    channelStatusCRC
+};
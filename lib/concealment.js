@@ -0,0 +1,98 @@
+// Packet loss concealment for received audio
+//
+// Follows the RTP timestamps of the packets played out and synthesizes the
+// samples of any that are missing, so the output stays sample-continuous:
+//   silence     - digital silence
+//   repeat      - the last good packet, repeated
+//   interpolate - a crossfade from the last good packet into the next one
+//   none        - no concealment; missing samples are left out
+//
+// Gaps longer than MAX_CONCEAL_MS are treated as a stream restart and not filled.
+
+const sampleFormat = require('./sample-format');
+
+const RTP_MOD = 0x100000000;
+const MAX_CONCEAL_MS = 1000;
+const MODES = ['none', 'silence', 'repeat', 'interpolate'];
+
+// Signed distance from a to b in 32-bit RTP timestamp space
+function timestampDiff(b, a) {
+    const diff = (b - a + RTP_MOD) % RTP_MOD;
+    return diff >= RTP_MOD / 2 ? diff - RTP_MOD : diff;
+}
+
+class PacketConcealer {
+    constructor(options) {
+        this.mode = MODES.includes(options.mode) ? options.mode : 'silence';
+        this.sampleRate = options.sampleRate;
+        this.channels = options.channels;
+        this.encoding = options.encoding;
+        this.frameBytes = this.channels * sampleFormat.getBytesPerSample(this.encoding);
+        this.reset();
+    }
+
+    reset() {
+        this.nextTimestamp = null;
+        this.previous = null;          // Last good packet as normalized samples
+        this.events = 0;
+        this.concealedFrames = 0;
+    }
+
+    // Feed the next packet in playout order; returns network PCM for the samples
+    // missing before it, or null when there is no gap to fill
+    conceal(timestamp, audio) {
+        const frames = Math.floor(audio.length / this.frameBytes);
+        const gap = this.nextTimestamp === null ? 0 : timestampDiff(timestamp, this.nextTimestamp);
+        this.nextTimestamp = (timestamp + frames) % RTP_MOD;
+
+        let fill = null;
+        if (gap > 0 && gap <= (MAX_CONCEAL_MS * this.sampleRate) / 1000 && this.mode !== 'none') {
+            const next = this.mode === 'interpolate' ? sampleFormat.decodeNetwork(audio, this.encoding) : null;
+            fill = sampleFormat.encodeNetwork(this.synthesize(gap, next), this.encoding);
+            this.events++;
+            this.concealedFrames += gap;
+        }
+
+        if (this.mode === 'repeat' || this.mode === 'interpolate') {
+            this.previous = sampleFormat.decodeNetwork(audio, this.encoding);
+        }
+        return fill;
+    }
+
+    synthesize(frames, next) {
+        const channels = this.channels;
+        const samples = new Float64Array(frames * channels);
+        const previous = this.previous && this.previous.length >= channels ? this.previous : null;
+        if (this.mode === 'silence' || !previous) return samples;
+
+        const previousFrames = previous.length / channels;
+        const nextFrames = next && next.length >= channels ? next.length / channels : 0;
+
+        for (let i = 0; i < frames; i++) {
+            // Continue the last packet cyclically
+            const from = (i % previousFrames) * channels;
+            // Step back from the next packet so the fill runs into its first sample
+            const to = nextFrames ? (((i - frames) % nextFrames) + nextFrames) % nextFrames * channels : 0;
+            const weight = nextFrames ? (i + 1) / (frames + 1) : 0;
+
+            for (let ch = 0; ch < channels; ch++) {
+                samples[i * channels + ch] = previous[from + ch] * (1 - weight) +
+                    (nextFrames ? next[to + ch] * weight : 0);
+            }
+        }
+        return samples;
+    }
+
+    getStats() {
+        return {
+            mode: this.mode,
+            events: this.events,
+            concealedFrames: this.concealedFrames,
+            concealedMs: (this.concealedFrames * 1000) / this.sampleRate
+        };
+    }
+}
+
+module.exports = {
+    PacketConcealer
+};
@@ -0,0 +1,236 @@
+// Format conversion between AES67 streams: sample rate, channel count and bit depth
+//
+// Audio passes through three stages, on interleaved normalized samples:
+//   1. Channel mix - a matrix from the source to the target channel layout
+//      (see channelMatrix for the defaults, or pass `matrix`)
+//   2. Sample rate conversion - a rational polyphase resampler with a
+//      Kaiser-windowed sinc low-pass (about 90 dB stopband; within 1 dB up to
+//      20 kHz when either rate is 44.1 kHz). It is streaming: state carries over
+//      between calls, and output is delayed by half the filter length.
+//   3. Quantization to the target network encoding, with TPDF dither when the
+//      target has fewer bits than the source
+//
+// A converter is built for one source format; build a new one when it changes.
+
+const sampleFormat = require('./sample-format');
+
+const TAPS = 64;                       // Filter taps per polyphase branch
+const KAISER_BETA = 9;
+const PASSBAND = 0.95;                 // Cutoff as a fraction of the lower Nyquist frequency
+const MAX_PHASES = 1000;               // Largest interpolation factor after reducing the rate ratio
+
+const ENCODING_BITS = { L16: 16, L24: 24, L32: 32 };
+
+function gcd(a, b) {
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+// Zeroth-order modified Bessel function of the first kind, for the Kaiser window
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    for (let k = 1; k < 50; k++) {
+        term *= (x / (2 * k)) * (x / (2 * k));
+        sum += term;
+        if (term < sum * 1e-12) break;
+    }
+    return sum;
+}
+
+// Default up/down-mix: `matrix[out][in]` gains
+//   same count      - channel to channel
+//   mono source     - copied to every target channel
+//   mono target     - average of all source channels
+//   5.1 to stereo   - ITU-R BS.775 (L + 0.707 C + 0.707 Ls, LFE dropped)
+//   more to fewer   - source channel n to target channel n mod count, averaged
+//   fewer to more   - channel to channel, extra target channels silent
+function channelMatrix(sourceChannels, targetChannels) {
+    const matrix = [];
+    for (let out = 0; out < targetChannels; out++) {
+        matrix.push(new Array(sourceChannels).fill(0));
+    }
+
+    if (sourceChannels === 1) {
+        matrix.forEach(row => { row[0] = 1; });
+    } else if (targetChannels === 1) {
+        matrix[0].fill(1 / sourceChannels);
+    } else if (sourceChannels === 6 && targetChannels === 2) {
+        // L R C LFE Ls Rs
+        matrix[0][0] = 1; matrix[0][2] = Math.SQRT1_2; matrix[0][4] = Math.SQRT1_2;
+        matrix[1][1] = 1; matrix[1][2] = Math.SQRT1_2; matrix[1][5] = Math.SQRT1_2;
+    } else if (sourceChannels > targetChannels) {
+        for (let ch = 0; ch < sourceChannels; ch++) {
+            matrix[ch % targetChannels][ch] = 1;
+        }
+        matrix.forEach(row => {
+            const count = row.filter(gain => gain > 0).length;
+            row.forEach((gain, ch) => { row[ch] = gain / count; });
+        });
+    } else {
+        for (let ch = 0; ch < sourceChannels; ch++) {
+            matrix[ch][ch] = 1;
+        }
+    }
+    return matrix;
+}
+
+// Streaming rational resampler for interleaved samples
+class Resampler {
+    constructor(sourceRate, targetRate, channels) {
+        const divisor = gcd(sourceRate, targetRate);
+        this.up = targetRate / divisor;
+        this.down = sourceRate / divisor;
+        if (this.up > MAX_PHASES) {
+            throw new Error(`Unsupported sample rate conversion: ${sourceRate} Hz to ${targetRate} Hz`);
+        }
+        this.channels = channels;
+
+        // Prototype low-pass at the upsampled rate, split into `up` branches of TAPS each
+        const length = this.up * TAPS;
+        const cutoff = (PASSBAND * 0.5) / Math.max(this.up, this.down);   // Cycles per upsampled sample
+        const center = (length - 1) / 2;
+        const norm = besselI0(KAISER_BETA);
+        this.phases = [];
+        for (let phase = 0; phase < this.up; phase++) {
+            const coefficients = new Float64Array(TAPS);
+            let sum = 0;
+            for (let k = 0; k < TAPS; k++) {
+                const n = phase + k * this.up - center;
+                const sinc = n === 0 ? 1 : Math.sin(2 * Math.PI * cutoff * n) / (2 * Math.PI * cutoff * n);
+                const ratio = (phase + k * this.up - center) / center;
+                const window = besselI0(KAISER_BETA * Math.sqrt(Math.max(0, 1 - ratio * ratio))) / norm;
+                coefficients[k] = sinc * window;
+                sum += coefficients[k];
+            }
+            // Unity gain per branch keeps DC flat
+            this.phases.push(coefficients.map(c => c / sum));
+        }
+        this.reset();
+    }
+
+    reset() {
+        this.history = new Float64Array((TAPS - 1) * this.channels);
+        this.index = TAPS - 1;         // Newest source frame used by the next output, in history + input
+        this.phase = 0;
+    }
+
+    process(samples) {
+        const channels = this.channels;
+        const inputFrames = Math.floor(samples.length / channels);
+        const work = new Float64Array(this.history.length + inputFrames * channels);
+        work.set(this.history);
+        work.set(samples.subarray(0, inputFrames * channels), this.history.length);
+        const workFrames = TAPS - 1 + inputFrames;
+
+        const output = [];
+        while (this.index < workFrames) {
+            const coefficients = this.phases[this.phase];
+            for (let ch = 0; ch < channels; ch++) {
+                let value = 0;
+                for (let k = 0, pos = this.index * channels + ch; k < TAPS; k++, pos -= channels) {
+                    value += coefficients[k] * work[pos];
+                }
+                output.push(value);
+            }
+            this.phase += this.down;
+            this.index += Math.floor(this.phase / this.up);
+            this.phase %= this.up;
+        }
+
+        this.history = work.slice((workFrames - (TAPS - 1)) * channels);
+        this.index -= inputFrames;
+        return Float64Array.from(output);
+    }
+}
+
+class FormatConverter {
+    // source/target: { sampleRate, channels, encoding }; options: { dither, matrix }
+    constructor(source, target, options) {
+        options = options || {};
+        this.source = source;
+        this.target = target;
+        if (!ENCODING_BITS[target.encoding]) {
+            throw new Error(`Unsupported encoding: ${target.encoding}`);
+        }
+
+        this.matrix = options.matrix || (source.channels !== target.channels ?
+            channelMatrix(source.channels, target.channels) : null);
+        if (this.matrix && (this.matrix.length !== target.channels ||
+            this.matrix.some(row => !Array.isArray(row) || row.length !== source.channels))) {
+            throw new Error(`Channel matrix must be ${target.channels} rows of ${source.channels} gains`);
+        }
+        this.resampler = source.sampleRate !== target.sampleRate ?
+            new Resampler(source.sampleRate, target.sampleRate, target.channels) : null;
+
+        // Float sources count as 32-bit
+        const sourceBits = ENCODING_BITS[source.encoding] || 32;
+        this.dither = options.dither !== false && ENCODING_BITS[target.encoding] < sourceBits;
+    }
+
+    // Interleaved normalized source samples in, target network PCM out
+    process(samples) {
+        if (this.matrix) {
+            samples = this.mix(samples);
+        }
+        if (this.resampler) {
+            samples = this.resampler.process(samples);
+        }
+        return this.quantize(samples);
+    }
+
+    mix(samples) {
+        const inChannels = this.source.channels;
+        const outChannels = this.target.channels;
+        const frames = Math.floor(samples.length / inChannels);
+        const output = new Float64Array(frames * outChannels);
+
+        for (let i = 0; i < frames; i++) {
+            for (let out = 0; out < outChannels; out++) {
+                const row = this.matrix[out];
+                let value = 0;
+                for (let ch = 0; ch < inChannels; ch++) {
+                    if (row[ch] !== 0) value += row[ch] * samples[i * inChannels + ch];
+                }
+                output[i * outChannels + out] = value;
+            }
+        }
+        return output;
+    }
+
+    quantize(samples) {
+        if (!this.dither) {
+            return sampleFormat.encodeNetwork(samples, this.target.encoding);
+        }
+
+        // Triangular dither of +-1 LSB decorrelates the requantization error from the signal
+        const lsb = Math.pow(2, 1 - ENCODING_BITS[this.target.encoding]);
+        const dithered = new Float64Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            dithered[i] = samples[i] + (Math.random() - Math.random()) * lsb;
+        }
+        return sampleFormat.encodeNetwork(dithered, this.target.encoding);
+    }
+
+    reset() {
+        if (this.resampler) {
+            this.resampler.reset();
+        }
+    }
+
+    getInfo() {
+        return {
+            source: this.source,
+            target: this.target,
+            resampling: !!this.resampler,
+            channelMix: !!this.matrix,
+            dither: this.dither
+        };
+    }
+}
+
+module.exports = {
+    FormatConverter,
+    Resampler,
+    channelMatrix
+};
@@ -0,0 +1,193 @@
+// Receive jitter buffer: holds RTP packets for a fixed link offset and plays
+// them out in sequence order on the stream's own timeline.
+//
+// The playout time of a packet is derived from its RTP timestamp. The timeline
+// is anchored on arrival so that the fastest packets wait `linkOffsetMs`; it is
+// re-anchored from the minimum observed slack about once a second, which
+// absorbs a slow first packet and clock drift between sender and receiver.
+//
+// Packets that arrive after their playout time are late and dropped. Packets
+// that arrive more than MAX_EARLY_MS ahead of it are early; a run of late or
+// early packets means the stream jumped, and the timeline is re-anchored.
+
+const { seqDiff } = require('./seamless');
+
+const RTP_MOD = 0x100000000;
+const MAX_EARLY_MS = 200;          // Beyond the link offset
+const RESYNC_RUN = 8;              // Consecutive late or early packets that force a resync
+const ADJUST_INTERVAL_MS = 1000;
+const ADJUST_THRESHOLD_MS = 0.5;
+const RELEASED_WINDOW = 1024;      // Sequence numbers behind the playout point remembered as played
+
+// Signed distance from a to b in 32-bit RTP timestamp space
+function timestampDiff(b, a) {
+    const diff = (b - a + RTP_MOD) % RTP_MOD;
+    return diff >= RTP_MOD / 2 ? diff - RTP_MOD : diff;
+}
+
+class JitterBuffer {
+    constructor(options) {
+        this.sampleRate = options.sampleRate;
+        this.linkOffsetMs = options.linkOffsetMs !== undefined ? options.linkOffsetMs : 5;
+        this.reset();
+    }
+
+    reset() {
+        this.packets = new Map();      // Sequence number -> { packet, item, playout }
+        this.released = new Set();     // Recently played sequence numbers, to spot duplicates
+        this.nextSeq = null;
+        this.highestSeq = null;
+        this.baseTimestamp = null;
+        this.baseTime = null;          // Playout time (ms) of baseTimestamp
+        this.minSlack = Infinity;
+        this.windowStart = null;
+        this.lateRun = 0;
+        this.earlyRun = 0;
+        this.stats = { received: 0, delivered: 0, late: 0, early: 0, duplicates: 0, reordered: 0, skipped: 0, resyncs: 0 };
+    }
+
+    setLinkOffset(linkOffsetMs) {
+        if (this.baseTime !== null) {
+            this.baseTime += linkOffsetMs - this.linkOffsetMs;
+        }
+        this.linkOffsetMs = linkOffsetMs;
+    }
+
+    playoutTime(timestamp) {
+        return this.baseTime + (timestampDiff(timestamp, this.baseTimestamp) * 1000) / this.sampleRate;
+    }
+
+    anchor(timestamp, now) {
+        this.baseTimestamp = timestamp;
+        this.baseTime = now + this.linkOffsetMs;
+        this.minSlack = Infinity;
+        this.windowStart = now;
+    }
+
+    // Accept a parsed RTP packet with an item to hand back at playout time
+    push(packet, item, now) {
+        const { sequenceNumber, timestamp } = packet.header;
+        this.stats.received++;
+
+        if (this.baseTime === null) {
+            this.anchor(timestamp, now);
+            this.nextSeq = sequenceNumber;
+        }
+
+        if (this.packets.has(sequenceNumber) || this.released.has(sequenceNumber)) {
+            this.stats.duplicates++;
+            return;
+        }
+
+        const slack = this.playoutTime(timestamp) - now;
+        if (slack < 0 || seqDiff(sequenceNumber, this.nextSeq) < 0) {
+            // Its playout time has passed
+            this.stats.late++;
+            this.earlyRun = 0;
+            if (++this.lateRun >= RESYNC_RUN) this.resync(packet, item, now);
+            return;
+        }
+        if (slack > this.linkOffsetMs + MAX_EARLY_MS) {
+            this.stats.early++;
+            this.lateRun = 0;
+            if (++this.earlyRun >= RESYNC_RUN) this.resync(packet, item, now);
+            return;
+        }
+        this.lateRun = 0;
+        this.earlyRun = 0;
+
+        if (this.highestSeq !== null && seqDiff(sequenceNumber, this.highestSeq) < 0) {
+            this.stats.reordered++;
+        } else {
+            this.highestSeq = sequenceNumber;
+        }
+
+        this.packets.set(sequenceNumber, { packet: packet, item: item, playout: now + slack });
+        this.track(slack, now);
+    }
+
+    // Follow the minimum slack, moving the timeline so the fastest packets wait the link offset
+    track(slack, now) {
+        this.minSlack = Math.min(this.minSlack, slack);
+        if (now - this.windowStart < ADJUST_INTERVAL_MS) return;
+
+        const error = this.minSlack - this.linkOffsetMs;
+        if (Math.abs(error) > ADJUST_THRESHOLD_MS) {
+            this.baseTime -= error;
+            this.packets.forEach(entry => { entry.playout -= error; });
+        }
+        this.minSlack = Infinity;
+        this.windowStart = now;
+    }
+
+    resync(packet, item, now) {
+        this.packets.clear();
+        this.released.clear();
+        this.stats.resyncs++;
+        this.lateRun = 0;
+        this.earlyRun = 0;
+        this.highestSeq = packet.header.sequenceNumber;
+        this.anchor(packet.header.timestamp, now);
+        this.nextSeq = packet.header.sequenceNumber;
+        this.packets.set(this.nextSeq, { packet: packet, item: item, playout: this.baseTime });
+    }
+
+    // Release the items due for playout, in sequence order
+    pop(now) {
+        const due = [];
+
+        while (this.packets.size > 0) {
+            let entry = this.packets.get(this.nextSeq);
+            if (!entry) {
+                // Play past a gap once a later packet is due; the missing ones are lost
+                const next = this.earliest();
+                if (this.packets.get(next).playout > now) break;
+                this.stats.skipped += seqDiff(next, this.nextSeq);
+                this.nextSeq = next;
+                entry = this.packets.get(next);
+            }
+            if (entry.playout > now) break;
+
+            this.packets.delete(this.nextSeq);
+            this.released.add(this.nextSeq);
+            due.push(entry.item);
+            this.stats.delivered++;
+
+            // Keep timestamp arithmetic local to the playout point
+            this.baseTime = entry.playout;
+            this.baseTimestamp = entry.packet.header.timestamp;
+            this.nextSeq = (this.nextSeq + 1) & 0xFFFF;
+        }
+
+        if (due.length > 0) this.pruneReleased();
+        return due;
+    }
+
+    // Forget played sequence numbers that fell out of the window behind the playout point,
+    // by distance so that none are left over when a gap is skipped
+    pruneReleased() {
+        for (const seq of this.released) {
+            const behind = seqDiff(this.nextSeq, seq);
+            if (behind <= 0 || behind > RELEASED_WINDOW) this.released.delete(seq);
+        }
+    }
+
+    earliest() {
+        let earliest = null;
+        for (const seq of this.packets.keys()) {
+            if (earliest === null || seqDiff(seq, earliest) < 0) earliest = seq;
+        }
+        return earliest;
+    }
+
+    getStats() {
+        return Object.assign({
+            linkOffsetMs: this.linkOffsetMs,
+            depth: this.packets.size
+        }, this.stats);
+    }
+}
+
+module.exports = {
+    JitterBuffer
+};
@@ -0,0 +1,150 @@
+// Per-channel level metering: sample peak, true peak and RMS in dBFS
+//
+// Audio is accumulated in 10 ms blocks; readings combine the most recent
+// blocks covering the peak and RMS windows. True peak is measured on a 4x
+// oversampled signal (windowed-sinc interpolation as in ITU-R BS.1770), which
+// catches inter-sample peaks that a sample peak meter misses. RMS is the plain
+// root mean square, so a full-scale sine reads -3 dBFS.
+//
+// When no audio has been metered for longer than the windows, every channel
+// reads MIN_DB rather than holding the last values.
+
+const MIN_DB = -120;
+const BLOCK_MS = 10;
+const OVERSAMPLE = 4;
+const TAPS = 12;                   // Filter taps per interpolated phase
+
+// Interpolation filters for the phases between two samples, each normalized to unity gain
+const PHASES = [];
+for (let phase = 1; phase < OVERSAMPLE; phase++) {
+    const position = TAPS / 2 - 1 + phase / OVERSAMPLE;
+    const coefficients = new Float64Array(TAPS);
+    let sum = 0;
+    for (let j = 0; j < TAPS; j++) {
+        const x = position - j;
+        const sinc = Math.sin(Math.PI * x) / (Math.PI * x);
+        const window = 0.5 + 0.5 * Math.cos((Math.PI * x) / (TAPS / 2));
+        coefficients[j] = sinc * window;
+        sum += coefficients[j];
+    }
+    PHASES.push(coefficients.map(c => c / sum));
+}
+
+function toDb(value) {
+    if (!(value > 0)) return MIN_DB;
+    return Math.max(MIN_DB, Math.round(2000 * Math.log10(value)) / 100);
+}
+
+class LevelMeter {
+    constructor(options) {
+        this.sampleRate = options.sampleRate;
+        this.channels = options.channels;
+        this.rmsWindowMs = options.rmsWindowMs > 0 ? options.rmsWindowMs : 300;
+        this.peakWindowMs = options.peakWindowMs > 0 ? options.peakWindowMs : 100;
+        this.truePeak = options.truePeak !== false;
+        this.blockFrames = Math.max(1, Math.round((this.sampleRate * BLOCK_MS) / 1000));
+        this.maxBlocks = Math.ceil(Math.max(this.rmsWindowMs, this.peakWindowMs) / BLOCK_MS);
+        this.reset();
+    }
+
+    reset() {
+        this.blocks = [];              // Completed blocks, newest last
+        this.current = this.createBlock();
+        this.history = [];             // Per channel: last TAPS samples, stored twice for wrap-free reads
+        this.historyPos = 0;
+        for (let ch = 0; ch < this.channels; ch++) {
+            this.history.push(new Float64Array(TAPS * 2));
+        }
+        this.lastUpdate = null;
+    }
+
+    createBlock() {
+        return {
+            frames: 0,
+            sumSquares: new Float64Array(this.channels),
+            peak: new Float64Array(this.channels),
+            truePeak: new Float64Array(this.channels)
+        };
+    }
+
+    // Meter interleaved normalized samples; `now` is wall-clock ms
+    process(samples, now) {
+        const channels = this.channels;
+        const frames = Math.floor(samples.length / channels);
+        let block = this.current;
+
+        for (let i = 0; i < frames; i++) {
+            const pos = this.historyPos;
+            for (let ch = 0; ch < channels; ch++) {
+                const sample = samples[i * channels + ch];
+                const magnitude = Math.abs(sample);
+                block.sumSquares[ch] += sample * sample;
+                if (magnitude > block.peak[ch]) block.peak[ch] = magnitude;
+
+                if (this.truePeak) {
+                    const history = this.history[ch];
+                    history[pos] = sample;
+                    history[pos + TAPS] = sample;
+                    let peak = magnitude;
+                    for (let p = 0; p < PHASES.length; p++) {
+                        const coefficients = PHASES[p];
+                        let value = 0;
+                        for (let j = 0; j < TAPS; j++) {
+                            value += history[pos + 1 + j] * coefficients[j];
+                        }
+                        peak = Math.max(peak, Math.abs(value));
+                    }
+                    if (peak > block.truePeak[ch]) block.truePeak[ch] = peak;
+                }
+            }
+            this.historyPos = (pos + 1) % TAPS;
+
+            if (++block.frames === this.blockFrames) {
+                this.blocks.push(block);
+                if (this.blocks.length > this.maxBlocks) this.blocks.shift();
+                block = this.current = this.createBlock();
+            }
+        }
+
+        this.lastUpdate = now;
+    }
+
+    // Current readings per channel, in dBFS
+    getLevels(now) {
+        const channels = this.channels;
+        const levels = {
+            peak: new Array(channels).fill(MIN_DB),
+            truePeak: new Array(channels).fill(MIN_DB),
+            rms: new Array(channels).fill(MIN_DB)
+        };
+        if (this.lastUpdate === null || now - this.lastUpdate > Math.max(this.rmsWindowMs, this.peakWindowMs)) {
+            return levels;
+        }
+
+        const blocks = this.current.frames > 0 ? this.blocks.concat([this.current]) : this.blocks;
+        const rmsBlocks = blocks.slice(-Math.ceil(this.rmsWindowMs / BLOCK_MS));
+        const peakBlocks = blocks.slice(-Math.ceil(this.peakWindowMs / BLOCK_MS));
+        const rmsFrames = rmsBlocks.reduce((sum, block) => sum + block.frames, 0);
+
+        for (let ch = 0; ch < channels; ch++) {
+            let sumSquares = 0;
+            rmsBlocks.forEach(block => { sumSquares += block.sumSquares[ch]; });
+            let peak = 0;
+            let truePeak = 0;
+            peakBlocks.forEach(block => {
+                peak = Math.max(peak, block.peak[ch]);
+                truePeak = Math.max(truePeak, block.truePeak[ch]);
+            });
+
+            levels.peak[ch] = toDb(peak);
+            levels.truePeak[ch] = this.truePeak ? toDb(Math.max(peak, truePeak)) : null;
+            levels.rms[ch] = toDb(rmsFrames > 0 ? Math.sqrt(sumSquares / rmsFrames) : 0);
+        }
+        return levels;
+    }
+}
+
+module.exports = {
+    LevelMeter,
+    MIN_DB
+};
@@ -0,0 +1,336 @@
+// Multicast DNS (RFC 6762) browser for DNS-SD (RFC 6763) service instances
+//
+// Asks 224.0.0.251:5353 for the PTR records of a service type and follows the
+// answers to each instance's SRV (host and port), TXT and A (address) records,
+// asking for whatever is still missing. An instance is reported through
+// `onService` once all three are known, and again on every answer that
+// refreshes it; a goodbye (TTL 0) or an expired PTR record reports it through
+// `onServiceRemoved`. Queries go out at QUERY_SCHEDULE_MS after start, then
+// every REQUERY_MS, so live instances keep being refreshed.
+//
+// Instance names may contain dots; in names, dots and backslashes inside a
+// label are escaped with a backslash.
+
+const dgram = require('dgram');
+
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+const TYPE_A = 1;
+const TYPE_PTR = 12;
+const TYPE_TXT = 16;
+const TYPE_SRV = 33;
+const CLASS_IN = 1;
+const QUERY_SCHEDULE_MS = [0, 1000, 3000];
+const REQUERY_MS = 60000;
+const RESOLVE_INTERVAL_MS = 1000;      // Least time between questions for one missing record
+
+function splitName(name) {
+    const labels = [];
+    let label = '';
+    for (let i = 0; i < name.length; i++) {
+        if (name[i] === '\\' && i + 1 < name.length) {
+            label += name[++i];
+        } else if (name[i] === '.') {
+            labels.push(label);
+            label = '';
+        } else {
+            label += name[i];
+        }
+    }
+    if (label) labels.push(label);
+    return labels;
+}
+
+function joinName(labels) {
+    return labels.map(label => label.replace(/[\\.]/g, c => '\\' + c)).join('.');
+}
+
+function encodeName(name) {
+    const parts = splitName(name).map(label => {
+        const bytes = Buffer.from(label, 'utf8');
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+    });
+    return Buffer.concat(parts.concat([Buffer.from([0])]));
+}
+
+// Name at `offset`, following compression pointers; returns { labels, next }
+function decodeName(buffer, offset) {
+    const labels = [];
+    let next = null;
+    for (let jumps = 0; jumps < 128; jumps++) {
+        const length = buffer[offset];
+        if (length === undefined) throw new Error('Truncated name');
+        if (length === 0) {
+            return { labels: labels, next: next === null ? offset + 1 : next };
+        }
+        if ((length & 0xC0) === 0xC0) {
+            if (next === null) next = offset + 2;
+            offset = ((length & 0x3F) << 8) | buffer[offset + 1];
+            continue;
+        }
+        if (offset + 1 + length > buffer.length) throw new Error('Truncated name');
+        labels.push(buffer.toString('utf8', offset + 1, offset + 1 + length));
+        offset += 1 + length;
+    }
+    throw new Error('Name compression loop');
+}
+
+function buildQuery(questions) {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(questions.length, 4);
+    const parts = [header];
+    for (const question of questions) {
+        const fields = Buffer.alloc(4);
+        fields.writeUInt16BE(question.type, 0);
+        fields.writeUInt16BE(CLASS_IN, 2);
+        parts.push(encodeName(question.name), fields);
+    }
+    return Buffer.concat(parts);
+}
+
+function decodeTxt(buffer, start, end) {
+    const txt = {};
+    for (let offset = start; offset < end;) {
+        const length = buffer[offset];
+        const entry = buffer.toString('utf8', offset + 1, Math.min(end, offset + 1 + length));
+        offset += 1 + length;
+        if (!entry) continue;
+        const equals = entry.indexOf('=');
+        if (equals < 0) {
+            txt[entry.toLowerCase()] = true;
+        } else {
+            txt[entry.slice(0, equals).toLowerCase()] = entry.slice(equals + 1);
+        }
+    }
+    return txt;
+}
+
+// Resource records of a response: { name, type, ttl, data }; null for queries
+function parseResponse(buffer) {
+    if (buffer.length < 12 || !(buffer[2] & 0x80)) return null;
+
+    const questions = buffer.readUInt16BE(4);
+    const count = buffer.readUInt16BE(6) + buffer.readUInt16BE(8) + buffer.readUInt16BE(10);
+    let offset = 12;
+    for (let i = 0; i < questions; i++) {
+        offset = decodeName(buffer, offset).next + 4;
+    }
+
+    const records = [];
+    for (let i = 0; i < count; i++) {
+        const name = decodeName(buffer, offset);
+        offset = name.next;
+        if (offset + 10 > buffer.length) throw new Error('Truncated record');
+        const type = buffer.readUInt16BE(offset);
+        const rrclass = buffer.readUInt16BE(offset + 2) & 0x7FFF;      // Top bit is cache-flush
+        const ttl = buffer.readUInt32BE(offset + 4);
+        const length = buffer.readUInt16BE(offset + 8);
+        const start = offset + 10;
+        offset = start + length;
+        if (offset > buffer.length) throw new Error('Truncated record');
+        if (rrclass !== CLASS_IN) continue;
+
+        let data = null;
+        if (type === TYPE_PTR) {
+            data = joinName(decodeName(buffer, start).labels);
+        } else if (type === TYPE_SRV) {
+            data = {
+                priority: buffer.readUInt16BE(start),
+                weight: buffer.readUInt16BE(start + 2),
+                port: buffer.readUInt16BE(start + 4),
+                target: joinName(decodeName(buffer, start + 6).labels)
+            };
+        } else if (type === TYPE_TXT) {
+            data = decodeTxt(buffer, start, offset);
+        } else if (type === TYPE_A && length === 4) {
+            data = Array.from(buffer.subarray(start, start + 4)).join('.');
+        } else {
+            continue;
+        }
+        records.push({ name: joinName(name.labels), type: type, ttl: ttl, data: data });
+    }
+    return records;
+}
+
+class MDNSBrowser {
+    // options: { serviceType, onService, onServiceRemoved }
+    constructor(node, options) {
+        this.node = node;
+        this.serviceType = options.serviceType;
+        this.onService = options.onService || null;
+        this.onServiceRemoved = options.onServiceRemoved || null;
+
+        this.socket = null;
+        this.timers = [];
+        this.instances = new Map();        // Lower-case instance name -> instance
+        this.hosts = new Map();            // Lower-case host name -> { address, expires }
+        this.asked = new Map();            // Question -> when it was last sent
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+            socket.on('message', (msg, rinfo) => {
+                try {
+                    this.handleMessage(msg);
+                } catch (err) {
+                    this.node.debug(`Invalid mDNS message from ${rinfo.address}: ${err.message}`);
+                }
+            });
+            socket.once('error', reject);
+            socket.bind(MDNS_PORT, () => {
+                socket.removeListener('error', reject);
+                socket.on('error', (err) => {
+                    this.node.warn(`mDNS socket error: ${err.message}`);
+                });
+                try {
+                    socket.addMembership(MDNS_ADDRESS);
+                    socket.setMulticastTTL(255);
+                } catch (err) {
+                    this.node.warn(`Could not join mDNS multicast: ${err.message}`);
+                }
+
+                this.socket = socket;
+                QUERY_SCHEDULE_MS.forEach(delay => {
+                    this.timers.push(setTimeout(() => this.query(), delay));
+                });
+                this.timers.push(setInterval(() => {
+                    this.expire();
+                    this.query();
+                }, REQUERY_MS));
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+        if (this.socket) {
+            try {
+                this.socket.close();
+            } catch (e) {}
+            this.socket = null;
+        }
+        this.instances.clear();
+        this.hosts.clear();
+    }
+
+    query() {
+        this.send([{ name: this.serviceType, type: TYPE_PTR }]);
+    }
+
+    send(questions) {
+        if (!this.socket) return;
+        this.socket.send(buildQuery(questions), MDNS_PORT, MDNS_ADDRESS, (err) => {
+            if (err) this.node.debug(`mDNS send error: ${err.message}`);
+        });
+    }
+
+    handleMessage(msg) {
+        const records = parseResponse(msg);
+        if (!records) return;
+
+        const now = Date.now();
+        const touched = new Set();
+        const service = this.serviceType.toLowerCase();
+
+        // PTR records first: they say which SRV and TXT records belong to our instances
+        for (const record of records) {
+            if (record.type !== TYPE_PTR || record.name.toLowerCase() !== service) continue;
+            const key = record.data.toLowerCase();
+            if (record.ttl === 0) {
+                this.remove(key);
+                continue;
+            }
+            let instance = this.instances.get(key);
+            if (!instance) {
+                instance = { instance: record.data, name: splitName(record.data)[0], srv: null, txt: null, reported: false };
+                this.instances.set(key, instance);
+            }
+            instance.expires = now + record.ttl * 1000;
+            touched.add(instance);
+        }
+
+        for (const record of records) {
+            const key = record.name.toLowerCase();
+            if (record.type === TYPE_A) {
+                this.hosts.set(key, { address: record.data, expires: now + record.ttl * 1000 });
+                for (const instance of this.instances.values()) {
+                    if (instance.srv && instance.srv.target.toLowerCase() === key) touched.add(instance);
+                }
+                continue;
+            }
+            const instance = this.instances.get(key);
+            if (!instance) continue;
+            if (record.type === TYPE_SRV) {
+                instance.srv = record.data;
+                touched.add(instance);
+            } else if (record.type === TYPE_TXT) {
+                instance.txt = record.data;
+                touched.add(instance);
+            }
+        }
+
+        touched.forEach(instance => this.resolve(instance, now));
+    }
+
+    // Report an instance that is complete, or ask for what it lacks
+    resolve(instance, now) {
+        const questions = [];
+        if (!instance.srv) questions.push({ name: instance.instance, type: TYPE_SRV });
+        if (!instance.txt) questions.push({ name: instance.instance, type: TYPE_TXT });
+        const host = instance.srv ? this.hosts.get(instance.srv.target.toLowerCase()) : null;
+        if (instance.srv && !host) questions.push({ name: instance.srv.target, type: TYPE_A });
+
+        if (questions.length > 0) {
+            const due = questions.filter(question => {
+                const key = `${question.name.toLowerCase()}/${question.type}`;
+                if (now - (this.asked.get(key) || 0) < RESOLVE_INTERVAL_MS) return false;
+                this.asked.set(key, now);
+                return true;
+            });
+            if (due.length > 0) this.send(due);
+            return;
+        }
+
+        instance.reported = true;
+        if (this.onService) {
+            this.onService({
+                name: instance.name,
+                instance: instance.instance,
+                host: instance.srv.target,
+                address: host.address,
+                port: instance.srv.port,
+                txt: instance.txt
+            });
+        }
+    }
+
+    remove(key) {
+        const instance = this.instances.get(key);
+        if (!instance) return;
+
+        this.instances.delete(key);
+        if (instance.reported && this.onServiceRemoved) {
+            this.onServiceRemoved({ name: instance.name, instance: instance.instance });
+        }
+    }
+
+    expire() {
+        const now = Date.now();
+        for (const [key, instance] of this.instances) {
+            if (instance.expires <= now) this.remove(key);
+        }
+        for (const [key, host] of this.hosts) {
+            if (host.expires <= now) this.hosts.delete(key);
+        }
+        this.asked.clear();
+    }
+}
+
+module.exports = {
+    buildQuery,
+    parseResponse,
+    MDNSBrowser
+};
@@ -0,0 +1,325 @@
+// Program mixer: sums several subscribed streams into one mix
+//
+// Each input writes its decoded packets into a ring buffer at the position
+// given by its RTP timestamp, so inputs line up sample by sample however their
+// packets arrive. Streams that publish their media clock offset (a=mediaclk:
+// direct=, i.e. PTP-locked sources) share one anchor and are mixed in media
+// clock alignment; other inputs are anchored on their first packet. Audio is
+// played `latencyMs` after it is anchored, which absorbs network jitter.
+//
+// A packet that arrives too late or too far ahead re-anchors its input (a
+// "resync", e.g. after a source restart or when source and host clocks have
+// drifted apart by the latency). Missing audio plays as silence.
+//
+// The summed mix goes through a peak limiter with instant attack that keeps
+// it below `ceilingDb`; with the limiter off, samples over full scale are
+// counted and hard clipped on encoding.
+
+const sampleFormat = require('./sample-format');
+
+const ENCODINGS = ['L16', 'L24', 'L32'];
+const MIN_RING_MS = 200;
+const LIMITER_RELEASE_MS = 100;
+const LATE_RUN_RESYNC = 10;           // Late packets in a row that make an input resync
+const MAX_CATCHUP_BLOCKS = 20;        // Blocks rendered in one tick before the clock is restarted
+
+// Gains of -Infinity dB (silence) come back from JSON as null
+function dbToGain(db) {
+    const value = db === null ? -Infinity : parseFloat(db);
+    return Number.isFinite(value) ? Math.pow(10, value / 20) : 0;
+}
+
+function gainToDb(gain) {
+    return gain > 0 ? Math.round(2000 * Math.log10(gain)) / 100 : -Infinity;
+}
+
+// Media clock offset from the registry's mediaClk value ("direct=<offset>")
+function mediaClockOffset(stream) {
+    const match = /^direct=(\d+)/.exec(String(stream.mediaClk || ''));
+    return match ? parseInt(match[1]) : null;
+}
+
+class Mixer {
+    constructor(options) {
+        const encoding = options.encoding || 'L24';
+        if (!ENCODINGS.includes(encoding)) {
+            throw new Error(`Unsupported encoding: ${encoding}`);
+        }
+        const channels = parseInt(options.channels) || 2;
+        if (channels < 1 || channels > 64) {
+            throw new Error(`Invalid channel count: ${options.channels}`);
+        }
+
+        this.id = options.id;
+        this.name = options.name || options.id;
+        this.channels = channels;
+        this.sampleRate = parseInt(options.sampleRate) || 48000;
+        this.encoding = encoding;
+        this.ptime = parseFloat(options.ptime) || 1;
+        this.latencyMs = options.latencyMs !== undefined ? Math.max(0, parseFloat(options.latencyMs) || 0) : 20;
+        this.limiter = options.limiter !== false;
+        const ceilingDb = parseFloat(options.ceilingDb);
+        this.ceiling = dbToGain(Number.isFinite(ceilingDb) ? ceilingDb : -0.3);
+        this.onAudio = options.onAudio || null;        // Called with each rendered block as network PCM
+        this.clock = options.clock || (() => process.hrtime.bigint());
+
+        this.latencyFrames = Math.round((this.latencyMs * this.sampleRate) / 1000);
+        this.blockFrames = Math.max(1, Math.round((this.sampleRate * this.ptime) / 1000));
+        this.ringFrames = Math.max(Math.round((MIN_RING_MS * this.sampleRate) / 1000), this.latencyFrames * 4);
+        this.release = 1 - Math.exp(-1000 / (LIMITER_RELEASE_MS * this.sampleRate));
+
+        this.inputs = new Map();
+        this.position = 0;                  // Mix frames rendered so far
+        this.mediaAnchor = null;            // { position, media } shared by media-clock-aligned inputs
+        this.limiterGain = 1;
+        this.minLimiterGain = 1;            // Deepest gain reduction since the last status
+        this.clippedSamples = 0;
+        this.timer = null;
+    }
+
+    // Render on the mixer's own clock; not needed while an output stream pulls the mix
+    start() {
+        this.startTime = this.clock();
+        this.startPosition = this.position;
+        this.timer = setInterval(() => this.tick(), 5);
+    }
+
+    tick() {
+        const now = this.clock();
+        let due = this.startPosition + Number(((now - this.startTime) * BigInt(this.sampleRate)) / 1000000000n);
+        if (due - this.position > MAX_CATCHUP_BLOCKS * this.blockFrames) {
+            // Event loop stalled: render what we can and restart the clock from there
+            due = this.position + MAX_CATCHUP_BLOCKS * this.blockFrames;
+            this.startTime = now;
+            this.startPosition = due;
+        }
+        while (this.timer && this.position + this.blockFrames <= due) {
+            this.render(this.blockFrames);
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Add an input or update its settings: { gainDb, mute, channelGainsDb, channelMutes }
+    setInput(subscriptionId, stream, settings) {
+        if (stream.sampleRate !== this.sampleRate) {
+            throw new Error(`Sample rate mismatch: ${stream.sampleRate} Hz input, ${this.sampleRate} Hz mix`);
+        }
+
+        let input = this.inputs.get(subscriptionId);
+        if (!input) {
+            input = {
+                subscriptionId: subscriptionId,
+                streamName: stream.name,
+                channels: stream.channels,
+                mediaClockOffset: mediaClockOffset(stream),
+                ring: new Float64Array(this.ringFrames * stream.channels),
+                gain: 1,
+                mute: false,
+                channelGains: new Array(stream.channels).fill(1),
+                channelMutes: new Array(stream.channels).fill(false),
+                anchor: null,               // { timestamp, position } of the last accepted packet
+                packets: 0,
+                latePackets: 0,
+                lateRun: 0,
+                resyncs: 0
+            };
+            this.inputs.set(subscriptionId, input);
+        }
+
+        if (settings.gainDb !== undefined) input.gain = dbToGain(settings.gainDb);
+        if (settings.mute !== undefined) input.mute = !!settings.mute;
+        if (Array.isArray(settings.channelGainsDb)) {
+            settings.channelGainsDb.slice(0, input.channels).forEach((db, ch) => { input.channelGains[ch] = dbToGain(db); });
+        }
+        if (Array.isArray(settings.channelMutes)) {
+            settings.channelMutes.slice(0, input.channels).forEach((mute, ch) => { input.channelMutes[ch] = !!mute; });
+        }
+        return input;
+    }
+
+    removeInput(subscriptionId) {
+        return this.inputs.delete(subscriptionId);
+    }
+
+    // Mix position of an input's first packet, or after a resync
+    anchor(input, timestamp, frames) {
+        const arrival = this.position + this.latencyFrames;
+        if (input.mediaClockOffset === null) return arrival;
+
+        const media = (timestamp - input.mediaClockOffset) >>> 0;
+        if (this.mediaAnchor) {
+            const position = this.mediaAnchor.position + ((media - this.mediaAnchor.media) | 0);
+            if (position >= this.position && position + frames <= this.position + this.ringFrames) {
+                return position;
+            }
+        }
+
+        // First media-clock input, or one that no longer fits: move them all to keep them aligned
+        this.mediaAnchor = { position: arrival, media: media };
+        for (const other of this.inputs.values()) {
+            if (other !== input && other.mediaClockOffset !== null) other.anchor = null;
+        }
+        return arrival;
+    }
+
+    // Place an input's decoded packet (interleaved normalized samples) by its RTP timestamp
+    write(subscriptionId, samples, timestamp) {
+        const input = this.inputs.get(subscriptionId);
+        if (!input) return;
+
+        const channels = input.channels;
+        const frames = Math.floor(samples.length / channels);
+        input.packets++;
+
+        let position = input.anchor ? input.anchor.position + ((timestamp - input.anchor.timestamp) | 0) : null;
+        if (position === null || position + frames > this.position + this.ringFrames ||
+            position + frames <= this.position - this.ringFrames) {
+            if (input.anchor) input.resyncs++;
+            position = this.anchor(input, timestamp, frames);
+        } else if (position + frames <= this.position) {
+            input.latePackets++;
+            input.lateRun++;
+            if (input.lateRun >= LATE_RUN_RESYNC) {
+                // Consistently late: the source clock is slower than ours
+                input.resyncs++;
+                input.lateRun = 0;
+                input.anchor = null;
+            }
+            return;
+        }
+        input.lateRun = 0;
+        input.anchor = { timestamp: timestamp, position: position };
+
+        // Skip the part of the packet that is already played
+        const skip = Math.max(0, this.position - position);
+        for (let i = skip; i < frames; i++) {
+            const slot = ((position + i) % this.ringFrames) * channels;
+            for (let ch = 0; ch < channels; ch++) {
+                input.ring[slot + ch] = samples[i * channels + ch];
+            }
+        }
+    }
+
+    // Produce the next `frames` of the mix as interleaved normalized samples
+    render(frames) {
+        const channels = this.channels;
+        const mix = new Float64Array(frames * channels);
+
+        for (const input of this.inputs.values()) {
+            const inputChannels = input.channels;
+            for (let i = 0; i < frames; i++) {
+                const slot = ((this.position + i) % this.ringFrames) * inputChannels;
+                if (!input.mute) {
+                    for (let ch = 0; ch < inputChannels; ch++) {
+                        if (input.channelMutes[ch]) continue;
+                        const value = input.ring[slot + ch] * input.gain * input.channelGains[ch];
+                        if (inputChannels === 1) {
+                            // Mono inputs feed every mix channel
+                            for (let out = 0; out < channels; out++) mix[i * channels + out] += value;
+                        } else if (ch < channels) {
+                            mix[i * channels + ch] += value;
+                        }
+                    }
+                }
+                input.ring.fill(0, slot, slot + inputChannels);
+            }
+        }
+        this.position += frames;
+
+        this.protect(mix, frames);
+        if (this.onAudio) {
+            this.onAudio(sampleFormat.encodeNetwork(mix, this.encoding));
+        }
+        return mix;
+    }
+
+    // Limit the mix to the ceiling, or count what will clip
+    protect(mix, frames) {
+        const channels = this.channels;
+        for (let i = 0; i < frames; i++) {
+            let peak = 0;
+            for (let ch = 0; ch < channels; ch++) {
+                peak = Math.max(peak, Math.abs(mix[i * channels + ch]));
+            }
+
+            if (!this.limiter) {
+                for (let ch = 0; ch < channels; ch++) {
+                    if (Math.abs(mix[i * channels + ch]) > 1) this.clippedSamples++;
+                }
+                continue;
+            }
+
+            this.limiterGain += (1 - this.limiterGain) * this.release;
+            if (peak * this.limiterGain > this.ceiling) {
+                this.limiterGain = this.ceiling / peak;
+            }
+            if (this.limiterGain < this.minLimiterGain) this.minLimiterGain = this.limiterGain;
+            if (this.limiterGain < 1) {
+                for (let ch = 0; ch < channels; ch++) mix[i * channels + ch] *= this.limiterGain;
+            }
+        }
+    }
+
+    // What it takes to build this mixer and its inputs again
+    getSettings() {
+        return {
+            id: this.id,
+            name: this.name,
+            channels: this.channels,
+            sampleRate: this.sampleRate,
+            encoding: this.encoding,
+            ptime: this.ptime,
+            latencyMs: this.latencyMs,
+            limiter: this.limiter,
+            ceilingDb: gainToDb(this.ceiling),
+            inputs: Array.from(this.inputs.values()).map(input => ({
+                subscriptionId: input.subscriptionId,
+                gainDb: gainToDb(input.gain),
+                mute: input.mute,
+                channelGainsDb: input.channelGains.map(gainToDb),
+                channelMutes: input.channelMutes.slice()
+            }))
+        };
+    }
+
+    getStatus() {
+        const status = {
+            id: this.id,
+            name: this.name,
+            channels: this.channels,
+            sampleRate: this.sampleRate,
+            encoding: this.encoding,
+            ptime: this.ptime,
+            latencyMs: this.latencyMs,
+            limiter: this.limiter,
+            ceilingDb: gainToDb(this.ceiling),
+            gainReductionDb: this.limiter ? -gainToDb(this.minLimiterGain) : 0,
+            clippedSamples: this.clippedSamples,
+            inputs: Array.from(this.inputs.values()).map(input => ({
+                subscriptionId: input.subscriptionId,
+                streamName: input.streamName,
+                channels: input.channels,
+                gainDb: gainToDb(input.gain),
+                mute: input.mute,
+                channelGainsDb: input.channelGains.map(gainToDb),
+                channelMutes: input.channelMutes.slice(),
+                mediaClockAligned: input.mediaClockOffset !== null,
+                packets: input.packets,
+                latePackets: input.latePackets,
+                resyncs: input.resyncs
+            }))
+        };
+        this.minLimiterGain = this.limiterGain;
+        return status;
+    }
+}
+
+module.exports = {
+    Mixer
+};
@@ -0,0 +1,329 @@
+// NMOS IS-05 Connection API state of one RTP receiver
+//
+// Controllers PATCH parameters into `staged` and activate them either at once
+// or at a scheduled TAI time, given as an absolute time or relative to the
+// request. `active` holds the parameters of the last activation. A receiver
+// takes an SDP transport file, RTP transport parameters, or both. Parameters
+// that are set override the file's values, and 'auto' or null ones are taken
+// from the file. Activation hands the result to the receiver's `activate`
+// callback. While a scheduled activation is pending, the staged parameters are
+// locked; the only change allowed is cancelling it with activation mode null.
+
+const { parseStreamDescription } = require('./sdp');
+
+const TAI_OFFSET_MS = 37000;
+const TRANSPORT_TYPE = 'urn:x-nmos:transport:rtp';
+const STAGED_KEYS = ['sender_id', 'master_enable', 'activation', 'transport_file', 'transport_params'];
+const ACTIVATION_MODES = [null, 'activate_immediate', 'activate_scheduled_absolute', 'activate_scheduled_relative'];
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const IPV4 = /^\d{1,3}(\.\d{1,3}){3}$/;
+const TIME = /^\d+:\d+$/;
+const MAX_TIMEOUT_MS = 0x7FFFFFFF;     // Longest delay setTimeout takes
+
+// An invalid request, answered with its status code
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function emptyActivation() {
+    return { mode: null, requested_time: null, activation_time: null };
+}
+
+function defaultParams() {
+    return { source_ip: null, multicast_ip: null, interface_ip: 'auto', destination_port: 'auto', rtp_enabled: true };
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// TAI "<seconds>:<nanoseconds>" <-> milliseconds
+function parseTime(time) {
+    const [seconds, nanoseconds] = time.split(':');
+    return parseInt(seconds) * 1000 + Math.floor(parseInt(nanoseconds) / 1000000);
+}
+
+function formatTime(ms) {
+    return `${Math.floor(ms / 1000)}:${(ms % 1000) * 1000000}`;
+}
+
+function nowTAI() {
+    return Date.now() + TAI_OFFSET_MS;
+}
+
+class ReceiverConnection {
+    // options: { interfaceIP, encodings, enabled, activate(settings), getTransportParams(), onChange }
+    constructor(options) {
+        this.interfaceIP = options.interfaceIP;
+        this.encodings = options.encodings;
+        this.activateReceiver = options.activate;
+        this.getTransportParams = options.getTransportParams;
+        this.onChange = options.onChange || null;
+
+        this.staged = {
+            sender_id: null,
+            master_enable: true,
+            activation: emptyActivation(),
+            transport_file: { data: null, type: null },
+            transport_params: [defaultParams()]
+        };
+        this.active = {
+            sender_id: null,
+            master_enable: !!options.enabled,
+            activation: emptyActivation(),
+            transport_file: { data: null, type: null },
+            transport_params: [defaultParams()]
+        };
+        this.timer = null;
+    }
+
+    get transportType() {
+        return TRANSPORT_TYPE;
+    }
+
+    getConstraints() {
+        return [{
+            source_ip: {},
+            multicast_ip: {},
+            interface_ip: { enum: ['auto', this.interfaceIP] },
+            destination_port: {},
+            rtp_enabled: {}
+        }];
+    }
+
+    getStaged() {
+        return clone(this.staged);
+    }
+
+    // What the receiver actually uses, with 'auto' values resolved
+    getActive() {
+        const active = clone(this.active);
+        active.transport_params[0] = Object.assign(active.transport_params[0], this.getTransportParams(),
+            { interface_ip: this.interfaceIP });
+        return active;
+    }
+
+    // Apply a PATCH to the staged parameters; resolves to { status, body }
+    async patch(body) {
+        if (!isObject(body)) {
+            throw new RequestError(400, 'Staged parameters must be an object');
+        }
+        const unknown = Object.keys(body).filter(key => !STAGED_KEYS.includes(key));
+        if (unknown.length > 0) {
+            throw new RequestError(400, `Unknown parameter ${unknown[0]}`);
+        }
+        const activation = body.activation;
+        if (this.timer && !(isObject(activation) && activation.mode === null)) {
+            throw new RequestError(423, 'A scheduled activation is pending');
+        }
+
+        const staged = clone(this.staged);
+        if (body.sender_id !== undefined) {
+            if (body.sender_id !== null && !UUID.test(String(body.sender_id))) {
+                throw new RequestError(400, `Invalid sender_id: ${body.sender_id}`);
+            }
+            staged.sender_id = body.sender_id;
+        }
+        if (body.master_enable !== undefined) {
+            if (typeof body.master_enable !== 'boolean') {
+                throw new RequestError(400, 'master_enable must be a boolean');
+            }
+            staged.master_enable = body.master_enable;
+        }
+        if (body.transport_file !== undefined) {
+            staged.transport_file = this.validateTransportFile(body.transport_file);
+        }
+        if (body.transport_params !== undefined) {
+            staged.transport_params = this.validateTransportParams(body.transport_params, staged.transport_params);
+        }
+        if (activation !== undefined) {
+            this.validateActivation(activation);
+        }
+        this.staged = staged;
+
+        if (activation === undefined) {
+            return { status: 200, body: this.getStaged() };
+        }
+
+        if (activation.mode === null) {
+            this.cancel();
+            return { status: 200, body: this.getStaged() };
+        }
+
+        if (activation.mode === 'activate_immediate') {
+            const done = await this.activate({ mode: activation.mode, requested_time: null });
+            return { status: 200, body: Object.assign(this.getStaged(), { activation: done }) };
+        }
+
+        const now = nowTAI();
+        const at = activation.mode === 'activate_scheduled_absolute' ?
+            parseTime(activation.requested_time) : now + parseTime(activation.requested_time);
+        this.staged.activation = {
+            mode: activation.mode,
+            requested_time: activation.requested_time,
+            activation_time: formatTime(at)
+        };
+        this.schedule(at);
+        return { status: 202, body: this.getStaged() };
+    }
+
+    // Activate at TAI time `at`, waiting in steps setTimeout can take
+    schedule(at) {
+        const wait = Math.max(0, at - nowTAI());
+        this.timer = setTimeout(() => {
+            if (wait > MAX_TIMEOUT_MS) {
+                this.schedule(at);
+                return;
+            }
+            this.timer = null;
+            // The receiver reports its own failures
+            this.activate(this.staged.activation).catch(() => {});
+        }, Math.min(wait, MAX_TIMEOUT_MS));
+    }
+
+    validateTransportFile(file) {
+        if (!isObject(file)) {
+            throw new RequestError(400, 'transport_file must be an object');
+        }
+        if (file.data === null || file.data === undefined) {
+            return { data: null, type: null };
+        }
+        if (file.type !== 'application/sdp') {
+            throw new RequestError(400, `Unsupported transport file type: ${file.type}`);
+        }
+
+        let description;
+        try {
+            description = parseStreamDescription(String(file.data));
+        } catch (err) {
+            throw new RequestError(400, `Invalid transport file: ${err.message}`);
+        }
+        if (!this.encodings.includes(description.encoding)) {
+            throw new RequestError(400, `Unsupported encoding in transport file: ${description.encoding}`);
+        }
+        return { data: String(file.data), type: file.type };
+    }
+
+    // Legs are merged into the staged ones, parameter by parameter
+    validateTransportParams(legs, current) {
+        if (!Array.isArray(legs) || legs.length !== current.length) {
+            throw new RequestError(400, `transport_params must have ${current.length} leg`);
+        }
+        return legs.map((leg, index) => {
+            if (!isObject(leg)) {
+                throw new RequestError(400, 'Transport parameters must be objects');
+            }
+            const merged = Object.assign({}, current[index]);
+            Object.keys(leg).forEach(name => {
+                const value = leg[name];
+                let valid;
+                switch (name) {
+                    case 'source_ip':
+                    case 'multicast_ip':
+                        valid = value === null || IPV4.test(String(value));
+                        break;
+                    case 'interface_ip':
+                        valid = value === 'auto' || value === this.interfaceIP;
+                        break;
+                    case 'destination_port':
+                        valid = value === 'auto' || (Number.isInteger(value) && value > 0 && value <= 65535);
+                        break;
+                    case 'rtp_enabled':
+                        valid = typeof value === 'boolean';
+                        break;
+                    default:
+                        throw new RequestError(400, `Unknown transport parameter ${name}`);
+                }
+                if (!valid) {
+                    throw new RequestError(400, `Invalid ${name}: ${value}`);
+                }
+                merged[name] = value;
+            });
+            return merged;
+        });
+    }
+
+    validateActivation(activation) {
+        if (!isObject(activation) || !ACTIVATION_MODES.includes(activation.mode)) {
+            throw new RequestError(400, `Invalid activation mode: ${isObject(activation) ? activation.mode : activation}`);
+        }
+        const scheduled = activation.mode === 'activate_scheduled_absolute' || activation.mode === 'activate_scheduled_relative';
+        if (scheduled && !TIME.test(String(activation.requested_time))) {
+            throw new RequestError(400, `Invalid requested_time: ${activation.requested_time}`);
+        }
+    }
+
+    // Hand the staged parameters to the receiver; resolves to the activation that took place
+    async activate(activation) {
+        const staged = clone(this.staged);
+        const params = staged.transport_params[0];
+        this.staged.activation = emptyActivation();
+        try {
+            await this.activateReceiver({
+                senderId: staged.sender_id,
+                enabled: staged.master_enable && params.rtp_enabled,
+                description: staged.transport_file.data ? parseStreamDescription(staged.transport_file.data) : null,
+                transportParams: params
+            });
+        } catch (err) {
+            throw new RequestError(500, `Activation failed: ${err.message}`);
+        }
+
+        const done = {
+            mode: activation.mode,
+            requested_time: activation.requested_time,
+            activation_time: formatTime(nowTAI())
+        };
+        this.active = {
+            sender_id: staged.sender_id,
+            master_enable: staged.master_enable,
+            activation: done,
+            transport_file: staged.transport_file,
+            transport_params: staged.transport_params
+        };
+        this.changed();
+        return clone(done);
+    }
+
+    cancel() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.staged.activation = emptyActivation();
+    }
+
+    // The receiver was connected by other means than IS-05, e.g. a subscribe message
+    setActive(enabled) {
+        this.active = {
+            sender_id: null,
+            master_enable: enabled,
+            activation: emptyActivation(),
+            transport_file: { data: null, type: null },
+            transport_params: [defaultParams()]
+        };
+        this.changed();
+    }
+
+    changed() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    stop() {
+        this.cancel();
+    }
+}
+
+module.exports = {
+    ReceiverConnection,
+    RequestError
+};
@@ -0,0 +1,680 @@
+// NMOS IS-04 node: the package's senders, receivers and routers as NMOS resources
+//
+// Sender, receiver and router nodes each describe themselves as a device with
+// addDevice(). Devices are kept in this module, so all node types share them.
+// An NMOSNode serves them over the IS-04 Node API at
+// http://<address>:<port>/x-nmos/node/v1.3/, with each sender's SDP served as its
+// manifest. Receivers that come with a ReceiverConnection can be connected with
+// the IS-05 Connection API at /x-nmos/connection/v1.1/. Given a registry, the
+// NMOSNode also registers the resources with the IS-04 Registration API and
+// sends a heartbeat every HEARTBEAT_MS. A heartbeat answered with 404 means the
+// registry has forgotten the node (e.g. after a restart), so everything is
+// registered again. Only one NMOSNode runs at a time.
+//
+// Resource ids are name-based UUIDs of the Node-RED node ids, so they survive
+// deploys and restarts. A resource gets a new version when its content changes;
+// devices report such changes with deviceChanged().
+
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const crypto = require('crypto');
+const { RequestError } = require('./nmos-connection');
+
+const API_VERSION = 'v1.3';
+const CONNECTION_API_VERSION = 'v1.1';
+const HEARTBEAT_MS = 5000;
+const UPDATE_DELAY_MS = 100;
+const REQUEST_TIMEOUT_MS = 2000;
+const MAX_BODY_BYTES = 65536;
+const TAI_OFFSET_S = 37;                   // IS-04 versions are TAI timestamps
+const RESOURCE_TYPES = ['node', 'device', 'source', 'flow', 'sender', 'receiver'];
+const RAW_ENCODINGS = { L16: 16, L24: 24 };      // Linear PCM flows with a registered media type
+
+const devices = new Map();                 // Node-RED node id -> device description
+let activeNode = null;
+let lastVersion = { seconds: 0, nanoseconds: 0 };
+
+// Name-based (version 5 style) UUID from the seeds
+function resourceId(...seeds) {
+    const hash = crypto.createHash('sha1').update(`aes67-router:${seeds.join('/')}`).digest();
+    hash[6] = (hash[6] & 0x0F) | 0x50;
+    hash[8] = (hash[8] & 0x3F) | 0x80;
+    const hex = hash.toString('hex', 0, 16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// "<seconds>:<nanoseconds>", later than any version handed out before
+function nextVersion() {
+    const now = Date.now();
+    let seconds = Math.floor(now / 1000) + TAI_OFFSET_S;
+    let nanoseconds = (now % 1000) * 1000000;
+    if (seconds < lastVersion.seconds || (seconds === lastVersion.seconds && nanoseconds <= lastVersion.nanoseconds)) {
+        seconds = lastVersion.seconds;
+        nanoseconds = lastVersion.nanoseconds + 1;
+        if (nanoseconds >= 1000000000) {
+            seconds++;
+            nanoseconds = 0;
+        }
+    }
+    lastVersion = { seconds: seconds, nanoseconds: nanoseconds };
+    return `${seconds}:${nanoseconds}`;
+}
+
+// description: { label, description, getSenders(), getReceivers() }
+//   sender: { key, label, description, encoding, sampleRate, channels, destIP, active, getSDP() }
+//   receiver: { key, label, description, encodings, active, senderId, connection }
+function addDevice(id, description) {
+    devices.set(id, description);
+    deviceChanged();
+}
+
+function removeDevice(id) {
+    if (devices.delete(id)) {
+        deviceChanged();
+    }
+}
+
+function deviceChanged() {
+    if (activeNode) {
+        activeNode.update();
+    }
+}
+
+function isMulticast(ip) {
+    const first = parseInt(String(ip).split('.')[0]);
+    return first >= 224 && first <= 239;
+}
+
+function mediaType(encoding) {
+    return `audio/${encoding}`;
+}
+
+// Network interface that has `address`, as { name, mac }
+function findInterface(address) {
+    const interfaces = os.networkInterfaces();
+    for (const name of Object.keys(interfaces)) {
+        for (const iface of interfaces[name] || []) {
+            if (iface.family === 'IPv4' && iface.address === address) {
+                return { name: name, mac: iface.mac };
+            }
+        }
+    }
+    return { name: 'eth0', mac: '00:00:00:00:00:00' };
+}
+
+// One HTTP(S) request with a JSON body; resolves to { status, body }
+function requestJSON(method, url, body) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const data = body !== undefined ? JSON.stringify(body) : null;
+        const headers = { Accept: 'application/json' };
+        if (data !== null) {
+            headers['Content-Type'] = 'application/json';
+            headers['Content-Length'] = Buffer.byteLength(data);
+        }
+
+        const request = client.request(url, { method: method, headers: headers, timeout: REQUEST_TIMEOUT_MS }, (response) => {
+            const chunks = [];
+            response.on('data', (chunk) => chunks.push(chunk));
+            response.on('end', () => {
+                let parsed = null;
+                try {
+                    parsed = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                } catch (e) {}
+                resolve({ status: response.statusCode, body: parsed });
+            });
+        });
+        request.on('timeout', () => request.destroy(new Error(`Timed out on ${method} ${url}`)));
+        request.on('error', reject);
+        request.end(data);
+    });
+}
+
+class NMOSNode {
+    // options: { id, label, address, port, registry }
+    constructor(node, options) {
+        this.node = node;
+        this.id = resourceId('node', options.id);
+        this.label = options.label || os.hostname();
+        this.address = options.address;
+        this.port = parseInt(options.port) || 0;
+        this.registry = options.registry ? registrationUrl(options.registry) : null;
+        this.iface = findInterface(this.address);
+
+        this.server = null;
+        this.resources = [];               // In registration order: parents before children
+        this.byId = new Map();             // id -> { type, data, getSDP, connection }
+        this.versions = new Map();         // id -> { content, version }
+        this.updateTimer = null;
+        this.heartbeatTimer = null;
+        this.registered = new Map();       // id -> { type, version } as the registry has it
+        this.syncing = Promise.resolve();  // Registry updates run one after another
+        this.registryError = null;
+    }
+
+    start() {
+        if (activeNode) {
+            return Promise.reject(new Error(`NMOS node already running on port ${activeNode.port}`));
+        }
+        activeNode = this;
+
+        return new Promise((resolve, reject) => {
+            const server = http.createServer((req, res) => this.handleRequest(req, res));
+            server.once('error', (err) => {
+                activeNode = null;
+                reject(err);
+            });
+            server.listen(this.port, () => {
+                if (activeNode !== this) {
+                    // Stopped while starting
+                    server.close();
+                    resolve();
+                    return;
+                }
+                server.removeAllListeners('error');
+                server.on('error', (err) => this.node.warn(`NMOS server error: ${err.message}`));
+                this.server = server;
+                this.port = server.address().port;
+                this.build();
+
+                if (this.registry) {
+                    this.sync();
+                    this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_MS);
+                }
+                resolve();
+            });
+        });
+    }
+
+    // Stop serving and withdraw the resources from the registry
+    stop() {
+        clearTimeout(this.updateTimer);
+        clearInterval(this.heartbeatTimer);
+        this.updateTimer = null;
+        this.heartbeatTimer = null;
+        if (activeNode === this) {
+            activeNode = null;
+        }
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+        if (!this.registry) {
+            return Promise.resolve();
+        }
+
+        this.resources = [];
+        this.byId.clear();
+        return this.queueSync();
+    }
+
+    get href() {
+        return `http://${this.address}:${this.port}/`;
+    }
+
+    // Rebuild the resources soon, and register what changed
+    update() {
+        if (this.updateTimer) return;
+        this.updateTimer = setTimeout(() => {
+            this.updateTimer = null;
+            this.build();
+            if (this.registry) this.sync();
+        }, UPDATE_DELAY_MS);
+    }
+
+    build() {
+        const resources = [];
+        const versions = new Map();
+        const add = (resource) => {
+            // A resource keeps its version while its content stays the same
+            const content = JSON.stringify(resource.data);
+            const known = this.versions.get(resource.data.id);
+            const version = known && known.content === content ? known.version : nextVersion();
+            versions.set(resource.data.id, { content: content, version: version });
+            resources.push(Object.assign({}, resource, { data: Object.assign({ id: resource.data.id, version: version }, resource.data) }));
+        };
+
+        add({ type: 'node', data: this.describeNode() });
+        for (const [ownerId, device] of devices) {
+            this.describeDevice(ownerId, device).forEach(add);
+        }
+
+        this.versions = versions;
+        this.resources = resources;
+        this.byId = new Map(resources.map(resource => [resource.data.id, resource]));
+    }
+
+    describeNode() {
+        return {
+            id: this.id,
+            label: this.label,
+            description: 'Node-RED AES67',
+            tags: {},
+            href: this.href,
+            hostname: os.hostname(),
+            api: {
+                versions: [API_VERSION],
+                endpoints: [{ host: this.address, port: this.port, protocol: 'http' }]
+            },
+            caps: {},
+            services: [],
+            clocks: [{ name: 'clk0', ref_type: 'internal' }],
+            interfaces: [{ name: this.iface.name, chassis_id: null, port_id: this.iface.mac.replace(/:/g, '-').toLowerCase() }]
+        };
+    }
+
+    // The device of one Node-RED node with its sources, flows, senders and receivers
+    describeDevice(ownerId, device) {
+        const deviceId = resourceId('device', ownerId);
+        const senders = list(device.getSenders);
+        const receivers = list(device.getReceivers);
+        const resources = [{
+            type: 'device',
+            data: {
+                id: deviceId,
+                label: device.label,
+                description: device.description || '',
+                tags: {},
+                type: 'urn:x-nmos:device:generic',
+                node_id: this.id,
+                senders: senders.map(sender => resourceId('sender', ownerId, sender.key)),
+                receivers: receivers.map(receiver => resourceId('receiver', ownerId, receiver.key)),
+                controls: receivers.some(receiver => receiver.connection) ? [{
+                    type: 'urn:x-nmos:control:sr-ctrl/v1.1',
+                    href: `${this.href}x-nmos/connection/${CONNECTION_API_VERSION}/`
+                }] : []
+            }
+        }];
+
+        senders.forEach(sender => {
+            const sourceId = resourceId('source', ownerId, sender.key);
+            const flowId = resourceId('flow', ownerId, sender.key);
+            const senderId = resourceId('sender', ownerId, sender.key);
+            const channels = [];
+            for (let ch = 1; ch <= sender.channels; ch++) {
+                channels.push({ label: `Channel ${ch}` });
+            }
+            const flow = {
+                id: flowId,
+                label: sender.label,
+                description: sender.description || '',
+                tags: {},
+                format: 'urn:x-nmos:format:audio',
+                source_id: sourceId,
+                device_id: deviceId,
+                parents: [],
+                sample_rate: { numerator: sender.sampleRate },
+                media_type: mediaType(sender.encoding)
+            };
+            if (RAW_ENCODINGS[sender.encoding]) {
+                flow.bit_depth = RAW_ENCODINGS[sender.encoding];
+            }
+
+            resources.push({
+                type: 'source',
+                data: {
+                    id: sourceId,
+                    label: sender.label,
+                    description: sender.description || '',
+                    tags: {},
+                    format: 'urn:x-nmos:format:audio',
+                    caps: {},
+                    device_id: deviceId,
+                    parents: [],
+                    clock_name: 'clk0',
+                    channels: channels
+                }
+            }, { type: 'flow', data: flow }, {
+                type: 'sender',
+                getSDP: sender.getSDP,         // Served as the manifest
+                data: {
+                    id: senderId,
+                    label: sender.label,
+                    description: sender.description || '',
+                    tags: {},
+                    flow_id: flowId,
+                    transport: isMulticast(sender.destIP) ? 'urn:x-nmos:transport:rtp.mcast' : 'urn:x-nmos:transport:rtp.ucast',
+                    device_id: deviceId,
+                    manifest_href: `${this.href}x-manifest/senders/${senderId}/manifest.sdp`,
+                    interface_bindings: [this.iface.name],
+                    subscription: { receiver_id: null, active: !!sender.active }
+                }
+            });
+        });
+
+        receivers.forEach(receiver => {
+            resources.push({
+                type: 'receiver',
+                connection: receiver.connection || null,
+                data: {
+                    id: resourceId('receiver', ownerId, receiver.key),
+                    label: receiver.label,
+                    description: receiver.description || '',
+                    tags: {},
+                    format: 'urn:x-nmos:format:audio',
+                    caps: { media_types: receiver.encodings.map(mediaType) },
+                    device_id: deviceId,
+                    transport: 'urn:x-nmos:transport:rtp',
+                    interface_bindings: [this.iface.name],
+                    subscription: { sender_id: receiver.senderId || null, active: !!receiver.active }
+                }
+            });
+        });
+
+        return resources;
+    }
+
+    handleRequest(req, res) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, PATCH, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(200);
+            res.end();
+            return;
+        }
+        if (!['GET', 'HEAD', 'PATCH', 'POST'].includes(req.method)) {
+            sendError(res, 405, `Method ${req.method} not allowed`);
+            return;
+        }
+
+        const parts = new URL(req.url, 'http://localhost').pathname.split('/').filter(Boolean);
+        readBody(req).then(body => this.route(req.method, parts, body)).then(reply => {
+            if (reply.type) {
+                res.writeHead(reply.status, { 'Content-Type': reply.type });
+                res.end(reply.body);
+            } else {
+                sendJSON(res, reply.status, reply.body);
+            }
+        }).catch(err => {
+            sendError(res, err.status || 500, err.message);
+        });
+    }
+
+    // Reply to a request as { status, body[, type] }; rejects with an error that may carry a status
+    async route(method, parts, body) {
+        const read = method === 'GET' || method === 'HEAD';
+        if (parts[0] === 'x-nmos' && parts[1] === 'connection') {
+            return this.connectionAPI(method, parts.slice(2), body);
+        }
+        if (!read) {
+            throw new RequestError(405, `Method ${method} not allowed`);
+        }
+        if (parts.length === 0) {
+            return reply(['x-nmos/']);
+        }
+        if (parts[0] === 'x-manifest') {
+            return this.manifest(parts.slice(1));
+        }
+        if (parts[0] !== 'x-nmos') {
+            throw new RequestError(404, 'Not found');
+        }
+        if (parts.length === 1) {
+            return reply(['node/', 'connection/']);
+        }
+        if (parts[1] === 'node') {
+            return this.nodeAPI(parts.slice(2));
+        }
+        throw new RequestError(404, `No ${parts[1]} API`);
+    }
+
+    // /x-nmos/node/v1.3/{self,devices,sources,flows,senders,receivers}[/{id}]
+    nodeAPI(parts) {
+        if (parts.length === 0) {
+            return reply([`${API_VERSION}/`]);
+        }
+        if (parts[0] !== API_VERSION) {
+            throw new RequestError(404, `API version ${parts[0]} not supported`);
+        }
+        if (parts.length === 1) {
+            return reply(['self/', 'devices/', 'sources/', 'flows/', 'senders/', 'receivers/']);
+        }
+        if (parts[1] === 'self' && parts.length === 2) {
+            return reply(this.resources[0].data);
+        }
+
+        const type = parts[1].replace(/s$/, '');
+        if (type === 'node' || !RESOURCE_TYPES.includes(type) || parts.length > 3) {
+            throw new RequestError(404, 'Not found');
+        }
+        if (parts.length === 2) {
+            return reply(this.resources.filter(resource => resource.type === type).map(resource => resource.data));
+        }
+        const resource = this.byId.get(parts[2]);
+        if (!resource || resource.type !== type) {
+            throw new RequestError(404, `No ${type} ${parts[2]}`);
+        }
+        return reply(resource.data);
+    }
+
+    // /x-manifest/senders/{id}/manifest.sdp
+    manifest(parts) {
+        const resource = parts[0] === 'senders' && parts[2] === 'manifest.sdp' ? this.byId.get(parts[1]) : null;
+        if (!resource || !resource.getSDP) {
+            throw new RequestError(404, 'No such manifest');
+        }
+        return { status: 200, body: resource.getSDP(), type: 'application/sdp' };
+    }
+
+    // /x-nmos/connection/v1.1/{single,bulk}/...; only receivers can be connected
+    async connectionAPI(method, parts, body) {
+        const read = method === 'GET' || method === 'HEAD';
+        const listing = (entries) => {
+            if (!read) throw new RequestError(405, `Method ${method} not allowed`);
+            return reply(entries);
+        };
+
+        if (parts.length === 0) {
+            return listing([`${CONNECTION_API_VERSION}/`]);
+        }
+        if (parts[0] !== CONNECTION_API_VERSION) {
+            throw new RequestError(404, `API version ${parts[0]} not supported`);
+        }
+        if (parts.length === 1) {
+            return listing(['bulk/', 'single/']);
+        }
+        if (parts.length === 2 && (parts[1] === 'single' || parts[1] === 'bulk')) {
+            return listing(['senders/', 'receivers/']);
+        }
+
+        if (parts[1] === 'bulk' && parts.length === 3 && (parts[2] === 'senders' || parts[2] === 'receivers')) {
+            if (method !== 'POST') throw new RequestError(405, `Method ${method} not allowed`);
+            return reply(await this.bulkPatch(parts[2], body));
+        }
+        if (parts[1] !== 'single' || (parts[2] !== 'senders' && parts[2] !== 'receivers')) {
+            throw new RequestError(404, 'Not found');
+        }
+
+        const connections = this.resources.filter(resource => resource.connection);
+        if (parts.length === 3) {
+            return listing(parts[2] === 'receivers' ? connections.map(resource => `${resource.data.id}/`) : []);
+        }
+        const resource = parts[2] === 'receivers' ? this.byId.get(parts[3]) : null;
+        if (!resource || !resource.connection) {
+            throw new RequestError(404, `No ${parts[2].replace(/s$/, '')} ${parts[3]}`);
+        }
+        const connection = resource.connection;
+
+        if (parts.length === 4) {
+            return listing(['constraints/', 'staged/', 'active/', 'transporttype/']);
+        }
+        if (parts.length > 5) {
+            throw new RequestError(404, 'Not found');
+        }
+        switch (parts[4]) {
+            case 'constraints':
+                return listing(connection.getConstraints());
+            case 'active':
+                return listing(connection.getActive());
+            case 'transporttype':
+                return listing(connection.transportType);
+            case 'staged':
+                if (read) return reply(connection.getStaged());
+                if (method !== 'PATCH') throw new RequestError(405, `Method ${method} not allowed`);
+                return connection.patch(body);
+            default:
+                throw new RequestError(404, 'Not found');
+        }
+    }
+
+    // POST /bulk/{senders,receivers}: [{ id, params }] -> [{ id, code[, error] }]
+    async bulkPatch(type, body) {
+        if (!Array.isArray(body)) {
+            throw new RequestError(400, 'Bulk requests must be an array');
+        }
+        const results = [];
+        for (const request of body) {
+            const id = request && request.id;
+            const resource = type === 'receivers' ? this.byId.get(id) : null;
+            try {
+                if (!resource || !resource.connection) {
+                    throw new RequestError(404, `No ${type.replace(/s$/, '')} ${id}`);
+                }
+                const result = await resource.connection.patch(request.params);
+                results.push({ id: id, code: result.status });
+            } catch (err) {
+                results.push({ id: id, code: err.status || 500, error: err.message, debug: null });
+            }
+        }
+        return results;
+    }
+
+    // Bring the registry up to date: new and changed resources first, parents first; then removals, children first
+    sync() {
+        return this.queueSync().catch(err => {
+            if (this.registryError !== err.message) {
+                this.node.warn(`NMOS registration failed: ${err.message}`);
+            }
+            this.registryError = err.message;
+        });
+    }
+
+    queueSync() {
+        this.syncing = this.syncing.catch(() => {}).then(async () => {
+            const current = new Set(this.resources.map(resource => resource.data.id));
+
+            for (const resource of this.resources) {
+                const registered = this.registered.get(resource.data.id);
+                if (registered && registered.version === resource.data.version) continue;
+                const response = await requestJSON('POST', `${this.registry}/resource`, { type: resource.type, data: resource.data });
+                if (response.status !== 200 && response.status !== 201) {
+                    throw new Error(`Registry answered ${response.status} for ${resource.type} ${resource.data.id}` +
+                        (response.body && response.body.error ? `: ${response.body.error}` : ''));
+                }
+                this.registered.set(resource.data.id, { type: resource.type, version: resource.data.version });
+            }
+
+            const removed = Array.from(this.registered.keys()).filter(id => !current.has(id)).reverse();
+            for (const id of removed) {
+                const type = this.registered.get(id).type;
+                const response = await requestJSON('DELETE', `${this.registry}/resource/${type}s/${id}`);
+                if (response.status !== 204 && response.status !== 404) {
+                    throw new Error(`Registry answered ${response.status} deleting ${type} ${id}`);
+                }
+                this.registered.delete(id);
+            }
+
+            if (this.registryError) {
+                this.node.log(`Registered with NMOS registry ${this.registry}`);
+            }
+            this.registryError = null;
+        });
+        return this.syncing;
+    }
+
+    heartbeat() {
+        if (!this.registered.has(this.id)) {
+            this.sync();
+            return;
+        }
+        requestJSON('POST', `${this.registry}/health/nodes/${this.id}`, {}).then(response => {
+            if (response.status === 404) {
+                // The registry has lost the node and everything under it
+                this.registered.clear();
+                this.sync();
+            } else if (response.status !== 200) {
+                throw new Error(`Registry answered ${response.status} to the heartbeat`);
+            }
+        }).catch(err => {
+            if (this.registryError !== err.message) {
+                this.node.warn(`NMOS heartbeat failed: ${err.message}`);
+            }
+            this.registryError = err.message;
+            this.registered.clear();
+        });
+    }
+
+    getStatus() {
+        return {
+            id: this.id,
+            href: this.href,
+            registry: this.registry,
+            registered: this.registry ? this.registered.has(this.id) : false,
+            registryError: this.registryError,
+            resources: this.resources.length
+        };
+    }
+}
+
+// Registration API base URL from a registry address, e.g. http://registry:8235
+function registrationUrl(registry) {
+    const url = String(registry).trim().replace(/\/+$/, '');
+    return /\/x-nmos\/registration\//.test(url) ? url : `${url}/x-nmos/registration/${API_VERSION}`;
+}
+
+function list(getter) {
+    return getter ? getter() || [] : [];
+}
+
+function reply(body) {
+    return { status: 200, body: body };
+}
+
+// JSON request body; undefined when there is none
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let length = 0;
+        req.on('data', (chunk) => {
+            length += chunk.length;
+            if (length > MAX_BODY_BYTES) {
+                reject(new RequestError(413, `Request body is larger than ${MAX_BODY_BYTES} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text.trim()) {
+                resolve(undefined);
+                return;
+            }
+            try {
+                resolve(JSON.parse(text));
+            } catch (err) {
+                reject(new RequestError(400, `Invalid JSON: ${err.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message) {
+    sendJSON(res, status, { code: status, error: message, debug: null });
+}
+
+module.exports = {
+    NMOSNode,
+    addDevice,
+    removeDevice,
+    deviceChanged,
+    resourceId
+};
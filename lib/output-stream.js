@@ -0,0 +1,305 @@
+// Local output stream of the router's crosspoint matrix
+//
+// Each output channel is fed by at most one channel of a subscribed stream.
+// Arriving samples are queued per output channel, and a feed timer keeps
+// FEED_LEAD_MS of assembled audio in the packetizer, which sends it as an
+// AES67 RTP stream; the stream is announced via SAP.
+//
+// Sources arrive with their own network jitter, so a channel only plays once
+// PRIME_MS of audio is queued. A channel that runs dry plays silence and
+// primes again; one that builds up more than MAX_QUEUE_MS (a faster source
+// clock) drops its oldest samples. Unrouted channels are silent.
+//
+// Given a `render` function, the stream sends whatever it returns instead
+// (used by the mixer); it is called with a packet's worth of frames.
+
+const dgram = require('dgram');
+const crypto = require('crypto');
+const sampleFormat = require('./sample-format');
+const am824 = require('./am824');
+const { RTPPacketBuilder, AudioPacketizer } = require('./packetizer');
+const { SAPAnnouncer } = require('./sap');
+
+const PAYLOAD_TYPE = 96;
+const FEED_LEAD_MS = 20;
+const FEED_INTERVAL_MS = 5;
+const PRIME_MS = 15;
+const MAX_QUEUE_MS = 100;
+const ENCODINGS = ['L16', 'L24', 'L32', 'AM824'];
+
+class ChannelQueue {
+    constructor(primeFrames, maxFrames) {
+        this.primeFrames = primeFrames;
+        this.maxFrames = maxFrames;
+        this.clear();
+        this.underruns = 0;
+        this.dropped = 0;
+    }
+
+    clear() {
+        this.chunks = [];
+        this.offset = 0;               // Read position in the first chunk
+        this.length = 0;
+        this.primed = false;
+    }
+
+    push(samples) {
+        this.chunks.push(samples);
+        this.length += samples.length;
+        if (this.length > this.maxFrames) {
+            const excess = this.length - this.maxFrames;
+            this.skip(excess);
+            this.dropped += excess;
+        }
+    }
+
+    skip(frames) {
+        while (frames > 0 && this.chunks.length > 0) {
+            const available = this.chunks[0].length - this.offset;
+            const count = Math.min(available, frames);
+            this.offset += count;
+            this.length -= count;
+            frames -= count;
+            if (this.offset === this.chunks[0].length) {
+                this.chunks.shift();
+                this.offset = 0;
+            }
+        }
+    }
+
+    // Copy `frames` samples into channel `channel` of interleaved `out`; silence while not primed
+    read(out, channel, channels, frames) {
+        if (!this.primed) {
+            if (this.length < this.primeFrames) return;
+            this.primed = true;
+        }
+
+        let index = channel;
+        let remaining = frames;
+        while (remaining > 0 && this.chunks.length > 0) {
+            const chunk = this.chunks[0];
+            const count = Math.min(chunk.length - this.offset, remaining);
+            for (let i = 0; i < count; i++, index += channels) {
+                out[index] = chunk[this.offset + i];
+            }
+            this.offset += count;
+            this.length -= count;
+            remaining -= count;
+            if (this.offset === chunk.length) {
+                this.chunks.shift();
+                this.offset = 0;
+            }
+        }
+
+        if (remaining > 0) {
+            this.underruns++;
+            this.primed = false;
+        }
+    }
+}
+
+class OutputStream {
+    constructor(node, options) {
+        const encoding = options.encoding || 'L24';
+        if (!ENCODINGS.includes(encoding)) {
+            throw new Error(`Unsupported encoding: ${encoding}`);
+        }
+        const channels = parseInt(options.channels) || 2;
+        if (channels < 1 || channels > 64) {
+            throw new Error(`Invalid channel count: ${options.channels}`);
+        }
+        if (!options.destIP) {
+            throw new Error('Output destination IP is required');
+        }
+
+        this.node = node;
+        this.id = options.id;
+        this.name = options.name || options.id;
+        this.destIP = options.destIP;
+        this.destPort = parseInt(options.destPort) || 5004;
+        this.sourceIP = options.sourceIP;
+        this.channels = channels;
+        this.sampleRate = parseInt(options.sampleRate) || 48000;
+        this.encoding = encoding;
+        this.ptime = parseFloat(options.ptime) || 1;
+        this.announce = options.announce !== false;
+        this.render = options.render || null;          // Produces the audio instead of the crosspoints
+        this.sessionId = Date.now().toString();
+
+        this.audioEncoding = encoding === 'AM824' ? am824.AM824_AUDIO_ENCODING : encoding;
+        this.am824Encoder = encoding === 'AM824' ? new am824.AM824Encoder(channels, this.sampleRate) : null;
+        this.crosspoints = new Array(channels).fill(null);     // Output channel -> { subscriptionId, channel }
+        this.queues = [];
+        for (let ch = 0; ch < channels; ch++) {
+            this.queues.push(new ChannelQueue(Math.round((PRIME_MS * this.sampleRate) / 1000),
+                Math.round((MAX_QUEUE_MS * this.sampleRate) / 1000)));
+        }
+
+        this.socket = null;
+        this.sapAnnouncer = null;
+        this.feedTimer = null;
+        this.rtpBuilder = new RTPPacketBuilder(PAYLOAD_TYPE, crypto.randomBytes(4).readUInt32BE(0), this.sampleRate);
+        this.packetizer = new AudioPacketizer({
+            sampleRate: this.sampleRate,
+            channels: channels,
+            bytesPerSample: sampleFormat.getBytesPerSample(this.audioEncoding),
+            ptime: this.ptime,
+            onPacket: (payload) => this.sendPacket(payload)
+        });
+    }
+
+    start() {
+        this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        this.socket.on('error', (err) => {
+            this.node.warn(`Output ${this.id} socket error: ${err.message}`);
+        });
+
+        if (this.announce) {
+            this.sapAnnouncer = new SAPAnnouncer(this.node, this.getSessionConfig());
+            this.sapAnnouncer.start().catch(() => {});
+        }
+
+        this.feedTimer = setInterval(() => this.fill(), FEED_INTERVAL_MS);
+        this.fill();
+    }
+
+    stop() {
+        if (this.feedTimer) {
+            clearInterval(this.feedTimer);
+            this.feedTimer = null;
+        }
+        this.packetizer.stop();
+        if (this.sapAnnouncer) {
+            this.sapAnnouncer.stop();
+            this.sapAnnouncer = null;
+        }
+        if (this.socket) {
+            try {
+                this.socket.close();
+            } catch (e) {}
+            this.socket = null;
+        }
+    }
+
+    // Feed output channel `channel` (0-based) from a channel of a subscribed stream
+    route(channel, source) {
+        this.crosspoints[channel] = { subscriptionId: source.subscriptionId, channel: source.channel };
+        this.queues[channel].clear();
+    }
+
+    unroute(channel) {
+        this.crosspoints[channel] = null;
+        this.queues[channel].clear();
+    }
+
+    // Queue samples for one output channel
+    push(channel, samples) {
+        this.queues[channel].push(samples);
+    }
+
+    // Keep the packetizer topped up with assembled frames
+    fill() {
+        try {
+            while (this.feedTimer && this.packetizer.getStats().queuedMs < FEED_LEAD_MS) {
+                const frames = this.packetizer.samplesPerPacket;
+                const samples = this.render ? this.render(frames) : this.assemble(frames);
+                this.packetizer.push(sampleFormat.encodeNetwork(samples, this.audioEncoding));
+            }
+        } catch (err) {
+            this.node.error(`Output ${this.id} error: ${err.message}`);
+        }
+    }
+
+    // Interleave the routed channels' queued audio
+    assemble(frames) {
+        const samples = new Float64Array(frames * this.channels);
+        for (let ch = 0; ch < this.channels; ch++) {
+            if (this.crosspoints[ch]) {
+                this.queues[ch].read(samples, ch, this.channels, frames);
+            }
+        }
+        return samples;
+    }
+
+    sendPacket(payload) {
+        if (!this.socket) return;
+
+        if (this.am824Encoder) {
+            payload = this.am824Encoder.encode(payload);
+        }
+        const packet = this.rtpBuilder.buildPacket(payload);
+        this.socket.send(packet, this.destPort, this.destIP, (err) => {
+            if (err) {
+                this.node.debug(`Output ${this.id} send error: ${err.message}`);
+            }
+        });
+        this.rtpBuilder.incrementTimestamp(this.packetizer.samplesPerPacket);
+    }
+
+    getSessionConfig() {
+        return {
+            streamName: this.name,
+            destIP: this.destIP,
+            port: this.destPort,
+            channels: this.channels,
+            ptime: this.ptime,
+            sourceIP: this.sourceIP,
+            sampleRate: this.sampleRate,
+            encoding: this.encoding,
+            payloadType: PAYLOAD_TYPE,
+            sessionId: this.sessionId
+        };
+    }
+
+    // SDP description of the stream, whether it is announced or not
+    getSDP() {
+        return (this.sapAnnouncer || new SAPAnnouncer(this.node, this.getSessionConfig())).createSDP();
+    }
+
+    // What it takes to build this output and its crosspoints again
+    getSettings() {
+        return {
+            id: this.id,
+            name: this.name,
+            destIP: this.destIP,
+            destPort: this.destPort,
+            channels: this.channels,
+            sampleRate: this.sampleRate,
+            encoding: this.encoding,
+            ptime: this.ptime,
+            announce: this.announce,
+            crosspoints: this.crosspoints.map((source, ch) => source ? {
+                subscriptionId: source.subscriptionId,
+                sourceChannel: source.channel + 1,
+                outputChannel: ch + 1
+            } : null).filter(Boolean)
+        };
+    }
+
+    getStatus() {
+        return {
+            id: this.id,
+            name: this.name,
+            destIP: this.destIP,
+            destPort: this.destPort,
+            channels: this.channels,
+            sampleRate: this.sampleRate,
+            encoding: this.encoding,
+            ptime: this.ptime,
+            announced: !!this.sapAnnouncer,
+            ssrc: this.rtpBuilder.ssrc,
+            crosspoints: this.crosspoints.map((source, ch) => source ? {
+                outputChannel: ch + 1,
+                subscriptionId: source.subscriptionId,
+                sourceChannel: source.channel + 1,
+                underruns: this.queues[ch].underruns,
+                droppedSamples: this.queues[ch].dropped
+            } : null).filter(Boolean),
+            packetsSent: this.packetizer.getStats().packetsSent
+        };
+    }
+}
+
+module.exports = {
+    OutputStream
+};
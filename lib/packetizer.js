@@ -0,0 +1,193 @@
+// RTP packet building and real-time pacing for outgoing AES67 streams
+//
+// RTPPacketBuilder writes the RTP header and keeps the sequence number and
+// timestamp. AudioPacketizer slices network PCM into ptime-sized packets and
+// releases them on a steady schedule derived from a clock.
+
+const MAX_QUEUE_MS = 2000;             // Maximum audio held in the send queue
+const MAX_CATCHUP_PACKETS = 20;        // Packets sent in one tick before resyncing the schedule
+
+class RTPPacketBuilder {
+    constructor(payloadType, ssrc, sampleRate) {
+        this.payloadType = payloadType;
+        this.ssrc = ssrc;
+        this.sampleRate = sampleRate;
+        this.sequenceNumber = Math.floor(Math.random() * 65535);
+        this.timestamp = Math.floor(Math.random() * 0xFFFFFFFF);
+    }
+
+    buildPacket(audioData, marker = false) {
+        // RTP header is 12 bytes
+        const header = Buffer.allocUnsafe(12);
+
+        // Byte 0: Version (2), Padding (0), Extension (0), CSRC count (0)
+        header[0] = 0x80; // Version 2
+
+        // Byte 1: Marker bit and Payload Type
+        header[1] = (marker ? 0x80 : 0x00) | (this.payloadType & 0x7F);
+
+        // Bytes 2-3: Sequence Number
+        header.writeUInt16BE(this.sequenceNumber, 2);
+
+        // Bytes 4-7: Timestamp
+        header.writeUInt32BE(this.timestamp, 4);
+
+        // Bytes 8-11: SSRC
+        header.writeUInt32BE(this.ssrc, 8);
+
+        // Combine header and payload
+        const packet = Buffer.concat([header, audioData]);
+
+        // Increment sequence number (with wrap)
+        this.sequenceNumber = (this.sequenceNumber + 1) & 0xFFFF;
+
+        return packet;
+    }
+
+    incrementTimestamp(samples) {
+        // Increment timestamp based on number of samples
+        this.timestamp = (this.timestamp + samples) >>> 0;
+    }
+}
+
+// Real-time paced packetizer
+// Slices incoming audio into ptime-sized packets and releases them on a
+// steady schedule derived from the media clock, independent of how
+// upstream nodes emit messages.
+class AudioPacketizer {
+    constructor(options) {
+        this.sampleRate = options.sampleRate;
+        this.bytesPerFrame = options.channels * options.bytesPerSample;
+        this.samplesPerPacket = Math.max(1, Math.round((options.sampleRate * options.ptime) / 1000));
+        this.packetBytes = this.samplesPerPacket * this.bytesPerFrame;
+        this.maxQueuePackets = Math.ceil((MAX_QUEUE_MS * options.sampleRate) / (1000 * this.samplesPerPacket));
+        this.onPacket = options.onPacket;
+        this.onSchedule = options.onSchedule || function() {};
+        this.clock = options.clock || (() => process.hrtime.bigint());
+
+        this.queue = [];
+        this.remainder = null;
+        this.timer = null;
+        this.startTime = 0n;
+        this.packetsDue = 0;
+        this.stats = { packetsSent: 0, underruns: 0, overruns: 0 };
+    }
+
+    push(buffer) {
+        let data = this.remainder ? Buffer.concat([this.remainder, buffer]) : buffer;
+        this.remainder = null;
+
+        // Slice into whole packets, carrying any partial packet over
+        let offset = 0;
+        while (data.length - offset >= this.packetBytes) {
+            this.queue.push(data.slice(offset, offset + this.packetBytes));
+            offset += this.packetBytes;
+        }
+        if (offset < data.length) {
+            this.remainder = Buffer.from(data.slice(offset));
+        }
+
+        // Drop the oldest packets if upstream is producing faster than real time
+        if (this.queue.length > this.maxQueuePackets) {
+            const excess = this.queue.length - this.maxQueuePackets;
+            this.queue.splice(0, excess);
+            this.stats.overruns += excess;
+        }
+
+        if (!this.timer && this.queue.length > 0) {
+            this.start();
+        }
+    }
+
+    start() {
+        this.resetSchedule(this.clock(), 0);
+        this.timer = setInterval(() => this.tick(), 1);
+        this.tick();
+    }
+
+    // Restart the schedule so that packet number `next` is due at `now`
+    resetSchedule(now, next) {
+        this.startTime = now;
+        this.packetsDue = next;
+        this.onSchedule(this.packetTime(next));
+    }
+
+    // Clock time at which the packet with the given schedule index is due
+    packetTime(index) {
+        return this.startTime + (BigInt(index) * BigInt(this.samplesPerPacket) * 1000000000n) /
+            BigInt(this.sampleRate);
+    }
+
+    // Realign the running schedule after the clock has been stepped
+    resync() {
+        if (this.timer) {
+            this.resetSchedule(this.clock(), 0);
+        }
+    }
+
+    tick() {
+        const now = this.clock();
+        const elapsed = now - this.startTime;
+        const due = elapsed < 0n ? 0 : Number((elapsed * BigInt(this.sampleRate)) /
+            (BigInt(this.samplesPerPacket) * 1000000000n)) + 1;
+
+        let count = due - this.packetsDue;
+        if (count > MAX_CATCHUP_PACKETS) {
+            // Event loop stalled or clock stepped forward: send what we can and restart the schedule
+            count = MAX_CATCHUP_PACKETS;
+            this.resetSchedule(now, 1 - count);
+        } else if (count < -MAX_CATCHUP_PACKETS) {
+            // Clock stepped backwards
+            count = 1;
+            this.resetSchedule(now, 0);
+        }
+
+        for (let i = 0; i < count; i++) {
+            if (this.queue.length === 0) {
+                // A packet is due but upstream has not delivered it
+                this.stats.underruns++;
+                this.pause();
+                return;
+            }
+            this.packetsDue++;
+            this.stats.packetsSent++;
+            this.onPacket(this.queue.shift());
+        }
+    }
+
+    pause() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    clear() {
+        this.queue = [];
+        this.remainder = null;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.clear();
+    }
+
+    getStats() {
+        return {
+            packetsSent: this.stats.packetsSent,
+            underruns: this.stats.underruns,
+            overruns: this.stats.overruns,
+            queuedPackets: this.queue.length,
+            queuedMs: (this.queue.length * this.samplesPerPacket * 1000) / this.sampleRate,
+            samplesPerPacket: this.samplesPerPacket
+        };
+    }
+}
+
+module.exports = {
+    RTPPacketBuilder,
+    AudioPacketizer
+};
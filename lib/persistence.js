@@ -0,0 +1,135 @@
+// Storage for router state that has to survive deploys and restarts
+//
+// The state is one JSON-compatible object, kept either in the node's context
+// (in any configured context store, e.g. a localfilesystem store named "file")
+// or in a JSON file. State changes come in bursts, so saves are delayed by
+// SAVE_DELAY_MS and merged; flush() writes a pending save at once. Nothing is
+// saved until `enabled` is set, so a node that is still restoring its saved
+// state cannot overwrite it.
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTEXT_KEY = 'aes67-router-state';
+const STATE_VERSION = 1;
+const SAVE_DELAY_MS = 1000;
+
+class StateStore {
+    // options: { mode: 'context' | 'file', store, file, getState }
+    constructor(node, options) {
+        if (options.mode !== 'context' && options.mode !== 'file') {
+            throw new Error(`Unknown persistence mode: ${options.mode}`);
+        }
+        if (options.mode === 'file' && !options.file) {
+            throw new Error('Persistence file is required');
+        }
+
+        this.node = node;
+        this.mode = options.mode;
+        this.store = options.store || null;            // Context store name; null for the default store
+        this.file = options.file || null;
+        this.getState = options.getState;
+        this.enabled = false;
+        this.timer = null;
+        this.writing = Promise.resolve();               // Writes run one after another
+    }
+
+    // Saved state, or null when there is none
+    async load() {
+        let state;
+        if (this.mode === 'context') {
+            state = await new Promise((resolve, reject) => {
+                this.contextCall('get', [CONTEXT_KEY], (err, value) => err ? reject(err) : resolve(value));
+            });
+        } else {
+            try {
+                state = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        }
+
+        if (!state) return null;
+        if (state.version !== STATE_VERSION) {
+            throw new Error(`Unsupported state version: ${state.version}`);
+        }
+        return state;
+    }
+
+    // Save soon
+    schedule() {
+        if (!this.enabled || this.timer) return;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.save().catch(err => this.node.warn(`Could not save router state: ${err.message}`));
+        }, SAVE_DELAY_MS);
+    }
+
+    // Save now if a save is pending
+    flush() {
+        if (!this.timer) return this.writing;
+
+        clearTimeout(this.timer);
+        this.timer = null;
+        return this.save();
+    }
+
+    // The state is taken at once; writing it waits for earlier writes
+    save() {
+        const state = Object.assign({ version: STATE_VERSION, saved: new Date().toISOString() }, this.getState());
+        this.writing = this.writing.catch(() => {}).then(() => this.write(state));
+        return this.writing;
+    }
+
+    async write(state) {
+        if (this.mode === 'context') {
+            await new Promise((resolve, reject) => {
+                this.contextCall('set', [CONTEXT_KEY, state], err => err ? reject(err) : resolve());
+            });
+            return;
+        }
+
+        // Replace the file in one step, so a crash cannot leave half of it
+        const temporary = `${this.file}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(temporary, JSON.stringify(state, null, 2));
+        await fs.promises.rename(temporary, this.file);
+    }
+
+    // Forget the saved state, e.g. when the node is deleted
+    clear() {
+        this.enabled = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        this.writing = this.writing.catch(() => {}).then(() => {
+            if (this.mode === 'context') {
+                return new Promise((resolve, reject) => {
+                    this.contextCall('set', [CONTEXT_KEY, undefined], err => err ? reject(err) : resolve());
+                });
+            }
+            return fs.promises.unlink(this.file).catch(err => {
+                if (err.code !== 'ENOENT') throw err;
+            });
+        });
+        return this.writing;
+    }
+
+    // context().get/set with the store name only when one is configured
+    contextCall(method, args, callback) {
+        const context = this.node.context();
+        if (this.store) {
+            context[method](...args, this.store, callback);
+        } else {
+            context[method](...args, callback);
+        }
+    }
+}
+
+module.exports = {
+    StateStore
+};
@@ -0,0 +1,678 @@
+// PTPv2 (IEEE 1588-2008) follower and software grandmaster for AES67 media clocks
+//
+// Times are handled as BigInt nanoseconds. The local reference is the
+// monotonic clock (process.hrtime.bigint()); a clock maps local time onto
+// PTP time, which for AES67 is TAI since the PTP epoch (1970-01-01).
+//
+// Timestamps are taken in software when a datagram is handed to or received
+// from the socket, so accuracy is limited by event loop latency. That is
+// plenty for deriving RTP timestamps, but not a substitute for a hardware
+// timestamping PTP stack.
+const dgram = require('dgram');
+const crypto = require('crypto');
+
+const PTP_EVENT_PORT = 319;
+const PTP_GENERAL_PORT = 320;
+const PTP_MULTICAST = '224.0.1.129';
+const PTP_VERSION = 2;
+
+const MSG_SYNC = 0x0;
+const MSG_DELAY_REQ = 0x1;
+const MSG_FOLLOW_UP = 0x8;
+const MSG_DELAY_RESP = 0x9;
+const MSG_ANNOUNCE = 0xB;
+
+const FLAG_TWO_STEP = 0x0200;
+const FLAG_PTP_TIMESCALE = 0x0008;
+
+const HEADER_LENGTH = 34;
+const TIMESTAMP_LENGTH = 10;
+const NS_PER_SECOND = 1000000000n;
+
+const DEFAULT_UTC_OFFSET = 37;         // TAI - UTC in seconds
+const ANNOUNCE_RECEIPT_TIMEOUT = 3;    // Announce intervals before a master is considered lost
+const OFFSET_WINDOW = 9;               // Samples in the median offset/delay filters
+const MIN_LOCK_SAMPLES = 4;            // Offset samples needed before the clock is trusted
+const DELAY_REQ_INTERVAL_MS = 1000;
+const GM_SYNC_INTERVAL_MS = 125;       // logSyncInterval -3, the AES67 media profile default
+const GM_ANNOUNCE_INTERVAL_MS = 1000;  // logAnnounceInterval 0
+
+// Fixed mapping from the monotonic clock to UTC, taken once at load
+const EPOCH_BASE_NS = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+
+function localNs() {
+    return process.hrtime.bigint();
+}
+
+// Wall-clock time in nanoseconds since 1970 (UTC)
+function realtimeNs(local) {
+    return EPOCH_BASE_NS + (local === undefined ? localNs() : local);
+}
+
+function readTimestamp(buffer, offset) {
+    const seconds = (BigInt(buffer.readUInt16BE(offset)) << 32n) | BigInt(buffer.readUInt32BE(offset + 2));
+    return seconds * NS_PER_SECOND + BigInt(buffer.readUInt32BE(offset + 6));
+}
+
+function writeTimestamp(buffer, offset, ns) {
+    const seconds = ns / NS_PER_SECOND;
+    buffer.writeUInt16BE(Number((seconds >> 32n) & 0xFFFFn), offset);
+    buffer.writeUInt32BE(Number(seconds & 0xFFFFFFFFn), offset + 2);
+    buffer.writeUInt32BE(Number(ns % NS_PER_SECOND), offset + 6);
+}
+
+// Clock identity in the form used by RFC 7273 ts-refclk (39-A7-94-FF-FE-07-CB-D0)
+function formatClockIdentity(identity) {
+    return Array.from(identity).map(b => b.toString(16).toUpperCase().padStart(2, '0')).join('-');
+}
+
+function createClockIdentity() {
+    return crypto.randomBytes(8);
+}
+
+function portIdentityEquals(a, b) {
+    return a.clockIdentity.equals(b.clockIdentity) && a.portNumber === b.portNumber;
+}
+
+function parseMessage(buffer) {
+    if (buffer.length < HEADER_LENGTH) {
+        throw new Error('PTP message too short');
+    }
+    if ((buffer[1] & 0x0F) !== PTP_VERSION) {
+        throw new Error(`Unsupported PTP version ${buffer[1] & 0x0F}`);
+    }
+
+    const message = {
+        type: buffer[0] & 0x0F,
+        domain: buffer[4],
+        flags: buffer.readUInt16BE(6),
+        correction: buffer.readBigInt64BE(8) >> 16n,
+        sourcePortIdentity: {
+            clockIdentity: Buffer.from(buffer.slice(20, 28)),
+            portNumber: buffer.readUInt16BE(28)
+        },
+        sequenceId: buffer.readUInt16BE(30),
+        logMessageInterval: buffer.readInt8(33)
+    };
+
+    const body = HEADER_LENGTH;
+    switch (message.type) {
+        case MSG_SYNC:
+        case MSG_DELAY_REQ:
+        case MSG_FOLLOW_UP:
+            message.timestamp = readTimestamp(buffer, body);
+            break;
+        case MSG_DELAY_RESP:
+            message.timestamp = readTimestamp(buffer, body);
+            message.requestingPortIdentity = {
+                clockIdentity: Buffer.from(buffer.slice(body + 10, body + 18)),
+                portNumber: buffer.readUInt16BE(body + 18)
+            };
+            break;
+        case MSG_ANNOUNCE:
+            message.currentUtcOffset = buffer.readInt16BE(body + 10);
+            message.priority1 = buffer[body + 13];
+            message.clockClass = buffer[body + 14];
+            message.clockAccuracy = buffer[body + 15];
+            message.offsetScaledLogVariance = buffer.readUInt16BE(body + 16);
+            message.priority2 = buffer[body + 18];
+            message.grandmasterIdentity = Buffer.from(buffer.slice(body + 19, body + 27));
+            message.stepsRemoved = buffer.readUInt16BE(body + 27);
+            message.timeSource = buffer[body + 29];
+            break;
+    }
+
+    return message;
+}
+
+function buildMessage(type, length, options) {
+    const buffer = Buffer.alloc(length);
+    const controlFields = { [MSG_SYNC]: 0, [MSG_DELAY_REQ]: 1, [MSG_FOLLOW_UP]: 2, [MSG_DELAY_RESP]: 3 };
+
+    buffer[0] = type & 0x0F;
+    buffer[1] = PTP_VERSION;
+    buffer.writeUInt16BE(length, 2);
+    buffer[4] = options.domain;
+    buffer.writeUInt16BE(options.flags || 0, 6);
+    options.portIdentity.clockIdentity.copy(buffer, 20);
+    buffer.writeUInt16BE(options.portIdentity.portNumber, 28);
+    buffer.writeUInt16BE(options.sequenceId, 30);
+    buffer[32] = controlFields[type] !== undefined ? controlFields[type] : 5;
+    buffer.writeInt8(options.logMessageInterval !== undefined ? options.logMessageInterval : 0x7F, 33);
+
+    return buffer;
+}
+
+function buildTimestampMessage(type, options, timestamp) {
+    const buffer = buildMessage(type, HEADER_LENGTH + TIMESTAMP_LENGTH, options);
+    writeTimestamp(buffer, HEADER_LENGTH, timestamp || 0n);
+    return buffer;
+}
+
+function buildDelayResp(options, receiveTimestamp, requestingPortIdentity) {
+    const buffer = buildMessage(MSG_DELAY_RESP, HEADER_LENGTH + 20, options);
+    writeTimestamp(buffer, HEADER_LENGTH, receiveTimestamp);
+    requestingPortIdentity.clockIdentity.copy(buffer, HEADER_LENGTH + 10);
+    buffer.writeUInt16BE(requestingPortIdentity.portNumber, HEADER_LENGTH + 18);
+    return buffer;
+}
+
+function buildAnnounce(options, dataset) {
+    const body = HEADER_LENGTH;
+    const buffer = buildMessage(MSG_ANNOUNCE, HEADER_LENGTH + 30, options);
+    buffer.writeInt16BE(dataset.currentUtcOffset, body + 10);
+    buffer[body + 13] = dataset.priority1;
+    buffer[body + 14] = dataset.clockClass;
+    buffer[body + 15] = dataset.clockAccuracy;
+    buffer.writeUInt16BE(dataset.offsetScaledLogVariance, body + 16);
+    buffer[body + 18] = dataset.priority2;
+    dataset.grandmasterIdentity.copy(buffer, body + 19);
+    buffer.writeUInt16BE(0, body + 27);
+    buffer[body + 29] = dataset.timeSource;
+    return buffer;
+}
+
+// Best master comparison over the announced grandmaster datasets (IEEE 1588 9.3.4, simplified)
+function compareAnnounce(a, b) {
+    const fields = ['priority1', 'clockClass', 'clockAccuracy', 'offsetScaledLogVariance', 'priority2'];
+    for (const field of fields) {
+        if (a[field] !== b[field]) return a[field] - b[field];
+    }
+    const identity = Buffer.compare(a.grandmasterIdentity, b.grandmasterIdentity);
+    if (identity !== 0) return identity;
+    return a.stepsRemoved - b.stepsRemoved;
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return sorted[sorted.length >> 1];
+}
+
+function intervalMs(logInterval, fallback) {
+    return logInterval >= -7 && logInterval <= 7 ? Math.pow(2, logInterval) * 1000 : fallback;
+}
+
+// Event (319) and general (320) sockets joined to the PTP primary multicast group.
+// Other ports can be given for running clocks side by side without privileges.
+class PTPTransport {
+    constructor(node, options) {
+        this.node = node;
+        this.interfaceAddress = options.interfaceAddress || null;
+        this.eventPort = options.eventPort || PTP_EVENT_PORT;
+        this.generalPort = options.generalPort || PTP_GENERAL_PORT;
+        this.onMessage = options.onMessage;
+        this.eventSocket = null;
+        this.generalSocket = null;
+    }
+
+    start() {
+        this.eventSocket = this.openSocket(this.eventPort);
+        this.generalSocket = this.openSocket(this.generalPort);
+    }
+
+    openSocket(port) {
+        const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+        socket.on('error', (err) => {
+            this.node.warn(`PTP socket error on port ${port}: ${err.message}`);
+        });
+
+        socket.on('message', (msg, rinfo) => {
+            // Software receive timestamp, taken as early as we can
+            const received = localNs();
+            try {
+                this.onMessage(parseMessage(msg), received, rinfo);
+            } catch (err) {
+                this.node.debug(`Error parsing PTP message: ${err.message}`);
+            }
+        });
+
+        socket.bind(port, '0.0.0.0', () => {
+            try {
+                if (this.interfaceAddress) {
+                    socket.addMembership(PTP_MULTICAST, this.interfaceAddress);
+                    socket.setMulticastInterface(this.interfaceAddress);
+                } else {
+                    socket.addMembership(PTP_MULTICAST);
+                }
+            } catch (e) {
+                this.node.warn(`Could not join PTP multicast ${PTP_MULTICAST}: ${e.message}`);
+            }
+        });
+
+        return socket;
+    }
+
+    // Send to the PTP multicast group, resolving with the software transmit timestamp
+    send(buffer, event) {
+        const socket = event ? this.eventSocket : this.generalSocket;
+        if (!socket) return null;
+
+        const sent = localNs();
+        try {
+            socket.send(buffer, event ? this.eventPort : this.generalPort, PTP_MULTICAST, (err) => {
+                if (err) {
+                    this.node.debug(`PTP send error: ${err.message}`);
+                }
+            });
+        } catch (err) {
+            this.node.debug(`PTP send error: ${err.message}`);
+        }
+        return sent;
+    }
+
+    stop() {
+        [this.eventSocket, this.generalSocket].forEach(socket => {
+            if (socket) {
+                try {
+                    socket.close();
+                } catch (e) {}
+            }
+        });
+        this.eventSocket = null;
+        this.generalSocket = null;
+    }
+}
+
+// Ordinary clock in the slave state: selects the best master on the domain,
+// measures offset and path delay (end-to-end) and maps local time to PTP time.
+class PTPFollower {
+    constructor(node, options) {
+        this.node = node;
+        this.domain = options.domain || 0;
+        this.onChange = options.onChange || function() {};
+        this.portIdentity = { clockIdentity: createClockIdentity(), portNumber: 1 };
+        this.transport = new PTPTransport(node, {
+            interfaceAddress: options.interfaceAddress,
+            eventPort: options.eventPort,
+            generalPort: options.generalPort,
+            onMessage: (message, received) => this.handleMessage(message, received)
+        });
+
+        this.foreignMasters = new Map();
+        this.master = null;
+        this.locked = false;           // Lock state last reported through onChange
+        this.pendingSync = null;
+        this.pendingDelayReq = null;
+        this.delayReqSequence = 0;
+        this.lastDelayReqMs = 0;
+        this.expiryTimer = null;
+        this.resetMeasurements();
+    }
+
+    resetMeasurements() {
+        this.offsetSamples = [];
+        this.delaySamples = [];
+        this.offset = null;
+        this.meanPathDelay = 0n;
+        this.lastSync = null;
+        this.lastMasterToSlave = null;
+        this.syncCount = 0;
+    }
+
+    start() {
+        this.transport.start();
+        this.expiryTimer = setInterval(() => this.expireMasters(), 1000);
+        this.node.log(`PTP follower listening on domain ${this.domain}`);
+    }
+
+    handleMessage(message, received) {
+        if (message.domain !== this.domain) return;
+        if (message.sourcePortIdentity.clockIdentity.equals(this.portIdentity.clockIdentity)) return;
+
+        switch (message.type) {
+            case MSG_ANNOUNCE:
+                this.handleAnnounce(message, received);
+                break;
+            case MSG_SYNC:
+                this.handleSync(message, received);
+                break;
+            case MSG_FOLLOW_UP:
+                this.handleFollowUp(message);
+                break;
+            case MSG_DELAY_RESP:
+                this.handleDelayResp(message);
+                break;
+        }
+    }
+
+    handleAnnounce(message, received) {
+        const key = formatClockIdentity(message.sourcePortIdentity.clockIdentity) + '/' +
+            message.sourcePortIdentity.portNumber;
+        message.received = received;
+        this.foreignMasters.set(key, message);
+        this.selectMaster();
+    }
+
+    expireMasters() {
+        const now = localNs();
+        for (const [key, announce] of this.foreignMasters) {
+            const timeoutNs = BigInt(Math.round(ANNOUNCE_RECEIPT_TIMEOUT *
+                intervalMs(announce.logMessageInterval, 1000) * 1e6));
+            if (now - announce.received > timeoutNs) {
+                this.foreignMasters.delete(key);
+            }
+        }
+        this.selectMaster();
+    }
+
+    selectMaster() {
+        let best = null;
+        for (const announce of this.foreignMasters.values()) {
+            if (!best || compareAnnounce(announce, best) < 0) {
+                best = announce;
+            }
+        }
+
+        const previous = this.master;
+        const changed = !best || !previous ||
+            !portIdentityEquals(best.sourcePortIdentity, previous.sourcePortIdentity) ||
+            !best.grandmasterIdentity.equals(previous.grandmasterIdentity);
+
+        this.master = best;
+        if (changed) {
+            this.resetMeasurements();
+            this.pendingSync = null;
+            this.pendingDelayReq = null;
+            if (best) {
+                this.node.log(`PTP grandmaster ${formatClockIdentity(best.grandmasterIdentity)} on domain ${this.domain}`);
+            }
+        }
+
+        if (changed && (best || previous)) {
+            this.locked = this.isLocked();
+            this.onChange(this.getStatus());
+        } else {
+            this.checkLock();
+        }
+    }
+
+    // Also run every second by expireMasters, so a lock lost to Syncs that stopped arriving is reported
+    checkLock() {
+        const locked = this.isLocked();
+        if (locked !== this.locked) {
+            this.locked = locked;
+            this.onChange(this.getStatus());
+        }
+    }
+
+    isFromMaster(message) {
+        return this.master && portIdentityEquals(message.sourcePortIdentity, this.master.sourcePortIdentity);
+    }
+
+    handleSync(message, received) {
+        if (!this.isFromMaster(message)) return;
+
+        if (message.flags & FLAG_TWO_STEP) {
+            // Precise origin timestamp follows in the Follow_Up
+            this.pendingSync = {
+                sequenceId: message.sequenceId,
+                received: received,
+                correction: message.correction,
+                logMessageInterval: message.logMessageInterval
+            };
+            return;
+        }
+
+        this.processSync(message.timestamp + message.correction, received, message.logMessageInterval);
+    }
+
+    handleFollowUp(message) {
+        const pending = this.pendingSync;
+        if (!pending || !this.isFromMaster(message) || message.sequenceId !== pending.sequenceId) return;
+
+        this.pendingSync = null;
+        this.processSync(message.timestamp + message.correction + pending.correction,
+            pending.received, pending.logMessageInterval);
+    }
+
+    processSync(originTime, received, logMessageInterval) {
+        // Master-to-slave difference: local receive time minus master send time
+        this.lastMasterToSlave = received - originTime;
+        this.lastSync = received;
+        this.syncIntervalMs = intervalMs(logMessageInterval, GM_SYNC_INTERVAL_MS);
+        this.syncCount++;
+
+        this.offsetSamples.push(originTime - received);
+        if (this.offsetSamples.length > OFFSET_WINDOW) {
+            this.offsetSamples.shift();
+        }
+        this.offset = median(this.offsetSamples) + this.meanPathDelay;
+        this.checkLock();
+
+        this.maybeSendDelayReq();
+    }
+
+    maybeSendDelayReq() {
+        const nowMs = Date.now();
+        if (nowMs - this.lastDelayReqMs < DELAY_REQ_INTERVAL_MS) return;
+        this.lastDelayReqMs = nowMs;
+
+        this.delayReqSequence = (this.delayReqSequence + 1) & 0xFFFF;
+        const packet = buildTimestampMessage(MSG_DELAY_REQ, {
+            domain: this.domain,
+            portIdentity: this.portIdentity,
+            sequenceId: this.delayReqSequence
+        });
+
+        const sent = this.transport.send(packet, true);
+        if (sent !== null) {
+            this.pendingDelayReq = {
+                sequenceId: this.delayReqSequence,
+                sent: sent,
+                masterToSlave: this.lastMasterToSlave
+            };
+        }
+    }
+
+    handleDelayResp(message) {
+        const pending = this.pendingDelayReq;
+        if (!pending || !this.isFromMaster(message)) return;
+        if (!portIdentityEquals(message.requestingPortIdentity, this.portIdentity)) return;
+        if (message.sequenceId !== pending.sequenceId) return;
+
+        this.pendingDelayReq = null;
+
+        // Slave-to-master difference: master receive time minus local send time
+        const slaveToMaster = (message.timestamp - message.correction) - pending.sent;
+        let delay = (pending.masterToSlave + slaveToMaster) / 2n;
+        if (delay < 0n) delay = 0n;
+
+        this.delaySamples.push(delay);
+        if (this.delaySamples.length > OFFSET_WINDOW) {
+            this.delaySamples.shift();
+        }
+        this.meanPathDelay = median(this.delaySamples);
+        if (this.offsetSamples.length > 0) {
+            this.offset = median(this.offsetSamples) + this.meanPathDelay;
+        }
+    }
+
+    isLocked() {
+        if (!this.master || this.offset === null || this.offsetSamples.length < MIN_LOCK_SAMPLES) {
+            return false;
+        }
+        // Lost if syncs stop arriving for several intervals
+        const timeoutNs = BigInt(Math.round(Math.max(1000, 4 * this.syncIntervalMs) * 1e6));
+        return localNs() - this.lastSync < timeoutNs;
+    }
+
+    // PTP time for a local monotonic time, or null while not locked
+    toPTP(local) {
+        return this.isLocked() ? local + this.offset : null;
+    }
+
+    now() {
+        return this.toPTP(localNs());
+    }
+
+    getGrandmasterId() {
+        return this.master ? formatClockIdentity(this.master.grandmasterIdentity) : null;
+    }
+
+    getStatus() {
+        const master = this.master;
+        return {
+            mode: 'follower',
+            domain: this.domain,
+            locked: this.isLocked(),
+            clockIdentity: formatClockIdentity(this.portIdentity.clockIdentity),
+            grandmasterId: this.getGrandmasterId(),
+            masterPort: master ? formatClockIdentity(master.sourcePortIdentity.clockIdentity) + '/' +
+                master.sourcePortIdentity.portNumber : null,
+            clockClass: master ? master.clockClass : null,
+            utcOffset: master ? master.currentUtcOffset : null,
+            ptpTimescale: master ? (master.flags & FLAG_PTP_TIMESCALE) !== 0 : null,
+            // PTP time minus the host's UTC clock, ~utcOffset seconds when the host is NTP synced
+            offsetFromSystemNs: this.offset !== null ? Number(this.offset - EPOCH_BASE_NS) : null,
+            meanPathDelayNs: Number(this.meanPathDelay),
+            syncCount: this.syncCount,
+            foreignMasters: this.foreignMasters.size
+        };
+    }
+
+    stop() {
+        if (this.expiryTimer) {
+            clearInterval(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+        this.transport.stop();
+    }
+}
+
+// Minimal two-step grandmaster driven by the host clock, as a stand-in when no
+// real grandmaster is on the network. It does not run BMCA or step down.
+class PTPGrandmaster {
+    constructor(node, options) {
+        this.node = node;
+        this.domain = options.domain || 0;
+        this.utcOffset = options.utcOffset !== undefined ? options.utcOffset : DEFAULT_UTC_OFFSET;
+        this.portIdentity = { clockIdentity: createClockIdentity(), portNumber: 1 };
+        this.dataset = {
+            currentUtcOffset: this.utcOffset,
+            priority1: options.priority1 !== undefined ? options.priority1 : 250,
+            clockClass: 248,
+            clockAccuracy: 0xFE,
+            offsetScaledLogVariance: 0xFFFF,
+            priority2: options.priority2 !== undefined ? options.priority2 : 250,
+            grandmasterIdentity: this.portIdentity.clockIdentity,
+            timeSource: 0xA0 // Internal oscillator
+        };
+        this.transport = new PTPTransport(node, {
+            interfaceAddress: options.interfaceAddress,
+            eventPort: options.eventPort,
+            generalPort: options.generalPort,
+            onMessage: (message, received) => this.handleMessage(message, received)
+        });
+
+        this.syncSequence = 0;
+        this.announceSequence = 0;
+        this.syncTimer = null;
+        this.announceTimer = null;
+        this.delayResponses = 0;
+    }
+
+    start() {
+        this.transport.start();
+        this.announceTimer = setInterval(() => this.sendAnnounce(), GM_ANNOUNCE_INTERVAL_MS);
+        this.syncTimer = setInterval(() => this.sendSync(), GM_SYNC_INTERVAL_MS);
+        this.sendAnnounce();
+        this.node.log(`PTP grandmaster ${this.getGrandmasterId()} running on domain ${this.domain}`);
+    }
+
+    messageOptions(sequenceId, logMessageInterval, flags) {
+        return {
+            domain: this.domain,
+            portIdentity: this.portIdentity,
+            sequenceId: sequenceId,
+            logMessageInterval: logMessageInterval,
+            flags: flags
+        };
+    }
+
+    sendAnnounce() {
+        this.announceSequence = (this.announceSequence + 1) & 0xFFFF;
+        const packet = buildAnnounce(
+            this.messageOptions(this.announceSequence, 0, FLAG_PTP_TIMESCALE), this.dataset);
+        this.transport.send(packet, false);
+    }
+
+    sendSync() {
+        this.syncSequence = (this.syncSequence + 1) & 0xFFFF;
+        const sync = buildTimestampMessage(MSG_SYNC,
+            this.messageOptions(this.syncSequence, -3, FLAG_TWO_STEP | FLAG_PTP_TIMESCALE));
+
+        const sent = this.transport.send(sync, true);
+        if (sent === null) return;
+
+        const followUp = buildTimestampMessage(MSG_FOLLOW_UP,
+            this.messageOptions(this.syncSequence, -3, FLAG_PTP_TIMESCALE), this.toPTP(sent));
+        this.transport.send(followUp, false);
+    }
+
+    handleMessage(message, received) {
+        if (message.domain !== this.domain || message.type !== MSG_DELAY_REQ) return;
+
+        const response = buildDelayResp(
+            this.messageOptions(message.sequenceId, 0, FLAG_PTP_TIMESCALE),
+            this.toPTP(received),
+            message.sourcePortIdentity);
+        this.transport.send(response, false);
+        this.delayResponses++;
+    }
+
+    isLocked() {
+        return true;
+    }
+
+    // TAI derived from the host's UTC clock
+    toPTP(local) {
+        return realtimeNs(local) + BigInt(this.utcOffset) * NS_PER_SECOND;
+    }
+
+    now() {
+        return this.toPTP(localNs());
+    }
+
+    getGrandmasterId() {
+        return formatClockIdentity(this.portIdentity.clockIdentity);
+    }
+
+    getStatus() {
+        return {
+            mode: 'grandmaster',
+            domain: this.domain,
+            locked: true,
+            clockIdentity: this.getGrandmasterId(),
+            grandmasterId: this.getGrandmasterId(),
+            utcOffset: this.utcOffset,
+            syncCount: this.syncSequence,
+            delayResponses: this.delayResponses
+        };
+    }
+
+    stop() {
+        if (this.syncTimer) {
+            clearInterval(this.syncTimer);
+            this.syncTimer = null;
+        }
+        if (this.announceTimer) {
+            clearInterval(this.announceTimer);
+            this.announceTimer = null;
+        }
+        this.transport.stop();
+    }
+}
+
+module.exports = {
+    PTP_EVENT_PORT,
+    PTP_GENERAL_PORT,
+    PTP_MULTICAST,
+    localNs,
+    realtimeNs,
+    formatClockIdentity,
+    parseMessage,
+    compareAnnounce,
+    PTPFollower,
+    PTPGrandmaster
+};
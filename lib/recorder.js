@@ -0,0 +1,195 @@
+// Records a received RTP audio stream to WAV or Broadcast WAV files
+//
+// The file timeline follows the RTP timestamps: packets missing from the
+// stream are written as silence, late and duplicate packets are dropped, and a
+// jump larger than MAX_GAP_SECONDS starts a new file. Files are rotated by
+// duration and/or size. For BWF the bext chunk records the wall-clock start
+// (origination date/time and time reference in samples since midnight) and the
+// RTP timestamp of the first sample. Files are named after their start time;
+// one that would take an existing name gets a numbered suffix instead.
+
+const path = require('path');
+const { WavWriter } = require('./wav');
+
+const RTP_MOD = 0x100000000;
+const MAX_GAP_SECONDS = 10;
+const FORMATS = ['wav', 'bwf'];
+
+function pad(value, length) {
+    return String(value).padStart(length || 2, '0');
+}
+
+// Signed distance from a to b in 32-bit RTP timestamp space
+function timestampDiff(b, a) {
+    const diff = (b - a + RTP_MOD) % RTP_MOD;
+    return diff >= RTP_MOD / 2 ? diff - RTP_MOD : diff;
+}
+
+class StreamRecorder {
+    constructor(options) {
+        if (!options.directory) {
+            throw new Error('No recording directory configured');
+        }
+        if (options.format !== undefined && !FORMATS.includes(options.format)) {
+            throw new Error(`Unknown recording format "${options.format}", expected wav or bwf`);
+        }
+
+        this.directory = options.directory;
+        this.prefix = options.prefix || 'recording';
+        this.format = options.format || 'bwf';
+        this.sampleRate = options.sampleRate;
+        this.channels = options.channels;
+        this.bytesPerSample = options.bytesPerSample;
+        this.rotateFrames = options.rotateSeconds > 0 ? Math.round(options.rotateSeconds * this.sampleRate) : 0;
+        this.rotateBytes = options.rotateBytes > 0 ? options.rotateBytes : 0;
+        this.description = options.description || '';
+        this.originator = options.originator || 'Node-RED AES67';
+        this.onFileClosed = options.onFileClosed || function() {};
+        this.onError = options.onError || function() {};
+
+        this.writer = null;
+        this.nextTimestamp = null;
+        this.fileStart = null;
+        this.files = 0;
+        this.closing = Promise.resolve();   // Files closed so far, reported in order
+        this.silenceFrames = 0;
+        this.droppedPackets = 0;
+    }
+
+    // Add one packet of network-order PCM carried at `timestamp`; `now` is wall-clock ms
+    push(timestamp, audio, now) {
+        const frames = Math.floor(audio.length / (this.channels * this.bytesPerSample));
+        if (frames === 0) return;
+
+        if (this.writer) {
+            const gap = timestampDiff(timestamp, this.nextTimestamp);
+            if (gap < 0) {
+                this.droppedPackets++;     // Late or duplicate
+                return;
+            }
+            if (gap > MAX_GAP_SECONDS * this.sampleRate) {
+                this.closeFile();          // Stream restarted; the timeline cannot be bridged
+            } else if (gap > 0) {
+                this.writeSilence(gap, now);
+            }
+        }
+
+        if (!this.writer) {
+            this.openFile(timestamp, now);
+        } else if (this.needsRotation(audio.length)) {
+            this.closeFile();
+            this.openFile(timestamp, now);
+        }
+
+        this.writer.writeNetwork(audio);
+        this.nextTimestamp = (timestamp + frames) % RTP_MOD;
+    }
+
+    writeSilence(frames, now) {
+        const frameBytes = this.channels * this.bytesPerSample;
+        this.silenceFrames += frames;
+
+        while (frames > 0) {
+            if (this.needsRotation(frameBytes)) {
+                // The next file starts at the timestamp the silence has reached
+                const timestamp = this.nextTimestamp;
+                this.closeFile();
+                this.openFile(timestamp, now);
+                this.nextTimestamp = timestamp;
+            }
+
+            let count = frames;
+            if (this.rotateFrames) {
+                count = Math.min(count, this.rotateFrames - this.writer.frames);
+            }
+            if (this.rotateBytes) {
+                count = Math.min(count, Math.max(1, Math.floor((this.rotateBytes - this.writer.bytes) / frameBytes)));
+            }
+            this.writer.writeSilence(count);
+            this.nextTimestamp = (this.nextTimestamp + count) % RTP_MOD;
+            frames -= count;
+        }
+    }
+
+    needsRotation(bytes) {
+        if (this.writer.frames === 0) return false;
+        if (this.rotateFrames && this.writer.frames >= this.rotateFrames) return true;
+        if (this.rotateBytes && this.writer.bytes + bytes > this.rotateBytes) return true;
+        return this.writer.isFull(bytes);
+    }
+
+    openFile(timestamp, now) {
+        const start = new Date(now);
+        const date = `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+        const time = `${pad(start.getHours())}:${pad(start.getMinutes())}:${pad(start.getSeconds())}`;
+        const name = `${this.prefix}_${date.replace(/-/g, '')}-${time.replace(/:/g, '')}.wav`;
+
+        const midnight = new Date(start).setHours(0, 0, 0, 0);
+        const bext = this.format === 'bwf' ? {
+            description: `${this.description ? this.description + '; ' : ''}RTP timestamp ${timestamp}`,
+            originator: this.originator,
+            originatorReference: `${this.prefix}-${timestamp}`,
+            originationDate: date,
+            originationTime: time,
+            timeReference: Math.round(((now - midnight) / 1000) * this.sampleRate)
+        } : null;
+
+        this.writer = new WavWriter(path.join(this.directory, name), {
+            sampleRate: this.sampleRate,
+            channels: this.channels,
+            bytesPerSample: this.bytesPerSample,
+            bext: bext,
+            onError: (err) => this.onError(err)
+        });
+        this.fileStart = { timestamp: timestamp, time: start.toISOString() };
+        this.files++;
+    }
+
+    closeFile() {
+        if (!this.writer) return;
+
+        const writer = this.writer;
+        const fileStart = this.fileStart;
+        const closed = writer.close();
+        this.writer = null;
+        this.nextTimestamp = null;
+        // Write errors have been reported through onError already
+        this.closing = this.closing.then(() => closed).then(() => this.onFileClosed({
+            file: writer.path,
+            duration: writer.frames / this.sampleRate,
+            bytes: writer.bytes,
+            startTime: fileStart.time,
+            rtpTimestamp: fileStart.timestamp
+        }), () => {});
+    }
+
+    // Push buffered audio to disk without closing the file
+    flush() {
+        if (this.writer) {
+            this.writer.flush();
+        }
+    }
+
+    // Resolves once the last file is complete on disk
+    stop() {
+        this.closeFile();
+        return this.closing;
+    }
+
+    getStatus() {
+        return {
+            directory: this.directory,
+            format: this.format,
+            file: this.writer ? this.writer.path : null,
+            duration: this.writer ? this.writer.frames / this.sampleRate : 0,
+            bytes: this.writer ? this.writer.bytes : 0,
+            files: this.files,
+            silenceFrames: this.silenceFrames,
+            droppedPackets: this.droppedPackets
+        };
+    }
+}
+
+module.exports = {
+    StreamRecorder
+};
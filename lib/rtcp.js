@@ -0,0 +1,469 @@
+// RTCP (RFC 3550) sender/receiver reports for AES67 streams
+const dgram = require('dgram');
+const { performance } = require('perf_hooks');
+
+const RTCP_SR = 200;
+const RTCP_RR = 201;
+const RTCP_SDES = 202;
+const RTCP_BYE = 203;
+const SDES_CNAME = 1;
+
+const RTCP_INTERVAL = 5000;         // Minimum report interval (RFC 3550 6.2)
+const NTP_EPOCH_OFFSET = 2208988800; // Seconds between 1900 and 1970
+const RTP_SEQ_MOD = 0x10000;
+const MAX_DROPOUT = 3000;
+const MAX_MISORDER = 100;
+const MIN_SEQUENTIAL = 2;
+
+// Wall-clock time in milliseconds with sub-millisecond resolution
+function nowMs() {
+    return performance.timeOrigin + performance.now();
+}
+
+function toNTP(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return {
+        msw: (seconds + NTP_EPOCH_OFFSET) >>> 0,
+        lsw: Math.floor(((ms - seconds * 1000) / 1000) * 0x100000000) >>> 0
+    };
+}
+
+// Middle 32 bits of an NTP timestamp, as used by LSR
+function compactNTP(ntp) {
+    return (((ntp.msw & 0xFFFF) << 16) | (ntp.lsw >>> 16)) >>> 0;
+}
+
+// Round-trip time from a report block about our own SR (RFC 3550 6.4.1)
+function roundTripMs(block, arrivalMs) {
+    if (!block.lsr) return null;
+    const arrival = compactNTP(toNTP(arrivalMs));
+    const elapsed = ((arrival - block.lsr) >>> 0) / 65536;
+    return Math.max(0, (elapsed - block.dlsr) * 1000);
+}
+
+function writeHeader(buffer, count, packetType) {
+    buffer[0] = 0x80 | (count & 0x1F);
+    buffer[1] = packetType;
+    buffer.writeUInt16BE(buffer.length / 4 - 1, 2);
+}
+
+function writeReportBlock(buffer, offset, block) {
+    buffer.writeUInt32BE(block.ssrc >>> 0, offset);
+    buffer[offset + 4] = block.fractionLost & 0xFF;
+    // Cumulative loss is a signed 24-bit value
+    buffer.writeIntBE(Math.max(-0x800000, Math.min(0x7FFFFF, block.cumulativeLost)), offset + 5, 3);
+    buffer.writeUInt32BE(block.extendedHighestSeq >>> 0, offset + 8);
+    buffer.writeUInt32BE(Math.floor(block.jitter) >>> 0, offset + 12);
+    buffer.writeUInt32BE(block.lsr >>> 0, offset + 16);
+    buffer.writeUInt32BE(block.dlsr >>> 0, offset + 20);
+}
+
+function readReportBlock(buffer, offset) {
+    return {
+        ssrc: buffer.readUInt32BE(offset),
+        fractionLost: buffer[offset + 4] / 256,
+        cumulativeLost: buffer.readIntBE(offset + 5, 3),
+        extendedHighestSeq: buffer.readUInt32BE(offset + 8),
+        jitter: buffer.readUInt32BE(offset + 12),
+        lsr: buffer.readUInt32BE(offset + 16),
+        dlsr: buffer.readUInt32BE(offset + 20) / 65536
+    };
+}
+
+function buildSenderReport(options) {
+    const reports = options.reports || [];
+    const buffer = Buffer.alloc(28 + reports.length * 24);
+    writeHeader(buffer, reports.length, RTCP_SR);
+    buffer.writeUInt32BE(options.ssrc >>> 0, 4);
+    buffer.writeUInt32BE(options.ntp.msw, 8);
+    buffer.writeUInt32BE(options.ntp.lsw, 12);
+    buffer.writeUInt32BE(options.rtpTimestamp >>> 0, 16);
+    buffer.writeUInt32BE(options.packetCount >>> 0, 20);
+    buffer.writeUInt32BE(options.octetCount >>> 0, 24);
+    reports.forEach((block, i) => writeReportBlock(buffer, 28 + i * 24, block));
+    return buffer;
+}
+
+function buildReceiverReport(options) {
+    const reports = options.reports || [];
+    const buffer = Buffer.alloc(8 + reports.length * 24);
+    writeHeader(buffer, reports.length, RTCP_RR);
+    buffer.writeUInt32BE(options.ssrc >>> 0, 4);
+    reports.forEach((block, i) => writeReportBlock(buffer, 8 + i * 24, block));
+    return buffer;
+}
+
+function buildSDES(ssrc, cname) {
+    const text = Buffer.from(cname, 'utf8').slice(0, 255);
+    // SSRC + CNAME item + terminating null, padded to a 32-bit boundary
+    const chunkLength = Math.ceil((4 + 2 + text.length + 1) / 4) * 4;
+    const buffer = Buffer.alloc(4 + chunkLength);
+    writeHeader(buffer, 1, RTCP_SDES);
+    buffer.writeUInt32BE(ssrc >>> 0, 4);
+    buffer[8] = SDES_CNAME;
+    buffer[9] = text.length;
+    text.copy(buffer, 10);
+    return buffer;
+}
+
+function buildBye(ssrc) {
+    const buffer = Buffer.alloc(8);
+    writeHeader(buffer, 1, RTCP_BYE);
+    buffer.writeUInt32BE(ssrc >>> 0, 4);
+    return buffer;
+}
+
+// Parse a compound RTCP packet into its component reports
+function parseCompound(buffer) {
+    const packets = [];
+    let offset = 0;
+
+    while (offset + 4 <= buffer.length) {
+        const version = buffer[offset] >> 6;
+        const count = buffer[offset] & 0x1F;
+        const packetType = buffer[offset + 1];
+        const length = (buffer.readUInt16BE(offset + 2) + 1) * 4;
+
+        if (version !== 2 || offset + length > buffer.length) break;
+
+        const packet = buffer.slice(offset, offset + length);
+        offset += length;
+
+        switch (packetType) {
+            case RTCP_SR: {
+                if (packet.length < 28) break;
+                const reports = [];
+                for (let i = 0; i < count && 28 + (i + 1) * 24 <= packet.length; i++) {
+                    reports.push(readReportBlock(packet, 28 + i * 24));
+                }
+                const ntp = { msw: packet.readUInt32BE(8), lsw: packet.readUInt32BE(12) };
+                packets.push({
+                    type: 'SR',
+                    ssrc: packet.readUInt32BE(4),
+                    ntp: ntp,
+                    ntpTime: new Date((ntp.msw - NTP_EPOCH_OFFSET) * 1000 + (ntp.lsw / 0x100000000) * 1000).toISOString(),
+                    rtpTimestamp: packet.readUInt32BE(16),
+                    packetCount: packet.readUInt32BE(20),
+                    octetCount: packet.readUInt32BE(24),
+                    reports: reports
+                });
+                break;
+            }
+
+            case RTCP_RR: {
+                if (packet.length < 8) break;
+                const reports = [];
+                for (let i = 0; i < count && 8 + (i + 1) * 24 <= packet.length; i++) {
+                    reports.push(readReportBlock(packet, 8 + i * 24));
+                }
+                packets.push({ type: 'RR', ssrc: packet.readUInt32BE(4), reports: reports });
+                break;
+            }
+
+            case RTCP_SDES: {
+                if (packet.length < 10) break;
+                const ssrc = packet.readUInt32BE(4);
+                let cname = null;
+                let itemOffset = 8;
+                while (itemOffset + 2 <= packet.length && packet[itemOffset] !== 0) {
+                    const itemLength = packet[itemOffset + 1];
+                    if (packet[itemOffset] === SDES_CNAME) {
+                        cname = packet.slice(itemOffset + 2, itemOffset + 2 + itemLength).toString('utf8');
+                    }
+                    itemOffset += 2 + itemLength;
+                }
+                packets.push({ type: 'SDES', ssrc: ssrc, cname: cname });
+                break;
+            }
+
+            case RTCP_BYE: {
+                const sources = [];
+                for (let i = 0; i < count && 4 + (i + 1) * 4 <= packet.length; i++) {
+                    sources.push(packet.readUInt32BE(4 + i * 4));
+                }
+                packets.push({ type: 'BYE', sources: sources });
+                break;
+            }
+        }
+    }
+
+    return packets;
+}
+
+// Per-source reception statistics (RFC 3550 A.1, A.3, A.8)
+class ReceptionStats {
+    constructor(clockRate) {
+        this.clockRate = clockRate;
+        this.reset();
+    }
+
+    reset() {
+        this.ssrc = null;
+        this.maxSeq = 0;
+        this.cycles = 0;
+        this.baseSeq = 0;
+        this.badSeq = RTP_SEQ_MOD + 1;
+        this.probation = MIN_SEQUENTIAL;
+        this.received = 0;
+        this.expectedPrior = 0;
+        this.receivedPrior = 0;
+        this.transit = null;
+        this.jitter = 0;
+        this.lastSR = null;
+    }
+
+    initSequence(seq) {
+        this.baseSeq = seq;
+        this.maxSeq = seq;
+        this.badSeq = RTP_SEQ_MOD + 1;
+        this.cycles = 0;
+        this.received = 0;
+        this.expectedPrior = 0;
+        this.receivedPrior = 0;
+    }
+
+    // Returns false for packets that should be ignored (probation or bad sequence)
+    updateSequence(seq) {
+        const delta = (seq - this.maxSeq + RTP_SEQ_MOD) % RTP_SEQ_MOD;
+
+        if (this.probation) {
+            if (seq === ((this.maxSeq + 1) % RTP_SEQ_MOD)) {
+                this.probation--;
+                this.maxSeq = seq;
+                if (this.probation === 0) {
+                    this.initSequence(seq);
+                    this.received++;
+                    return true;
+                }
+            } else {
+                this.probation = MIN_SEQUENTIAL - 1;
+                this.maxSeq = seq;
+            }
+            return false;
+        }
+
+        if (delta < MAX_DROPOUT) {
+            // In order, with permissible gap
+            if (seq < this.maxSeq) {
+                this.cycles += RTP_SEQ_MOD;
+            }
+            this.maxSeq = seq;
+        } else if (delta <= RTP_SEQ_MOD - MAX_MISORDER) {
+            // Very large jump: accept after two sequential packets
+            if (seq === this.badSeq) {
+                this.initSequence(seq);
+            } else {
+                this.badSeq = (seq + 1) % RTP_SEQ_MOD;
+                return false;
+            }
+        }
+        // Otherwise a duplicate or reordered packet
+
+        this.received++;
+        return true;
+    }
+
+    update(header, arrivalMs) {
+        if (this.ssrc !== header.ssrc) {
+            this.reset();
+            this.ssrc = header.ssrc;
+            this.initSequence(header.sequenceNumber);
+            this.maxSeq = (header.sequenceNumber - 1 + RTP_SEQ_MOD) % RTP_SEQ_MOD;
+        }
+
+        if (!this.updateSequence(header.sequenceNumber)) return;
+
+        // Interarrival jitter in timestamp units
+        const arrival = Math.floor((arrivalMs / 1000) * this.clockRate);
+        const transit = (arrival - header.timestamp) >>> 0;
+        if (this.transit !== null) {
+            let d = (transit - this.transit) | 0;
+            if (d < 0) d = -d;
+            this.jitter += (d - this.jitter) / 16;
+        }
+        this.transit = transit;
+    }
+
+    recordSenderReport(sr, arrivalMs) {
+        this.lastSR = { lsr: compactNTP(sr.ntp), arrival: arrivalMs };
+    }
+
+    getExtendedMax() {
+        return this.cycles + this.maxSeq;
+    }
+
+    getCumulativeLost() {
+        const expected = this.getExtendedMax() - this.baseSeq + 1;
+        return expected - this.received;
+    }
+
+    // Build a report block and advance the interval counters
+    getReportBlock(now) {
+        if (this.ssrc === null || this.probation) return null;
+
+        const expected = this.getExtendedMax() - this.baseSeq + 1;
+        const expectedInterval = expected - this.expectedPrior;
+        const receivedInterval = this.received - this.receivedPrior;
+        const lostInterval = expectedInterval - receivedInterval;
+        this.expectedPrior = expected;
+        this.receivedPrior = this.received;
+
+        const fraction = (expectedInterval === 0 || lostInterval <= 0) ? 0 :
+            Math.floor((lostInterval << 8) / expectedInterval);
+
+        return {
+            ssrc: this.ssrc,
+            fractionLost: Math.min(fraction, 255),
+            cumulativeLost: expected - this.received,
+            extendedHighestSeq: this.getExtendedMax(),
+            jitter: this.jitter,
+            lsr: this.lastSR ? this.lastSR.lsr : 0,
+            dlsr: this.lastSR ? Math.floor(((now - this.lastSR.arrival) / 1000) * 65536) : 0
+        };
+    }
+
+    getStats() {
+        return {
+            ssrc: this.ssrc,
+            received: this.received,
+            cumulativeLost: this.ssrc === null ? 0 : this.getCumulativeLost(),
+            extendedHighestSeq: this.getExtendedMax(),
+            jitter: this.jitter,
+            jitterMs: (this.jitter / this.clockRate) * 1000
+        };
+    }
+}
+
+// RTCP socket bound to the RTP port + 1 that sends reports on a randomized interval
+class RTCPSession {
+    constructor(node, options) {
+        this.node = node;
+        this.options = options;
+        this.socket = null;
+        this.timer = null;
+    }
+
+    start() {
+        const options = this.options;
+
+        this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+        this.socket.on('error', (err) => {
+            this.node.warn(`RTCP socket error: ${err.message}`);
+        });
+
+        this.socket.on('message', (msg, rinfo) => {
+            try {
+                const packets = parseCompound(msg);
+                if (packets.length > 0 && options.onPackets) {
+                    options.onPackets(packets, rinfo);
+                }
+            } catch (err) {
+                this.node.debug(`Error parsing RTCP packet: ${err.message}`);
+            }
+        });
+
+        this.socket.bind(options.localPort, '0.0.0.0', () => {
+            if (options.multicastGroup) {
+                try {
+                    this.socket.addMembership(options.multicastGroup);
+                } catch (e) {
+                    this.node.warn(`Could not join RTCP multicast ${options.multicastGroup}: ${e.message}`);
+                }
+            }
+            this.node.log(`RTCP listening on port ${options.localPort}`);
+        });
+
+        this.scheduleReport();
+    }
+
+    scheduleReport() {
+        // Randomize between 0.5 and 1.5 times the interval (RFC 3550 6.3.1)
+        const delay = RTCP_INTERVAL * (0.5 + Math.random());
+        this.timer = setTimeout(() => {
+            this.sendReport();
+            this.scheduleReport();
+        }, delay);
+    }
+
+    setMulticastGroup(group) {
+        if (!this.socket || group === this.options.multicastGroup) return;
+
+        if (this.options.multicastGroup) {
+            try {
+                this.socket.dropMembership(this.options.multicastGroup);
+            } catch (e) {}
+        }
+
+        this.options.multicastGroup = group;
+        if (group) {
+            try {
+                this.socket.addMembership(group);
+            } catch (e) {
+                this.node.warn(`Could not join RTCP multicast ${group}: ${e.message}`);
+            }
+        }
+    }
+
+    sendReport() {
+        const destination = this.options.getDestination();
+        if (!destination || !this.socket) return;
+
+        const report = this.options.buildReport();
+        if (!report) return;
+
+        const packet = Buffer.concat([report, buildSDES(this.options.ssrc, this.options.cname)]);
+        this.send(packet, destination);
+    }
+
+    send(packet, destination) {
+        try {
+            this.socket.send(packet, destination.port, destination.address, (err) => {
+                if (err) {
+                    this.node.debug(`RTCP send error: ${err.message}`);
+                }
+            });
+        } catch (err) {
+            this.node.debug(`RTCP send error: ${err.message}`);
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (this.socket) {
+            // Announce that we are leaving the session
+            const destination = this.options.getDestination();
+            const report = this.options.buildReport();
+            if (destination && report) {
+                this.send(Buffer.concat([report, buildSDES(this.options.ssrc, this.options.cname),
+                    buildBye(this.options.ssrc)]), destination);
+            }
+
+            const socket = this.socket;
+            this.socket = null;
+            setTimeout(() => {
+                try {
+                    socket.close();
+                } catch (e) {}
+            }, 50);
+        }
+    }
+}
+
+module.exports = {
+    nowMs,
+    toNTP,
+    compactNTP,
+    roundTripMs,
+    buildSenderReport,
+    buildReceiverReport,
+    buildSDES,
+    buildBye,
+    parseCompound,
+    ReceptionStats,
+    RTCPSession
+};
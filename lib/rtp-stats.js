@@ -0,0 +1,176 @@
+// Per-stream RTP reception statistics (RFC 3550 section 6.4.1 and appendix A)
+//
+// Sequence numbers are extended to 32 bits and checked as in RFC 3550 A.1:
+// small forward gaps count as loss, packets up to MAX_MISORDER behind the
+// highest sequence are duplicates or reordered, and a large jump is accepted as
+// a sequence reset once the next packet confirms it. A new SSRC starts a new
+// sequence space. Loss is expected minus unique packets, so a reordered packet
+// cancels the loss its gap first caused.
+//
+// Timing compares each packet's arrival with its RTP timestamp. Interarrival
+// jitter is the RFC 3550 A.8 estimator. Packet delay variation (PDV, RFC 5481)
+// is the transit time above the fastest packet of the last two PDV_WINDOW_MS
+// windows, which follows slow drift between the sender's and our clocks; it is
+// collected in a histogram, and packets whose PDV exceeds `lateThresholdMs`
+// (typically the receiver's link offset) count as late.
+
+const RTP_SEQ_MOD = 0x10000;
+const MAX_DROPOUT = 3000;
+const MAX_MISORDER = 100;
+const SEEN_WINDOW = 1024;              // Recent sequence numbers remembered for duplicate detection
+const PDV_WINDOW_MS = 10000;
+const PDV_BUCKETS_MS = [0.5, 1, 2, 5, 10, 20, 50];
+const DEFAULT_LATE_MS = 10;
+
+class StreamStatistics {
+    constructor(options) {
+        options = options || {};
+        this.clockRate = options.clockRate || 48000;
+        this.lateThresholdMs = options.lateThresholdMs > 0 ? options.lateThresholdMs : DEFAULT_LATE_MS;
+        this.reset();
+    }
+
+    reset() {
+        this.packetsReceived = 0;
+        this.duplicates = 0;
+        this.reordered = 0;
+        this.late = 0;
+        this.sequenceResets = 0;
+        this.ssrcChanges = 0;
+        this.lostBefore = 0;           // Loss counted in earlier sequence spaces
+        this.ssrc = null;
+        this.jitter = 0;
+        this.histogram = new Array(PDV_BUCKETS_MS.length + 1).fill(0);
+        this.maxPdv = 0;
+        this.baseSeq = null;
+        this.resetSequence();
+    }
+
+    // Start a new sequence space (new SSRC or sequence reset), keeping the counters
+    resetSequence() {
+        this.lostBefore += this.getSequenceLost();
+        this.baseSeq = null;           // Extended sequence numbers, starting one cycle up
+        this.maxSeq = null;
+        this.unique = 0;
+        this.badSeq = null;
+        this.seen = new Int32Array(SEEN_WINDOW).fill(-1);
+        this.transit = null;
+        this.windowStart = null;
+        this.windowMin = null;
+        this.previousMin = null;
+    }
+
+    getSequenceLost() {
+        return this.baseSeq === null ? 0 : Math.max(0, this.maxSeq - this.baseSeq + 1 - this.unique);
+    }
+
+    // Account for one packet header ({ sequenceNumber, timestamp, ssrc }) arriving at `arrivalMs`
+    update(header, arrivalMs) {
+        this.packetsReceived++;
+
+        if (this.ssrc !== header.ssrc) {
+            if (this.ssrc !== null) this.ssrcChanges++;
+            this.ssrc = header.ssrc;
+            this.resetSequence();
+        }
+
+        const seq = header.sequenceNumber;
+        let extended;
+        if (this.maxSeq === null) {
+            extended = seq + RTP_SEQ_MOD;
+            this.baseSeq = extended;
+            this.maxSeq = extended;
+        } else {
+            const delta = ((seq - this.maxSeq + RTP_SEQ_MOD / 2) & 0xFFFF) - RTP_SEQ_MOD / 2;
+            if (delta >= MAX_DROPOUT || delta < -MAX_MISORDER) {
+                // Large jump: a restarted sender, confirmed by the next packet in sequence
+                if (seq !== this.badSeq) {
+                    this.badSeq = (seq + 1) & 0xFFFF;
+                    return;
+                }
+                this.sequenceResets++;
+                this.resetSequence();
+                extended = seq + RTP_SEQ_MOD;
+                this.baseSeq = extended;
+                this.maxSeq = extended;
+            } else {
+                extended = this.maxSeq + delta;
+                if (delta <= 0 && this.seen[extended % SEEN_WINDOW] === extended) {
+                    this.duplicates++;
+                    return;
+                }
+                if (delta < 0) {
+                    this.reordered++;
+                    if (extended < this.baseSeq) this.baseSeq = extended;
+                } else {
+                    this.maxSeq = extended;
+                }
+            }
+        }
+        this.seen[extended % SEEN_WINDOW] = extended;
+        this.unique++;
+
+        this.updateTiming(header.timestamp, arrivalMs);
+    }
+
+    updateTiming(timestamp, arrivalMs) {
+        // Transit in timestamp units; differences are taken modulo 2^32
+        const arrival = Math.floor((arrivalMs * this.clockRate) / 1000);
+        const transit = (arrival - timestamp) >>> 0;
+
+        if (this.transit !== null) {
+            const d = Math.abs((transit - this.transit) | 0);
+            this.jitter += (d - this.jitter) / 16;
+        }
+        this.transit = transit;
+
+        // Reference: fastest packet of the current and previous window
+        if (this.windowStart === null || arrivalMs - this.windowStart >= PDV_WINDOW_MS) {
+            this.previousMin = this.windowMin;
+            this.windowMin = transit;
+            this.windowStart = arrivalMs;
+        } else if (((transit - this.windowMin) | 0) < 0) {
+            this.windowMin = transit;
+        }
+        let reference = this.windowMin;
+        if (this.previousMin !== null && ((this.previousMin - reference) | 0) < 0) {
+            reference = this.previousMin;
+        }
+
+        const pdv = (((transit - reference) | 0) * 1000) / this.clockRate;
+        let bucket = PDV_BUCKETS_MS.findIndex(limit => pdv < limit);
+        if (bucket < 0) bucket = PDV_BUCKETS_MS.length;
+        this.histogram[bucket]++;
+        if (pdv > this.maxPdv) this.maxPdv = pdv;
+        if (pdv > this.lateThresholdMs) this.late++;
+    }
+
+    getStats() {
+        const lost = this.lostBefore + this.getSequenceLost();
+        return {
+            packetsReceived: this.packetsReceived,
+            packetsLost: lost,
+            lossRate: this.packetsReceived > 0 ? lost / (this.packetsReceived - this.duplicates + lost) : 0,
+            duplicates: this.duplicates,
+            reordered: this.reordered,
+            late: this.late,
+            sequenceResets: this.sequenceResets,
+            ssrcChanges: this.ssrcChanges,
+            ssrc: this.ssrc,
+            jitter: Math.round(this.jitter),
+            jitterMs: Math.round((this.jitter * 1000000) / this.clockRate) / 1000,
+            pdv: {
+                maxMs: Math.round(this.maxPdv * 1000) / 1000,
+                lateThresholdMs: this.lateThresholdMs,
+                histogram: this.histogram.map((count, i) => ({
+                    upToMs: i < PDV_BUCKETS_MS.length ? PDV_BUCKETS_MS[i] : null,
+                    count: count
+                }))
+            }
+        };
+    }
+}
+
+module.exports = {
+    StreamStatistics
+};
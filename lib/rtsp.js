@@ -0,0 +1,267 @@
+// RTSP (RFC 2326) client for the RTSP servers of RAVENNA devices
+//
+// RAVENNA devices do not announce their sessions with SAP; each session's SDP
+// is served by the device's RTSP server, and DESCRIBE on
+// rtsp://<device>:<port>/by-name/<session name> returns it. Multicast sessions
+// need nothing more. A unicast session only sends once a receiver has asked for
+// it with SETUP (naming its RTP port) and PLAY; it stops on TEARDOWN, or when
+// the receiver has been silent for the session timeout, so an RTSPSession in
+// that state sends a keep-alive request every half timeout.
+//
+// Requests on one session run one after another over a single connection,
+// which is opened again if the server closes it.
+
+const net = require('net');
+
+const DEFAULT_PORT = 554;
+const REQUEST_TIMEOUT_MS = 5000;
+const MAX_RESPONSE_BYTES = 65536;
+const DEFAULT_SESSION_TIMEOUT_S = 60;
+const USER_AGENT = 'node-red-contrib-aes67-router';
+
+function sessionUrl(address, port, sessionName) {
+    return `rtsp://${address}:${port || DEFAULT_PORT}/by-name/${encodeURIComponent(sessionName)}`;
+}
+
+// URL to SETUP one media section: its a=control, relative to the session URL
+function controlUrl(sessionUrl, control) {
+    if (!control || control === '*') return sessionUrl;
+    if (/^rtsp:\/\//i.test(control)) return control;
+    return sessionUrl.replace(/\/?$/, '/') + control;
+}
+
+// A complete response at the start of `buffer` as { response, length }, or null while more is to come
+function parseResponse(buffer) {
+    const headerEnd = buffer.indexOf('\r\n\r\n');
+    if (headerEnd < 0) return null;
+
+    const lines = buffer.toString('utf8', 0, headerEnd).split('\r\n');
+    const status = /^RTSP\/1\.\d (\d{3}) ?(.*)$/.exec(lines[0]);
+    if (!status) {
+        throw new Error(`Invalid RTSP response: ${lines[0]}`);
+    }
+
+    const headers = {};
+    lines.slice(1).forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    });
+
+    const length = headerEnd + 4 + (parseInt(headers['content-length']) || 0);
+    if (buffer.length < length) return null;
+    return {
+        response: {
+            status: parseInt(status[1]),
+            reason: status[2],
+            headers: headers,
+            body: buffer.toString('utf8', headerEnd + 4, length)
+        },
+        length: length
+    };
+}
+
+// "name=value;name=value" parameters of Transport and Session headers
+function parseParameters(header) {
+    const parameters = {};
+    String(header || '').split(';').forEach(part => {
+        const equals = part.indexOf('=');
+        if (equals < 0) {
+            if (part.trim()) parameters[part.trim().toLowerCase()] = true;
+        } else {
+            parameters[part.slice(0, equals).trim().toLowerCase()] = part.slice(equals + 1).trim();
+        }
+    });
+    return parameters;
+}
+
+class RTSPSession {
+    constructor(url) {
+        let target;
+        try {
+            target = new URL(url);
+        } catch (err) {
+            throw new Error(`Invalid RTSP URL: ${url}`);
+        }
+        if (target.protocol !== 'rtsp:') {
+            throw new Error(`Not an RTSP URL: ${url}`);
+        }
+
+        this.url = url;
+        this.host = target.hostname;
+        this.port = parseInt(target.port) || DEFAULT_PORT;
+        this.socket = null;
+        this.received = Buffer.alloc(0);
+        this.pending = null;           // { resolve, reject } of the request awaiting its response
+        this.queue = Promise.resolve();
+        this.cseq = 0;
+        this.session = null;           // Session ID given by SETUP
+        this.timeout = DEFAULT_SESSION_TIMEOUT_S;
+        this.transport = null;         // Transport parameters the server answered SETUP with
+        this.keepAliveTimer = null;
+        this.closed = false;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection(this.port, this.host);
+            socket.setTimeout(REQUEST_TIMEOUT_MS);
+            socket.once('connect', () => {
+                socket.setTimeout(0);
+                resolve();
+            });
+            socket.on('timeout', () => socket.destroy(new Error(`Timed out connecting to ${this.host}:${this.port}`)));
+            socket.on('data', (chunk) => this.handleData(chunk));
+            socket.on('error', (err) => {
+                reject(err);
+                this.fail(err);
+            });
+            socket.on('close', () => {
+                if (this.socket === socket) this.socket = null;
+                this.fail(new Error(`Connection closed by ${this.host}`));
+            });
+            this.socket = socket;
+            this.received = Buffer.alloc(0);
+        });
+    }
+
+    handleData(chunk) {
+        this.received = Buffer.concat([this.received, chunk]);
+        try {
+            if (this.received.length > MAX_RESPONSE_BYTES) {
+                throw new Error(`Response from ${this.host} is larger than ${MAX_RESPONSE_BYTES} bytes`);
+            }
+            const parsed = parseResponse(this.received);
+            if (!parsed) return;
+            this.received = this.received.subarray(parsed.length);
+            if (this.pending) {
+                const pending = this.pending;
+                this.pending = null;
+                pending.resolve(parsed.response);
+            }
+        } catch (err) {
+            if (this.socket) this.socket.destroy();
+            this.fail(err);
+        }
+    }
+
+    fail(err) {
+        if (this.pending) {
+            const pending = this.pending;
+            this.pending = null;
+            pending.reject(err);
+        }
+    }
+
+    // Send one request once earlier ones are answered; resolves to { status, reason, headers, body }
+    request(method, url, headers) {
+        const run = async () => {
+            if (this.closed) throw new Error('RTSP session is closed');
+            if (!this.socket) await this.connect();
+
+            const lines = [`${method} ${url || this.url} RTSP/1.0`, `CSeq: ${++this.cseq}`, `User-Agent: ${USER_AGENT}`];
+            if (this.session) lines.push(`Session: ${this.session}`);
+            Object.keys(headers || {}).forEach(name => lines.push(`${name}: ${headers[name]}`));
+
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    this.fail(new Error(`Timed out waiting for ${method} response from ${this.host}`));
+                }, REQUEST_TIMEOUT_MS);
+                this.pending = {
+                    resolve: (response) => { clearTimeout(timer); resolve(response); },
+                    reject: (err) => { clearTimeout(timer); reject(err); }
+                };
+                this.socket.write(lines.join('\r\n') + '\r\n\r\n');
+            });
+        };
+        const result = this.queue.then(run, run);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async expectOk(method, url, headers) {
+        const response = await this.request(method, url, headers);
+        if (response.status !== 200) {
+            throw new Error(`RTSP ${response.status} ${response.reason} for ${method} ${url || this.url}`);
+        }
+        return response;
+    }
+
+    async describe() {
+        const response = await this.expectOk('DESCRIBE', this.url, { Accept: 'application/sdp' });
+        if (!/^v=0/.test(response.body.trim())) {
+            throw new Error(`No SDP in the description of ${this.url}`);
+        }
+        return response.body;
+    }
+
+    // Ask for unicast RTP to `clientPort` (RTCP on the port above); resolves to the server's transport parameters
+    async setup(url, clientPort) {
+        const response = await this.expectOk('SETUP', url, {
+            Transport: `RTP/AVP;unicast;client_port=${clientPort}-${clientPort + 1}`
+        });
+        // Session: <id>;timeout=<seconds>
+        const session = String(response.headers.session || '').split(';');
+        if (!session[0].trim()) {
+            throw new Error(`No session in the SETUP response from ${this.host}`);
+        }
+        this.session = session[0].trim();
+        this.timeout = parseInt(parseParameters(session.slice(1).join(';')).timeout) || DEFAULT_SESSION_TIMEOUT_S;
+        this.transport = parseParameters(response.headers.transport);
+        return this.transport;
+    }
+
+    async play() {
+        await this.expectOk('PLAY', this.url, { Range: 'npt=0.000-' });
+
+        // Unicast sessions end when the server hears nothing for its timeout
+        this.keepAliveTimer = setInterval(() => {
+            this.request('OPTIONS', this.url).catch(() => {});
+        }, (this.timeout * 1000) / 2);
+    }
+
+    async teardown() {
+        this.stopKeepAlive();
+        try {
+            // A SETUP still under way has to finish for its session to be torn down
+            await this.queue;
+            if (this.session) await this.expectOk('TEARDOWN', this.url);
+        } finally {
+            this.close();
+        }
+    }
+
+    stopKeepAlive() {
+        if (this.keepAliveTimer) {
+            clearInterval(this.keepAliveTimer);
+            this.keepAliveTimer = null;
+        }
+    }
+
+    close() {
+        this.stopKeepAlive();
+        this.closed = true;
+        this.session = null;
+        if (this.socket) {
+            this.socket.end();
+            this.socket = null;
+        }
+    }
+}
+
+// SDP of an RTSP session, on a connection of its own
+async function describe(url) {
+    const session = new RTSPSession(url);
+    try {
+        return await session.describe();
+    } finally {
+        session.close();
+    }
+}
+
+module.exports = {
+    parseResponse,
+    RTSPSession,
+    sessionUrl,
+    controlUrl,
+    describe
+};
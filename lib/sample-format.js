@@ -0,0 +1,237 @@
+// Sample format conversion between Node-RED flow formats and AES67 network encodings
+//
+// Flow-side formats are described by { type, layout, endianness }:
+//   type       - 'raw' (network bytes, no conversion), 'float32', 'int16' or 'int32'
+//   layout     - 'interleaved' (L, R, L, R...) or 'planar' (one array per channel)
+//   endianness - 'le' or 'be', used when samples are carried in a Buffer
+//
+// Conversions go through normalized Float64 samples in the range [-1, 1).
+
+const SAMPLE_TYPES = {
+    float32: { bytes: 4, scale: 1 },
+    int16: { bytes: 2, scale: 32768 },
+    int32: { bytes: 4, scale: 2147483648 }
+};
+
+const NETWORK_ENCODINGS = {
+    L16: { bytes: 2 },
+    L24: { bytes: 3 },
+    L32: { bytes: 4 }
+};
+
+function parseFormat(options) {
+    options = options || {};
+    const type = SAMPLE_TYPES[options.type] ? options.type : 'raw';
+    return {
+        type: type,
+        layout: options.layout === 'planar' ? 'planar' : 'interleaved',
+        endianness: options.endianness === 'be' ? 'be' : 'le'
+    };
+}
+
+function isRaw(format) {
+    return !format || format.type === 'raw';
+}
+
+function getBytesPerSample(encoding) {
+    const info = NETWORK_ENCODINGS[encoding];
+    if (!info) {
+        throw new Error(`Unsupported encoding: ${encoding}`);
+    }
+    return info.bytes;
+}
+
+// Decode network-order PCM into normalized samples
+function decodeNetwork(buffer, encoding) {
+    const bytes = getBytesPerSample(encoding);
+    const count = Math.floor(buffer.length / bytes);
+    const samples = new Float64Array(count);
+    const scale = Math.pow(2, bytes * 8 - 1);
+
+    for (let i = 0, offset = 0; i < count; i++, offset += bytes) {
+        samples[i] = buffer.readIntBE(offset, bytes) / scale;
+    }
+
+    return samples;
+}
+
+// Encode normalized samples into network-order PCM, clipping at full scale
+function encodeNetwork(samples, encoding) {
+    const bytes = getBytesPerSample(encoding);
+    const buffer = Buffer.allocUnsafe(samples.length * bytes);
+    const scale = Math.pow(2, bytes * 8 - 1);
+    const max = scale - 1;
+
+    for (let i = 0, offset = 0; i < samples.length; i++, offset += bytes) {
+        let value = Math.round(samples[i] * scale);
+        if (value > max) value = max;
+        else if (value < -scale) value = -scale;
+        buffer.writeIntBE(value, offset, bytes);
+    }
+
+    return buffer;
+}
+
+// Typed arrays carry their own sample type regardless of the configured one
+function typedArraySampleType(array) {
+    if (array instanceof Float32Array || array instanceof Float64Array) return 'float32';
+    if (array instanceof Int16Array) return 'int16';
+    if (array instanceof Int32Array) return 'int32';
+    return null;
+}
+
+function isChannelArray(value) {
+    return Buffer.isBuffer(value) || ArrayBuffer.isView(value) || Array.isArray(value);
+}
+
+// Decode one flat run of samples (Buffer, typed array or number array)
+function decodeChannelData(data, format) {
+    if (Buffer.isBuffer(data)) {
+        const info = SAMPLE_TYPES[format.type];
+        if (data.length % info.bytes !== 0) {
+            throw new Error(`Buffer length ${data.length} is not a multiple of the ${format.type} sample size`);
+        }
+
+        const count = data.length / info.bytes;
+        const samples = new Float64Array(count);
+        const le = format.endianness === 'le';
+
+        for (let i = 0, offset = 0; i < count; i++, offset += info.bytes) {
+            switch (format.type) {
+                case 'float32':
+                    samples[i] = le ? data.readFloatLE(offset) : data.readFloatBE(offset);
+                    break;
+                case 'int16':
+                    samples[i] = (le ? data.readInt16LE(offset) : data.readInt16BE(offset)) / info.scale;
+                    break;
+                case 'int32':
+                    samples[i] = (le ? data.readInt32LE(offset) : data.readInt32BE(offset)) / info.scale;
+                    break;
+            }
+        }
+        return samples;
+    }
+
+    if (ArrayBuffer.isView(data) || Array.isArray(data)) {
+        const type = typedArraySampleType(data) || format.type;
+        const scale = SAMPLE_TYPES[type].scale;
+        const samples = new Float64Array(data.length);
+
+        for (let i = 0; i < data.length; i++) {
+            samples[i] = Number(data[i]) / scale;
+        }
+        return samples;
+    }
+
+    throw new Error('Invalid audio data: expected Buffer, typed array or array of channels');
+}
+
+// Decode flow audio into interleaved normalized samples
+function decode(input, format, channels) {
+    // An array of per-channel arrays is always planar
+    const planar = Array.isArray(input) && input.length > 0 && isChannelArray(input[0]);
+
+    if (!planar) {
+        if (format.layout === 'planar') {
+            throw new Error('Invalid audio data: planar layout expects an array of channels');
+        }
+        return decodeChannelData(input, format);
+    }
+
+    if (input.length !== channels) {
+        throw new Error(`Invalid audio data: expected ${channels} channels, got ${input.length}`);
+    }
+
+    const planes = input.map(plane => decodeChannelData(plane, format));
+    const frames = planes[0].length;
+
+    if (planes.some(plane => plane.length !== frames)) {
+        throw new Error('Invalid audio data: channel arrays differ in length');
+    }
+
+    const samples = new Float64Array(frames * channels);
+    for (let ch = 0; ch < channels; ch++) {
+        const plane = planes[ch];
+        for (let i = 0; i < frames; i++) {
+            samples[i * channels + ch] = plane[i];
+        }
+    }
+    return samples;
+}
+
+// Encode one channel (or an interleaved run) into the flow sample type
+function encodeChannelData(samples, format) {
+    if (format.type === 'float32') {
+        return Float32Array.from(samples);
+    }
+
+    const info = SAMPLE_TYPES[format.type];
+    const max = info.scale - 1;
+    const buffer = Buffer.allocUnsafe(samples.length * info.bytes);
+    const le = format.endianness === 'le';
+
+    for (let i = 0, offset = 0; i < samples.length; i++, offset += info.bytes) {
+        let value = Math.round(samples[i] * info.scale);
+        if (value > max) value = max;
+        else if (value < -info.scale) value = -info.scale;
+
+        if (format.type === 'int16') {
+            if (le) buffer.writeInt16LE(value, offset);
+            else buffer.writeInt16BE(value, offset);
+        } else {
+            if (le) buffer.writeInt32LE(value, offset);
+            else buffer.writeInt32BE(value, offset);
+        }
+    }
+    return buffer;
+}
+
+// Encode interleaved normalized samples into the flow format
+function encode(samples, format, channels) {
+    if (format.layout !== 'planar') {
+        return encodeChannelData(samples, format);
+    }
+
+    const frames = Math.floor(samples.length / channels);
+    const planes = [];
+
+    for (let ch = 0; ch < channels; ch++) {
+        const plane = new Float64Array(frames);
+        for (let i = 0; i < frames; i++) {
+            plane[i] = samples[i * channels + ch];
+        }
+        planes.push(encodeChannelData(plane, format));
+    }
+    return planes;
+}
+
+// Convert flow audio into network PCM for the sender
+function toNetwork(input, format, channels, encoding) {
+    if (isRaw(format)) {
+        if (!Buffer.isBuffer(input)) {
+            throw new Error('Invalid audio data: expected Buffer');
+        }
+        return input;
+    }
+    return encodeNetwork(decode(input, format, channels), encoding);
+}
+
+// Convert network PCM into the flow format for the receiver
+function fromNetwork(buffer, format, channels, encoding) {
+    if (isRaw(format)) {
+        return buffer;
+    }
+    return encode(decodeNetwork(buffer, encoding), format, channels);
+}
+
+module.exports = {
+    parseFormat,
+    isRaw,
+    getBytesPerSample,
+    decodeNetwork,
+    encodeNetwork,
+    decode,
+    encode,
+    toNetwork,
+    fromNetwork
+};
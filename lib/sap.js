@@ -0,0 +1,245 @@
+// SAP (RFC 2974) announcements of an outgoing stream's SDP description
+//
+// Announces on 239.255.255.255:9875 every 30 seconds, and on the secondary
+// network too for ST 2022-7 streams. Changes are announced straight away with
+// a new message ID hash, and the session is withdrawn with a deletion packet.
+
+const dgram = require('dgram');
+const crypto = require('crypto');
+
+let sdp = null;
+try {
+    sdp = require('sdp-transform');
+} catch (e) {}
+
+const AES67_SAP_PORT = 9875;
+const AES67_SAP_MULTICAST = '239.255.255.255';
+
+class SAPAnnouncer {
+    constructor(node, streamConfig) {
+        this.node = node;
+        this.config = streamConfig;
+        this.sapSocket = null;
+        this.secondarySapSocket = null;
+        this.announcementInterval = null;
+        this.msgIdHash = crypto.randomBytes(2).readUInt16BE(0);
+        this.sessionVersion = 1;
+    }
+
+    async start() {
+        try {
+            this.sapSocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+            this.sapSocket.on('error', (err) => {
+                this.node.warn(`SAP socket error: ${err.message}`);
+            });
+
+            // Announce on the secondary network too for ST 2022-7 streams
+            const secondary = this.config.secondary;
+            if (secondary && secondary.sourceIP) {
+                this.secondarySapSocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+                this.secondarySapSocket.on('error', (err) => {
+                    this.node.warn(`Secondary SAP socket error: ${err.message}`);
+                });
+                this.secondarySapSocket.bind(0, secondary.sourceIP, () => {
+                    try {
+                        this.secondarySapSocket.setMulticastInterface(secondary.sourceIP);
+                    } catch (e) {
+                        this.node.warn(`Could not use ${secondary.sourceIP} for SAP: ${e.message}`);
+                    }
+                });
+            }
+
+            // Send SAP announcements every 30 seconds
+            this.announcementInterval = setInterval(() => {
+                this.sendAnnouncement();
+            }, 30000);
+
+            // Send initial announcement
+            this.sendAnnouncement();
+
+            this.node.log('SAP announcements started');
+
+        } catch (err) {
+            this.node.error(`Failed to start SAP announcer: ${err.message}`);
+            throw err;
+        }
+    }
+
+    sendAnnouncement() {
+        const sdpData = this.createSDP();
+        const sapPacket = this.createSAPPacket(sdpData);
+
+        this.sendPacket(sapPacket);
+    }
+
+    // Apply a changed stream description and announce it straight away
+    update(streamConfig) {
+        const moved = streamConfig.destIP !== this.config.destIP || streamConfig.port !== this.config.port;
+        if (moved) {
+            // Listeners know the stream by its destination; withdraw the old one
+            this.sendDeletion();
+        }
+
+        Object.assign(this.config, streamConfig);
+        this.announceChange();
+    }
+
+    announceChange() {
+        this.sessionVersion++;
+        // SAP listeners detect a modified description by a new message ID hash (RFC 2974)
+        this.msgIdHash = (this.msgIdHash + 1) & 0xFFFF;
+        this.sendAnnouncement();
+    }
+
+    sendPacket(packet) {
+        [this.sapSocket, this.secondarySapSocket].forEach(socket => {
+            if (socket) {
+                socket.send(packet, AES67_SAP_PORT, AES67_SAP_MULTICAST, (err) => {
+                    if (err) {
+                        this.node.debug(`SAP send error: ${err.message}`);
+                    }
+                });
+            }
+        });
+    }
+
+    createSDP() {
+        if (!sdp) {
+            throw new Error('sdp-transform module not available');
+        }
+
+        const primary = { destIP: this.config.destIP, port: this.config.port };
+        const secondary = this.config.secondary;
+
+        const session = {
+            version: 0,
+            origin: {
+                username: 'node-red',
+                sessionId: this.config.sessionId || Date.now().toString(),
+                sessionVersion: this.sessionVersion,
+                netType: 'IN',
+                ipVer: 4,
+                address: this.config.sourceIP
+            },
+            name: this.config.streamName || 'Node-RED AES67 Stream',
+            timing: {
+                start: 0,
+                stop: 0
+            },
+            media: [this.createMedia(primary)]
+        };
+
+        if (secondary) {
+            // ST 2022-7: identical streams on both networks, grouped per RFC 7104
+            const secondaryMedia = this.createMedia(secondary);
+            session.media[0].connection = { version: 4, ip: primary.destIP };
+            session.media[0].mid = 'primary';
+            secondaryMedia.connection = { version: 4, ip: secondary.destIP };
+            secondaryMedia.mid = 'secondary';
+            session.media.push(secondaryMedia);
+            session.groups = [{ type: 'DUP', mids: 'primary secondary' }];
+        } else {
+            session.connection = { version: 4, ip: primary.destIP };
+        }
+
+        return sdp.write(session);
+    }
+
+    createMedia(path) {
+        const media = {
+            type: 'audio',
+            port: path.port,
+            protocol: 'RTP/AVP',
+            payloads: this.config.payloadType.toString(),
+            rtp: [{
+                payload: this.config.payloadType,
+                codec: this.config.encoding,
+                rate: this.config.sampleRate,
+                encoding: this.config.channels
+            }],
+            ptime: this.config.ptime || 1,
+            fmtp: []
+        };
+
+        // Reference clock the RTP timestamps are derived from (RFC 7273)
+        const refClock = this.config.getRefClock ? this.config.getRefClock() : null;
+        if (refClock) {
+            media.tsRefClocks = [refClock];
+            media.mediaClk = { mediaClockName: 'direct', mediaClockValue: 0 };
+        }
+
+        return media;
+    }
+
+    createSAPPacket(sdpData) {
+        const sdpBuffer = Buffer.from(sdpData, 'utf8');
+        const payloadType = Buffer.from('application/sdp\0', 'ascii');
+        const packet = Buffer.allocUnsafe(8 + payloadType.length + sdpBuffer.length);
+
+        // SAP Header
+        packet[0] = 0x20; // Version 1, IPv4, announcement
+        packet[1] = 0x00; // No authentication
+        packet.writeUInt16BE(this.msgIdHash, 2); // Message ID hash
+
+        // Originating source (our IP)
+        const ipParts = this.config.sourceIP.split('.').map(p => parseInt(p));
+        packet[4] = ipParts[0];
+        packet[5] = ipParts[1];
+        packet[6] = ipParts[2];
+        packet[7] = ipParts[3];
+
+        // Payload type
+        payloadType.copy(packet, 8);
+
+        // SDP data
+        sdpBuffer.copy(packet, 8 + payloadType.length);
+
+        return packet;
+    }
+
+    sendDeletion() {
+        // Send deletion announcement (messageType = 1)
+        const sdpData = this.createSDP();
+        const sdpBuffer = Buffer.from(sdpData, 'utf8');
+        const payloadType = Buffer.from('application/sdp\0', 'ascii');
+        const packet = Buffer.allocUnsafe(8 + payloadType.length + sdpBuffer.length);
+
+        // SAP Header with deletion bit set
+        packet[0] = 0x24; // Version 1, IPv4, deletion
+        packet[1] = 0x00;
+        packet.writeUInt16BE(this.msgIdHash, 2);
+
+        const ipParts = this.config.sourceIP.split('.').map(p => parseInt(p));
+        packet[4] = ipParts[0];
+        packet[5] = ipParts[1];
+        packet[6] = ipParts[2];
+        packet[7] = ipParts[3];
+
+        payloadType.copy(packet, 8);
+        sdpBuffer.copy(packet, 8 + payloadType.length);
+
+        this.sendPacket(packet);
+    }
+
+    stop() {
+        if (this.announcementInterval) {
+            clearInterval(this.announcementInterval);
+        }
+
+        // Send deletion announcement
+        this.sendDeletion();
+
+        [this.sapSocket, this.secondarySapSocket].forEach(socket => {
+            if (socket) {
+                try {
+                    socket.close();
+                } catch (e) {}
+            }
+        });
+    }
+}
+
+module.exports = {
+    SAPAnnouncer
+};
@@ -0,0 +1,165 @@
+// Stream descriptions from SDP (RFC 4566) as exported by AES67 devices
+//
+// Reads an SDP document from raw text, a file or an http(s) URL and extracts
+// what a receiver needs: connection address and port, rtpmap format, ptime,
+// the RFC 4570 source filter and the RFC 7273 reference clock. An ST 2022-7
+// description (two media sections grouped with a=group:DUP) yields a
+// secondary path as well.
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+let sdpTransform = null;
+try {
+    sdpTransform = require('sdp-transform');
+} catch (e) {}
+
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_SDP_BYTES = 65536;
+
+function isMulticast(ip) {
+    const first = parseInt(String(ip).split('.')[0]);
+    return first >= 224 && first <= 239;
+}
+
+// c=IN IP4 239.69.1.1/32 carries a TTL after the address
+function connectionAddress(media, session) {
+    const connection = media.connection || session.connection;
+    return connection && connection.ip ? connection.ip.split('/')[0] : '';
+}
+
+// a=source-filter: incl IN IP4 <dest> <source>; only inclusive filters name a sender
+function sourceFilter(media, session) {
+    const filter = media.sourceFilter || session.sourceFilter;
+    if (!filter || filter.filterMode !== 'incl') return '';
+    return filter.srcList.trim().split(/\s+/)[0] || '';
+}
+
+// a=ts-refclk:ptp=IEEE1588-2008:00-1D-C1-FF-FE-12-34-56:0
+function referenceClock(media, session) {
+    const clocks = media.tsRefClocks || session.tsRefClocks;
+    if (!clocks || clocks.length === 0) return null;
+
+    const clock = { source: clocks[0].clksrc, value: clocks[0].clksrcExt || null };
+    if (clock.source === 'ptp' && clock.value) {
+        const [version, gmid, domain] = clock.value.split(':');
+        clock.ptpVersion = version;
+        clock.grandmaster = gmid && gmid !== 'traceable' ? gmid : null;
+        clock.domain = domain !== undefined ? parseInt(domain) : 0;
+    }
+    return clock;
+}
+
+function parseMedia(media, session) {
+    const rtpmap = (media.rtp || []).find(rtp => String(media.payloads).split(' ').includes(String(rtp.payload)));
+    if (!rtpmap) {
+        throw new Error('SDP audio media has no rtpmap');
+    }
+
+    const address = connectionAddress(media, session);
+    const mediaClock = media.mediaClk || session.mediaClk;
+    return {
+        multicastGroup: isMulticast(address) ? address : '',
+        address: address,
+        port: media.port,
+        payloadType: rtpmap.payload,
+        encoding: String(rtpmap.codec).toUpperCase(),
+        sampleRate: rtpmap.rate,
+        channels: parseInt(rtpmap.encoding) || 1,
+        ptime: media.ptime !== undefined ? parseFloat(media.ptime) : null,
+        sourceFilter: sourceFilter(media, session),
+        refClock: referenceClock(media, session),
+        mediaClockOffset: mediaClock && mediaClock.mediaClockName === 'direct' && mediaClock.mediaClockValue !== undefined ?
+            parseInt(mediaClock.mediaClockValue) : null,
+        mid: media.mid
+    };
+}
+
+// Turn SDP text into receiver settings; throws when there is no usable RTP audio stream
+function parseStreamDescription(text) {
+    if (!sdpTransform) {
+        throw new Error('sdp-transform module not available');
+    }
+    if (typeof text !== 'string' || !/^\s*v=0/.test(text)) {
+        throw new Error('Not an SDP document');
+    }
+
+    const session = sdpTransform.parse(text.trim().replace(/\r?\n/g, '\r\n') + '\r\n');
+    const streams = (session.media || [])
+        .filter(media => media.type === 'audio' && /^RTP\/AVP/.test(media.protocol))
+        .map(media => parseMedia(media, session));
+    if (streams.length === 0) {
+        throw new Error('SDP has no RTP audio media');
+    }
+
+    const description = Object.assign({
+        name: session.name || '',
+        sessionId: session.origin ? String(session.origin.sessionId) : null
+    }, streams[0]);
+
+    // ST 2022-7: the DUP group lists the primary and secondary media by mid
+    const dup = (session.groups || []).find(group => group.type === 'DUP');
+    if (dup && streams.length > 1) {
+        const mids = String(dup.mids).split(' ');
+        const primary = streams.find(stream => stream.mid === mids[0]) || streams[0];
+        const secondary = streams.find(stream => stream.mid === mids[1] && stream !== primary);
+        Object.assign(description, primary);
+        if (secondary) {
+            description.secondaryGroup = secondary.multicastGroup;
+            description.secondaryPort = secondary.port;
+            description.secondarySourceFilter = secondary.sourceFilter;
+        }
+    }
+    delete description.mid;
+
+    return description;
+}
+
+function fetchText(url) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const request = client.get(url, { timeout: FETCH_TIMEOUT_MS }, (response) => {
+            if (response.statusCode !== 200) {
+                response.resume();
+                reject(new Error(`HTTP ${response.statusCode} fetching ${url}`));
+                return;
+            }
+
+            const chunks = [];
+            let length = 0;
+            response.on('data', (chunk) => {
+                length += chunk.length;
+                if (length > MAX_SDP_BYTES) {
+                    request.destroy(new Error(`SDP at ${url} is larger than ${MAX_SDP_BYTES} bytes`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        });
+
+        request.on('timeout', () => request.destroy(new Error(`Timed out fetching ${url}`)));
+        request.on('error', reject);
+    });
+}
+
+// Resolve raw SDP text, an http(s) URL or a file path to SDP text
+function loadSDP(source) {
+    source = String(source || '').trim();
+    if (/^v=0/.test(source)) {
+        return Promise.resolve(source);
+    }
+    if (/^https?:\/\//i.test(source)) {
+        return fetchText(source);
+    }
+    if (!source) {
+        return Promise.reject(new Error('No SDP given'));
+    }
+    return fs.promises.readFile(source, 'utf8');
+}
+
+module.exports = {
+    parseStreamDescription,
+    loadSDP
+};
@@ -0,0 +1,151 @@
+// SMPTE ST 2022-7 seamless protection: merges identical RTP streams received
+// over a primary and a secondary path into one stream, ordered by sequence number.
+//
+// The first copy of each sequence number wins. Packets are released in order;
+// a gap is held open for up to maxDelayMs (the tolerated path differential
+// delay) so that the late path can still fill it before it is given up as lost.
+
+const SEQ_MOD = 0x10000;
+const MAX_GAP = 3000;              // Larger jumps are treated as a stream restart
+const PATH_TIMEOUT_MS = 500;       // No packets for this long marks a path as down
+
+// Signed distance from a to b in 16-bit sequence space
+function seqDiff(b, a) {
+    const diff = (b - a + SEQ_MOD) % SEQ_MOD;
+    return diff >= SEQ_MOD / 2 ? diff - SEQ_MOD : diff;
+}
+
+class SeamlessMerger {
+    constructor(options) {
+        options = options || {};
+        this.paths = options.paths || ['primary', 'secondary'];
+        this.maxDelayMs = options.maxDelayMs !== undefined ? options.maxDelayMs : 10;
+        this.reset();
+    }
+
+    reset() {
+        this.nextSeq = null;
+        this.pending = new Map();
+        this.delivered = 0;
+        this.lost = 0;
+        this.duplicates = 0;
+        this.pathStats = {};
+        this.paths.forEach(path => {
+            this.pathStats[path] = { received: 0, firstCopies: 0, lastArrival: null };
+        });
+    }
+
+    // Accept a packet from a path; returns the items now ready for output, in order
+    push(path, sequenceNumber, item, now) {
+        const stats = this.pathStats[path];
+        stats.received++;
+        stats.lastArrival = now;
+
+        if (this.nextSeq === null) {
+            this.nextSeq = sequenceNumber;
+        }
+
+        const diff = seqDiff(sequenceNumber, this.nextSeq);
+        if (diff < 0) {
+            // Already released (or given up on); the other path got there first
+            if (diff < -MAX_GAP) {
+                this.restart(sequenceNumber);
+            } else {
+                this.duplicates++;
+                return [];
+            }
+        } else if (diff > MAX_GAP) {
+            this.restart(sequenceNumber);
+        }
+
+        if (this.pending.has(sequenceNumber)) {
+            this.duplicates++;
+            return [];
+        }
+
+        stats.firstCopies++;
+        this.pending.set(sequenceNumber, { item: item, arrival: now });
+
+        return this.release(now);
+    }
+
+    restart(sequenceNumber) {
+        this.pending.clear();
+        this.nextSeq = sequenceNumber;
+    }
+
+    release(now) {
+        const ready = [];
+
+        while (this.pending.size > 0) {
+            const entry = this.pending.get(this.nextSeq);
+            if (entry) {
+                this.pending.delete(this.nextSeq);
+                ready.push(entry.item);
+                this.delivered++;
+                this.nextSeq = (this.nextSeq + 1) % SEQ_MOD;
+                continue;
+            }
+
+            // Gap at nextSeq: wait for the other path unless the oldest held packet has waited long enough
+            let oldest = null;
+            let oldestSeq = null;
+            for (const [seq, held] of this.pending) {
+                if (oldest === null || held.arrival < oldest.arrival) {
+                    oldest = held;
+                    oldestSeq = seq;
+                }
+            }
+            if (now - oldest.arrival < this.maxDelayMs) break;
+
+            // Neither path delivered the missing packets in time
+            let earliest = oldestSeq;
+            for (const seq of this.pending.keys()) {
+                if (seqDiff(seq, earliest) < 0) earliest = seq;
+            }
+            const gap = seqDiff(earliest, this.nextSeq);
+            this.lost += gap;
+            this.nextSeq = earliest;
+        }
+
+        return ready;
+    }
+
+    // Release anything that has waited too long, e.g. when both paths stall
+    flush(now) {
+        return this.pending.size > 0 ? this.release(now) : [];
+    }
+
+    getPathHealth(path, now) {
+        const stats = this.pathStats[path];
+        if (stats.lastArrival === null) return 'idle';
+        return now - stats.lastArrival < PATH_TIMEOUT_MS ? 'ok' : 'down';
+    }
+
+    getStats(now) {
+        const paths = {};
+        this.paths.forEach(path => {
+            const stats = this.pathStats[path];
+            paths[path] = {
+                health: this.getPathHealth(path, now),
+                received: stats.received,
+                firstCopies: stats.firstCopies,
+                lastPacketAgeMs: stats.lastArrival === null ? null : now - stats.lastArrival
+            };
+        });
+
+        return {
+            delivered: this.delivered,
+            lost: this.lost,
+            duplicates: this.duplicates,
+            held: this.pending.size,
+            maxDelayMs: this.maxDelayMs,
+            paths: paths
+        };
+    }
+}
+
+module.exports = {
+    SeamlessMerger,
+    seqDiff
+};
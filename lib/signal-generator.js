@@ -0,0 +1,202 @@
+// Test signal generator for line-up and channel checks
+//
+// Produces interleaved normalized samples (Float64, range [-1, 1)) at a fixed
+// sample rate and channel count. Oscillator phase and noise filter state carry
+// across calls, so the signal is continuous however it is chunked.
+//
+// Signals:
+//   sine    - continuous tone at `frequency`
+//   sweep   - logarithmic sweep from `startFrequency` to `endFrequency` over `sweepTime` seconds, repeating
+//   pink    - pink noise (-3 dB/octave), independent per channel
+//   white   - white noise, independent per channel
+//   silence - digital silence
+//   ident   - channel identification: channel N plays N beeps of `frequency` per cycle
+//
+// `level` is in dBFS: the peak level of tones and the RMS level of noise.
+
+const SIGNALS = ['sine', 'sweep', 'pink', 'white', 'silence', 'ident'];
+
+const IDENT_BEEP = 0.15;       // Seconds on, then the same off, per beep
+const IDENT_PAUSE = 1;         // Seconds of silence closing each ident cycle
+
+const DEFAULTS = {
+    signal: 'sine',
+    frequency: 1000,
+    level: -18,                // dBFS, EBU R68 alignment level
+    startFrequency: 20,
+    endFrequency: 20000,
+    sweepTime: 10
+};
+
+function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+class SignalGenerator {
+    constructor(options) {
+        this.sampleRate = options.sampleRate;
+        this.channels = options.channels;
+        this.settings = Object.assign({}, DEFAULTS);
+        this.position = 0;     // Samples generated since the current signal started
+        this.phase = 0;
+        this.pinkState = [];
+        this.configure(options);
+    }
+
+    // Validate and apply any of the generator settings
+    configure(options) {
+        const next = Object.assign({}, this.settings);
+        const nyquist = this.sampleRate / 2;
+
+        if (options.signal !== undefined) {
+            if (!SIGNALS.includes(options.signal)) {
+                throw new Error(`Unknown signal "${options.signal}", expected one of ${SIGNALS.join(', ')}`);
+            }
+            next.signal = options.signal;
+        }
+
+        ['frequency', 'startFrequency', 'endFrequency'].forEach(key => {
+            if (options[key] === undefined) return;
+            const value = parseFloat(options[key]);
+            if (!(value > 0 && value < nyquist)) {
+                throw new Error(`Invalid ${key}: must be between 0 and ${nyquist} Hz`);
+            }
+            next[key] = value;
+        });
+
+        if (options.level !== undefined) {
+            const level = parseFloat(options.level);
+            if (!(level <= 0)) {
+                throw new Error('Invalid level: must be 0 dBFS or below');
+            }
+            next.level = level;
+        }
+
+        if (options.sweepTime !== undefined) {
+            const sweepTime = parseFloat(options.sweepTime);
+            if (!(sweepTime > 0)) {
+                throw new Error('Invalid sweepTime: must be greater than 0 seconds');
+            }
+            next.sweepTime = sweepTime;
+        }
+
+        if (next.signal !== this.settings.signal) {
+            // Start sweeps and ident cycles from the beginning
+            this.position = 0;
+        }
+        this.settings = next;
+        this.gain = dbToGain(next.level);
+    }
+
+    getSettings() {
+        return Object.assign({}, this.settings);
+    }
+
+    // Generate the next `frames` frames as interleaved samples
+    generate(frames) {
+        const samples = new Float64Array(frames * this.channels);
+
+        switch (this.settings.signal) {
+            case 'sine':
+                this.generateTone(samples, frames, () => this.settings.frequency);
+                break;
+            case 'sweep':
+                this.generateTone(samples, frames, (position) => this.sweepFrequency(position));
+                break;
+            case 'white':
+                this.generateNoise(samples, frames, false);
+                break;
+            case 'pink':
+                this.generateNoise(samples, frames, true);
+                break;
+            case 'ident':
+                this.generateIdent(samples, frames);
+                break;
+            case 'silence':
+                break;
+        }
+
+        this.position += frames;
+        return samples;
+    }
+
+    generateTone(samples, frames, frequencyAt) {
+        for (let i = 0; i < frames; i++) {
+            const value = this.gain * Math.sin(this.phase);
+            for (let ch = 0; ch < this.channels; ch++) {
+                samples[i * this.channels + ch] = value;
+            }
+            this.advancePhase(frequencyAt(this.position + i));
+        }
+    }
+
+    advancePhase(frequency) {
+        this.phase += (2 * Math.PI * frequency) / this.sampleRate;
+        if (this.phase >= 2 * Math.PI) {
+            this.phase -= 2 * Math.PI;
+        }
+    }
+
+    sweepFrequency(position) {
+        const { startFrequency, endFrequency, sweepTime } = this.settings;
+        const t = (position / this.sampleRate) % sweepTime;
+        return startFrequency * Math.pow(endFrequency / startFrequency, t / sweepTime);
+    }
+
+    generateNoise(samples, frames, pink) {
+        // Noise is scaled so its RMS level, not its peak, matches the setting
+        const scale = pink ? this.gain * 0.566 : this.gain * Math.sqrt(3);
+
+        for (let ch = 0; ch < this.channels; ch++) {
+            const state = this.pinkState[ch] || (this.pinkState[ch] = new Float64Array(7));
+            for (let i = 0; i < frames; i++) {
+                const white = Math.random() * 2 - 1;
+                let value = white;
+                if (pink) {
+                    value = pinkFilter(state, white);
+                }
+                samples[i * this.channels + ch] = clip(value * scale);
+            }
+        }
+    }
+
+    generateIdent(samples, frames) {
+        const beepSamples = Math.round(IDENT_BEEP * this.sampleRate);
+        const cycle = (2 * this.channels * IDENT_BEEP + IDENT_PAUSE) * this.sampleRate;
+
+        for (let i = 0; i < frames; i++) {
+            const value = this.gain * Math.sin(this.phase);
+            const inCycle = (this.position + i) % cycle;
+            const beep = Math.floor(inCycle / (2 * beepSamples));
+            const on = inCycle % (2 * beepSamples) < beepSamples;
+
+            for (let ch = 0; ch < this.channels; ch++) {
+                // Channel N (1-based) sounds during the first N beep slots
+                samples[i * this.channels + ch] = on && beep <= ch ? value : 0;
+            }
+            this.advancePhase(this.settings.frequency);
+        }
+    }
+}
+
+// Paul Kellet's refined pink noise filter, roughly 0.05 dB accurate above 9 Hz at 44.1 kHz
+function pinkFilter(b, white) {
+    b[0] = 0.99886 * b[0] + white * 0.0555179;
+    b[1] = 0.99332 * b[1] + white * 0.0750759;
+    b[2] = 0.96900 * b[2] + white * 0.1538520;
+    b[3] = 0.86650 * b[3] + white * 0.3104856;
+    b[4] = 0.55000 * b[4] + white * 0.5329522;
+    b[5] = -0.7616 * b[5] - white * 0.0168980;
+    const pink = b[0] + b[1] + b[2] + b[3] + b[4] + b[5] + b[6] + white * 0.5362;
+    b[6] = white * 0.115926;
+    return pink;
+}
+
+function clip(value) {
+    return value > 1 ? 1 : (value < -1 ? -1 : value);
+}
+
+module.exports = {
+    SIGNALS,
+    SignalGenerator
+};
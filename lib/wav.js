@@ -0,0 +1,373 @@
+// WAV and Broadcast WAV (EBU Tech 3285) file access
+//
+// Reads RIFF/WAVE files with integer PCM (8, 16, 24 or 32-bit) or IEEE float
+// (32 or 64-bit) samples, plain or WAVE_FORMAT_EXTENSIBLE. The bext chunk of
+// Broadcast WAV files is parsed when present. Samples are returned as
+// interleaved normalized Float64 values, as in sample-format.js.
+//
+// Writes integer PCM files from network-order (big-endian) AES67 audio, with
+// an optional bext chunk, without blocking on the disk. Chunk sizes are kept up
+// to date as data is flushed, so a file cut short by a crash is still readable.
+// An existing file is never replaced: the writer picks the next free name.
+
+const fs = require('fs');
+const path = require('path');
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+const BEXT_SIZE = 602;                 // Version 1 bext chunk without coding history
+const MAX_DATA_BYTES = 0xFFFFFFFF - 1024;
+const WRITE_BUFFER_BYTES = 65536;
+const MAX_NAME_SUFFIX = 999;
+
+// Parse the bext chunk body
+function parseBext(buffer) {
+    const text = (start, length) => buffer.toString('latin1', start, start + length).replace(/\0[\s\S]*$/, '').trim();
+    const low = buffer.readUInt32LE(338);
+    const high = buffer.readUInt32LE(342);
+
+    return {
+        description: text(0, 256),
+        originator: text(256, 32),
+        originatorReference: text(288, 32),
+        originationDate: text(320, 10),
+        originationTime: text(330, 8),
+        timeReference: high * 0x100000000 + low,    // Samples since midnight
+        version: buffer.readUInt16LE(346)
+    };
+}
+
+function buildBext(bext) {
+    const buffer = Buffer.alloc(BEXT_SIZE);
+    const text = (value, start, length) => buffer.write(String(value || ''), start, length, 'latin1');
+    const timeReference = bext.timeReference || 0;
+
+    text(bext.description, 0, 256);
+    text(bext.originator, 256, 32);
+    text(bext.originatorReference, 288, 32);
+    text(bext.originationDate, 320, 10);
+    text(bext.originationTime, 330, 8);
+    buffer.writeUInt32LE(timeReference % 0x100000000, 338);
+    buffer.writeUInt32LE(Math.floor(timeReference / 0x100000000), 342);
+    buffer.writeUInt16LE(1, 346);
+    return buffer;
+}
+
+// Read the chunk layout of a WAV file from an open descriptor
+function readHeader(fd) {
+    const riff = Buffer.alloc(12);
+    fs.readSync(fd, riff, 0, 12, 0);
+    if (riff.toString('ascii', 0, 4) !== 'RIFF' || riff.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    const fileSize = fs.fstatSync(fd).size;
+    const header = { format: null, bext: null, dataOffset: null, dataLength: 0 };
+    const chunkHeader = Buffer.alloc(8);
+    let offset = 12;
+
+    while (offset + 8 <= fileSize) {
+        fs.readSync(fd, chunkHeader, 0, 8, offset);
+        const id = chunkHeader.toString('ascii', 0, 4);
+        const size = chunkHeader.readUInt32LE(4);
+        const body = offset + 8;
+
+        if (id === 'fmt ') {
+            const fmt = Buffer.alloc(Math.min(size, 40));
+            fs.readSync(fd, fmt, 0, fmt.length, body);
+            let tag = fmt.readUInt16LE(0);
+            if (tag === WAVE_FORMAT_EXTENSIBLE && fmt.length >= 26) {
+                tag = fmt.readUInt16LE(24);         // First two bytes of the SubFormat GUID
+            }
+            header.format = {
+                tag: tag,
+                channels: fmt.readUInt16LE(2),
+                sampleRate: fmt.readUInt32LE(4),
+                blockAlign: fmt.readUInt16LE(12),
+                bitsPerSample: fmt.readUInt16LE(14)
+            };
+        } else if (id === 'bext' && size >= 348) {
+            const bext = Buffer.alloc(348);
+            fs.readSync(fd, bext, 0, 348, body);
+            header.bext = parseBext(bext);
+        } else if (id === 'data') {
+            header.dataOffset = body;
+            // Files still being written may report a short or zero size
+            header.dataLength = Math.min(size || fileSize - body, fileSize - body);
+        }
+
+        offset = body + size + (size & 1);  // Chunks are word aligned
+    }
+
+    if (!header.format) {
+        throw new Error('Missing fmt chunk');
+    }
+    if (header.dataOffset === null) {
+        throw new Error('Missing data chunk');
+    }
+    return header;
+}
+
+function sampleReader(format) {
+    const bits = format.bitsPerSample;
+
+    if (format.tag === WAVE_FORMAT_IEEE_FLOAT) {
+        if (bits === 32) return (buffer, offset) => buffer.readFloatLE(offset);
+        if (bits === 64) return (buffer, offset) => buffer.readDoubleLE(offset);
+    } else if (format.tag === WAVE_FORMAT_PCM) {
+        if (bits === 8) return (buffer, offset) => (buffer[offset] - 128) / 128;
+        if (bits === 16 || bits === 24 || bits === 32) {
+            const bytes = bits / 8;
+            const scale = Math.pow(2, bits - 1);
+            return (buffer, offset) => buffer.readIntLE(offset, bytes) / scale;
+        }
+    }
+    throw new Error(`Unsupported WAV format: tag ${format.tag}, ${bits} bits`);
+}
+
+class WavReader {
+    constructor(filePath) {
+        this.path = filePath;
+        this.fd = fs.openSync(filePath, 'r');
+        try {
+            const header = readHeader(this.fd);
+            this.format = header.format;
+            this.bext = header.bext;
+            this.dataOffset = header.dataOffset;
+            this.readSample = sampleReader(this.format);
+            this.bytesPerSample = this.format.bitsPerSample / 8;
+            this.frameBytes = this.format.channels * this.bytesPerSample;
+            this.totalFrames = Math.floor(header.dataLength / this.frameBytes);
+        } catch (err) {
+            this.close();
+            throw err;
+        }
+        this.sampleRate = this.format.sampleRate;
+        this.channels = this.format.channels;
+        this.position = 0;     // Next frame to read
+    }
+
+    get duration() {
+        return this.totalFrames / this.sampleRate;
+    }
+
+    seek(frame) {
+        this.position = Math.max(0, Math.min(this.totalFrames, Math.floor(frame)));
+    }
+
+    // Read up to `frames` frames; returns fewer at the end of the file
+    read(frames) {
+        const count = Math.min(frames, this.totalFrames - this.position);
+        const samples = new Float64Array(Math.max(0, count) * this.channels);
+        if (count <= 0) return samples;
+
+        const buffer = Buffer.alloc(count * this.frameBytes);
+        fs.readSync(this.fd, buffer, 0, buffer.length, this.dataOffset + this.position * this.frameBytes);
+        for (let i = 0, offset = 0; i < samples.length; i++, offset += this.bytesPerSample) {
+            samples[i] = this.readSample(buffer, offset);
+        }
+
+        this.position += count;
+        return samples;
+    }
+
+    getInfo() {
+        return {
+            file: this.path,
+            sampleRate: this.sampleRate,
+            channels: this.channels,
+            bitsPerSample: this.format.bitsPerSample,
+            float: this.format.tag === WAVE_FORMAT_IEEE_FLOAT,
+            duration: this.duration,
+            bext: this.bext
+        };
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+// Opens a new file without replacing an existing one; a name that is taken gets
+// the first free suffix (_001, _002, ...) before the extension. Files are opened
+// one at a time, so writers created together are numbered in creation order.
+let opening = Promise.resolve();
+
+function openNew(filePath) {
+    const opened = opening.then(() => openFree(filePath));
+    opening = opened.catch(() => {});
+    return opened;
+}
+
+async function openFree(filePath) {
+    const { dir, name, ext } = path.parse(filePath);
+    for (let n = 0; ; n++) {
+        const candidate = n === 0 ? filePath : path.join(dir, `${name}_${String(n).padStart(3, '0')}${ext}`);
+        try {
+            return { path: candidate, handle: await fs.promises.open(candidate, 'wx') };
+        } catch (err) {
+            if (err.code !== 'EEXIST' || n >= MAX_NAME_SUFFIX) throw err;
+        }
+    }
+}
+
+class WavWriter {
+    constructor(filePath, options) {
+        this.path = filePath;              // Updated once the file is open, if the name was taken
+        this.sampleRate = options.sampleRate;
+        this.channels = options.channels;
+        this.bytesPerSample = options.bytesPerSample;
+        this.frameBytes = this.channels * this.bytesPerSample;
+        this.onError = options.onError || function() {};
+        this.dataBytes = 0;
+        this.pending = [];
+        this.pendingBytes = 0;
+        this.handle = null;
+        this.stream = null;
+        this.error = null;
+        this.closing = null;
+
+        const fmt = Buffer.alloc(24);
+        fmt.write('fmt ', 0, 'ascii');
+        fmt.writeUInt32LE(16, 4);
+        fmt.writeUInt16LE(WAVE_FORMAT_PCM, 8);
+        fmt.writeUInt16LE(this.channels, 10);
+        fmt.writeUInt32LE(this.sampleRate, 12);
+        fmt.writeUInt32LE(this.sampleRate * this.frameBytes, 16);
+        fmt.writeUInt16LE(this.frameBytes, 20);
+        fmt.writeUInt16LE(this.bytesPerSample * 8, 22);
+
+        const chunks = [Buffer.from('RIFF\0\0\0\0WAVE', 'ascii'), fmt];
+        if (options.bext) {
+            const bextHeader = Buffer.alloc(8);
+            bextHeader.write('bext', 0, 'ascii');
+            bextHeader.writeUInt32LE(BEXT_SIZE, 4);
+            chunks.push(bextHeader, buildBext(options.bext));
+        }
+        chunks.push(Buffer.from('data\0\0\0\0', 'ascii'));
+
+        const header = Buffer.concat(chunks);
+        this.headerBytes = header.length;
+
+        // Audio is buffered until the file is open
+        this.opened = openNew(filePath).then((file) => {
+            this.path = file.path;
+            this.handle = file.handle;
+            this.stream = file.handle.createWriteStream({ autoClose: false });
+            this.stream.on('error', (err) => this.fail(err));
+            this.stream.write(header);
+        }, (err) => this.fail(err));
+        this.sizesWritten = this.opened;   // Size updates, written one after the other
+    }
+
+    get frames() {
+        return (this.dataBytes + this.pendingBytes) / this.frameBytes;
+    }
+
+    get bytes() {
+        return this.headerBytes + this.dataBytes + this.pendingBytes;
+    }
+
+    // True when another `bytes` of audio would overflow the 32-bit RIFF sizes
+    isFull(bytes) {
+        return this.dataBytes + this.pendingBytes + bytes > MAX_DATA_BYTES;
+    }
+
+    // Append network-order PCM, converting it to little-endian
+    writeNetwork(buffer) {
+        const data = Buffer.from(buffer);
+        const bytes = this.bytesPerSample;
+        for (let offset = 0; offset + bytes <= data.length; offset += bytes) {
+            for (let i = 0, j = bytes - 1; i < j; i++, j--) {
+                const swap = data[offset + i];
+                data[offset + i] = data[offset + j];
+                data[offset + j] = swap;
+            }
+        }
+        this.append(data);
+    }
+
+    writeSilence(frames) {
+        this.append(Buffer.alloc(frames * this.frameBytes));
+    }
+
+    append(data) {
+        this.pending.push(data);
+        this.pendingBytes += data.length;
+        if (this.pendingBytes >= WRITE_BUFFER_BYTES) {
+            this.flush();
+        }
+    }
+
+    // Write out the buffered audio; resolves once it and the chunk sizes are on disk
+    flush() {
+        if (this.error || this.pendingBytes === 0) return this.sizesWritten;
+        if (!this.stream) return this.opened.then(() => this.flush());
+
+        const data = Buffer.concat(this.pending);
+        const written = new Promise(resolve => this.stream.write(data, resolve));
+        this.dataBytes += data.length;
+        this.pending = [];
+        this.pendingBytes = 0;
+        return this.writeSizes(written);
+    }
+
+    // RIFF size, then data size, once `written` (the audio they count) is on disk
+    writeSizes(written) {
+        const riffSize = Buffer.alloc(4);
+        riffSize.writeUInt32LE(this.headerBytes - 8 + this.dataBytes + (this.dataBytes & 1), 0);
+        const dataSize = Buffer.alloc(4);
+        dataSize.writeUInt32LE(this.dataBytes, 0);
+
+        this.sizesWritten = Promise.all([this.sizesWritten, written])
+            .then(() => this.handle && this.handle.write(riffSize, 0, 4, 4))
+            .then(() => this.handle && this.handle.write(dataSize, 0, 4, this.headerBytes - 4))
+            .catch((err) => this.fail(err));
+        return this.sizesWritten;
+    }
+
+    fail(err) {
+        if (this.error) return;
+        this.error = err;
+        this.onError(err);
+    }
+
+    // Write out what is left and complete the file; resolves once it is closed
+    close() {
+        if (this.closing) return this.closing;
+
+        this.closing = this.opened.then(async () => {
+            if (this.stream && !this.error) {
+                this.flush();
+                if (this.dataBytes & 1) {
+                    this.stream.write(Buffer.alloc(1));
+                }
+                await new Promise((resolve) => {
+                    this.stream.once('error', resolve);
+                    this.stream.end(resolve);
+                });
+                if (!this.error) await this.writeSizes();
+            }
+            if (this.stream) {
+                // The stream holds on to the file handle until it is destroyed
+                this.stream.destroy();
+            }
+            if (this.handle) {
+                await this.handle.close().catch((err) => this.fail(err));
+                this.handle = null;
+            }
+            if (this.error) throw this.error;
+        });
+        return this.closing;
+    }
+}
+
+module.exports = {
+    WavReader,
+    WavWriter
+};
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const am824 = require('../lib/am824');
+
+// Two channels of 24-bit big-endian PCM, a different value in every sample
+function pcm(frames) {
+    const audio = Buffer.alloc(frames * 2 * 3);
+    for (let i = 0; i < frames * 2; i++) {
+        audio.writeUIntBE((i * 0x10101 + 7) & 0xFFFFFF, i * 3, 3);
+    }
+    return audio;
+}
+
+test('AM824 round trip keeps the audio and carries the channel status block', () => {
+    const encoder = new am824.AM824Encoder(2, 48000);
+    const decoder = new am824.AM824Decoder(2);
+    const audio = pcm(192);
+
+    // Two packets, so the 192-frame block spans packets
+    const first = encoder.encode(audio.subarray(0, 96 * 6));
+    const second = encoder.encode(audio.subarray(96 * 6));
+    assert.equal(first.length, 96 * 2 * am824.AM824_BYTES_PER_SAMPLE);
+    assert.equal(first[0] & 0x30, 0x30);
+    assert.equal(second[0] & 0x30, 0);
+
+    const decoded = Buffer.concat([decoder.decode(first).audio, decoder.decode(second).audio]);
+    assert.deepEqual(decoded, audio);
+    assert.equal(decoder.parityErrors, 0);
+
+    const [left, right] = decoder.getChannelStatus();
+    assert.deepEqual(left.data, am824.createChannelStatus(48000));
+    assert.equal(left.data[2], 0x2C);
+    assert.equal(left.professional, true);
+    assert.equal(left.audio, true);
+    assert.equal(left.crcValid, true);
+    assert.deepEqual(right.data, left.data);
+});
+
+test('AM824Decoder reports invalid samples and parity errors', () => {
+    const encoder = new am824.AM824Encoder(2, 48000);
+    const decoder = new am824.AM824Decoder(2);
+    const packet = encoder.encode(pcm(4));
+
+    packet[4] |= 0x01;                     // V set on the right channel, parity not updated
+    const result = decoder.decode(packet);
+    assert.deepEqual(result.validity, [true, false]);
+    assert.equal(decoder.parityErrors, 1);
+});
+
+test('channelStatusCRC detects a changed channel status byte', () => {
+    const status = am824.createChannelStatus(44100);
+    assert.equal(am824.parseChannelStatus(status).crcValid, true);
+    status[4] ^= 0x10;
+    assert.equal(am824.parseChannelStatus(status).crcValid, false);
+});
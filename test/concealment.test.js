@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sampleFormat = require('../lib/sample-format');
+const { PacketConcealer } = require('../lib/concealment');
+
+// One packet of mono L16 audio from normalized samples
+function packet(samples) {
+    return sampleFormat.encodeNetwork(Float64Array.from(samples), 'L16');
+}
+
+function concealer(mode) {
+    return new PacketConcealer({ mode: mode, sampleRate: 1000, channels: 1, encoding: 'L16' });
+}
+
+function decode(buffer) {
+    return Array.from(sampleFormat.decodeNetwork(buffer, 'L16'));
+}
+
+test('silence fills a gap with zeros and counts the event', () => {
+    const silence = concealer('silence');
+    assert.equal(silence.conceal(0, packet([0.5, 0.5])), null);
+    assert.deepEqual(decode(silence.conceal(5, packet([0.5, 0.5]))), [0, 0, 0]);
+    assert.deepEqual(silence.getStats(), { mode: 'silence', events: 1, concealedFrames: 3, concealedMs: 3 });
+});
+
+test('repeat continues the last good packet cyclically', () => {
+    const repeat = concealer('repeat');
+    repeat.conceal(0, packet([0.25, 0.5]));
+    assert.deepEqual(decode(repeat.conceal(5, packet([0, 0]))), [0.25, 0.5, 0.25]);
+});
+
+test('interpolate crossfades from the last packet into the next one', () => {
+    const interpolate = concealer('interpolate');
+    interpolate.conceal(0, packet([0.5, 0.5]));
+    assert.deepEqual(decode(interpolate.conceal(5, packet([-0.5, -0.5]))), [0.25, 0, -0.25]);
+});
+
+test('gaps across the timestamp wrap are filled; restarts, late packets and mode none are not', () => {
+    const silence = concealer('silence');
+    silence.conceal(0xFFFFFFFF, packet([0.5]));
+    assert.equal(decode(silence.conceal(1, packet([0.5]))).length, 1);
+    assert.equal(silence.conceal(0, packet([0.5])), null);
+    assert.equal(silence.conceal(2000, packet([0.5])), null);
+    assert.equal(silence.getStats().events, 1);
+
+    const none = concealer('none');
+    none.conceal(0, packet([0.5]));
+    assert.equal(none.conceal(5, packet([0.5])), null);
+    assert.equal(none.getStats().concealedFrames, 0);
+});
+
+test('unknown modes fall back to silence', () => {
+    assert.equal(concealer('magic').mode, 'silence');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sampleFormat = require('../lib/sample-format');
+const { FormatConverter, Resampler, channelMatrix } = require('../lib/format-converter');
+
+function sine(sampleRate, frequency, frames) {
+    const samples = new Float64Array(frames);
+    for (let i = 0; i < frames; i++) {
+        samples[i] = 0.5 * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+    }
+    return samples;
+}
+
+test('channelMatrix folds 5.1 down to stereo and spreads mono to every channel', () => {
+    const h = Math.SQRT1_2;
+    assert.deepEqual(channelMatrix(6, 2), [[1, 0, h, 0, h, 0], [0, 1, h, 0, 0, h]]);
+    assert.deepEqual(channelMatrix(1, 3), [[1], [1], [1]]);
+    assert.deepEqual(channelMatrix(2, 1), [[0.5, 0.5]]);
+    assert.deepEqual(channelMatrix(4, 2), [[0.5, 0, 0.5, 0], [0, 0.5, 0, 0.5]]);
+    assert.deepEqual(channelMatrix(2, 3), [[1, 0], [0, 1], [0, 0]]);
+});
+
+test('a channel-only conversion mixes exactly and does not dither at the same depth', () => {
+    const converter = new FormatConverter(
+        { sampleRate: 48000, channels: 2, encoding: 'L24' },
+        { sampleRate: 48000, channels: 1, encoding: 'L24' });
+    assert.equal(converter.getInfo().dither, false);
+
+    const output = converter.process(Float64Array.from([0.5, 0.25, -0.5, 0]));
+    assert.deepEqual(sampleFormat.decodeNetwork(output, 'L24'), Float64Array.from([0.375, -0.25]));
+});
+
+test('resampling 48 kHz to 44.1 kHz keeps the frame ratio, DC and a 1 kHz tone level', () => {
+    const dc = new Resampler(48000, 44100, 1);
+    const flat = dc.process(new Float64Array(4800).fill(0.5));
+    assert.equal(flat.length, 4410);
+    assert.ok(flat.subarray(100).every(value => Math.abs(value - 0.5) < 1e-6));
+
+    const tone = new Resampler(48000, 44100, 1);
+    const chunks = [];
+    const input = sine(48000, 1000, 48000);
+    for (let offset = 0; offset < input.length; offset += 480) {
+        chunks.push(...tone.process(input.subarray(offset, offset + 480)));
+    }
+    assert.equal(chunks.length, 44100);
+    const peak = chunks.slice(1000).reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    assert.ok(Math.abs(20 * Math.log10(peak / 0.5)) < 0.1, `peak ${peak}`);
+});
+
+test('a tone above the target Nyquist frequency is filtered out', () => {
+    const resampler = new Resampler(96000, 48000, 1);
+    const output = resampler.process(sine(96000, 30000, 9600));
+    const peak = output.slice(200).reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    assert.ok(20 * Math.log10(peak / 0.5) < -80, `alias at ${20 * Math.log10(peak / 0.5)} dB`);
+});
+
+test('reducing the bit depth dithers by about one LSB unless turned off', () => {
+    const source = { sampleRate: 48000, channels: 1, encoding: 'L24' };
+    const target = { sampleRate: 48000, channels: 1, encoding: 'L16' };
+    const dithered = new FormatConverter(source, target);
+    const plain = new FormatConverter(source, target, { dither: false });
+    assert.equal(dithered.getInfo().dither, true);
+
+    const silence = new Float64Array(1000);
+    const noise = sampleFormat.decodeNetwork(dithered.process(silence), 'L16');
+    assert.ok(noise.some(value => value !== 0));
+    assert.ok(noise.every(value => Math.abs(value) <= 1 / 32768));
+    assert.ok(sampleFormat.decodeNetwork(plain.process(silence), 'L16').every(value => value === 0));
+});
+
+test('invalid matrices, encodings and rate ratios are rejected', () => {
+    const source = { sampleRate: 48000, channels: 2, encoding: 'L24' };
+    assert.throws(() => new FormatConverter(source, { sampleRate: 48000, channels: 2, encoding: 'AM824' }),
+        /Unsupported encoding: AM824/);
+    assert.throws(() => new FormatConverter(source, { sampleRate: 48000, channels: 1, encoding: 'L24' }, { matrix: [[1]] }),
+        /Channel matrix must be 1 rows of 2 gains/);
+    assert.throws(() => new Resampler(48000, 44101, 1), /Unsupported sample rate conversion: 48000 Hz to 44101 Hz/);
+});
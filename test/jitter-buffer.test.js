@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JitterBuffer } = require('../lib/jitter-buffer');
+
+// 1 ms packets at 48 kHz
+function packet(sequenceNumber, timestamp) {
+    return { header: { sequenceNumber: sequenceNumber, timestamp: timestamp !== undefined ? timestamp : sequenceNumber * 48 } };
+}
+
+function push(buffer, sequenceNumber, now, timestamp) {
+    buffer.push(packet(sequenceNumber, timestamp), sequenceNumber, now);
+}
+
+test('JitterBuffer holds packets for the link offset and plays them in sequence order', () => {
+    const buffer = new JitterBuffer({ sampleRate: 48000, linkOffsetMs: 5 });
+    push(buffer, 0, 0);
+    push(buffer, 2, 1);
+    push(buffer, 1, 1.5);
+    push(buffer, 3, 2);
+
+    assert.deepEqual(buffer.pop(4.9), []);
+    assert.deepEqual(buffer.pop(6), [0, 1]);
+    assert.deepEqual(buffer.pop(8), [2, 3]);
+
+    const stats = buffer.getStats();
+    assert.equal(stats.received, 4);
+    assert.equal(stats.delivered, 4);
+    assert.equal(stats.reordered, 1);
+    assert.equal(stats.depth, 0);
+});
+
+test('JitterBuffer plays past a gap once a later packet is due', () => {
+    const buffer = new JitterBuffer({ sampleRate: 48000, linkOffsetMs: 5 });
+    push(buffer, 0, 0);
+    push(buffer, 1, 1);
+    push(buffer, 4, 4);
+
+    assert.deepEqual(buffer.pop(7), [0, 1]);
+    // Packets 2 and 3 would have been due at 7 and 8 ms; 4 is held until its own time
+    assert.deepEqual(buffer.pop(8.5), []);
+    assert.deepEqual(buffer.pop(9), [4]);
+    assert.equal(buffer.getStats().skipped, 2);
+
+    // A missing packet turning up after it was skipped is late
+    push(buffer, 2, 9.5);
+    assert.equal(buffer.getStats().late, 1);
+    assert.deepEqual(buffer.pop(20), []);
+});
+
+test('JitterBuffer drops duplicates, also of packets already played', () => {
+    const buffer = new JitterBuffer({ sampleRate: 48000, linkOffsetMs: 5 });
+    push(buffer, 10, 0);
+    push(buffer, 10, 0.5);
+    assert.deepEqual(buffer.pop(5), [10]);
+    push(buffer, 10, 5.5);
+    assert.equal(buffer.getStats().duplicates, 2);
+    assert.equal(buffer.getStats().delivered, 1);
+});
+
+test('JitterBuffer keeps sequence order across the 16-bit wrap', () => {
+    const buffer = new JitterBuffer({ sampleRate: 48000, linkOffsetMs: 2 });
+    push(buffer, 65534, 0, 0);
+    push(buffer, 0, 0.5, 96);
+    push(buffer, 65535, 1, 48);
+    push(buffer, 1, 2, 144);
+    assert.deepEqual(buffer.pop(10), [65534, 65535, 0, 1]);
+    assert.equal(buffer.getStats().reordered, 1);
+});
+
+test('JitterBuffer resyncs after a run of late packets', () => {
+    const buffer = new JitterBuffer({ sampleRate: 48000, linkOffsetMs: 5 });
+    for (let seq = 0; seq < 5; seq++) {
+        push(buffer, seq, seq);
+    }
+    assert.deepEqual(buffer.pop(10), [0, 1, 2, 3, 4]);
+
+    // The sender restarts its timestamps a second back
+    for (let seq = 5; seq < 13; seq++) {
+        push(buffer, seq, seq, (seq - 1000) * 48);
+    }
+    const stats = buffer.getStats();
+    assert.equal(stats.late, 8);
+    assert.equal(stats.resyncs, 1);
+    // The packet that forced the resync plays a link offset after it arrived
+    assert.deepEqual(buffer.pop(16.9), []);
+    assert.deepEqual(buffer.pop(17), [12]);
+});
+
+test('JitterBuffer forgets played packets across a loss, so the next lap of sequence numbers plays', () => {
+    const buffer = new JitterBuffer({ sampleRate: 48000, linkOffsetMs: 5 });
+    let delivered = 0;
+    // Packet 1024 is lost, so 0 is never a fixed distance behind a released packet
+    for (let n = 0; n <= 65536 + 16; n++) {
+        if (n === 1024) continue;
+        push(buffer, n & 0xFFFF, n, n * 48);
+        delivered += buffer.pop(n + 5).length;
+    }
+    const stats = buffer.getStats();
+    assert.equal(stats.duplicates, 0);
+    assert.equal(stats.skipped, 1);
+    assert.equal(delivered, 65536 + 16);
+    assert.ok(buffer.released.size <= 1024);
+});
+
+test('JitterBuffer forgets played packets on a resync', () => {
+    const buffer = new JitterBuffer({ sampleRate: 48000, linkOffsetMs: 5 });
+    push(buffer, 0, 0);
+    assert.deepEqual(buffer.pop(5), [0]);
+    // The sender restarts a second back, reusing sequence number 0
+    for (let seq = 1; seq < 9; seq++) {
+        push(buffer, seq, 5 + seq, (seq - 1000) * 48);
+    }
+    assert.equal(buffer.getStats().resyncs, 1);
+    push(buffer, 0, 14, -991 * 48);
+    assert.equal(buffer.getStats().duplicates, 0);
+});
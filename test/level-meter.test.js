@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LevelMeter, MIN_DB } = require('../lib/level-meter');
+
+// Interleaved stereo: a sine at `frequency` on the left, silence on the right
+function sine(sampleRate, frequency, seconds, amplitude, phase) {
+    const frames = Math.round(sampleRate * seconds);
+    const samples = new Float64Array(frames * 2);
+    for (let i = 0; i < frames; i++) {
+        samples[i * 2] = amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate + phase);
+    }
+    return samples;
+}
+
+test('a full-scale sine reads 0 dBFS peak and -3 dBFS RMS', () => {
+    const meter = new LevelMeter({ sampleRate: 48000, channels: 2 });
+    meter.process(sine(48000, 1000, 0.5, 1, Math.PI / 2), 1000);
+
+    const levels = meter.getLevels(1000);
+    assert.equal(levels.peak[0], 0);
+    assert.equal(levels.truePeak[0], 0);
+    assert.equal(levels.rms[0], -3.01);
+    assert.deepEqual([levels.peak[1], levels.truePeak[1], levels.rms[1]], [MIN_DB, MIN_DB, MIN_DB]);
+});
+
+test('true peak catches the inter-sample peak of a quarter-rate sine sampled off its crest', () => {
+    // Every sample lands at +/-45 degrees, so the sample peak is 3 dB under the waveform's
+    const meter = new LevelMeter({ sampleRate: 48000, channels: 2 });
+    meter.process(sine(48000, 12000, 0.2, 1, Math.PI / 4), 1000);
+
+    const levels = meter.getLevels(1000);
+    assert.equal(levels.peak[0], -3.01);
+    assert.ok(Math.abs(levels.truePeak[0]) <= 0.2, `true peak ${levels.truePeak[0]} dBFS`);
+});
+
+test('readings cover only the configured windows and fall to the floor when audio stops', () => {
+    const meter = new LevelMeter({ sampleRate: 48000, channels: 2, peakWindowMs: 50, rmsWindowMs: 50, truePeak: false });
+    meter.process(sine(48000, 1000, 0.1, 1, Math.PI / 2), 1000);
+    meter.process(sine(48000, 1000, 0.1, 0.1, Math.PI / 2), 1100);
+
+    const levels = meter.getLevels(1100);
+    assert.equal(levels.peak[0], -20);
+    assert.equal(levels.truePeak[0], null);
+    assert.equal(meter.getLevels(1151).peak[0], MIN_DB);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mdns = require('../lib/mdns');
+
+const SERVICE = '_ravenna_session._sub._rtsp._tcp.local';
+const TYPE_A = 1;
+const TYPE_PTR = 12;
+const TYPE_TXT = 16;
+const TYPE_SRV = 33;
+
+function label(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+}
+
+function pointer(offset) {
+    return Buffer.from([0xC0 | (offset >> 8), offset & 0xFF]);
+}
+
+function record(name, type, ttl, data) {
+    const fields = Buffer.alloc(10);
+    fields.writeUInt16BE(type, 0);
+    fields.writeUInt16BE(0x8001, 2);       // IN with the cache-flush bit
+    fields.writeUInt32BE(ttl, 4);
+    fields.writeUInt16BE(data.length, 8);
+    return Buffer.concat([name, fields, data]);
+}
+
+// A RAVENNA announcement whose names point back into earlier ones, as responders send them
+function announcement(ttl) {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(0x8400, 2);
+    header.writeUInt16BE(4, 6);
+
+    // PTR: the service name in full at offset 12; "._rtsp._tcp.local" starts at its third label
+    const serviceName = Buffer.concat(['_ravenna_session', '_sub', '_rtsp', '_tcp', 'local'].map(label).concat([Buffer.from([0])]));
+    const rtspOffset = 12 + label('_ravenna_session').length + label('_sub').length;
+    const instanceName = Buffer.concat([label('Stage Box.1'), pointer(rtspOffset)]);
+    const ptr = record(serviceName, TYPE_PTR, ttl, instanceName);
+    const instanceOffset = 12 + serviceName.length + 10;
+
+    const srvData = Buffer.alloc(6);
+    srvData.writeUInt16BE(9090, 4);
+    const localOffset = 12 + serviceName.length - label('local').length - 1;
+    const srv = record(pointer(instanceOffset), TYPE_SRV, 120, Buffer.concat([srvData, label('stagebox'), pointer(localOffset)]));
+    const hostOffset = 12 + ptr.length + 2 + 10 + 6;
+
+    const txt = record(pointer(instanceOffset), TYPE_TXT, 4500, Buffer.concat([label('ver=1.2'), label('flag')]));
+    const a = record(pointer(hostOffset), TYPE_A, 120, Buffer.from([192, 168, 1, 20]));
+    return Buffer.concat([header, ptr, srv, txt, a]);
+}
+
+test('parseResponse follows compression pointers in names and record data', () => {
+    const records = mdns.parseResponse(announcement(4500));
+    assert.deepEqual(records, [
+        { name: SERVICE, type: TYPE_PTR, ttl: 4500, data: 'Stage Box\\.1._rtsp._tcp.local' },
+        {
+            name: 'Stage Box\\.1._rtsp._tcp.local',
+            type: TYPE_SRV,
+            ttl: 120,
+            data: { priority: 0, weight: 0, port: 9090, target: 'stagebox.local' }
+        },
+        { name: 'Stage Box\\.1._rtsp._tcp.local', type: TYPE_TXT, ttl: 4500, data: { ver: '1.2', flag: true } },
+        { name: 'stagebox.local', type: TYPE_A, ttl: 120, data: '192.168.1.20' }
+    ]);
+});
+
+test('parseResponse ignores queries and rejects pointer loops and truncated records', () => {
+    assert.equal(mdns.parseResponse(mdns.buildQuery([{ name: SERVICE, type: TYPE_PTR }])), null);
+
+    const loop = Buffer.alloc(14);
+    loop.writeUInt16BE(0x8400, 2);
+    loop.writeUInt16BE(1, 6);
+    pointer(12).copy(loop, 12);
+    assert.throws(() => mdns.parseResponse(loop), /compression loop/);
+
+    const message = announcement(4500);
+    assert.throws(() => mdns.parseResponse(message.subarray(0, message.length - 2)), /Truncated/);
+});
+
+test('buildQuery escapes dots inside instance labels', () => {
+    const query = mdns.buildQuery([{ name: 'Stage Box\\.1._rtsp._tcp.local', type: TYPE_SRV }]);
+    assert.deepEqual(query.subarray(12, 12 + 13), Buffer.concat([label('Stage Box.1'), Buffer.from([5])]));
+    assert.equal(query.readUInt16BE(4), 1);
+    assert.equal(query.readUInt16BE(query.length - 4), TYPE_SRV);
+});
+
+test('MDNSBrowser reports complete instances and their goodbyes', () => {
+    const found = [];
+    const removed = [];
+    const browser = new mdns.MDNSBrowser({ debug() {}, warn() {} }, {
+        serviceType: SERVICE,
+        onService: (service) => found.push(service),
+        onServiceRemoved: (service) => removed.push(service)
+    });
+
+    browser.handleMessage(announcement(4500));
+    assert.deepEqual(found, [{
+        name: 'Stage Box.1',
+        instance: 'Stage Box\\.1._rtsp._tcp.local',
+        host: 'stagebox.local',
+        address: '192.168.1.20',
+        port: 9090,
+        txt: { ver: '1.2', flag: true }
+    }]);
+
+    browser.handleMessage(announcement(0));
+    assert.deepEqual(removed, [{ name: 'Stage Box.1', instance: 'Stage Box\\.1._rtsp._tcp.local' }]);
+    browser.stop();
+});
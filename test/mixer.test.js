@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Mixer } = require('../lib/mixer');
+
+// 1 kHz mix in 1-frame blocks, so positions and timestamps are easy to follow
+function createMixer(options) {
+    return new Mixer(Object.assign({ id: 'mix', channels: 2, sampleRate: 1000, ptime: 1, latencyMs: 2 }, options));
+}
+
+function stream(channels, mediaClk) {
+    return { name: 'Stream', sampleRate: 1000, channels: channels, mediaClk: mediaClk };
+}
+
+function frames(count, values) {
+    const samples = [];
+    for (let i = 0; i < count; i++) samples.push(...values);
+    return Float64Array.from(samples);
+}
+
+function render(mixer, count) {
+    return Array.from(mixer.render(count));
+}
+
+test('inputs line up by RTP timestamp and play after the latency', () => {
+    const mixer = createMixer({ limiter: false });
+    mixer.setInput('a', stream(2), {});
+    mixer.setInput('b', stream(1), { gainDb: -6.0206 });
+
+    mixer.write('a', frames(2, [0.25, 0.5]), 1000);
+    mixer.write('b', frames(1, [0.5]), 7000);
+    mixer.write('a', frames(1, [0.125, 0]), 1003);      // One frame lost before it
+    mixer.write('b', frames(2, [0.5]), 7001);
+
+    const mix = render(mixer, 6).map(value => Math.round(value * 1000) / 1000);
+    assert.deepEqual(mix, [
+        0, 0,
+        0, 0,
+        0.5, 0.75,          // a plus mono b at half gain on both channels
+        0.5, 0.75,
+        0.25, 0.25,
+        0.125, 0
+    ]);
+});
+
+test('media-clock-aligned inputs share one anchor', () => {
+    const mixer = createMixer({ limiter: false });
+    mixer.setInput('a', stream(1, 'direct=100'), {});
+    mixer.setInput('b', stream(1, 'direct=5000'), {});
+    assert.equal(mixer.getStatus().inputs[0].mediaClockAligned, true);
+
+    // Both carry media clock 10, so they play on the same frame although b arrives later
+    mixer.write('a', frames(1, [0.25]), 110);
+    mixer.render(1);
+    mixer.write('b', frames(1, [0.25]), 5010);
+
+    assert.deepEqual(render(mixer, 2), [0, 0, 0.5, 0.5]);
+});
+
+test('late packets are counted and dropped; a far jump resyncs the input', () => {
+    const mixer = createMixer({ limiter: false });
+    mixer.setInput('a', stream(1), {});
+    mixer.write('a', frames(1, [0.5]), 0);
+    render(mixer, 4);
+
+    mixer.write('a', frames(1, [0.5]), 1);
+    mixer.write('a', frames(1, [0.5]), 100000);
+    const [input] = mixer.getStatus().inputs;
+    assert.equal(input.latePackets, 1);
+    assert.equal(input.resyncs, 1);
+    assert.deepEqual(render(mixer, 3), [0, 0, 0, 0, 0.5, 0.5]);
+});
+
+test('only a run of late packets resyncs an input', () => {
+    const mixer = createMixer({ limiter: false });
+    mixer.setInput('a', stream(1), {});
+    mixer.write('a', frames(1, [0.5]), 0);
+    render(mixer, 30);
+
+    // Nine late, one on time, then more late: the run starts over
+    for (let i = 1; i <= 9; i++) mixer.write('a', frames(1, [0.5]), i);
+    mixer.write('a', frames(1, [0.5]), 28);
+    mixer.write('a', frames(1, [0.5]), 10);
+    assert.equal(mixer.getStatus().inputs[0].resyncs, 0);
+
+    for (let i = 11; i <= 19; i++) mixer.write('a', frames(1, [0.5]), i);
+    const [input] = mixer.getStatus().inputs;
+    assert.equal(input.latePackets, 19);
+    assert.equal(input.resyncs, 1);
+});
+
+test('mutes and channel gains apply per input and per channel', () => {
+    const mixer = createMixer({ limiter: false });
+    mixer.setInput('a', stream(2), { channelMutes: [true, false], channelGainsDb: [0, -6.0206] });
+    mixer.setInput('b', stream(2), { mute: true });
+    mixer.write('a', frames(1, [0.5, 0.5]), 0);
+    mixer.write('b', frames(1, [0.5, 0.5]), 0);
+
+    assert.deepEqual(render(mixer, 3).slice(4).map(value => Math.round(value * 1000) / 1000), [0, 0.25]);
+});
+
+test('a muted gain is saved and restored as silence', () => {
+    const mixer = createMixer({ limiter: false });
+    mixer.setInput('a', stream(2), { gainDb: -Infinity, channelGainsDb: [0, -Infinity] });
+
+    const saved = JSON.parse(JSON.stringify(mixer.getSettings()));
+    const restored = createMixer({ limiter: false });
+    restored.setInput('a', stream(2), saved.inputs[0]);
+    assert.equal(restored.inputs.get('a').gain, 0);
+    assert.deepEqual(restored.inputs.get('a').channelGains, [1, 0]);
+
+    restored.setInput('a', stream(2), { gainDb: 0 });
+    restored.write('a', frames(1, [0.5, 0.5]), 0);
+    assert.deepEqual(render(restored, 3).slice(4), [0.5, 0]);
+});
+
+test('the mixer renders on its clock and restarts the clock after a stall', (t) => {
+    let now = 0n;
+    const mixer = createMixer({ clock: () => now });
+    mixer.start();
+    t.after(() => mixer.stop());
+
+    now = 5000000n;
+    mixer.tick();
+    assert.equal(mixer.position, 5);
+
+    // A second without ticks renders a limited burst, then carries on from there
+    now += 1000000000n;
+    mixer.tick();
+    assert.equal(mixer.position, 25);
+    now += 2000000n;
+    mixer.tick();
+    assert.equal(mixer.position, 27);
+});
+
+test('the limiter holds the mix at the ceiling; without it overs are counted', () => {
+    const limited = createMixer({ ceilingDb: -6.0206 });
+    const clipped = createMixer({ limiter: false });
+    [limited, clipped].forEach(mixer => {
+        mixer.setInput('a', stream(2), {});
+        mixer.setInput('b', stream(2), {});
+        mixer.write('a', frames(2, [0.75, 0.25]), 0);
+        mixer.write('b', frames(2, [0.75, 0.25]), 0);
+    });
+
+    const mix = render(limited, 4).slice(4);
+    assert.ok(Math.abs(mix[0] - 0.5) < 1e-4);
+    assert.ok(Math.abs(mix[1] - 0.5 / 3) < 1e-4);
+    assert.ok(Math.abs(limited.getStatus().gainReductionDb - 9.54) < 0.01);
+
+    assert.deepEqual(render(clipped, 4).slice(4), [1.5, 0.5, 1.5, 0.5]);
+    assert.equal(clipped.getStatus().clippedSamples, 2);
+});
+
+test('the constructor and setInput reject unsupported formats', () => {
+    assert.throws(() => createMixer({ encoding: 'AM824' }), /Unsupported encoding: AM824/);
+    assert.throws(() => createMixer({ channels: 65 }), /Invalid channel count: 65/);
+    assert.throws(() => createMixer().setInput('a', { sampleRate: 48000, channels: 2 }, {}),
+        /Sample rate mismatch: 48000 Hz input, 1000 Hz mix/);
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const nmos = require('../lib/nmos');
+const { ReceiverConnection, RequestError } = require('../lib/nmos-connection');
+
+const SDP = [
+    'v=0',
+    'o=- 1311738121 1311738121 IN IP4 192.168.1.20',
+    's=Stage Box 1',
+    't=0 0',
+    'm=audio 5004 RTP/AVP 98',
+    'c=IN IP4 239.69.1.1/32',
+    'a=rtpmap:98 L24/48000/2',
+    'a=ptime:1',
+    ''
+].join('\r\n');
+
+const SENDER_ID = '5b6b2f5c-2e0c-4d2f-9a1b-0c7f3e5a9d11';
+
+function createConnection(activations) {
+    return new ReceiverConnection({
+        interfaceIP: '192.168.1.10',
+        encodings: ['L16', 'L24'],
+        enabled: false,
+        activate: async (settings) => {
+            if (settings.transportParams.multicast_ip === '239.0.0.13') throw new Error('join failed');
+            activations.push(settings);
+        },
+        getTransportParams: () => ({ multicast_ip: '239.69.1.1', destination_port: 5004 })
+    });
+}
+
+async function rejectsWith(promise, status, message) {
+    await assert.rejects(promise, (err) => {
+        assert.ok(err instanceof RequestError);
+        assert.equal(err.status, status);
+        assert.match(err.message, message);
+        return true;
+    });
+}
+
+test('an immediate activation hands the SDP and merged transport parameters to the receiver', async () => {
+    const activations = [];
+    const connection = createConnection(activations);
+
+    const staged = await connection.patch({ transport_params: [{ source_ip: '192.168.1.20' }] });
+    assert.equal(staged.status, 200);
+    assert.equal(staged.body.transport_params[0].source_ip, '192.168.1.20');
+    assert.equal(staged.body.transport_params[0].destination_port, 'auto');
+    assert.equal(activations.length, 0);
+
+    const result = await connection.patch({
+        sender_id: SENDER_ID,
+        transport_file: { data: SDP, type: 'application/sdp' },
+        activation: { mode: 'activate_immediate' }
+    });
+    assert.equal(result.status, 200);
+    assert.equal(result.body.activation.mode, 'activate_immediate');
+    assert.match(result.body.activation.activation_time, /^\d+:\d+$/);
+
+    assert.equal(activations.length, 1);
+    assert.equal(activations[0].senderId, SENDER_ID);
+    assert.equal(activations[0].enabled, true);
+    assert.equal(activations[0].description.name, 'Stage Box 1');
+    assert.equal(activations[0].transportParams.source_ip, '192.168.1.20');
+
+    const active = connection.getActive();
+    assert.equal(active.sender_id, SENDER_ID);
+    assert.equal(active.transport_params[0].interface_ip, '192.168.1.10');
+    assert.equal(active.transport_params[0].multicast_ip, '239.69.1.1');
+    assert.equal(connection.getStaged().activation.mode, null);
+});
+
+test('a scheduled activation locks the staged parameters until it runs or is cancelled', async () => {
+    const activations = [];
+    const connection = createConnection(activations);
+
+    const scheduled = await connection.patch({ master_enable: false, activation: { mode: 'activate_scheduled_relative', requested_time: '0:50000000' } });
+    assert.equal(scheduled.status, 202);
+    assert.match(scheduled.body.activation.activation_time, /^\d+:\d+$/);
+    await rejectsWith(connection.patch({ master_enable: true }), 423, /scheduled activation is pending/);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(activations.length, 1);
+    assert.equal(activations[0].enabled, false);
+    assert.equal(connection.getActive().activation.mode, 'activate_scheduled_relative');
+
+    await connection.patch({ activation: { mode: 'activate_scheduled_relative', requested_time: '10:0' } });
+    const cancelled = await connection.patch({ activation: { mode: null } });
+    assert.equal(cancelled.body.activation.mode, null);
+    assert.equal(connection.timer, null);
+    await connection.patch({ master_enable: true });
+});
+
+test('an activation scheduled further ahead than one timer can wait stays pending', async () => {
+    const activations = [];
+    const connection = createConnection(activations);
+
+    // About 35 days, beyond the 2^31 - 1 ms setTimeout limit
+    const scheduled = await connection.patch({ activation: { mode: 'activate_scheduled_relative', requested_time: '3000000:0' } });
+    assert.equal(scheduled.status, 202);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(activations.length, 0);
+    assert.notEqual(connection.timer, null);
+
+    await connection.patch({ activation: { mode: null } });
+    assert.equal(connection.timer, null);
+});
+
+test('invalid staged parameters are rejected with 400 and a failed activation with 500', async () => {
+    const connection = createConnection([]);
+
+    await rejectsWith(connection.patch([]), 400, /must be an object/);
+    await rejectsWith(connection.patch({ colour: 'red' }), 400, /Unknown parameter colour/);
+    await rejectsWith(connection.patch({ sender_id: 'sender-1' }), 400, /Invalid sender_id/);
+    await rejectsWith(connection.patch({ transport_params: [{ destination_port: 70000 }] }), 400, /Invalid destination_port: 70000/);
+    await rejectsWith(connection.patch({ transport_params: [{ interface_ip: '10.0.0.1' }] }), 400, /Invalid interface_ip/);
+    await rejectsWith(connection.patch({ transport_params: [{}, {}] }), 400, /must have 1 leg/);
+    assert.deepEqual(connection.getStaged().transport_params[0], {
+        source_ip: null, multicast_ip: null, interface_ip: 'auto', destination_port: 'auto', rtp_enabled: true
+    });
+    await rejectsWith(connection.patch({ transport_file: { data: SDP.replace('L24', 'L32'), type: 'application/sdp' } }), 400,
+        /Unsupported encoding in transport file: L32/);
+    await rejectsWith(connection.patch({ activation: { mode: 'activate_scheduled_absolute', requested_time: 'soon' } }), 400,
+        /Invalid requested_time: soon/);
+    await rejectsWith(connection.patch({ transport_params: [{ multicast_ip: '239.0.0.13' }], activation: { mode: 'activate_immediate' } }), 500,
+        /Activation failed: join failed/);
+    assert.equal(connection.getStaged().transport_params[0].multicast_ip, '239.0.0.13');
+    assert.equal(connection.getActive().master_enable, false);
+});
+
+function request(port, method, path, body) {
+    return new Promise((resolve, reject) => {
+        const data = body !== undefined ? JSON.stringify(body) : null;
+        const req = http.request({ host: '127.0.0.1', port: port, path: path, method: method, headers: { 'Content-Type': 'application/json' } }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+        });
+        req.on('error', reject);
+        req.end(data);
+    });
+}
+
+test('the Connection API stages and activates receivers, singly and in bulk', async (t) => {
+    const activations = [];
+    const connection = createConnection(activations);
+    nmos.addDevice('node-red-10', {
+        label: 'Studio receiver',
+        getReceivers: () => [{ key: 'main', label: 'Main', encodings: ['L24'], active: false, connection: connection }]
+    });
+    t.after(() => nmos.removeDevice('node-red-10'));
+
+    const node = new nmos.NMOSNode({ warn: () => {}, log: () => {} }, { id: 'router-10', address: '127.0.0.1', port: 0 });
+    await node.start();
+    t.after(() => node.stop());
+
+    const receiverId = nmos.resourceId('receiver', 'node-red-10', 'main');
+    const base = '/x-nmos/connection/v1.1';
+    assert.deepEqual((await request(node.port, 'GET', `${base}/single/receivers`)).body, [`${receiverId}/`]);
+    assert.equal((await request(node.port, 'GET', `${base}/single/receivers/${receiverId}/transporttype`)).body,
+        'urn:x-nmos:transport:rtp');
+
+    const patched = await request(node.port, 'PATCH', `${base}/single/receivers/${receiverId}/staged`, {
+        transport_file: { data: SDP, type: 'application/sdp' },
+        activation: { mode: 'activate_immediate' }
+    });
+    assert.equal(patched.status, 200);
+    assert.equal(activations.length, 1);
+
+    const bulk = await request(node.port, 'POST', `${base}/bulk/receivers`, [
+        { id: receiverId, params: { master_enable: false } },
+        { id: SENDER_ID, params: {} }
+    ]);
+    assert.deepEqual(bulk.body.map(result => result.code), [200, 404]);
+
+    const invalid = await request(node.port, 'PATCH', `${base}/single/receivers/${receiverId}/staged`, { colour: 'red' });
+    assert.deepEqual(invalid.body, { code: 400, error: 'Unknown parameter colour', debug: null });
+    assert.equal((await request(node.port, 'PATCH', `${base}/single/receivers/${receiverId}/active`, {})).status, 405);
+
+    const [device] = node.resources.filter(resource => resource.type === 'device');
+    assert.equal(device.data.controls[0].type, 'urn:x-nmos:control:sr-ctrl/v1.1');
+});
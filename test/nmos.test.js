@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const nmos = require('../lib/nmos');
+
+const SDP = 'v=0\r\no=- 1 1 IN IP4 127.0.0.1\r\ns=Studio A\r\n';
+
+function quietNode() {
+    return { warn: () => {}, log: () => {} };
+}
+
+function get(port, path) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: port, path: path }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                const json = /json/.test(res.headers['content-type']) ? JSON.parse(text) : null;
+                resolve({ status: res.statusCode, type: res.headers['content-type'], text: text, body: json });
+            });
+        }).on('error', reject);
+    });
+}
+
+// A local stand-in for an IS-04 registry that records what it is sent
+function startRegistry(t) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+            const body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : null;
+            requests.push({ method: req.method, url: req.url, body: body });
+            res.writeHead(req.method === 'DELETE' ? 204 : 201, { 'Content-Type': 'application/json' });
+            res.end(req.method === 'DELETE' ? undefined : '{}');
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        t.after(() => server.close());
+        resolve({ requests, url: `http://127.0.0.1:${server.address().port}` });
+    }));
+}
+
+function addStudioDevice(t, id) {
+    nmos.addDevice(id, {
+        label: 'Studio sender',
+        getSenders: () => [{
+            key: 'main',
+            label: 'Studio A',
+            encoding: 'L24',
+            sampleRate: 48000,
+            channels: 2,
+            destIP: '239.69.1.1',
+            active: true,
+            getSDP: () => SDP
+        }],
+        getReceivers: () => [{ key: 'return', label: 'Return', encodings: ['L16', 'L24'], active: false }]
+    });
+    t.after(() => nmos.removeDevice(id));
+}
+
+test('the Node API lists each device with its source, flow, sender and receiver, and serves the manifest', async (t) => {
+    addStudioDevice(t, 'node-red-1');
+    const node = new nmos.NMOSNode(quietNode(), { id: 'router-1', label: 'Router', address: '127.0.0.1', port: 0 });
+    await node.start();
+    t.after(() => node.stop());
+
+    const base = '/x-nmos/node/v1.3';
+    const self = (await get(node.port, `${base}/self`)).body;
+    assert.equal(self.id, nmos.resourceId('node', 'router-1'));
+    assert.match(self.version, /^\d+:\d+$/);
+    assert.deepEqual(self.api.endpoints, [{ host: '127.0.0.1', port: node.port, protocol: 'http' }]);
+
+    const [device] = (await get(node.port, `${base}/devices`)).body;
+    const senderId = nmos.resourceId('sender', 'node-red-1', 'main');
+    assert.equal(device.node_id, self.id);
+    assert.deepEqual(device.senders, [senderId]);
+    assert.deepEqual(device.receivers, [nmos.resourceId('receiver', 'node-red-1', 'return')]);
+
+    const [flow] = (await get(node.port, `${base}/flows`)).body;
+    assert.equal(flow.media_type, 'audio/L24');
+    assert.equal(flow.bit_depth, 24);
+    assert.deepEqual(flow.sample_rate, { numerator: 48000 });
+    assert.equal((await get(node.port, `${base}/sources/${flow.source_id}`)).body.channels.length, 2);
+
+    const sender = (await get(node.port, `${base}/senders/${senderId}`)).body;
+    assert.equal(sender.flow_id, flow.id);
+    assert.equal(sender.transport, 'urn:x-nmos:transport:rtp.mcast');
+    assert.deepEqual(sender.subscription, { receiver_id: null, active: true });
+
+    const [receiver] = (await get(node.port, `${base}/receivers`)).body;
+    assert.deepEqual(receiver.caps.media_types, ['audio/L16', 'audio/L24']);
+
+    const manifest = await get(node.port, new URL(sender.manifest_href).pathname);
+    assert.equal(manifest.type, 'application/sdp');
+    assert.equal(manifest.text, SDP);
+
+    assert.equal((await get(node.port, `${base}/senders/${flow.id}`)).status, 404);
+    assert.equal((await get(node.port, '/x-nmos/node/v1.2/self')).status, 404);
+});
+
+test('resources keep their versions until their content changes', async (t) => {
+    let label = 'Studio sender';
+    nmos.addDevice('node-red-2', { get label() { return label; } });
+    t.after(() => nmos.removeDevice('node-red-2'));
+
+    const node = new nmos.NMOSNode(quietNode(), { id: 'router-2', address: '127.0.0.1', port: 0 });
+    await node.start();
+    t.after(() => node.stop());
+
+    const nodeVersion = node.resources[0].data.version;
+    const before = node.resources[1].data.version;
+    node.build();
+    assert.equal(node.resources[1].data.version, before);
+    label = 'Studio B';
+    node.build();
+    assert.notEqual(node.resources[1].data.version, before);
+    assert.equal(node.resources[0].data.version, nodeVersion);
+});
+
+test('resources are registered parents first and withdrawn children first', async (t) => {
+    const registry = await startRegistry(t);
+    addStudioDevice(t, 'node-red-3');
+    const node = new nmos.NMOSNode(quietNode(), { id: 'router-3', address: '127.0.0.1', port: 0, registry: registry.url });
+    await node.start();
+    t.after(() => node.stop());
+    await node.syncing;
+
+    assert.deepEqual(registry.requests.map(request => `${request.method} ${request.url} ${request.body.type}`), [
+        'POST /x-nmos/registration/v1.3/resource node',
+        'POST /x-nmos/registration/v1.3/resource device',
+        'POST /x-nmos/registration/v1.3/resource source',
+        'POST /x-nmos/registration/v1.3/resource flow',
+        'POST /x-nmos/registration/v1.3/resource sender',
+        'POST /x-nmos/registration/v1.3/resource receiver'
+    ]);
+    assert.equal(node.getStatus().registered, true);
+
+    registry.requests.length = 0;
+    await node.stop();
+    assert.deepEqual(registry.requests.map(request => request.url.split('/')[5]), [
+        'receivers', 'senders', 'flows', 'sources', 'devices', 'nodes'
+    ]);
+});
+
+test('only one NMOS node runs at a time', async (t) => {
+    const first = new nmos.NMOSNode(quietNode(), { id: 'router-4', address: '127.0.0.1', port: 0 });
+    await first.start();
+    t.after(() => first.stop());
+
+    const second = new nmos.NMOSNode(quietNode(), { id: 'router-5', address: '127.0.0.1', port: 0 });
+    await assert.rejects(second.start(), /NMOS node already running on port \d+/);
+});
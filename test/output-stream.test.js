@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const sampleFormat = require('../lib/sample-format');
+const { OutputStream } = require('../lib/output-stream');
+
+const quietNode = { warn: () => {}, error: () => {}, debug: () => {}, log: () => {} };
+
+// 1 kHz stereo L16 in 1-frame packets, so the 15 ms priming threshold is 15 frames
+function createOutput(options) {
+    return new OutputStream(quietNode, Object.assign({
+        id: 'out-1', name: 'Program', destIP: '127.0.0.1', channels: 2, sampleRate: 1000, encoding: 'L16', announce: false
+    }, options));
+}
+
+function ramp(count, start) {
+    return Float64Array.from({ length: count }, (_, i) => (start + i) / 100);
+}
+
+test('a started stream sends the routed channel in RTP packets, with silence on unrouted channels', async (t) => {
+    const receiver = dgram.createSocket('udp4');
+    await new Promise(resolve => receiver.bind(0, '127.0.0.1', resolve));
+    t.after(() => receiver.close());
+
+    const output = createOutput({ destPort: receiver.address().port });
+    output.route(1, { subscriptionId: 'sub-1', channel: 3 });
+    output.push(1, ramp(20, 1));
+
+    const packets = [];
+    const received = new Promise(resolve => receiver.on('message', (message) => {
+        packets.push(message);
+        if (packets.length === 20) resolve();
+    }));
+    output.start();
+    t.after(() => output.stop());
+    await received;
+
+    assert.equal(packets[0][1] & 0x7F, 96);
+    assert.equal(packets[0].readUInt32BE(8), output.getStatus().ssrc);
+    const audio = Buffer.concat(packets.map(packet => packet.subarray(12)));
+    const expected = new Float64Array(40);
+    ramp(20, 1).forEach((value, i) => { expected[i * 2 + 1] = value; });
+    assert.deepEqual(audio, sampleFormat.encodeNetwork(expected, 'L16'));
+
+    const [crosspoint] = output.getStatus().crosspoints;
+    assert.deepEqual([crosspoint.outputChannel, crosspoint.subscriptionId, crosspoint.sourceChannel], [2, 'sub-1', 4]);
+    assert.deepEqual(output.getSettings().crosspoints, [{ subscriptionId: 'sub-1', sourceChannel: 4, outputChannel: 2 }]);
+});
+
+test('routed channels play once primed and run dry to silence', () => {
+    const output = createOutput();
+    output.route(1, { subscriptionId: 'sub-1', channel: 3 });
+    output.push(1, ramp(10, 1));
+    assert.deepEqual(Array.from(output.assemble(2)), [0, 0, 0, 0]);
+
+    output.push(1, ramp(10, 11));
+    assert.deepEqual(Array.from(output.assemble(3)), [0, 0.01, 0, 0.02, 0, 0.03]);
+    assert.equal(output.assemble(17)[33], 0.2);
+    assert.deepEqual(Array.from(output.assemble(1)), [0, 0]);
+    assert.equal(output.getStatus().crosspoints[0].underruns, 1);
+});
+
+test('a channel fed faster than it plays drops its oldest samples', () => {
+    const output = createOutput();
+    output.route(0, { subscriptionId: 'sub-1', channel: 0 });
+    output.push(0, ramp(60, 0));
+    output.push(0, ramp(60, 60));
+    assert.equal(output.getStatus().crosspoints[0].droppedSamples, 20);
+
+    output.unroute(0);
+    assert.deepEqual(output.getStatus().crosspoints, []);
+});
+
+test('a stream with a render function sends what it returns', async (t) => {
+    const receiver = dgram.createSocket('udp4');
+    await new Promise(resolve => receiver.bind(0, '127.0.0.1', resolve));
+    t.after(() => receiver.close());
+
+    const output = createOutput({ destPort: receiver.address().port, render: (frames) => new Float64Array(frames * 2).fill(0.5) });
+    const packet = new Promise(resolve => receiver.once('message', resolve));
+    output.start();
+    t.after(() => output.stop());
+
+    assert.deepEqual((await packet).subarray(12), Buffer.from([0x40, 0, 0x40, 0]));
+    assert.match(output.getSDP(), /a=rtpmap:96 L16\/1000\/2/);
+});
+
+test('the constructor rejects unsupported settings', () => {
+    assert.throws(() => createOutput({ encoding: 'L20' }), /Unsupported encoding: L20/);
+    assert.throws(() => createOutput({ channels: 65 }), /Invalid channel count: 65/);
+    assert.throws(() => createOutput({ destIP: '' }), /Output destination IP is required/);
+});
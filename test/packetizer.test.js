@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RTPPacketBuilder, AudioPacketizer } = require('../lib/packetizer');
+
+const MS = 1000000n;
+
+// 1 ms packets of 48 kHz stereo L24 on a clock the test moves by hand
+function createPacketizer(t) {
+    const clock = { now: 0n };
+    const sent = [];
+    const packetizer = new AudioPacketizer({
+        sampleRate: 48000,
+        channels: 2,
+        bytesPerSample: 3,
+        ptime: 1,
+        clock: () => clock.now,
+        onPacket: (packet) => sent.push(packet)
+    });
+    t.after(() => packetizer.stop());
+    return { packetizer, clock, sent };
+}
+
+function audio(packets) {
+    const buffer = Buffer.alloc(Math.round(packets * 288));
+    for (let i = 0; i < buffer.length; i++) buffer[i] = Math.floor(i / 288);
+    return buffer;
+}
+
+test('RTPPacketBuilder writes the header and wraps the sequence number', () => {
+    const builder = new RTPPacketBuilder(98, 0xCAFEBABE, 48000);
+    builder.sequenceNumber = 65535;
+    builder.timestamp = 0xFFFFFFF0;
+
+    const first = builder.buildPacket(Buffer.from([1, 2, 3]), true);
+    assert.deepEqual(first.subarray(0, 12), Buffer.from([0x80, 0x80 | 98, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xF0, 0xCA, 0xFE, 0xBA, 0xBE]));
+    assert.deepEqual(first.subarray(12), Buffer.from([1, 2, 3]));
+
+    builder.incrementTimestamp(48);
+    const second = builder.buildPacket(Buffer.alloc(0));
+    assert.equal(second[1], 98);
+    assert.equal(second.readUInt16BE(2), 0);
+    assert.equal(second.readUInt32BE(4), 0x20);
+});
+
+test('AudioPacketizer releases ptime packets on the clock and carries partial packets over', (t) => {
+    const { packetizer, clock, sent } = createPacketizer(t);
+    packetizer.push(audio(2.5));
+    assert.equal(sent.length, 1);
+
+    clock.now = 1n * MS;
+    packetizer.tick();
+    assert.equal(sent.length, 2);
+
+    // The half packet left over is completed by the next message
+    packetizer.push(audio(1.5).subarray(144));
+    clock.now = 2n * MS;
+    packetizer.tick();
+    assert.equal(sent.length, 3);
+    assert.deepEqual(sent.map(packet => packet.length), [288, 288, 288]);
+    assert.deepEqual(sent[2].subarray(0, 144), audio(2.5).subarray(576));
+
+    // Due but not delivered: an underrun pauses the schedule until more audio arrives
+    clock.now = 3n * MS;
+    packetizer.tick();
+    assert.equal(packetizer.getStats().underruns, 1);
+    assert.equal(packetizer.timer, null);
+});
+
+test('AudioPacketizer sends at most 20 packets to catch up and restarts its schedule', (t) => {
+    const { packetizer, clock, sent } = createPacketizer(t);
+    packetizer.push(audio(100));
+    assert.equal(sent.length, 1);
+
+    clock.now = 100n * MS;
+    packetizer.tick();
+    assert.equal(sent.length, 21);
+
+    clock.now = 101n * MS;
+    packetizer.tick();
+    assert.equal(sent.length, 22);
+});
+
+test('AudioPacketizer drops the oldest audio beyond two seconds', (t) => {
+    const { packetizer } = createPacketizer(t);
+    packetizer.push(audio(2100));
+    const stats = packetizer.getStats();
+    assert.equal(stats.overruns, 100);
+    // One packet went out when the schedule started
+    assert.equal(stats.queuedPackets, 1999);
+});
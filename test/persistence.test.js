@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StateStore } = require('../lib/persistence');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aes67-state-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// A node whose context keeps values per store, as Node-RED's context does
+function createNode() {
+    const stores = {};
+    const warnings = [];
+    const context = {};
+    ['get', 'set'].forEach(method => {
+        context[method] = (...args) => {
+            const callback = args.pop();
+            const store = args.length > (method === 'get' ? 1 : 2) ? args.pop() : 'default';
+            const values = stores[store] || (stores[store] = {});
+            if (method === 'get') {
+                callback(null, values[args[0]]);
+            } else {
+                values[args[0]] = args[1];
+                callback(null);
+            }
+        };
+    });
+    return { stores, warnings, context: () => context, warn: (message) => warnings.push(message) };
+}
+
+test('file mode saves the state atomically and loads it back', async (t) => {
+    const file = path.join(tempDir(t), 'nested', 'router.json');
+    let state = { subscriptions: [{ id: 'sub-1', streamKey: 'Studio A' }] };
+    const store = new StateStore(createNode(), { mode: 'file', file: file, getState: () => state });
+
+    assert.equal(await store.load(), null);
+    await store.save();
+    state = { subscriptions: [] };
+
+    const loaded = await new StateStore(createNode(), { mode: 'file', file: file }).load();
+    assert.equal(loaded.version, 1);
+    assert.ok(!isNaN(Date.parse(loaded.saved)));
+    assert.deepEqual(loaded.subscriptions, [{ id: 'sub-1', streamKey: 'Studio A' }]);
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+    await store.clear();
+    assert.equal(fs.existsSync(file), false);
+    await store.clear();
+});
+
+test('context mode uses the configured store', async () => {
+    const node = createNode();
+    const store = new StateStore(node, { mode: 'context', store: 'file', getState: () => ({ outputs: [1] }) });
+    await store.save();
+
+    assert.deepEqual(Object.keys(node.stores), ['file']);
+    assert.deepEqual((await store.load()).outputs, [1]);
+    assert.equal(await new StateStore(node, { mode: 'context' }).load(), null);
+});
+
+test('saves wait until enabled, merge while scheduled and flush at once', async () => {
+    const node = createNode();
+    let calls = 0;
+    const store = new StateStore(node, { mode: 'context', getState: () => ({ calls: ++calls }) });
+
+    store.schedule();
+    assert.equal(store.timer, null);
+
+    store.enabled = true;
+    store.schedule();
+    store.schedule();
+    await store.flush();
+    assert.equal(calls, 1);
+    assert.equal((await store.load()).calls, 1);
+
+    await store.flush();
+    assert.equal(calls, 1);
+});
+
+test('unknown modes, missing files and other state versions are rejected', async (t) => {
+    assert.throws(() => new StateStore(createNode(), { mode: 'redis' }), /Unknown persistence mode: redis/);
+    assert.throws(() => new StateStore(createNode(), { mode: 'file' }), /Persistence file is required/);
+
+    const file = path.join(tempDir(t), 'old.json');
+    fs.writeFileSync(file, JSON.stringify({ version: 2 }));
+    await assert.rejects(new StateStore(createNode(), { mode: 'file', file: file }).load(), /Unsupported state version: 2/);
+});
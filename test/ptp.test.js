@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const { PTPFollower, PTPGrandmaster } = require('../lib/ptp');
+
+const node = { log() {}, warn() {}, debug() {} };
+
+// Two ports the OS hands out as free, so the test needs no privileges for 319/320
+async function freePorts() {
+    const sockets = [dgram.createSocket('udp4'), dgram.createSocket('udp4')];
+    await Promise.all(sockets.map(socket => new Promise(resolve => socket.bind(0, resolve))));
+    const ports = sockets.map(socket => socket.address().port);
+    await Promise.all(sockets.map(socket => new Promise(resolve => socket.close(resolve))));
+    return { eventPort: ports[0], generalPort: ports[1] };
+}
+
+// Resolves with the status of the first onChange that matches
+function waitForChange(changes, predicate, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Timed out waiting for a PTP status change')), timeoutMs);
+        changes.listener = (status) => {
+            if (predicate(status)) {
+                clearTimeout(timer);
+                changes.listener = null;
+                resolve(status);
+            }
+        };
+    });
+}
+
+test('PTPFollower locks to a PTPGrandmaster and reports the lock lost when Syncs stop', async (t) => {
+    const domain = 93;
+    const ports = await freePorts();
+    const changes = { listener: null };
+    const grandmaster = new PTPGrandmaster(node, Object.assign({ domain: domain }, ports));
+    const follower = new PTPFollower(node, Object.assign({
+        domain: domain,
+        onChange: (status) => changes.listener && changes.listener(status)
+    }, ports));
+    t.after(() => {
+        follower.stop();
+        grandmaster.stop();
+    });
+
+    const locked = waitForChange(changes, status => status.locked, 5000);
+    grandmaster.start();
+    follower.start();
+    const status = await locked;
+    assert.equal(follower.transport.eventSocket.address().port, ports.eventPort);
+
+    assert.equal(status.grandmasterId, grandmaster.getGrandmasterId());
+    assert.equal(status.utcOffset, grandmaster.utcOffset);
+    assert.equal(status.ptpTimescale, true);
+    // Both clocks run on this host, so they agree to well within a millisecond or so
+    const difference = Number(follower.now() - grandmaster.now()) / 1e6;
+    assert.ok(Math.abs(difference) < 5, `follower is ${difference} ms off`);
+
+    // Announces keep the grandmaster selected; only the expiry timer can notice the Syncs are gone
+    clearInterval(grandmaster.syncTimer);
+    grandmaster.syncTimer = null;
+    const lost = await waitForChange(changes, status => !status.locked, 5000);
+    assert.equal(lost.grandmasterId, grandmaster.getGrandmasterId());
+    assert.equal(follower.now(), null);
+});
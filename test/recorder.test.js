@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StreamRecorder } = require('../lib/recorder');
+const { WavReader } = require('../lib/wav');
+
+const START = new Date(2024, 4, 1, 8, 0, 0).getTime();
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aes67-recorder-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// One 16-bit mono packet of `frames` frames, every sample set to `value`
+function packet(frames, value) {
+    const audio = Buffer.alloc(frames * 2);
+    for (let i = 0; i < frames; i++) audio.writeInt16BE(value, i * 2);
+    return audio;
+}
+
+function readAll(file) {
+    const reader = new WavReader(file);
+    try {
+        return { info: reader.getInfo(), samples: reader.read(reader.totalFrames) };
+    } finally {
+        reader.close();
+    }
+}
+
+test('StreamRecorder fills gaps with silence, drops late packets and stamps the bext chunk', async (t) => {
+    const closed = [];
+    const recorder = new StreamRecorder({
+        directory: tempDir(t),
+        prefix: 'studio',
+        sampleRate: 1000,
+        channels: 1,
+        bytesPerSample: 2,
+        description: 'Main mix',
+        onFileClosed: (info) => closed.push(info)
+    });
+
+    recorder.push(0xFFFFFFFE, packet(2, 0x4000), START);
+    recorder.push(2, packet(2, 0x2000), START);      // Two frames lost across the wrap
+    recorder.push(1, packet(1, 0x1000), START);      // Late
+    await recorder.stop();
+
+    assert.equal(closed.length, 1);
+    assert.equal(path.basename(closed[0].file), 'studio_20240501-080000.wav');
+    assert.equal(closed[0].duration, 0.006);
+    assert.equal(closed[0].rtpTimestamp, 0xFFFFFFFE);
+    assert.equal(recorder.getStatus().silenceFrames, 2);
+    assert.equal(recorder.getStatus().droppedPackets, 1);
+
+    const { info, samples } = readAll(closed[0].file);
+    assert.deepEqual(samples, Float64Array.from([0.5, 0.5, 0, 0, 0.25, 0.25]));
+    assert.equal(info.bext.description, 'Main mix; RTP timestamp 4294967294');
+    assert.equal(info.bext.originationDate, '2024-05-01');
+    assert.equal(info.bext.originationTime, '08:00:00');
+    assert.equal(info.bext.timeReference, 8 * 3600 * 1000);
+});
+
+test('StreamRecorder rotates by duration and starts a new file on a large timestamp jump', async (t) => {
+    const closed = [];
+    const recorder = new StreamRecorder({
+        directory: tempDir(t),
+        format: 'wav',
+        sampleRate: 1000,
+        channels: 1,
+        bytesPerSample: 2,
+        rotateSeconds: 0.004,
+        onFileClosed: (info) => closed.push(info)
+    });
+
+    for (let i = 0; i < 3; i++) {
+        recorder.push(i * 2, packet(2, 0x1000), START + i * 2);
+    }
+    recorder.push(100000, packet(2, 0x1000), START + 10);
+    await recorder.stop();
+
+    assert.deepEqual(closed.map(info => [path.basename(info.file), info.duration, info.rtpTimestamp]), [
+        ['recording_20240501-080000.wav', 0.004, 0],
+        ['recording_20240501-080000_001.wav', 0.002, 4],
+        ['recording_20240501-080000_002.wav', 0.002, 100000]
+    ]);
+    assert.equal(readAll(closed[0].file).info.bext, null);
+});
+
+test('a recording restarted within the same second goes to a new file', async (t) => {
+    const directory = tempDir(t);
+    const closed = [];
+    for (let take = 1; take <= 2; take++) {
+        const recorder = new StreamRecorder({
+            directory: directory,
+            prefix: 'studio',
+            format: 'wav',
+            sampleRate: 1000,
+            channels: 1,
+            bytesPerSample: 2,
+            onFileClosed: (info) => closed.push(info)
+        });
+        recorder.push(0, packet(2, 0x1000 * take), START + take * 100);
+        await recorder.stop();
+    }
+
+    assert.deepEqual(closed.map(info => path.basename(info.file)), ['studio_20240501-080000.wav', 'studio_20240501-080000_001.wav']);
+    assert.deepEqual(readAll(closed[0].file).samples, Float64Array.from([0.125, 0.125]));
+    assert.deepEqual(readAll(closed[1].file).samples, Float64Array.from([0.25, 0.25]));
+});
+
+test('StreamRecorder reports a file it cannot write', async () => {
+    const errors = [];
+    const closed = [];
+    const recorder = new StreamRecorder({
+        directory: path.join(os.tmpdir(), 'aes67-recorder-missing', String(process.pid)),
+        sampleRate: 1000,
+        channels: 1,
+        bytesPerSample: 2,
+        onFileClosed: (info) => closed.push(info),
+        onError: (err) => errors.push(err)
+    });
+    recorder.push(0, packet(2, 0x1000), START);
+    await recorder.stop();
+
+    assert.match(errors[0].message, /ENOENT/);
+    assert.equal(closed.length, 0);
+});
+
+test('StreamRecorder rejects a missing directory or an unknown format', () => {
+    assert.throws(() => new StreamRecorder({ sampleRate: 48000 }), /No recording directory configured/);
+    assert.throws(() => new StreamRecorder({ directory: os.tmpdir(), format: 'mp3' }), /Unknown recording format "mp3"/);
+});
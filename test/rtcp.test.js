@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rtcp = require('../lib/rtcp');
+
+test('parseCompound reads back a compound SR, SDES and BYE packet', () => {
+    const block = {
+        ssrc: 0x11223344,
+        fractionLost: 64,
+        cumulativeLost: -3,
+        extendedHighestSeq: 0x10005,
+        jitter: 42.7,
+        lsr: 0xABCD1234,
+        dlsr: 0x18000
+    };
+    const ntp = rtcp.toNTP(Date.UTC(2024, 0, 1, 12, 0, 0, 500));
+    const packet = Buffer.concat([
+        rtcp.buildSenderReport({
+            ssrc: 0xDEADBEEF,
+            ntp: ntp,
+            rtpTimestamp: 4800,
+            packetCount: 100,
+            octetCount: 28800,
+            reports: [block]
+        }),
+        rtcp.buildSDES(0xDEADBEEF, 'sender@192.168.1.10'),
+        rtcp.buildBye(0xDEADBEEF)
+    ]);
+
+    const [sr, sdes, bye] = rtcp.parseCompound(packet);
+    assert.equal(sr.type, 'SR');
+    assert.equal(sr.ssrc, 0xDEADBEEF);
+    assert.deepEqual(sr.ntp, ntp);
+    assert.equal(sr.ntpTime, '2024-01-01T12:00:00.500Z');
+    assert.equal(sr.rtpTimestamp, 4800);
+    assert.equal(sr.packetCount, 100);
+    assert.equal(sr.octetCount, 28800);
+    assert.deepEqual(sr.reports, [{
+        ssrc: 0x11223344,
+        fractionLost: 0.25,
+        cumulativeLost: -3,
+        extendedHighestSeq: 0x10005,
+        jitter: 42,
+        lsr: 0xABCD1234,
+        dlsr: 1.5
+    }]);
+    assert.deepEqual(sdes, { type: 'SDES', ssrc: 0xDEADBEEF, cname: 'sender@192.168.1.10' });
+    assert.deepEqual(bye, { type: 'BYE', sources: [0xDEADBEEF] });
+});
+
+test('parseCompound stops at a truncated or non-version-2 packet', () => {
+    const rr = rtcp.buildReceiverReport({ ssrc: 7 });
+    const truncated = rtcp.buildBye(8).subarray(0, 6);
+    assert.deepEqual(rtcp.parseCompound(Buffer.concat([rr, truncated])), [{ type: 'RR', ssrc: 7, reports: [] }]);
+
+    const version1 = Buffer.from(rr);
+    version1[0] = 0x40;
+    assert.deepEqual(rtcp.parseCompound(version1), []);
+});
+
+function header(sequenceNumber, timestamp) {
+    return { ssrc: 0x1234, sequenceNumber: sequenceNumber, timestamp: timestamp };
+}
+
+test('ReceptionStats counts loss across a sequence number wrap', () => {
+    const stats = new rtcp.ReceptionStats(48000);
+    // 65530 starts probation; counting begins at 65531
+    for (let seq = 65530; seq < 65530 + 12; seq++) {
+        if (seq === 65534 || seq === 65537) continue;
+        stats.update(header(seq % 0x10000, seq * 48), seq);
+    }
+
+    const block = stats.getReportBlock(0);
+    assert.equal(block.extendedHighestSeq, 0x10000 + 5);
+    assert.equal(block.cumulativeLost, 2);
+    assert.equal(block.fractionLost, Math.floor((2 << 8) / 11));
+    assert.equal(stats.getStats().received, 9);
+
+    // The next interval has no loss of its own
+    stats.update(header(6, 65542 * 48), 65542);
+    assert.equal(stats.getReportBlock(0).fractionLost, 0);
+});
+
+test('ReceptionStats jitter follows transit time variation', () => {
+    // One packet a second keeps the arrival times exact in timestamp units
+    const steady = new rtcp.ReceptionStats(48000);
+    for (let seq = 0; seq < 50; seq++) {
+        steady.update(header(seq, seq * 48000), seq * 1000);
+    }
+    assert.equal(steady.getStats().jitter, 0);
+
+    // Every other packet arrives 1 ms (48 timestamp units) late
+    const jittery = new rtcp.ReceptionStats(48000);
+    for (let seq = 0; seq < 500; seq++) {
+        jittery.update(header(seq, seq * 48000), seq * 1000 + (seq % 2));
+    }
+    assert.ok(Math.abs(jittery.getStats().jitter - 48) < 1);
+    assert.ok(Math.abs(jittery.getStats().jitterMs - 1) < 0.02);
+});
+
+test('ReceptionStats starts over on a new SSRC', () => {
+    const stats = new rtcp.ReceptionStats(48000);
+    for (let seq = 0; seq < 10; seq++) {
+        stats.update(header(seq, seq * 48), seq);
+    }
+    stats.update({ ssrc: 0x9999, sequenceNumber: 500, timestamp: 0 }, 10);
+    assert.equal(stats.getStats().ssrc, 0x9999);
+    assert.equal(stats.getReportBlock(0), null);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { StreamStatistics } = require('../lib/rtp-stats');
+
+// One packet a second keeps arrival times exact in 48 kHz timestamp units
+function receive(stats, sequenceNumber, timestamp, arrivalMs, ssrc) {
+    stats.update({ sequenceNumber: sequenceNumber, timestamp: timestamp, ssrc: ssrc || 1 }, arrivalMs);
+}
+
+test('StreamStatistics counts loss, duplicates and reordering across the sequence wrap', () => {
+    const stats = new StreamStatistics();
+    const order = [65533, 65534, 0, 65535, 1, 1, 4, 5];
+    order.forEach((seq, i) => receive(stats, seq, i * 48000, i * 1000));
+
+    const result = stats.getStats();
+    assert.equal(result.packetsReceived, 8);
+    assert.equal(result.duplicates, 1);
+    assert.equal(result.reordered, 1);
+    // 2 and 3 never arrived; 65535 arrived late and is not lost
+    assert.equal(result.packetsLost, 2);
+    assert.equal(result.lossRate, 2 / 9);
+});
+
+test('StreamStatistics accepts a sequence reset once the next packet confirms it', () => {
+    const stats = new StreamStatistics();
+    for (let seq = 100; seq < 110; seq++) {
+        receive(stats, seq, seq * 48000, seq * 1000);
+    }
+    receive(stats, 30000, 0, 110000);
+    assert.equal(stats.getStats().sequenceResets, 0);
+    receive(stats, 30001, 48000, 111000);
+    receive(stats, 30003, 144000, 113000);
+
+    const result = stats.getStats();
+    assert.equal(result.sequenceResets, 1);
+    assert.equal(result.packetsLost, 1);
+});
+
+test('StreamStatistics keeps loss from earlier SSRCs', () => {
+    const stats = new StreamStatistics();
+    [0, 1, 3].forEach(seq => receive(stats, seq, seq * 48000, seq * 1000, 1));
+    [500, 502].forEach(seq => receive(stats, seq, seq * 48000, seq * 1000, 2));
+
+    const result = stats.getStats();
+    assert.equal(result.ssrcChanges, 1);
+    assert.equal(result.ssrc, 2);
+    assert.equal(result.packetsLost, 2);
+});
+
+test('StreamStatistics measures jitter and packet delay variation', () => {
+    const stats = new StreamStatistics({ lateThresholdMs: 3 });
+    // Every fourth packet is 4 ms late
+    for (let seq = 0; seq < 400; seq++) {
+        receive(stats, seq, seq * 48000, seq * 1000 + (seq % 4 === 3 ? 4 : 0));
+    }
+
+    const result = stats.getStats();
+    assert.equal(result.late, 100);
+    assert.equal(result.pdv.maxMs, 4);
+    assert.deepEqual(result.pdv.histogram.map(bucket => bucket.count), [300, 0, 0, 100, 0, 0, 0, 0]);
+    // Transit changes by 192 units twice every four packets: the estimate settles around 96
+    assert.ok(result.jitter > 80 && result.jitter < 120, `jitter ${result.jitter}`);
+});
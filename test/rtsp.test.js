@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const rtsp = require('../lib/rtsp');
+
+const SDP = 'v=0\r\no=- 1 1 IN IP4 127.0.0.1\r\ns=Stage Box\r\nt=0 0\r\nm=audio 5004 RTP/AVP 98\r\n' +
+    'c=IN IP4 127.0.0.1\r\na=rtpmap:98 L24/48000/2\r\na=control:streamid=0\r\n';
+
+test('parseResponse waits for the whole body and leaves what follows', () => {
+    const response = 'RTSP/1.0 200 OK\r\nCSeq: 2\r\nContent-Type: application/sdp\r\nContent-Length: 4\r\n\r\nv=0\n';
+    assert.equal(rtsp.parseResponse(Buffer.from(response.slice(0, 40))), null);
+    assert.equal(rtsp.parseResponse(Buffer.from(response.slice(0, -1))), null);
+
+    const parsed = rtsp.parseResponse(Buffer.from(response + 'RTSP/1.0 200 OK\r\n'));
+    assert.deepEqual(parsed, {
+        response: {
+            status: 200,
+            reason: 'OK',
+            headers: { cseq: '2', 'content-type': 'application/sdp', 'content-length': '4' },
+            body: 'v=0\n'
+        },
+        length: response.length
+    });
+
+    assert.throws(() => rtsp.parseResponse(Buffer.from('HTTP/1.1 200 OK\r\n\r\n')), /Invalid RTSP response/);
+});
+
+test('sessionUrl and controlUrl build the URLs RAVENNA devices serve', () => {
+    const url = rtsp.sessionUrl('192.168.1.20', 9090, 'Stage Box 1');
+    assert.equal(url, 'rtsp://192.168.1.20:9090/by-name/Stage%20Box%201');
+    assert.equal(rtsp.sessionUrl('192.168.1.20', 0, 'A'), 'rtsp://192.168.1.20:554/by-name/A');
+    assert.equal(rtsp.controlUrl(url, undefined), url);
+    assert.equal(rtsp.controlUrl(url, '*'), url);
+    assert.equal(rtsp.controlUrl(url, 'streamid=0'), url + '/streamid=0');
+    assert.equal(rtsp.controlUrl(url, 'rtsp://10.0.0.1/x'), 'rtsp://10.0.0.1/x');
+});
+
+// Local stand-in for a device's RTSP server; records the requests it gets
+function startServer(t) {
+    const requests = [];
+    const server = net.createServer(socket => {
+        let received = '';
+        socket.on('data', chunk => {
+            received += chunk;
+            let end;
+            while ((end = received.indexOf('\r\n\r\n')) >= 0) {
+                const lines = received.slice(0, end).split('\r\n');
+                received = received.slice(end + 4);
+                const [method, url] = lines[0].split(' ');
+                const headers = {};
+                lines.slice(1).forEach(line => {
+                    const colon = line.indexOf(':');
+                    headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+                });
+                requests.push({ method: method, url: url, headers: headers });
+
+                let reply = `RTSP/1.0 200 OK\r\nCSeq: ${headers.cseq}\r\n`;
+                if (method === 'DESCRIBE') {
+                    reply += `Content-Type: application/sdp\r\nContent-Length: ${SDP.length}\r\n\r\n${SDP}`;
+                } else if (method === 'SETUP') {
+                    const clientPort = /client_port=([\d-]+)/.exec(headers.transport)[1];
+                    reply += 'Session: 12345678;timeout=30\r\n' +
+                        `Transport: RTP/AVP;unicast;client_port=${clientPort};server_port=6970-6971;ssrc=1A2B3C4D\r\n\r\n`;
+                } else {
+                    reply += '\r\n';
+                }
+                socket.write(reply);
+            }
+        });
+    });
+    t.after(() => server.close());
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({ url: `rtsp://127.0.0.1:${server.address().port}/by-name/Stage%20Box`, requests: requests });
+    }));
+}
+
+test('describe fetches the SDP of a session', async (t) => {
+    const server = await startServer(t);
+    assert.equal(await rtsp.describe(server.url), SDP);
+    assert.equal(server.requests[0].method, 'DESCRIBE');
+    assert.equal(server.requests[0].headers.accept, 'application/sdp');
+});
+
+test('RTSPSession sets up, plays and tears down a unicast session on one connection', async (t) => {
+    const server = await startServer(t);
+    const session = new rtsp.RTSPSession(server.url);
+    t.after(() => session.close());
+
+    const control = rtsp.controlUrl(server.url, 'streamid=0');
+    const transport = await session.setup(control, 15004);
+    assert.equal(session.session, '12345678');
+    assert.equal(session.timeout, 30);
+    assert.equal(transport.server_port, '6970-6971');
+    assert.equal(transport.ssrc, '1A2B3C4D');
+
+    await session.play();
+    assert.ok(session.keepAliveTimer);
+    await session.teardown();
+    assert.equal(session.keepAliveTimer, null);
+    assert.equal(session.socket, null);
+
+    assert.deepEqual(server.requests.map(request => [request.method, request.url, request.headers.cseq]), [
+        ['SETUP', control, '1'],
+        ['PLAY', server.url, '2'],
+        ['TEARDOWN', server.url, '3']
+    ]);
+    assert.equal(server.requests[0].headers.transport, 'RTP/AVP;unicast;client_port=15004-15005');
+    assert.equal(server.requests[0].headers.session, undefined);
+    assert.equal(server.requests[1].headers.session, '12345678');
+    assert.equal(server.requests[1].headers.range, 'npt=0.000-');
+    await assert.rejects(session.describe(), /closed/);
+});
+
+test('RTSPSession rejects URLs that are not RTSP', () => {
+    assert.throws(() => new rtsp.RTSPSession('http://127.0.0.1/'), /Not an RTSP URL/);
+    assert.throws(() => new rtsp.RTSPSession('not a url'), /Invalid RTSP URL/);
+});
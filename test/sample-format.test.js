@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sampleFormat = require('../lib/sample-format');
+
+test('network encodings round-trip through normalized samples', () => {
+    ['L16', 'L24', 'L32'].forEach(encoding => {
+        const bytes = sampleFormat.getBytesPerSample(encoding);
+        const scale = Math.pow(2, bytes * 8 - 1);
+        const samples = Float64Array.from([0, 0.5, -0.5, -1, (scale - 1) / scale, 1 / scale, -1 / scale]);
+
+        const buffer = sampleFormat.encodeNetwork(samples, encoding);
+        assert.equal(buffer.length, samples.length * bytes);
+        assert.deepEqual(sampleFormat.decodeNetwork(buffer, encoding), samples);
+    });
+});
+
+test('encodeNetwork clips at full scale and writes big-endian samples', () => {
+    const buffer = sampleFormat.encodeNetwork(Float64Array.from([1.5, -2, 0.5]), 'L24');
+    assert.deepEqual(buffer, Buffer.from([0x7F, 0xFF, 0xFF, 0x80, 0x00, 0x00, 0x40, 0x00, 0x00]));
+    assert.throws(() => sampleFormat.encodeNetwork([0], 'L20'), /Unsupported encoding: L20/);
+});
+
+test('toNetwork and fromNetwork round-trip int16 little-endian interleaved audio over L24', () => {
+    const format = sampleFormat.parseFormat({ type: 'int16', endianness: 'le' });
+    const input = Buffer.alloc(8);
+    [0, 16384, -32768, 32767].forEach((value, i) => input.writeInt16LE(value, i * 2));
+
+    const network = sampleFormat.toNetwork(input, format, 2, 'L24');
+    assert.deepEqual(network, Buffer.from([0, 0, 0, 0x40, 0, 0, 0x80, 0, 0, 0x7F, 0xFF, 0]));
+    assert.deepEqual(sampleFormat.fromNetwork(network, format, 2, 'L24'), input);
+});
+
+test('planar float32 channels interleave on the way out and split on the way in', () => {
+    const format = sampleFormat.parseFormat({ type: 'float32', layout: 'planar' });
+    const left = Float32Array.from([0.25, -0.5]);
+    const right = Float32Array.from([0.75, -1]);
+
+    const network = sampleFormat.toNetwork([left, right], format, 2, 'L24');
+    assert.deepEqual(sampleFormat.decodeNetwork(network, 'L24'), Float64Array.from([0.25, 0.75, -0.5, -1]));
+    assert.deepEqual(sampleFormat.fromNetwork(network, format, 2, 'L24'), [left, right]);
+});
+
+test('typed arrays keep their own sample type whatever the configured one', () => {
+    const format = sampleFormat.parseFormat({ type: 'float32' });
+    const network = sampleFormat.toNetwork(Int16Array.from([16384, -16384]), format, 2, 'L16');
+    assert.deepEqual(network, Buffer.from([0x40, 0x00, 0xC0, 0x00]));
+});
+
+test('raw format passes network bytes through and rejects non-Buffer input', () => {
+    const format = sampleFormat.parseFormat({ type: 'unknown' });
+    const buffer = Buffer.from([1, 2, 3, 4]);
+    assert.equal(format.type, 'raw');
+    assert.equal(sampleFormat.toNetwork(buffer, format, 2, 'L16'), buffer);
+    assert.equal(sampleFormat.fromNetwork(buffer, format, 2, 'L16'), buffer);
+    assert.throws(() => sampleFormat.toNetwork([0, 0], format, 2, 'L16'), /expected Buffer/);
+});
+
+test('decode rejects mismatched channel counts and lengths', () => {
+    const format = sampleFormat.parseFormat({ type: 'float32', layout: 'planar' });
+    assert.throws(() => sampleFormat.decode([[0], [0], [0]], format, 2), /expected 2 channels, got 3/);
+    assert.throws(() => sampleFormat.decode([[0, 0], [0]], format, 2), /differ in length/);
+    assert.throws(() => sampleFormat.decode([0, 0], format, 2), /planar layout expects an array of channels/);
+
+    const int16 = sampleFormat.parseFormat({ type: 'int16' });
+    assert.throws(() => sampleFormat.decode(Buffer.alloc(3), int16, 1), /not a multiple of the int16 sample size/);
+});
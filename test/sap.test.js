@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SAPAnnouncer } = require('../lib/sap');
+const { parseStreamDescription } = require('../lib/sdp');
+
+const quietNode = { log: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+function streamConfig(extra) {
+    return Object.assign({
+        streamName: 'Studio A',
+        destIP: '239.69.1.1',
+        port: 5004,
+        channels: 2,
+        ptime: 1,
+        sourceIP: '192.168.1.10',
+        sampleRate: 48000,
+        encoding: 'L24',
+        payloadType: 96,
+        sessionId: '1700000000'
+    }, extra);
+}
+
+// An announcer that records its packets instead of sending them
+function createAnnouncer(config) {
+    const announcer = new SAPAnnouncer(quietNode, config);
+    announcer.sent = [];
+    announcer.sendPacket = (packet) => announcer.sent.push(packet);
+    return announcer;
+}
+
+function sdpOf(packet) {
+    return packet.toString('utf8', 8 + 'application/sdp\0'.length);
+}
+
+test('an ST 2022-7 stream is described as a DUP group of primary and secondary media', () => {
+    const announcer = createAnnouncer(streamConfig({ secondary: { destIP: '239.70.1.1', port: 5006, sourceIP: '192.168.2.10' } }));
+    const text = announcer.createSDP();
+    assert.match(text, /^a=group:DUP primary secondary$/m);
+
+    const description = parseStreamDescription(text);
+    assert.equal(description.multicastGroup, '239.69.1.1');
+    assert.equal(description.port, 5004);
+    assert.equal(description.secondaryGroup, '239.70.1.1');
+    assert.equal(description.secondaryPort, 5006);
+    assert.equal(description.encoding, 'L24');
+    assert.equal(description.channels, 2);
+});
+
+test('SAP packets carry the origin address and message ID hash; deletions set the T bit', () => {
+    const announcer = createAnnouncer(streamConfig());
+    announcer.msgIdHash = 0x1234;
+    announcer.sendAnnouncement();
+    announcer.sendDeletion();
+
+    const [announcement, deletion] = announcer.sent;
+    assert.deepEqual(announcement.subarray(0, 8), Buffer.from([0x20, 0x00, 0x12, 0x34, 192, 168, 1, 10]));
+    assert.equal(announcement.toString('ascii', 8, 24), 'application/sdp\0');
+    assert.match(sdpOf(announcement), /^c=IN IP4 239\.69\.1\.1$/m);
+    assert.equal(deletion[0], 0x24);
+});
+
+test('update announces a new session version at once, withdrawing the old stream when it moves', () => {
+    const announcer = createAnnouncer(streamConfig());
+    announcer.msgIdHash = 0xFFFF;
+
+    announcer.update(streamConfig({ channels: 4 }));
+    assert.equal(announcer.sent.length, 1);
+    assert.equal(announcer.sent[0].readUInt16BE(2), 0);
+    assert.match(sdpOf(announcer.sent[0]), /^o=node-red 1700000000 2 IN IP4 192\.168\.1\.10$/m);
+    assert.match(sdpOf(announcer.sent[0]), /^a=rtpmap:96 L24\/48000\/4$/m);
+
+    announcer.update(streamConfig({ channels: 4, destIP: '239.69.1.2' }));
+    assert.deepEqual(announcer.sent.slice(1).map(packet => packet[0]), [0x24, 0x20]);
+    assert.match(sdpOf(announcer.sent[1]), /^c=IN IP4 239\.69\.1\.1$/m);
+    assert.match(sdpOf(announcer.sent[2]), /^o=node-red 1700000000 3 /m);
+    assert.match(sdpOf(announcer.sent[2]), /^c=IN IP4 239\.69\.1\.2$/m);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStreamDescription } = require('../lib/sdp');
+
+const DUP_SDP = [
+    'v=0',
+    'o=- 1311738121 1311738121 IN IP4 192.168.1.20',
+    's=Stage Box 1',
+    't=0 0',
+    'a=group:DUP primary secondary',
+    'm=audio 5004 RTP/AVP 98',
+    'c=IN IP4 239.69.1.1/32',
+    'a=rtpmap:98 L24/48000/8',
+    'a=ptime:1',
+    'a=source-filter: incl IN IP4 239.69.1.1 192.168.1.20',
+    'a=ts-refclk:ptp=IEEE1588-2008:00-1D-C1-FF-FE-12-34-56:0',
+    'a=mediaclk:direct=963214424',
+    'a=mid:primary',
+    'm=audio 5006 RTP/AVP 98',
+    'c=IN IP4 239.70.1.1/32',
+    'a=rtpmap:98 L24/48000/8',
+    'a=ptime:1',
+    'a=source-filter: incl IN IP4 239.70.1.1 192.168.2.20',
+    'a=ts-refclk:ptp=IEEE1588-2008:00-1D-C1-FF-FE-12-34-56:0',
+    'a=mediaclk:direct=963214424',
+    'a=mid:secondary',
+    ''
+].join('\r\n');
+
+test('parseStreamDescription reads the primary and secondary paths of a DUP group', () => {
+    const description = parseStreamDescription(DUP_SDP);
+    assert.deepEqual(description, {
+        name: 'Stage Box 1',
+        sessionId: '1311738121',
+        multicastGroup: '239.69.1.1',
+        address: '239.69.1.1',
+        port: 5004,
+        payloadType: 98,
+        encoding: 'L24',
+        sampleRate: 48000,
+        channels: 8,
+        ptime: 1,
+        sourceFilter: '192.168.1.20',
+        refClock: {
+            source: 'ptp',
+            value: 'IEEE1588-2008:00-1D-C1-FF-FE-12-34-56:0',
+            ptpVersion: 'IEEE1588-2008',
+            grandmaster: '00-1D-C1-FF-FE-12-34-56',
+            domain: 0
+        },
+        mediaClockOffset: 963214424,
+        secondaryGroup: '239.70.1.1',
+        secondaryPort: 5006,
+        secondarySourceFilter: '192.168.2.20'
+    });
+});
+
+test('parseStreamDescription takes the paths in the order the DUP group names them', () => {
+    const swapped = DUP_SDP.replace('a=group:DUP primary secondary', 'a=group:DUP secondary primary');
+    const description = parseStreamDescription(swapped);
+    assert.equal(description.multicastGroup, '239.70.1.1');
+    assert.equal(description.port, 5006);
+    assert.equal(description.secondaryGroup, '239.69.1.1');
+    assert.equal(description.secondaryPort, 5004);
+});
+
+test('parseStreamDescription has no secondary path without a DUP group', () => {
+    const single = DUP_SDP.replace('a=group:DUP primary secondary\r\n', '');
+    const description = parseStreamDescription(single);
+    assert.equal(description.multicastGroup, '239.69.1.1');
+    assert.equal(description.secondaryGroup, undefined);
+});
+
+test('parseStreamDescription accepts bare LF line endings and unicast addresses', () => {
+    const description = parseStreamDescription([
+        'v=0',
+        'o=- 7 7 IN IP4 10.0.0.5',
+        's=Unicast',
+        'c=IN IP4 10.0.0.9',
+        't=0 0',
+        'm=audio 6000 RTP/AVP 97',
+        'a=rtpmap:97 L16/44100/2'
+    ].join('\n'));
+    assert.equal(description.multicastGroup, '');
+    assert.equal(description.address, '10.0.0.9');
+    assert.equal(description.encoding, 'L16');
+    assert.equal(description.sampleRate, 44100);
+    assert.equal(description.ptime, null);
+    assert.equal(description.refClock, null);
+});
+
+test('parseStreamDescription rejects documents without RTP audio', () => {
+    assert.throws(() => parseStreamDescription('hello'), /Not an SDP document/);
+    assert.throws(() => parseStreamDescription('v=0\r\ns=Video\r\nt=0 0\r\nm=video 5004 RTP/AVP 96\r\n'), /no RTP audio/);
+    assert.throws(() => parseStreamDescription('v=0\r\ns=X\r\nt=0 0\r\nm=audio 5004 RTP/AVP 98\r\n'), /no rtpmap/);
+});
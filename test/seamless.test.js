@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SeamlessMerger, seqDiff } = require('../lib/seamless');
+
+test('seqDiff is signed across the 16-bit wrap', () => {
+    assert.equal(seqDiff(1, 65535), 2);
+    assert.equal(seqDiff(65535, 1), -2);
+    assert.equal(seqDiff(100, 100), 0);
+});
+
+test('SeamlessMerger fills a gap on one path from the other', () => {
+    const merger = new SeamlessMerger({ maxDelayMs: 10 });
+    const out = [];
+    out.push(...merger.push('primary', 1, 'p1', 0));
+    out.push(...merger.push('secondary', 1, 's1', 1));
+    // Primary loses 2; secondary has it a little later
+    out.push(...merger.push('primary', 3, 'p3', 2));
+    out.push(...merger.push('secondary', 2, 's2', 3));
+    out.push(...merger.push('secondary', 3, 's3', 4));
+
+    assert.deepEqual(out, ['p1', 's2', 'p3']);
+    const stats = merger.getStats(4);
+    assert.equal(stats.delivered, 3);
+    assert.equal(stats.duplicates, 2);
+    assert.equal(stats.lost, 0);
+    assert.equal(stats.paths.primary.firstCopies, 2);
+    assert.equal(stats.paths.secondary.firstCopies, 1);
+});
+
+test('SeamlessMerger gives up on a gap after the path differential delay', () => {
+    const merger = new SeamlessMerger({ maxDelayMs: 10 });
+    assert.deepEqual(merger.push('primary', 65535, 'a', 0), ['a']);
+    assert.deepEqual(merger.push('primary', 2, 'd', 1), []);
+    assert.deepEqual(merger.flush(10), []);
+    assert.deepEqual(merger.flush(11), ['d']);
+    assert.equal(merger.getStats(11).lost, 2);
+
+    // The secondary copies arrive too late to be used
+    assert.deepEqual(merger.push('secondary', 0, 'b', 12), []);
+    assert.equal(merger.getStats(12).duplicates, 1);
+});
+
+test('SeamlessMerger reports a silent path as down', () => {
+    const merger = new SeamlessMerger();
+    merger.push('primary', 10, 'x', 0);
+    merger.push('secondary', 10, 'x', 0);
+    merger.push('primary', 11, 'y', 600);
+
+    const stats = merger.getStats(600);
+    assert.equal(stats.paths.primary.health, 'ok');
+    assert.equal(stats.paths.secondary.health, 'down');
+    assert.equal(new SeamlessMerger().getStats(0).paths.primary.health, 'idle');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SignalGenerator } = require('../lib/signal-generator');
+
+function rms(samples, channels, channel) {
+    let sum = 0;
+    let count = 0;
+    for (let i = channel; i < samples.length; i += channels) {
+        sum += samples[i] * samples[i];
+        count++;
+    }
+    return Math.sqrt(sum / count);
+}
+
+function peak(samples) {
+    return samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+}
+
+test('sine peaks at the configured level and stays continuous across chunks', () => {
+    const generator = new SignalGenerator({ sampleRate: 48000, channels: 2, frequency: 1000, level: -6 });
+    const whole = new SignalGenerator({ sampleRate: 48000, channels: 2, frequency: 1000, level: -6 });
+
+    const chunked = Float64Array.from([...generator.generate(17), ...generator.generate(31)]);
+    const expected = whole.generate(48);
+    chunked.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-12));
+
+    const second = whole.generate(48000);
+    assert.ok(Math.abs(peak(second) - Math.pow(10, -6 / 20)) < 1e-3);
+    assert.equal(second[100], second[101]);
+});
+
+test('white and pink noise match the configured RMS level on every channel', () => {
+    ['white', 'pink'].forEach(signal => {
+        const generator = new SignalGenerator({ sampleRate: 48000, channels: 2, signal: signal, level: -20 });
+        const samples = generator.generate(96000);
+        for (let ch = 0; ch < 2; ch++) {
+            const level = 20 * Math.log10(rms(samples, 2, ch));
+            assert.ok(Math.abs(level + 20) < 1.5, `${signal} channel ${ch + 1} at ${level.toFixed(2)} dBFS`);
+        }
+        assert.notEqual(samples[0], samples[1]);
+    });
+});
+
+test('ident beeps channel N for N of its beep slots', () => {
+    const sampleRate = 1000;
+    const generator = new SignalGenerator({ sampleRate: sampleRate, channels: 3, signal: 'ident', frequency: 100, level: 0 });
+    const samples = generator.generate((2 * 3 * 0.15 + 1) * sampleRate);
+    const slot = 0.3 * sampleRate;
+
+    for (let ch = 0; ch < 3; ch++) {
+        for (let beep = 0; beep < 3; beep++) {
+            let energy = 0;
+            for (let i = beep * slot; i < beep * slot + slot / 2; i++) {
+                energy += Math.abs(samples[i * 3 + ch]);
+            }
+            assert.equal(energy > 0, beep <= ch, `channel ${ch + 1}, beep ${beep + 1}`);
+        }
+    }
+});
+
+test('silence is all zeros and sweeps stay within their frequency range', () => {
+    const generator = new SignalGenerator({ sampleRate: 48000, channels: 1, signal: 'silence' });
+    assert.ok(generator.generate(480).every(value => value === 0));
+
+    generator.configure({ signal: 'sweep', startFrequency: 100, endFrequency: 1000, sweepTime: 1 });
+    assert.equal(generator.sweepFrequency(0), 100);
+    assert.ok(Math.abs(generator.sweepFrequency(24000) - Math.sqrt(100 * 1000)) < 1e-9);
+    assert.equal(generator.sweepFrequency(48000), 100);
+});
+
+test('configure rejects invalid settings and keeps the previous ones', () => {
+    const generator = new SignalGenerator({ sampleRate: 48000, channels: 2 });
+    assert.throws(() => generator.configure({ signal: 'square' }), /Unknown signal "square"/);
+    assert.throws(() => generator.configure({ frequency: 30000 }), /Invalid frequency: must be between 0 and 24000 Hz/);
+    assert.throws(() => generator.configure({ level: 3 }), /Invalid level/);
+    assert.throws(() => generator.configure({ sweepTime: 0 }), /Invalid sweepTime/);
+    assert.deepEqual(generator.getSettings(), {
+        signal: 'sine',
+        frequency: 1000,
+        level: -18,
+        startFrequency: 20,
+        endFrequency: 20000,
+        sweepTime: 10
+    });
+});
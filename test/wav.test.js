@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WavReader, WavWriter } = require('../lib/wav');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aes67-wav-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function chunk(id, body) {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'ascii');
+    header.writeUInt32LE(body.length, 4);
+    return Buffer.concat([header, body, Buffer.alloc(body.length & 1)]);
+}
+
+function fmtChunk(tag, channels, sampleRate, bitsPerSample) {
+    const body = Buffer.alloc(16);
+    const blockAlign = channels * bitsPerSample / 8;
+    body.writeUInt16LE(tag, 0);
+    body.writeUInt16LE(channels, 2);
+    body.writeUInt32LE(sampleRate, 4);
+    body.writeUInt32LE(sampleRate * blockAlign, 8);
+    body.writeUInt16LE(blockAlign, 12);
+    body.writeUInt16LE(bitsPerSample, 14);
+    return chunk('fmt ', body);
+}
+
+function writeWav(dir, name, chunks) {
+    const body = Buffer.concat(chunks);
+    const riff = Buffer.alloc(12);
+    riff.write('RIFF', 0, 'ascii');
+    riff.writeUInt32LE(4 + body.length, 4);
+    riff.write('WAVE', 8, 'ascii');
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, Buffer.concat([riff, body]));
+    return file;
+}
+
+test('WavReader reads 24-bit PCM and the bext chunk of a Broadcast WAV file', (t) => {
+    const bext = Buffer.alloc(602);
+    bext.write('Line-up tone', 0, 'latin1');
+    bext.write('Studio 3', 256, 'latin1');
+    bext.write('REF-0042', 288, 'latin1');
+    bext.write('2024-05-01', 320, 'latin1');
+    bext.write('12:30:00', 330, 'latin1');
+    bext.writeUInt32LE(0x00000010, 338);
+    bext.writeUInt32LE(0x00000001, 342);
+    bext.writeUInt16LE(1, 346);
+
+    const data = Buffer.alloc(3 * 4);
+    [0x400000, -0x400000, 0x7FFFFF, -0x800000].forEach((value, i) => data.writeIntLE(value, i * 3, 3));
+
+    const file = writeWav(tempDir(t), 'bwf.wav', [fmtChunk(1, 2, 48000, 24), chunk('bext', bext), chunk('data', data)]);
+    const reader = new WavReader(file);
+    t.after(() => reader.close());
+
+    assert.deepEqual(reader.getInfo(), {
+        file: file,
+        sampleRate: 48000,
+        channels: 2,
+        bitsPerSample: 24,
+        float: false,
+        duration: 2 / 48000,
+        bext: {
+            description: 'Line-up tone',
+            originator: 'Studio 3',
+            originatorReference: 'REF-0042',
+            originationDate: '2024-05-01',
+            originationTime: '12:30:00',
+            timeReference: 0x100000010,
+            version: 1
+        }
+    });
+    assert.deepEqual(reader.read(10), Float64Array.from([0.5, -0.5, 0x7FFFFF / 0x800000, -1]));
+    assert.equal(reader.read(10).length, 0);
+});
+
+test('WavReader reads float and 8-bit files, skips unknown chunks and seeks by frame', (t) => {
+    const dir = tempDir(t);
+
+    const floats = Buffer.alloc(4 * 3);
+    [0.25, -0.75, 1].forEach((value, i) => floats.writeFloatLE(value, i * 4));
+    const odd = chunk('LIST', Buffer.from('abc'));
+    const floatReader = new WavReader(writeWav(dir, 'float.wav', [fmtChunk(3, 1, 44100, 32), odd, chunk('data', floats)]));
+    t.after(() => floatReader.close());
+
+    assert.equal(floatReader.getInfo().float, true);
+    assert.equal(floatReader.totalFrames, 3);
+    floatReader.seek(1);
+    assert.deepEqual(floatReader.read(1), Float64Array.from([-0.75]));
+    floatReader.seek(-5);
+    assert.deepEqual(floatReader.read(1), Float64Array.from([0.25]));
+
+    const bytes = new WavReader(writeWav(dir, '8bit.wav', [fmtChunk(1, 1, 8000, 8), chunk('data', Buffer.from([128, 0, 192]))]));
+    t.after(() => bytes.close());
+    assert.deepEqual(bytes.read(3), Float64Array.from([0, -1, 0.5]));
+});
+
+test('WavReader rejects files that are not PCM or float WAV', (t) => {
+    const dir = tempDir(t);
+    const text = path.join(dir, 'text.wav');
+    fs.writeFileSync(text, 'This is not a WAV file');
+
+    assert.throws(() => new WavReader(text), /Not a RIFF\/WAVE file/);
+    assert.throws(() => new WavReader(writeWav(dir, 'nodata.wav', [fmtChunk(1, 2, 48000, 16)])), /Missing data chunk/);
+    assert.throws(() => new WavReader(writeWav(dir, 'nofmt.wav', [chunk('data', Buffer.alloc(4))])), /Missing fmt chunk/);
+    assert.throws(() => new WavReader(writeWav(dir, 'alaw.wav', [fmtChunk(6, 1, 8000, 8), chunk('data', Buffer.alloc(4))])),
+        /Unsupported WAV format: tag 6, 8 bits/);
+});
+
+test('WavWriter writes little-endian PCM with a bext chunk that WavReader reads back', async (t) => {
+    const file = path.join(tempDir(t), 'out.wav');
+    const writer = new WavWriter(file, {
+        sampleRate: 48000,
+        channels: 2,
+        bytesPerSample: 3,
+        bext: { description: 'Take 1', originator: 'Node-RED AES67', originationDate: '2024-05-01', originationTime: '08:00:00', timeReference: 1382400000 }
+    });
+    writer.writeNetwork(Buffer.from([0x40, 0x00, 0x00, 0xC0, 0x00, 0x00]));
+    writer.writeSilence(1);
+    assert.equal(writer.frames, 2);
+    await writer.close();
+
+    const buffer = fs.readFileSync(file);
+    assert.equal(buffer.length, 12 + 24 + 8 + 602 + 8 + 12);
+    assert.equal(buffer.readUInt32LE(4), buffer.length - 8);
+    assert.equal(buffer.toString('ascii', 36, 40), 'bext');
+    assert.equal(buffer.readUInt32LE(buffer.length - 16), 12);
+
+    const reader = new WavReader(file);
+    t.after(() => reader.close());
+    assert.equal(reader.getInfo().bext.description, 'Take 1');
+    assert.equal(reader.getInfo().bext.timeReference, 1382400000);
+    assert.deepEqual(reader.read(2), Float64Array.from([0.5, -0.5, 0, 0]));
+});
+
+test('WavWriter keeps chunk sizes current on flush and pads odd data on close', async (t) => {
+    const file = path.join(tempDir(t), 'mono.wav');
+    const writer = new WavWriter(file, { sampleRate: 8000, channels: 1, bytesPerSample: 3 });
+    writer.writeNetwork(Buffer.from([0x12, 0x34, 0x56]));
+    await writer.flush();
+
+    let buffer = fs.readFileSync(file);
+    assert.equal(buffer.readUInt32LE(40), 3);
+    assert.equal(buffer.readUInt32LE(4), 36 + 3 + 1);
+    assert.deepEqual(buffer.subarray(44), Buffer.from([0x56, 0x34, 0x12]));
+
+    await writer.close();
+    buffer = fs.readFileSync(file);
+    assert.equal(buffer.length, 44 + 4);
+});
+
+test('WavWriter never replaces a file; a taken name gets the next free suffix', async (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'take.wav');
+    fs.writeFileSync(file, 'keep');
+    const writers = [1, 2].map(() => new WavWriter(file, { sampleRate: 8000, channels: 1, bytesPerSample: 2 }));
+    await Promise.all(writers.map(writer => writer.close()));
+
+    assert.equal(fs.readFileSync(file, 'utf8'), 'keep');
+    assert.deepEqual(writers.map(writer => path.basename(writer.path)).sort(), ['take_001.wav', 'take_002.wav']);
+    assert.equal(fs.statSync(writers[0].path).size, 44);
+});
+
+test('WavWriter reports a file it cannot create and rejects on close', async (t) => {
+    const errors = [];
+    const writer = new WavWriter(path.join(tempDir(t), 'missing', 'out.wav'), {
+        sampleRate: 8000, channels: 1, bytesPerSample: 2, onError: (err) => errors.push(err)
+    });
+    writer.writeSilence(1);
+    await assert.rejects(writer.close(), /ENOENT/);
+    assert.equal(errors.length, 1);
+});